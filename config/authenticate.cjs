@@ -1,27 +1,123 @@
 const jwt = require ('jsonwebtoken')
+const { PUBLIC, AUTHENTICATED, can, rolesFor, rolesForGroups } = require('./roles.cjs')
 
-const authenticateJWT = (req, res, next) => {
-  console.log('something')
-  let token = false
-  try {
-    const result = req.headers.authorization
-    let bearer = result.split(' ')
-    token = bearer[1]
-  } catch {
-    token = false
+const METHODS = ['get', 'post', 'put', 'patch', 'delete']
+
+/**
+ * User named by the bearer token. Tokens are the ones /v1/signin issues: signed with
+ * HASH, carrying the Cognito access token as `username`, whose claims hold the
+ * Cognito username and groups.
+ * @returns {Object} { user: { username, sub, groups, roles } } or { error: 'UNAUTHENTICATED' | 'INVALID_TOKEN' }
+ */
+const userFromRequest = (req) => {
+  const header = (req.headers.authorization || '').toString()
+  const token = header.split(' ')[1]
+  if (!token) {
+    return { error: 'UNAUTHENTICATED' }
   }
-  if (token) {
-    jwt.verify(token, process.env.HASH, (err, user) => {
-      if(err) {
-        res.sendStatus(403)
-      } else {
-        req.user = user
-        next()
+
+  try {
+    const payload = jwt.verify(token, process.env.HASH)
+    const cognito = jwt.decode(payload.username) || {}
+    const groups = Array.isArray(cognito['cognito:groups']) ? cognito['cognito:groups'] : []
+
+    return {
+      user: {
+        username: (cognito.username || cognito['cognito:username'] || cognito.sub || '').toString() || null,
+        sub: cognito.sub || null,
+        groups,
+        roles: rolesForGroups(groups)
       }
-    })
-  } else {
-    res.sendStatus(401)
+    }
+  } catch (err) {
+    return { error: 'INVALID_TOKEN' }
+  }
+}
+
+// 401 and 403 bodies shared by every route
+const sendUnauthorized = (res, code = 'UNAUTHENTICATED') => {
+  res.set('WWW-Authenticate', 'Bearer')
+  return res.status(401).json({
+    success: false,
+    error: code === 'INVALID_TOKEN' ? 'Invalid or expired token' : 'Authentication required',
+    code
+  })
+}
+
+const sendForbidden = (res, permission, user) => {
+  return res.status(403).json({
+    success: false,
+    error: `The ${permission} permission is required`,
+    code: 'FORBIDDEN',
+    required_roles: rolesFor(permission),
+    roles: user.roles
+  })
+}
+
+/**
+ * Middleware requiring a permission (see config/roles.cjs). Sets req.user.
+ * @param {string|Function} permission - Permission, or req → permission for routes
+ *                                       whose effect depends on the request
+ */
+const authorize = (permission) => (req, res, next) => {
+  const required = typeof permission === 'function' ? permission(req) : permission
+  if (required === PUBLIC) {
+    return next()
   }
+
+  const { user, error } = userFromRequest(req)
+  if (error) {
+    return sendUnauthorized(res, error)
+  }
+
+  req.user = user
+  if (!can(user.roles, required)) {
+    return sendForbidden(res, required, user)
+  }
+
+  next()
+}
+
+/**
+ * The app as a controller sees it: every route it registers is guarded by the
+ * permission declared for it ('METHOD /path' keys). Routes without a declaration
+ * are admin-only.
+ * @param {Object} app - Express app
+ * @param {Object} permissions - { 'GET /v1/contacts': 'read', ... }
+ * @param {string} source - Controller file, for the warning about undeclared routes
+ */
+const withPermissions = (app, permissions = {}, source = 'controller') => {
+  return new Proxy(app, {
+    get(target, prop) {
+      if (METHODS.includes(prop)) {
+        return (path, ...handlers) => {
+          // app.get('setting') reads a setting rather than adding a route
+          if (prop === 'get' && handlers.length === 0) {
+            return target.get(path)
+          }
+
+          const key = `${prop.toUpperCase()} ${path}`
+          let permission = permissions[key]
+          if (!permission) {
+            console.warn(`⚠️ ${source}: no permission declared for ${key} - admin only`)
+            permission = 'admin'
+          }
+
+          return target[prop](path, authorize(permission), ...handlers)
+        }
+      }
+
+      const value = target[prop]
+      return typeof value === 'function' ? value.bind(target) : value
+    }
+  })
 }
 
-module.exports = authenticateJWT 
\ No newline at end of file
+// Any signed-in user
+const authenticateJWT = authorize(AUTHENTICATED)
+
+module.exports = authenticateJWT
+module.exports.authenticateJWT = authenticateJWT
+module.exports.authorize = authorize
+module.exports.userFromRequest = userFromRequest
+module.exports.withPermissions = withPermissions
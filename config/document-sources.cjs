@@ -0,0 +1,123 @@
+/**
+ * OCD document source descriptors
+ *
+ * Each entry describes one EMNRD administrative order category that is run
+ * through the shared document ingestion pipeline (services/document-pipeline.service.js).
+ * Adding a new OCD category only requires a new entry here - the controller
+ * registers routes and cron jobs for every source in this list.
+ *
+ * Fields:
+ *   key                   - Job type / job ID origin (must be allowed by JobRun.job_type)
+ *   searchBy              - 'county' (default: search by county and applicationCategoryId)
+ *                           or 'applicant' (search case files by applicant search target)
+ *   routePrefix           - Base path for the status, force-process and upload routes
+ *   applicationCategoryId - ApplicationCategoryId passed to DataService.callForDataByCounty
+ *   projectOrigin         - project_origin stored on each extracted contact
+ *   documentType          - ClaudeContactExtractor prompt / document type
+ *   s3Prefix              - S3 folder the source PDFs are archived under
+ *   acquisition           - 'download' (fetch from EMNRD locally, archive to S3 afterwards)
+ *                           or 's3-relay' (stream EMNRD -> S3 first, then fetch from S3)
+ *   localPdfPath          - Local working folder for 's3-relay' sources
+ *   maxImageDimension     - Longest page image edge sent to Claude
+ *   uploadField           - Multipart form field used to group manual uploads
+ *   cron                  - Env variables controlling the weekly schedule
+ *   dynamoKey             - Suffix of the schedule#... DynamoDB status key
+ *   logKey                - Prefix used for LoggingService message keys
+ *   stages                - Optional stage list override per mode ({ batch: [...], upload: [...] })
+ */
+const documentSources = [
+  {
+    key: 'OCD_CBT',
+    routePrefix: '/v1/ocd-cbt',
+    applicationCategoryId: 'CTB',
+    projectOrigin: 'CTB',
+    documentType: 'ocd-cbt-contacts',
+    s3Prefix: 'ocd-cbt-pdfs',
+    acquisition: 'download',
+    maxImageDimension: 1800,
+    uploadField: 'county',
+    cron: {
+      enabledEnv: 'OCD_CBT_CRON_ENABLED',
+      scheduleEnv: 'OCD_CBT_CRON_SCHEDULE',
+      defaultSchedule: '59 23 * * 3' // Wednesdays at 11:59 PM
+    },
+    dynamoKey: 'ocdCbtProcessing',
+    logKey: 'ocdCbt'
+  },
+  {
+    key: 'OLM',
+    routePrefix: '/v1/olm',
+    applicationCategoryId: 'OLM',
+    projectOrigin: 'OLM',
+    documentType: 'olm-contacts',
+    s3Prefix: 'olm-pdfs',
+    acquisition: 's3-relay',
+    localPdfPath: process.env.OLM_LOCAL_PDF_PATH || './downloads/olm-pdfs',
+    maxImageDimension: 2000,
+    uploadField: 'applicant',
+    cron: {
+      enabledEnv: 'OLM_CRON_ENABLED',
+      scheduleEnv: 'OLM_CRON_SCHEDULE',
+      defaultSchedule: '59 23 * * 4' // Thursdays at 11:59 PM
+    },
+    dynamoKey: 'olmProcessing',
+    logKey: 'olm'
+  },
+  {
+    key: 'PLC',
+    routePrefix: '/v1/plc',
+    applicationCategoryId: 'PLC',
+    projectOrigin: 'PLC',
+    documentType: 'plc-contacts',
+    s3Prefix: 'plc-pdfs',
+    acquisition: 's3-relay',
+    localPdfPath: process.env.PLC_LOCAL_PDF_PATH || './downloads/plc-pdfs',
+    maxImageDimension: 2000,
+    uploadField: 'applicant',
+    cron: {
+      enabledEnv: 'PLC_CRON_ENABLED',
+      scheduleEnv: 'PLC_CRON_SCHEDULE',
+      defaultSchedule: '59 23 * * 4' // Thursdays at 11:59 PM
+    },
+    dynamoKey: 'plcProcessing',
+    logKey: 'plc'
+  }
+];
+
+/**
+ * OCD Imaging case files, searched by applicant. Run by the EMNRD controller
+ * (/v1/force-vision and the vision cron) rather than the per-source routes, so
+ * it is kept out of documentSources.
+ */
+const ocdImagingSource = {
+  key: 'OCD_IMAGING',
+  searchBy: 'applicant',
+  projectOrigin: 'OCD_IMAGING',
+  documentType: null, // ClaudeContactExtractor default (DEFAULT_DOCUMENT_TYPE)
+  s3Prefix: 'vision-pdfs',
+  acquisition: 'download',
+  maxImageDimension: 1800,
+  uploadField: 'applicant',
+  cron: {
+    enabledEnv: 'VISION_CRON_ENABLED',
+    scheduleEnv: 'VISION_CRON_SCHEDULE',
+    defaultSchedule: '0 4 * * 4' // Thursdays at 4 AM
+  },
+  dynamoKey: 'visionProcessing',
+  logKey: 'ocdImaging'
+};
+
+/**
+ * Look up a document source descriptor by key
+ * @param {string} key - Source key (e.g. 'OCD_CBT')
+ * @returns {Object|undefined} Source descriptor
+ */
+function getDocumentSource(key) {
+  return documentSources.find(source => source.key === key);
+}
+
+module.exports = {
+  documentSources,
+  ocdImagingSource,
+  getDocumentSource
+};
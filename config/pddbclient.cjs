@@ -23,35 +23,135 @@ const pgdbconnect = new Sequelize(
 
 const Contact = require('../models/contact.js');
 const ContactReady = require ('../models/contact-ready.js');
+const BusinessEntity = require('../models/business-entity.js');
 const WhitepagesLookup = require('../models/whitepages-lookup.js');
 const ExtractionPrompt = require('../models/extraction-prompt.js');
 const ExtractionPromptVersion = require('../models/extraction-prompt-version.js');
 const JobRun = require('../models/job-run.js');
+const JobQueueItem = require('../models/job-queue-item.js');
+const JobRunFile = require('../models/job-run-file.js');
+const SearchTarget = require('../models/search-target.js');
+const ProcessedDocument = require('../models/processed-document.js');
+const ContactProvenance = require('../models/contact-provenance.js');
+const EvalDocument = require('../models/eval-document.js');
+const EvalRun = require('../models/eval-run.js');
+const ContactPhone = require('../models/contact-phone.js');
+const ContactEmail = require('../models/contact-email.js');
+const ContactCluster = require('../models/contact-cluster.js');
+const ContactClusterMember = require('../models/contact-cluster-member.js');
+const ContactMatchCandidate = require('../models/contact-match-candidate.js');
+const Interest = require('../models/interest.js');
+const Case = require('../models/case.js');
+const CaseDocument = require('../models/case-document.js');
+const OutreachStatusHistory = require('../models/outreach-status-history.js');
+const AuditLog = require('../models/audit-log.js');
+const SalesforceSyncRun = require('../models/salesforce-sync-run.js');
+const SalesforceSyncRecord = require('../models/salesforce-sync-record.js');
+const WhitepagesMerge = require('../models/whitepages-merge.js');
+const EnrichmentLookup = require('../models/enrichment-lookup.js');
 
 Contact.init(pgdbconnect);
 ContactReady.init(pgdbconnect);
+BusinessEntity.init(pgdbconnect);
 WhitepagesLookup.init(pgdbconnect);
 ExtractionPrompt.init(pgdbconnect);
 ExtractionPromptVersion.init(pgdbconnect);
 JobRun.init(pgdbconnect);
+JobQueueItem.init(pgdbconnect);
+JobRunFile.init(pgdbconnect);
+SearchTarget.init(pgdbconnect);
+ProcessedDocument.init(pgdbconnect);
+ContactProvenance.init(pgdbconnect);
+EvalDocument.init(pgdbconnect);
+EvalRun.init(pgdbconnect);
+ContactPhone.init(pgdbconnect);
+ContactEmail.init(pgdbconnect);
+ContactCluster.init(pgdbconnect);
+ContactClusterMember.init(pgdbconnect);
+ContactMatchCandidate.init(pgdbconnect);
+Interest.init(pgdbconnect);
+Case.init(pgdbconnect);
+CaseDocument.init(pgdbconnect);
+OutreachStatusHistory.init(pgdbconnect);
+AuditLog.init(pgdbconnect);
+SalesforceSyncRun.init(pgdbconnect);
+SalesforceSyncRecord.init(pgdbconnect);
+WhitepagesMerge.init(pgdbconnect);
+EnrichmentLookup.init(pgdbconnect);
 
 // Set up associations
 ExtractionPromptVersion.associate({ ExtractionPrompt });
+JobQueueItem.associate({ JobRun });
+JobRun.associate({ JobRunFile });
+JobRunFile.associate({ JobRun });
+ProcessedDocument.associate({ JobRun });
+ContactProvenance.associate({ Contact });
+Contact.associate({ ContactPhone, ContactEmail });
+ContactReady.associate({ ContactPhone, ContactEmail });
+BusinessEntity.associate({ ContactPhone, ContactEmail });
+ContactCluster.associate({ ContactClusterMember, Contact });
+ContactClusterMember.associate({ ContactCluster, Contact });
+Case.associate({ CaseDocument, Contact });
+CaseDocument.associate({ Case });
+OutreachStatusHistory.associate({ ContactReady });
+SalesforceSyncRun.associate({ SalesforceSyncRecord });
+SalesforceSyncRecord.associate({ ContactReady });
+WhitepagesMerge.associate({ WhitepagesLookup });
+
+// Audit trail - every create / update / delete of these models is written to audit_log
+AuditLog.track(Contact, 'contact');
+AuditLog.track(ContactReady, 'contact_ready');
+AuditLog.track(BusinessEntity, 'business_entity');
+AuditLog.trackOwned(ContactPhone, 'phones');
+AuditLog.trackOwned(ContactEmail, 'emails');
 
 (async () => {
   try {
     await pgdbconnect.authenticate();
     console.log('Sequelize connected to Postgres');
+    // Trigram index on contacts.name_key (fuzzy duplicate detection)
+    await pgdbconnect.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+    // The one-running-run indexes can't be created over duplicate running rows
+    const supersededRuns = await JobRun.failDuplicateRunning();
+    if (supersededRuns) {
+      console.log(`Failed ${supersededRuns} duplicate running job run(s) before sync`);
+    }
+    const supersededSyncs = await SalesforceSyncRun.failDuplicateRunning();
+    if (supersededSyncs) {
+      console.log(`Failed ${supersededSyncs} duplicate running Salesforce sync run(s) before sync`);
+    }
     await pgdbconnect.sync({ alter: true, force: false });
     console.log('Database synced');
 
     // Debug: Check what attributes Sequelize knows about
     console.log('ContactReady model attributes:', Object.keys(ContactReady.rawAttributes));
+    console.log('BusinessEntity model attributes:', Object.keys(BusinessEntity.rawAttributes));
     console.log('Contact model attributes:', Object.keys(Contact.rawAttributes));
     console.log('WhitepagesLookup model attributes:', Object.keys(WhitepagesLookup.rawAttributes));
     console.log('ExtractionPrompt model attributes:', Object.keys(ExtractionPrompt.rawAttributes));
     console.log('ExtractionPromptVersion model attributes:', Object.keys(ExtractionPromptVersion.rawAttributes));
     console.log('JobRun model attributes:', Object.keys(JobRun.rawAttributes));
+    console.log('JobQueueItem model attributes:', Object.keys(JobQueueItem.rawAttributes));
+    console.log('JobRunFile model attributes:', Object.keys(JobRunFile.rawAttributes));
+    console.log('SearchTarget model attributes:', Object.keys(SearchTarget.rawAttributes));
+    console.log('ProcessedDocument model attributes:', Object.keys(ProcessedDocument.rawAttributes));
+    console.log('ContactProvenance model attributes:', Object.keys(ContactProvenance.rawAttributes));
+    console.log('EvalDocument model attributes:', Object.keys(EvalDocument.rawAttributes));
+    console.log('EvalRun model attributes:', Object.keys(EvalRun.rawAttributes));
+    console.log('ContactPhone model attributes:', Object.keys(ContactPhone.rawAttributes));
+    console.log('ContactEmail model attributes:', Object.keys(ContactEmail.rawAttributes));
+    console.log('ContactCluster model attributes:', Object.keys(ContactCluster.rawAttributes));
+    console.log('ContactClusterMember model attributes:', Object.keys(ContactClusterMember.rawAttributes));
+    console.log('ContactMatchCandidate model attributes:', Object.keys(ContactMatchCandidate.rawAttributes));
+    console.log('Interest model attributes:', Object.keys(Interest.rawAttributes));
+    console.log('Case model attributes:', Object.keys(Case.rawAttributes));
+    console.log('CaseDocument model attributes:', Object.keys(CaseDocument.rawAttributes));
+    console.log('OutreachStatusHistory model attributes:', Object.keys(OutreachStatusHistory.rawAttributes));
+    console.log('AuditLog model attributes:', Object.keys(AuditLog.rawAttributes));
+    console.log('SalesforceSyncRun model attributes:', Object.keys(SalesforceSyncRun.rawAttributes));
+    console.log('SalesforceSyncRecord model attributes:', Object.keys(SalesforceSyncRecord.rawAttributes));
+    console.log('WhitepagesMerge model attributes:', Object.keys(WhitepagesMerge.rawAttributes));
+    console.log('EnrichmentLookup model attributes:', Object.keys(EnrichmentLookup.rawAttributes));
   } catch (err) {
     console.error('Database connection/sync error:', err);
   }
@@ -61,9 +161,31 @@ module.exports = {
   pgdbconnect,
   Contact,
   ContactReady,
+  BusinessEntity,
   WhitepagesLookup,
   ExtractionPrompt,
   ExtractionPromptVersion,
   JobRun,
+  JobQueueItem,
+  JobRunFile,
+  SearchTarget,
+  ProcessedDocument,
+  ContactProvenance,
+  EvalDocument,
+  EvalRun,
+  ContactPhone,
+  ContactEmail,
+  ContactCluster,
+  ContactClusterMember,
+  ContactMatchCandidate,
+  Interest,
+  Case,
+  CaseDocument,
+  OutreachStatusHistory,
+  AuditLog,
+  SalesforceSyncRun,
+  SalesforceSyncRecord,
+  WhitepagesMerge,
+  EnrichmentLookup,
   DataTypes
 }
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Roles and permissions
+ *
+ * Users get roles from their Cognito groups and routes declare the permission they
+ * need (each controller's `permissions` export, enforced by the controller loader in
+ * index.js). A permission is granted to a list of roles:
+ *
+ *   read    - view contacts, cases, jobs, lookups, audit log and settings
+ *   write   - edit contacts and outreach status, verify and merge lookups, single lookups
+ *   operate - run, force and retry document pipelines, OCR, uploads, batches and syncs
+ *   admin   - deletes, bulk deletes, applied dedup/cleanup, prompts, configuration, debug routes
+ *
+ * Two more values need no role: 'public' (no token) and 'authenticated' (any valid token).
+ *
+ * Cognito groups named after a role (case-insensitive) grant it. COGNITO_GROUP_ROLES
+ * maps other group names, e.g. "Landmen=landman,Operations=operator,IT=admin".
+ */
+
+const ROLES = ['viewer', 'landman', 'operator', 'admin'];
+
+const PERMISSIONS = {
+  read: ['viewer', 'landman', 'operator', 'admin'],
+  write: ['landman', 'admin'],
+  operate: ['operator', 'admin'],
+  admin: ['admin']
+};
+
+const PUBLIC = 'public';
+const AUTHENTICATED = 'authenticated';
+
+// Cognito group (lowercased) → role
+const groupRoles = () => {
+  const mapping = Object.fromEntries(ROLES.map(role => [role, role]));
+
+  (process.env.COGNITO_GROUP_ROLES || '').split(',').forEach(entry => {
+    const [group, role] = entry.split('=').map(part => (part || '').trim());
+    if (group && ROLES.includes(role)) {
+      mapping[group.toLowerCase()] = role;
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Roles granted by a user's Cognito groups
+ * @param {Array<string>} groups - cognito:groups claim
+ * @returns {Array<string>} Roles, in ROLES order
+ */
+const rolesForGroups = (groups = []) => {
+  const mapping = groupRoles();
+  const granted = new Set(groups.map(group => mapping[group.toString().toLowerCase()]).filter(Boolean));
+  return ROLES.filter(role => granted.has(role));
+};
+
+/**
+ * Roles that hold a permission
+ * @param {string} permission - read, write, operate or admin
+ * @returns {Array<string>} Roles (empty for unknown permissions)
+ */
+const rolesFor = permission => PERMISSIONS[permission] || [];
+
+const can = (roles, permission) => {
+  if (permission === PUBLIC || permission === AUTHENTICATED) return true;
+  return rolesFor(permission).some(role => roles.includes(role));
+};
+
+/**
+ * Permission for routes that preview by default and change data with ?dryRun=false
+ * @param {string} permission - Needed to apply the change
+ * @param {string} dryRunPermission - Needed for the preview (default write)
+ * @returns {Function} req → permission
+ */
+const unlessDryRun = (permission, dryRunPermission = 'write') =>
+  req => (req.query.dryRun === undefined || req.query.dryRun === 'true' ? dryRunPermission : permission);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  PUBLIC,
+  AUTHENTICATED,
+  rolesForGroups,
+  rolesFor,
+  can,
+  unlessDryRun
+};
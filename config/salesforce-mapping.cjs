@@ -0,0 +1,98 @@
+/**
+ * Salesforce field mappings for ready contacts
+ *
+ * One entry per Salesforce object ready contacts can be synced to
+ * (services/salesforce-sync.service.js). Each Salesforce field maps to either the
+ * name of a ContactReady attribute or a function of the ready contact, which is
+ * loaded with its phones and emails. Empty values are sent as null so a field
+ * cleared here is cleared in Salesforce too.
+ *
+ * Fields:
+ *   externalIdField - External ID field the upsert matches on (env SALESFORCE_EXTERNAL_ID_FIELD overrides)
+ *   required        - Salesforce fields that must have a value; records missing one fail before the request
+ *   fields          - { SalesforceField: 'contactready_attribute' | (contact) => value }
+ */
+
+// Street line with the unit and c/o party, as Salesforce has a single street field
+const street = contact => [
+  contact.care_of ? `c/o ${contact.care_of}` : null,
+  [contact.address, contact.unit].filter(Boolean).join(' ')
+].filter(Boolean).join('\n');
+
+const lastName = contact => contact.last_name || contact.name || contact.llc_owner;
+
+// First number of the given types, in the contact's phone order
+const firstPhone = (contact, types) => {
+  const phone = (contact.phones || []).find(point => types.includes(point.phone_type));
+  return phone ? phone.phone : null;
+};
+
+const VOICE_PHONE_TYPES = ['mobile', 'landline', 'voip', 'unknown'];
+
+const firstEmail = contact => (contact.emails || []).length ? contact.emails[0].email : null;
+
+const description = contact => [
+  contact.owner_type ? `Owner type: ${contact.owner_type}` : null,
+  contact.case_number ? `OCD case: ${contact.case_number}` : null,
+  contact.ownership_type ? `Interest: ${contact.ownership_type}` : null,
+  contact.notes
+].filter(Boolean).join('\n');
+
+const salesforceMappings = {
+  Contact: {
+    externalIdField: 'Brownrock_Id__c',
+    required: ['LastName'],
+    fields: {
+      FirstName: 'first_name',
+      LastName: lastName,
+      MailingStreet: street,
+      MailingCity: 'city',
+      MailingState: 'state',
+      MailingPostalCode: 'zip',
+      Phone: contact => firstPhone(contact, VOICE_PHONE_TYPES),
+      MobilePhone: contact => firstPhone(contact, ['mobile']),
+      Email: firstEmail,
+      Description: description
+    }
+  },
+  Lead: {
+    externalIdField: 'Brownrock_Id__c',
+    required: ['LastName', 'Company'],
+    fields: {
+      FirstName: 'first_name',
+      LastName: lastName,
+      // Leads need a company; an individual owner is their own account
+      Company: contact => contact.llc_owner || contact.name || lastName(contact),
+      Street: street,
+      City: 'city',
+      State: 'state',
+      PostalCode: 'zip',
+      Phone: contact => firstPhone(contact, VOICE_PHONE_TYPES),
+      MobilePhone: contact => firstPhone(contact, ['mobile']),
+      Email: firstEmail,
+      Description: description,
+      LeadSource: () => 'OCD Filings'
+    }
+  }
+};
+
+/**
+ * Look up the mapping for a Salesforce object
+ * @param {string} sobject - 'Contact' or 'Lead'
+ * @returns {Object|undefined} Mapping with the external ID field resolved
+ */
+function getSalesforceMapping(sobject) {
+  const mapping = salesforceMappings[sobject];
+  if (!mapping) {
+    return undefined;
+  }
+  return {
+    ...mapping,
+    externalIdField: process.env.SALESFORCE_EXTERNAL_ID_FIELD || mapping.externalIdField
+  };
+}
+
+module.exports = {
+  salesforceMappings,
+  getSalesforceMapping
+};
@@ -0,0 +1,65 @@
+const AuditService = require('../services/audit.service.js');
+
+class AuditController {
+  constructor() {
+    this.auditService = new AuditService();
+  }
+
+  /**
+   * GET /v1/audit
+   * Audit entries filtered by entity and id (?entity=contact&id=42), field, action,
+   * actor, request_id and a created_at window (from, to)
+   */
+  async getAuditEntries(req, res) {
+    try {
+      const { entity, id, field, action, actor, request_id, from, to, limit, offset } = req.query;
+
+      const result = await this.auditService.getEntries(
+        { entity, id, field, action, actor, requestId: request_id, from, to },
+        { limit, offset }
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: result.rows,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_FILTER') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error getting audit entries:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve audit entries',
+        message: error.message
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const auditController = new AuditController();
+
+// Export controller instance
+module.exports.Controller = { AuditController: auditController };
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/audit': 'read'
+};
+
+// Export route registration function (follows existing pattern)
+module.exports.controller = (app) => {
+  console.log('Loading Audit controller routes...');
+
+  // Audit entries with filtering
+  app.get('/v1/audit', (req, res) => auditController.getAuditEntries(req, res));
+
+  console.log('Audit controller routes loaded');
+  console.log('  GET /v1/audit');
+};
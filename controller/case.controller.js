@@ -0,0 +1,94 @@
+const CaseService = require('../services/case.service.js');
+
+class CaseController {
+  constructor() {
+    this.caseService = new CaseService();
+  }
+
+  /**
+   * GET /v1/cases
+   * List recorded OCD cases with filtering and pagination
+   */
+  async getCases(req, res) {
+    try {
+      const { search, county, applicant, category, source_key, limit, offset } = req.query;
+
+      const result = await this.caseService.listCases(
+        { search, county, applicant, category, sourceKey: source_key },
+        { limit, offset }
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: result.rows,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error getting cases:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve cases',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/cases/:caseNumber
+   * A case with all of its documents and noticed parties
+   */
+  async getCase(req, res) {
+    try {
+      const { caseNumber } = req.params;
+
+      const result = await this.caseService.getCase(caseNumber);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Case not found',
+          caseNumber
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error getting case:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve case',
+        message: error.message
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const caseController = new CaseController();
+
+// Export controller instance
+module.exports.Controller = { CaseController: caseController };
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/cases': 'read',
+  'GET /v1/cases/:caseNumber': 'read'
+};
+
+// Export route registration function (follows existing pattern)
+module.exports.controller = (app) => {
+  console.log('Loading Case controller routes...');
+
+  // List cases with filtering
+  app.get('/v1/cases', (req, res) => caseController.getCases(req, res));
+
+  // Case with documents and parties
+  app.get('/v1/cases/:caseNumber', (req, res) => caseController.getCase(req, res));
+
+  console.log('Case controller routes loaded');
+  console.log('  GET /v1/cases');
+  console.log('  GET /v1/cases/:caseNumber');
+};
@@ -1,12 +1,157 @@
 require('dotenv').config();
+const SearchTargetService = require('../services/search-target.service.js');
+const requestContext = require('../services/request-context.js');
 
+/**
+ * Configuration Controller
+ *
+ * Manages the applicants and counties (search targets) the EMNRD and OCD jobs search
+ */
 class ConfigurationController {
   constructor() {
+    this.searchTargetService = new SearchTargetService();
     console.log('🔍 ConfigurationController initialized');
   }
 
+  /**
+   * GET /v1/configurables/eligible
+   * Enabled search targets: applicants, and counties grouped by application category
+   */
   async getConfigurationPrompts (req, res) {
-    res.status(200).send('success')
+    try {
+      const result = await this.searchTargetService.getEligibleTargets();
+
+      res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      console.error('Error in getConfigurationPrompts:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch eligible search targets: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * GET /v1/configurables/search-targets
+   * List search targets (?target_type=county&category=OLM&enabled=true)
+   */
+  async getSearchTargets(req, res) {
+    try {
+      const filters = {
+        target_type: req.query.target_type,
+        category: req.query.category,
+        enabled: req.query.enabled === 'true' ? true : req.query.enabled === 'false' ? false : undefined
+      };
+
+      const result = await this.searchTargetService.getAllTargets(filters);
+
+      res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      console.error('Error in getSearchTargets:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch search targets: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * GET /v1/configurables/search-targets/:id
+   * Get a search target
+   */
+  async getSearchTarget(req, res) {
+    try {
+      const result = await this.searchTargetService.getTargetById(req.params.id);
+
+      res.status(result.success ? 200 : result.notFound ? 404 : 500).json(result);
+    } catch (error) {
+      console.error('Error in getSearchTarget:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch search target: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * POST /v1/configurables/search-targets
+   * Create a search target
+   * Body: { target_type: 'applicant' | 'county', name, category?, enabled?, schedule?, notes? }
+   * The target is recorded as created by the authenticated user.
+   */
+  async createSearchTarget(req, res) {
+    try {
+      const result = await this.searchTargetService.createTarget(req.body, requestContext.actor());
+
+      if (result.success) {
+        await this.refreshSchedules();
+      }
+
+      res.status(result.success ? 201 : 400).json(result);
+    } catch (error) {
+      console.error('Error in createSearchTarget:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to create search target: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * PUT /v1/configurables/search-targets/:id
+   * Update a search target, recorded as updated by the authenticated user
+   */
+  async updateSearchTarget(req, res) {
+    try {
+      const result = await this.searchTargetService.updateTarget(req.params.id, req.body, requestContext.actor());
+
+      if (result.success) {
+        await this.refreshSchedules();
+      }
+
+      res.status(result.success ? 200 : result.notFound ? 404 : 400).json(result);
+    } catch (error) {
+      console.error('Error in updateSearchTarget:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to update search target: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * DELETE /v1/configurables/search-targets/:id
+   * Delete a search target
+   */
+  async deleteSearchTarget(req, res) {
+    try {
+      const result = await this.searchTargetService.deleteTarget(req.params.id);
+
+      if (result.success) {
+        await this.refreshSchedules();
+      }
+
+      res.status(result.success ? 200 : result.notFound ? 404 : 500).json(result);
+    } catch (error) {
+      console.error('Error in deleteSearchTarget:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to delete search target: ${error.message}`
+      });
+    }
+  }
+
+  // Pick up schedule changes without a restart
+  async refreshSchedules() {
+    // Lazy require - the OCD and EMNRD controllers are loaded by index.js after this one
+    const { refreshTargetSchedules } = require('./ocd-document.controller.js');
+    await refreshTargetSchedules();
+
+    try {
+      await require('./emnrd.controller.js').refreshTargetSchedules();
+    } catch (error) {
+      console.error('❌ Failed to schedule applicant search targets:', error.message);
+    }
   }
 
 }
@@ -16,8 +161,26 @@ const configurationController = new ConfigurationController();
 
 // Export controller for routes
 module.exports.Controller = { ConfigurationController: configurationController };
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/configurables/eligible': 'read',
+  'GET /v1/configurables/search-targets': 'read',
+  'GET /v1/configurables/search-targets/:id': 'read',
+  'POST /v1/configurables/search-targets': 'write',
+  'PUT /v1/configurables/search-targets/:id': 'write',
+  'DELETE /v1/configurables/search-targets/:id': 'write'
+};
+
 module.exports.controller = (app) => {
   console.log('🔍 Loading ConfigurationController controller routes...');
   app.get('/v1/configurables/eligible', (req, res) => configurationController.getConfigurationPrompts(req, res));
+
+  // Search targets (applicants / counties searched on EMNRD)
+  app.get('/v1/configurables/search-targets', (req, res) => configurationController.getSearchTargets(req, res));
+  app.get('/v1/configurables/search-targets/:id', (req, res) => configurationController.getSearchTarget(req, res));
+  app.post('/v1/configurables/search-targets', (req, res) => configurationController.createSearchTarget(req, res));
+  app.put('/v1/configurables/search-targets/:id', (req, res) => configurationController.updateSearchTarget(req, res));
+  app.delete('/v1/configurables/search-targets/:id', (req, res) => configurationController.deleteSearchTarget(req, res));
   console.log('✅ ConfigurationController controller routes loaded successfully');
 };
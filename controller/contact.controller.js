@@ -8,6 +8,28 @@ const S3Service = require('../services/s3.service.js')
 const LoggingService = require('../services/logging.service.js')
 const ContactService = require('../services/contact.service.js')
 const PostgresContactService = require('../services/postgres-contact.service.js')
+const ContactProvenanceService = require('../services/contact-provenance.service.js')
+const ContactResolutionService = require('../services/contact-resolution.service.js')
+const OutreachWorkflowService = require('../services/outreach-workflow.service.js')
+const requestContext = require('../services/request-context.js')
+const { unlessDryRun } = require('../config/roles.cjs')
+
+// ContactResolutionService error codes -> HTTP status
+const CLUSTER_ERROR_STATUS = {
+  CONTACT_NOT_FOUND: 404,
+  CLUSTER_NOT_FOUND: 404,
+  INVALID_MERGE: 400,
+  INVALID_SPLIT: 400,
+  CLUSTER_NOT_MERGED: 409,
+  CLUSTER_UNDO_BLOCKED: 409
+}
+
+// OutreachWorkflowService error codes -> HTTP status
+const OUTREACH_ERROR_STATUS = {
+  CONTACT_NOT_FOUND: 404,
+  INVALID_STATUS: 400,
+  INVALID_TRANSITION: 409
+}
 
 class ContactController {
   constructor() {
@@ -17,6 +39,9 @@ class ContactController {
     this.s3Service = new S3Service(this.authService, this.loggingService)
     this.contactService = new ContactService(this.authService, this.s3Service)
     this.postgresContactService = new PostgresContactService()
+    this.contactProvenanceService = new ContactProvenanceService(this.s3Service)
+    this.contactResolutionService = new ContactResolutionService()
+    this.outreachWorkflowService = new OutreachWorkflowService()
   }
 
   // DynamoDB Contact Management
@@ -108,12 +133,14 @@ class ContactController {
         company,
         acknowledged,
         islegal,
+        ownerType,
         city,
         state,
         search,
         requireFirstName,
         requireLastName,
         requireBothNames,
+        includeMerged,
         sortBy = 'created_at',
         sortOrder = 'DESC'
       } = req.query
@@ -125,12 +152,14 @@ class ContactController {
         company,
         acknowledged: acknowledged !== undefined ? acknowledged === 'true' : undefined,
         islegal: islegal !== undefined ? islegal === 'true' : undefined,
+        ownerType,
         city,
         state,
         search,
         requireFirstName: requireFirstName === 'true',
         requireLastName: requireLastName === 'true',
         requireBothNames: requireBothNames === 'true',
+        includeMerged: includeMerged === 'true',
         sortBy,
         sortOrder: sortOrder.toUpperCase()
       })
@@ -183,6 +212,7 @@ class ContactController {
         company,
         acknowledged,
         islegal,
+        ownerType,
         city,
         state,
         requireFirstName,
@@ -198,6 +228,7 @@ class ContactController {
         company,
         acknowledged: acknowledged !== undefined ? acknowledged === 'true' : undefined,
         islegal: islegal !== undefined ? islegal === 'true' : undefined,
+        ownerType,
         city,
         state,
         requireFirstName: requireFirstName === 'true',
@@ -212,9 +243,15 @@ class ContactController {
         })
       }
 
-      // Convert to CSV format
+      // Convert to CSV format - phones and emails flattened to one column each
       const Papa = require('papaparse')
-      const csv = Papa.unparse(result.contacts, {
+      const pointService = this.postgresContactService.contactPointService
+      const rows = result.contacts.map(contact => ({
+        ...contact.toJSON(),
+        phones: pointService.formatPhones(contact.phones),
+        emails: pointService.formatEmails(contact.emails)
+      }))
+      const csv = Papa.unparse(rows, {
         header: true,
         columns: [
           'id',
@@ -224,27 +261,22 @@ class ContactController {
           'llc_owner',
           'possible_relative',
           'deceased_relative',
-          'phone1',
-          'phone2',
-          'phone3',
-          'phone4',
-          'phone5',
-          'phone6',
-          'phone7',
-          'phone8',
-          'email1',
-          'email2',
+          'deceased',
+          'phones',
+          'emails',
           'address',
           'city',
           'state',
           'zip',
           'unit',
+          'care_of',
           'notes',
           'record_type',
           'document_section',
           'source_file',
           'acknowledged',
           'islegal',
+          'owner_type',
           'mineral_rights_percentage',
           'ownership_type',
           'project_origin',
@@ -464,6 +496,7 @@ class ContactController {
         id,
         acknowledged,
         islegal,
+        owner_type,
         mineral_rights_percentage,
         ownership_type,
         project_origin,
@@ -481,6 +514,12 @@ class ContactController {
       const updates = {}
       if (acknowledged !== undefined) updates.acknowledged = acknowledged
       if (islegal !== undefined) updates.islegal = islegal
+      // A manual owner type overrides the classifier
+      if (owner_type !== undefined) {
+        updates.owner_type = owner_type
+        updates.owner_type_reason = 'manual'
+        updates.islegal = owner_type === 'legal'
+      }
       if (mineral_rights_percentage !== undefined) updates.mineral_rights_percentage = mineral_rights_percentage
       if (ownership_type !== undefined) updates.ownership_type = ownership_type
       if (project_origin !== undefined) updates.project_origin = project_origin
@@ -529,7 +568,7 @@ class ContactController {
 
       console.log(`🔄 Deduplication request received (mode: ${mode}, dryRun: ${dryRun})`)
 
-      const result = await this.postgresContactService.deduplicateContactsByMode(mode, dryRun === 'true')
+      const result = await this.postgresContactService.deduplicateContactsByMode(mode, dryRun === 'true', requestContext.actor())
 
       res.status(200).json(result)
 
@@ -542,6 +581,84 @@ class ContactController {
     }
   }
 
+  /**
+   * POST /v1/postgres/contacts/normalize-addresses
+   * Re-run the address standardizer over stored contacts
+   * (?dryRun=true|false, ?table=contacts|contactsready, ?batchSize)
+   */
+  async normalizePostgresContactAddresses(req, res) {
+    try {
+      const { dryRun = 'true', table = 'contacts', batchSize = 500 } = req.query
+
+      if (!['contacts', 'contactsready'].includes(table)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid table. Must be one of: contacts, contactsready'
+        })
+      }
+
+      console.log(`🏠 Address normalization request received (table: ${table}, dryRun: ${dryRun})`)
+
+      const result = await this.postgresContactService.normalizeAddresses({
+        table,
+        dryRun: dryRun === 'true',
+        batchSize: parseInt(batchSize)
+      })
+
+      res.status(200).json(result)
+
+    } catch (error) {
+      console.error('Error normalizing contact addresses:', error.message)
+      res.status(500).json({
+        success: false,
+        message: `Address normalization failed: ${error.message}`
+      })
+    }
+  }
+
+  /**
+   * POST /v1/postgres/contacts/classify-owners
+   * Re-run the owner type classifier over stored contacts
+   * (?dryRun=true|false, ?table=contacts|contactsready, ?batchSize, ?useLlm, ?onlyUnclassified)
+   */
+  async classifyPostgresContactOwners(req, res) {
+    try {
+      const {
+        dryRun = 'true',
+        table = 'contacts',
+        batchSize = 500,
+        useLlm = 'false',
+        onlyUnclassified = 'false'
+      } = req.query
+
+      if (!['contacts', 'contactsready'].includes(table)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid table. Must be one of: contacts, contactsready'
+        })
+      }
+
+      console.log(`🏷️ Owner classification request received (table: ${table}, dryRun: ${dryRun}, useLlm: ${useLlm})`)
+
+      const result = await this.postgresContactService.classifyOwnerTypes({
+        table,
+        dryRun: dryRun === 'true',
+        batchSize: parseInt(batchSize),
+        useLlm: useLlm === 'true',
+        onlyUnclassified: onlyUnclassified === 'true'
+      })
+
+      res.status(200).json(result)
+
+    } catch (error) {
+      console.error('Error classifying contact owners:', error.message)
+      res.status(500).json({
+        success: false,
+        message: `Owner classification failed: ${error.message}`
+      })
+    }
+  }
+
   async deletePostgresContact(req, res) {
     try {
       // Check if service exists
@@ -576,6 +693,234 @@ class ContactController {
     }
   }
 
+  /**
+   * GET /v1/postgres/contacts/:id/exposure, GET /v1/postgres/contactsready/:id/exposure
+   * An owner's mineral interests across all OCD cases, with totals per case and interest type
+   */
+  async getOwnerExposure(req, res, ownerType) {
+    try {
+      const { id } = req.params
+
+      const exposure = await this.postgresContactService.interestService.getExposure(ownerType, parseInt(id))
+
+      if (!exposure) {
+        return res.status(404).json({
+          success: false,
+          message: `Owner not found: ${id}`
+        })
+      }
+
+      res.status(200).json({
+        success: true,
+        ...exposure
+      })
+
+    } catch (error) {
+      console.error('Error fetching owner exposure:', error.message)
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch exposure: ${error.message}`
+      })
+    }
+  }
+
+  /**
+   * GET /v1/postgres/contacts/:id/provenance
+   * Where the contact was read: S3 key, page, region and a cropped page image (base64 PNG)
+   * ?image=false skips rendering, ?format=png returns the first rendered image as image/png
+   */
+  async getContactProvenance(req, res) {
+    try {
+      const { id } = req.params
+      const renderImage = req.query.image !== 'false'
+
+      const result = await this.contactProvenanceService.getProvenance(id, { renderImage })
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: `Contact not found: ${id}`
+        })
+      }
+
+      if (req.query.format === 'png') {
+        const rendered = result.provenance.find(entry => entry.image)
+        if (!rendered) {
+          return res.status(404).json({
+            success: false,
+            message: `No page image available for contact ${id}`
+          })
+        }
+
+        res.set('Content-Type', 'image/png')
+        return res.status(200).send(Buffer.from(rendered.image.data, 'base64'))
+      }
+
+      res.status(200).json({
+        success: true,
+        contact: result.contact,
+        count: result.provenance.length,
+        provenance: result.provenance
+      })
+
+    } catch (error) {
+      console.error('Error fetching contact provenance:', error.message)
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch provenance: ${error.message}`
+      })
+    }
+  }
+
+  /**
+   * GET /v1/postgres/contact-clusters
+   * Merge clusters, newest first (?status=merged|undone, ?contact_id, ?limit, ?offset)
+   */
+  async getContactClusters(req, res) {
+    try {
+      const { status, contact_id, limit = 50, offset = 0 } = req.query
+
+      const { rows, count } = await this.contactResolutionService.getClusters({ status, contact_id, limit, offset })
+
+      res.status(200).json({
+        success: true,
+        clusters: rows,
+        total: count,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      })
+
+    } catch (error) {
+      console.error('Error fetching contact clusters:', error.message)
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch clusters: ${error.message}`
+      })
+    }
+  }
+
+  /**
+   * GET /v1/postgres/contact-clusters/:id
+   * Golden contact, every source contact and the values each field had across them
+   */
+  async getContactCluster(req, res) {
+    try {
+      const result = await this.contactResolutionService.getCluster(req.params.id)
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: `Cluster not found: ${req.params.id}`
+        })
+      }
+
+      res.status(200).json({
+        success: true,
+        ...result
+      })
+
+    } catch (error) {
+      console.error('Error fetching contact cluster:', error.message)
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch cluster: ${error.message}`
+      })
+    }
+  }
+
+  /**
+   * POST /v1/postgres/contact-clusters
+   * Merge contacts by hand. Body: { contact_ids: [...], reason? }
+   */
+  async mergeContacts(req, res) {
+    try {
+      const { contact_ids, reason } = req.body
+
+      if (!Array.isArray(contact_ids) || contact_ids.length < 2) {
+        return res.status(400).json({
+          success: false,
+          message: 'contact_ids must list at least two contacts'
+        })
+      }
+
+      const cluster = await this.contactResolutionService.mergeContacts(contact_ids, {
+        matchMode: 'manual',
+        matchReason: reason || 'Manual merge',
+        createdBy: requestContext.actor()
+      })
+
+      res.status(201).json({
+        success: true,
+        message: `Merged ${contact_ids.length} contacts into contact ${cluster.golden_contact_id}`,
+        cluster
+      })
+
+    } catch (error) {
+      this.sendClusterError(res, error, 'Merge failed')
+    }
+  }
+
+  /**
+   * POST /v1/postgres/contact-clusters/:id/undo
+   * Restore the golden contact and bring the merged duplicates back.
+   * Golden fields edited since the merge are kept and listed in undo_conflicts.
+   */
+  async undoContactCluster(req, res) {
+    try {
+      const cluster = await this.contactResolutionService.undoCluster(req.params.id, { undoneBy: requestContext.actor() })
+
+      res.status(200).json({
+        success: true,
+        message: cluster.undo_conflicts
+          ? `Cluster ${cluster.id} undone; fields edited since the merge were kept: ${Object.keys(cluster.undo_conflicts).join(', ')}`
+          : `Cluster ${cluster.id} undone`,
+        cluster
+      })
+
+    } catch (error) {
+      this.sendClusterError(res, error, 'Undo failed')
+    }
+  }
+
+  /**
+   * POST /v1/postgres/contact-clusters/:id/split
+   * Take contacts out of a cluster. Body: { contact_ids: [...] }
+   * The remaining contacts are merged again into a new cluster.
+   */
+  async splitContactCluster(req, res) {
+    try {
+      const { contact_ids } = req.body
+
+      const result = await this.contactResolutionService.splitCluster(req.params.id, contact_ids, {
+        splitBy: requestContext.actor()
+      })
+
+      res.status(200).json({
+        success: true,
+        message: result.cluster
+          ? `Cluster ${req.params.id} split - remaining contacts merged in cluster ${result.cluster.id}`
+          : `Cluster ${req.params.id} split - fewer than two contacts remain, merge undone`,
+        undoneCluster: result.undoneCluster,
+        cluster: result.cluster
+      })
+
+    } catch (error) {
+      this.sendClusterError(res, error, 'Split failed')
+    }
+  }
+
+  sendClusterError(res, error, label) {
+    const status = CLUSTER_ERROR_STATUS[error.code] || 500
+    if (status === 500) {
+      console.error(`${label}:`, error.message)
+    }
+    res.status(status).json({
+      success: false,
+      code: error.code,
+      message: `${label}: ${error.message}`
+    })
+  }
+
   async bulkDeletePostgresContacts(req, res) {
     try {
       // Check if service exists
@@ -713,6 +1058,8 @@ class ContactController {
         company,
         verified,
         islegal,
+        ownerType,
+        outreachStatus,
         city,
         state,
         search,
@@ -730,6 +1077,8 @@ class ContactController {
         company,
         verified: verified !== undefined ? verified === 'true' : undefined,
         islegal: islegal !== undefined ? islegal === 'true' : undefined,
+        ownerType,
+        outreachStatus,
         city,
         state,
         search,
@@ -783,6 +1132,8 @@ class ContactController {
       const {
         verified,
         islegal,
+        ownerType,
+        outreachStatus,
         city,
         state,
         search
@@ -791,6 +1142,8 @@ class ContactController {
       const result = await this.postgresContactService.exportContactsReadyToCSV({
         verified: verified !== undefined ? verified === 'true' : undefined,
         islegal: islegal !== undefined ? islegal === 'true' : undefined,
+        ownerType,
+        outreachStatus,
         city,
         state,
         search
@@ -844,6 +1197,11 @@ class ContactController {
 
       if (req.body.verified !== undefined) updates.verified = req.body.verified;
       if (req.body.islegal !== undefined) updates.islegal = req.body.islegal;
+      if (req.body.owner_type !== undefined) {
+        updates.owner_type = req.body.owner_type;
+        updates.owner_type_reason = 'manual';
+        updates.islegal = req.body.owner_type === 'legal';
+      }
       if (req.body.notes !== undefined) updates.notes = req.body.notes;
 
       const result = await this.postgresContactService.updateContactReadyStatus(id, updates);
@@ -862,6 +1220,80 @@ class ContactController {
     }
   }
 
+  /**
+   * PUT /v1/postgres/contactsready/:id/status
+   * Move a ready contact to another outreach status. Body: { status, note }
+   * The change is attributed to the authenticated user.
+   */
+  async updateOutreachStatus(req, res) {
+    try {
+      const { status, note } = req.body;
+
+      if (!status) {
+        return res.status(400).json({
+          success: false,
+          message: 'status is required'
+        });
+      }
+
+      const result = await this.outreachWorkflowService.transition(req.params.id, status, {
+        changedBy: requestContext.actor(),
+        note: note || null
+      });
+
+      res.json({
+        success: true,
+        message: `Contact ${result.contact.id} moved from ${result.history.from_status} to ${result.history.to_status}`,
+        contact: result.contact,
+        history: result.history,
+        allowed: this.outreachWorkflowService.allowedTransitions(result.contact.outreach_status)
+      });
+    } catch (error) {
+      this.sendOutreachError(res, error, 'Status change failed');
+    }
+  }
+
+  /**
+   * GET /v1/postgres/contactsready/:id/status-history
+   * Outreach status changes of a ready contact, and the statuses it can move to next
+   */
+  async getOutreachStatusHistory(req, res) {
+    try {
+      const result = await this.outreachWorkflowService.getHistory(req.params.id);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      this.sendOutreachError(res, error, 'Failed to fetch status history');
+    }
+  }
+
+  /**
+   * GET /v1/postgres/contactsready/outreach-statuses
+   * Outreach statuses and the transitions allowed from each
+   */
+  getOutreachStatuses(req, res) {
+    res.json({
+      success: true,
+      statuses: OutreachWorkflowService.STATUSES,
+      transitions: OutreachWorkflowService.TRANSITIONS
+    });
+  }
+
+  sendOutreachError(res, error, label) {
+    const status = OUTREACH_ERROR_STATUS[error.code] || 500;
+    if (status === 500) {
+      console.error(`${label}:`, error.message);
+    }
+    res.status(status).json({
+      success: false,
+      code: error.code,
+      message: `${label}: ${error.message}`
+    });
+  }
+
   /**
    * Delete contact from contactsready
    */
@@ -911,6 +1343,48 @@ const contactController = new ContactController()
 
 // Export controller
 module.exports.Controller = { ContactController: contactController }
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/contacts': 'read',
+  'GET /v1/contacts/stats': 'read',
+  'PUT /v1/contacts/update': 'write',
+  'GET /v1/postgres/contacts': 'read',
+  'GET /v1/postgres/contacts/stats': 'read',
+  'GET /v1/postgres/contacts/jobids': 'read',
+  'GET /v1/postgres/contacts/export': 'read',
+  'PUT /v1/postgres/contacts/update': 'write',
+  'POST /v1/postgres/contacts/deduplicate': unlessDryRun('admin'),
+  'POST /v1/postgres/contacts/normalize-addresses': unlessDryRun('admin'),
+  'POST /v1/postgres/contacts/classify-owners': unlessDryRun('admin'),
+  'GET /v1/postgres/contacts/:id/provenance': 'read',
+  'GET /v1/postgres/contacts/:id/exposure': 'read',
+  'GET /v1/postgres/contact-clusters': 'read',
+  'POST /v1/postgres/contact-clusters': 'write',
+  'GET /v1/postgres/contact-clusters/:id': 'read',
+  'POST /v1/postgres/contact-clusters/:id/undo': 'write',
+  'POST /v1/postgres/contact-clusters/:id/split': 'write',
+  'DELETE /v1/postgres/contacts/:id': 'admin',
+  'POST /v1/postgres/contacts/bulk-delete': 'admin',
+  'POST /v1/postgres/contacts/move-to-ready': 'write',
+  'POST /v1/postgres/contacts/move-job-to-ready/:job_id': 'operate',
+  'POST /v1/postgres/contacts/move-project-to-ready/:project_origin': 'operate',
+  'GET /v1/postgres/contactsready': 'read',
+  'GET /v1/postgres/contactsready/stats': 'read',
+  'GET /v1/postgres/contactsready/export': 'read',
+  'GET /v1/postgres/contactsready/outreach-statuses': 'read',
+  'GET /v1/postgres/contactsready/:id': 'read',
+  'GET /v1/postgres/contactsready/:id/exposure': 'read',
+  'PUT /v1/postgres/contactsready/update': 'write',
+  'PUT /v1/postgres/contactsready/:id/status': 'write',
+  'GET /v1/postgres/contactsready/:id/status-history': 'read',
+  'DELETE /v1/postgres/contactsready/:id': 'admin',
+  'GET /v1/test-dynamo': 'admin',
+  'GET /v1/test-contacts': 'admin',
+  'GET /v1/test-postgres': 'admin',
+  'GET /v1/postgres-status': 'read'
+}
+
 module.exports.controller = (app) => {
   console.log('🔧 Loading Contact controller routes...')
 
@@ -926,6 +1400,17 @@ module.exports.controller = (app) => {
   app.get('/v1/postgres/contacts/export', (req, res) => contactController.exportPostgresContactsCSV(req, res))
   app.put('/v1/postgres/contacts/update', (req, res) => contactController.updatePostgresContactStatus(req, res))
   app.post('/v1/postgres/contacts/deduplicate', (req, res) => contactController.deduplicatePostgresContacts(req, res))
+  app.post('/v1/postgres/contacts/normalize-addresses', (req, res) => contactController.normalizePostgresContactAddresses(req, res))
+  app.post('/v1/postgres/contacts/classify-owners', (req, res) => contactController.classifyPostgresContactOwners(req, res))
+  app.get('/v1/postgres/contacts/:id/provenance', (req, res) => contactController.getContactProvenance(req, res))
+  app.get('/v1/postgres/contacts/:id/exposure', (req, res) => contactController.getOwnerExposure(req, res, 'contact'))
+
+  // Merge clusters (entity resolution)
+  app.get('/v1/postgres/contact-clusters', (req, res) => contactController.getContactClusters(req, res))
+  app.post('/v1/postgres/contact-clusters', (req, res) => contactController.mergeContacts(req, res))
+  app.get('/v1/postgres/contact-clusters/:id', (req, res) => contactController.getContactCluster(req, res))
+  app.post('/v1/postgres/contact-clusters/:id/undo', (req, res) => contactController.undoContactCluster(req, res))
+  app.post('/v1/postgres/contact-clusters/:id/split', (req, res) => contactController.splitContactCluster(req, res))
   app.delete('/v1/postgres/contacts/:id', (req, res) => contactController.deletePostgresContact(req, res))
   app.post('/v1/postgres/contacts/bulk-delete', (req, res) => contactController.bulkDeletePostgresContacts(req, res))
 
@@ -938,8 +1423,14 @@ module.exports.controller = (app) => {
   app.get('/v1/postgres/contactsready', (req, res) => contactController.getContactsReady(req, res))
   app.get('/v1/postgres/contactsready/stats', (req, res) => contactController.getContactsReadyStats(req, res))
   app.get('/v1/postgres/contactsready/export', (req, res) => contactController.exportContactsReadyCSV(req, res))
+  app.get('/v1/postgres/contactsready/outreach-statuses', (req, res) => contactController.getOutreachStatuses(req, res))
   app.get('/v1/postgres/contactsready/:id', (req, res) => contactController.getContactReadyById(req, res))
+  app.get('/v1/postgres/contactsready/:id/exposure', (req, res) => contactController.getOwnerExposure(req, res, 'contact_ready'))
   app.put('/v1/postgres/contactsready/update', (req, res) => contactController.updateContactReadyStatus(req, res))
+
+  // Outreach workflow
+  app.put('/v1/postgres/contactsready/:id/status', (req, res) => contactController.updateOutreachStatus(req, res))
+  app.get('/v1/postgres/contactsready/:id/status-history', (req, res) => contactController.getOutreachStatusHistory(req, res))
   app.delete('/v1/postgres/contactsready/:id', (req, res) => contactController.deleteContactReady(req, res))
 
   // Debug endpoints
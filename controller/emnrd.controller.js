@@ -11,6 +11,11 @@ const LoggingService = require('../services/logging.service.js')
 const DataService = require('../services/data.service.js')
 const PDFService = require('../services/pdf.service.js')
 const PostgresContactService = require('../services/postgres-contact.service.js')
+const CaseService = require('../services/case.service.js')
+const JobRunService = require('../services/job-run.service.js')
+const JobQueueService = require('../services/job-queue.service.js')
+const DocumentPipelineService = require('../services/document-pipeline.service.js')
+const { ocdImagingSource } = require('../config/document-sources.cjs')
 
 // Import other controllers
 const { Controller: PdfControllerModule } = require('./pdf.controller.js')
@@ -47,6 +52,9 @@ const upload = multer({
   }
 })
 
+// Job type of /v1/force and Tuesday cron runs (the vision runs use ocdImagingSource.key)
+const DOWNLOAD_JOB_TYPE = 'OCD_IMAGING_DOWNLOAD'
+
 class EmnrdController {
   constructor() {
     // Initialize services
@@ -61,10 +69,20 @@ class EmnrdController {
     this.contactController = ContactControllerModule.ContactController
     this.s3AnalysisController = S3AnalysisControllerModule.S3AnalysisController
     this.postgresContactService = new PostgresContactService()
-
-    // State
-    this.filesToProcess = []
-    this.appScheduleRunning = false
+    this.caseService = new CaseService()
+
+    // Runs are tracked in job_runs and worked through the job queue
+    this.jobRunService = new JobRunService()
+    this.jobQueueService = new JobQueueService()
+    this.visionPipeline = new DocumentPipelineService({
+      source: ocdImagingSource,
+      authService: this.authService,
+      s3Service: this.s3Service,
+      dataService: this.dataService,
+      loggingService: this.loggingService,
+      postgresContactService: this.postgresContactService,
+      pdfDownloader: this.pdfController
+    })
 
     // Configuration for local processing
     this.config = {
@@ -78,256 +96,45 @@ class EmnrdController {
     this.initializeCronJob()
   }
 
-  // Main workflow - processes PDFs from applicants
+  // Main workflow - processes PDFs from applicants. Every file is queued before any is
+  // processed, so a run interrupted by a restart resumes from its first unfinished file
   async test(req, res) {
     const jobIdService = require('../services/job-id.service')
 
-    try {
-      this.appScheduleRunning = true
+    // Determine trigger type (manual if called via HTTP, cron otherwise)
+    const triggerType = res ? 'manual' : 'cron'
 
+    try {
       // Generate unique job ID for this processing run
       const jobId = jobIdService.generateJobId('OCD_IMAGING')
       console.log(`🆔 Generated Job ID for this run: ${jobId}`)
 
-      const applicantNames = this.dataService.getApplicantNames()
-
-      for (let j = 0; j < applicantNames.length; j++) {
-        const applicant = applicantNames[j]
-        console.log(`🔍 Processing applicant: ${applicant}`)
-
-        if (!this.authService.getToken()) {
-          await this.authService.login()
-        }
-
-        const response = await this.dataService.callForData(applicant)
-
-        if (!response || !response.data || !Array.isArray(response.data.Items)) {
-          console.warn(`⚠️ No valid data returned for applicant "${applicant}". Skipping...`)
-          await this.loggingService.writeMessage('missingItems', `No Items for ${applicant}`)
-          continue
-        }
-
-        const items = response.data.Items
-        console.log(`✅ Retrieved ${items.length} items for ${applicant}`)
-
-        // Keep track of which PDF belongs to which item (for App/Order/Case numbers)
-        // Note: EMNRD API returns CaseNumber, HearingOrderNumber, and RecordNo fields
-        const allPdfs = items.flatMap(item =>
-          (item.ImagingFiles || []).map(pdf => ({
-            ...pdf,
-            AppNumber: item.RecordNo || null,  // Using RecordNo as application number
-            OrderNumber: item.HearingOrderNumber || null,  // Actual field name from API
-            CaseNumber: item.CaseNumber || null  // Actual field name from API
-          }))
-        )
-
-        if (!allPdfs.length) {
-          console.log(`📭 No ImagingFiles found for "${applicant}".`)
-          continue
-        }
-
-        for (let i = 0; i < allPdfs.length; i++) {
-          const pdf = allPdfs[i]
-          const s3Key = `pdfs/${applicant}/${pdf.FileName}`
-
-          if (pdf.FileSize <= this.config.maxFileSize) {
-            try {
-              this.filesToProcess.push(s3Key)
-
-              if (this.config.processLocally) {
-                console.log(`⬇️ Downloading ${pdf.FileName} locally for processing...`)
-                const localPath = await this.pdfController.downloadPdfLocally(pdf.Url, pdf.FileName, applicant)
-
-                // Choose processing method based on configuration
-                if (this.config.useHybridPdf) {
-                  // Hybrid PDF processing: Textract tables + Claude vision
-                  console.log(`🔀 Using hybrid PDF processing (Textract + Claude) for ${pdf.FileName}`)
-
-                  const pdfBuffer = fs.readFileSync(localPath)
-                  const ClaudeContactExtractor = require('../services/ClaudeContactExtractor.cjs')
-                  const extractor = new ClaudeContactExtractor({
-                    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-                    awsRegion: process.env.AWS_REGION,
-                    awsAccessKeyId: process.env.AWS_ACCESS_KEY_ID,
-                    awsSecretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-                  })
-
-                  const startTime = Date.now()
-                  const contacts = await extractor.extractContactsFromPDFHybrid(pdfBuffer, pdf.FileName)
-                  const processingTime = ((Date.now() - startTime) / 1000).toFixed(1)
-
-                  console.log(`✅ Hybrid PDF processing complete in ${processingTime}s: ${contacts.length} contacts`)
-
-                  // Add metadata to contacts
-                  const enrichedContacts = contacts.map(c => ({
-                    ...c,
-                    source_file: pdf.FileName,
-                    record_type: applicant,
-                    extraction_method: 'hybrid-textract-claude',
-                    project_origin: 'OCD_IMAGING',
-                    jobid: jobId,
-                    app_number: pdf.AppNumber,
-                    order_number: pdf.OrderNumber,
-                    case_number: pdf.CaseNumber
-                  }))
-
-                  // Save to PostgreSQL
-                  if (enrichedContacts.length > 0 && this.postgresContactService) {
-                    console.log(`💾 Saving ${enrichedContacts.length} contacts to PostgreSQL...`)
-                    const insertResult = await this.postgresContactService.bulkInsertContacts(enrichedContacts)
-                    if (insertResult.success) {
-                      console.log(`✅ Saved ${insertResult.insertedCount} contacts to PostgreSQL`)
-                    }
-                  }
-
-                  // Upload original PDF to S3
-                  console.log(`☁️ Uploading PDF to S3: ${s3Key}`)
-                  await this.s3Service.uploadBufferToS3(pdfBuffer, s3Key)
-                  console.log(`✅ Uploaded to S3`)
-
-                  // Cleanup
-                  if (!process.env.KEEP_LOCAL_FILES) {
-                    await this.pdfController.cleanupLocalFile(localPath)
-                  }
-
-                  console.log(`📊 Processing summary for ${pdf.FileName}:`)
-                  console.log(`   - Method: hybrid-textract-claude-vision`)
-                  console.log(`   - Processing time: ${processingTime}s`)
-                  console.log(`   - Contacts extracted: ${contacts.length}`)
-
-                } else if (this.config.useNativePdf) {
-                  // Native PDF processing with Claude vision
-                  console.log(`📄 Using Claude native PDF vision for ${pdf.FileName}`)
-
-                  const pdfBuffer = fs.readFileSync(localPath)
-                  const ClaudeContactExtractor = require('../services/ClaudeContactExtractor.cjs')
-                  const extractor = new ClaudeContactExtractor({
-                    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-                    awsRegion: process.env.AWS_REGION,
-                    awsAccessKeyId: process.env.AWS_ACCESS_KEY_ID,
-                    awsSecretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-                  })
-
-                  const startTime = Date.now()
-                  const contacts = await extractor.extractContactsFromPDFNative(pdfBuffer, pdf.FileName)
-                  const processingTime = ((Date.now() - startTime) / 1000).toFixed(1)
-
-                  console.log(`✅ Claude native PDF processing complete in ${processingTime}s: ${contacts.length} contacts`)
-
-                  // Add metadata to contacts
-                  const enrichedContacts = contacts.map(c => ({
-                    ...c,
-                    source_file: pdf.FileName,
-                    record_type: applicant,
-                    extraction_method: 'hybrid-textract-claude',
-                    project_origin: 'OCD_IMAGING',
-                    jobid: jobId,
-                    app_number: pdf.AppNumber,
-                    order_number: pdf.OrderNumber,
-                    case_number: pdf.CaseNumber
-                  }))
-
-                  // Save to PostgreSQL
-                  if (enrichedContacts.length > 0 && this.postgresContactService) {
-                    console.log(`💾 Saving ${enrichedContacts.length} contacts to PostgreSQL...`)
-                    const insertResult = await this.postgresContactService.bulkInsertContacts(enrichedContacts)
-                    if (insertResult.success) {
-                      console.log(`✅ Saved ${insertResult.insertedCount} contacts to PostgreSQL`)
-                    }
-                  }
-
-                  // Upload original PDF to S3
-                  console.log(`☁️ Uploading PDF to S3: ${s3Key}`)
-                  await this.s3Service.uploadBufferToS3(pdfBuffer, s3Key)
-                  console.log(`✅ Uploaded to S3`)
-
-                  // Cleanup
-                  if (!process.env.KEEP_LOCAL_FILES) {
-                    await this.pdfController.cleanupLocalFile(localPath)
-                  }
-
-                  console.log(`📊 Processing summary for ${pdf.FileName}:`)
-                  console.log(`   - Method: claude-native-pdf-vision`)
-                  console.log(`   - Processing time: ${processingTime}s`)
-                  console.log(`   - Contacts extracted: ${contacts.length}`)
-
-                } else {
-                  // Traditional Ghostscript + Textract processing
-                  const processingResult = this.pdfController.config.smartProcessing ?
-                    await this.pdfController.smartOptimizeAndExtract(localPath, s3Key) :
-                    await this.pdfController.optimizeAndExtractText(localPath, s3Key)
-
-                  // Upload to S3 only if not already uploaded by Textract
-                  if (!processingResult.uploadedToS3) {
-                    console.log(`☁️ Uploading processed ${pdf.FileName} to S3...`)
-                    await this.pdfController.uploadOptimizedToS3(processingResult.optimizedPath, s3Key)
-                  } else {
-                    console.log(`✅ ${pdf.FileName} already uploaded to S3 by Textract`)
-                  }
-
-                  console.log(`📊 Processing summary for ${pdf.FileName}:`)
-                  console.log(`   - Optimization: ${processingResult.wasOptimized ? 'Yes' : 'No'}`)
-                  console.log(`   - Text extracted: ${processingResult.textLength} characters`)
-                  console.log(`   - Method: ${processingResult.method}`)
-                  console.log(`   - Steps: ${processingResult.processingSteps.join(' → ')}`)
-
-                  if (!process.env.KEEP_LOCAL_FILES) {
-                    await this.pdfController.cleanupLocalFile(localPath)
-                    if (processingResult.optimizedPath !== localPath) {
-                      await this.pdfController.cleanupLocalFile(processingResult.optimizedPath)
-                    }
-                    if (processingResult.textPath) {
-                      await this.pdfController.cleanupLocalFile(processingResult.textPath)
-                    }
-                  }
-
-                  this.pdfController.processingResults = this.pdfController.processingResults || []
-                  this.pdfController.processingResults.push({
-                    filename: pdf.FileName,
-                    applicant: applicant,
-                    s3Key: s3Key,
-                    ...processingResult
-                  })
-                }
-
-                console.log(`✅ Locally processed and uploaded: ${pdf.FileName}`)
-              } else {
-                console.log(`⬇️ Uploading ${pdf.FileName} directly to S3...`)
-                await this.s3Service.uploadToS3(pdf.Url, s3Key)
-                console.log(`✅ Directly uploaded: ${pdf.FileName}`)
-              }
-
-            } catch (processErr) {
-              console.error(`❌ Processing failed for ${pdf.FileName}: ${processErr.message}`)
-              await this.loggingService.writeMessage('processingFail', `${processErr.message} ${pdf.FileName}`)
-            }
-
-            // Add small delay between files to avoid Claude rate limits
-            if (i < allPdfs.length - 1) {
-              console.log(`⏸️ Waiting 3 seconds before next file to avoid rate limits...`)
-              await new Promise(resolve => setTimeout(resolve, 3000))
-            }
-          } else {
-            console.log(`⚠️ ${pdf.FileName} skipping due to file size (${pdf.FileSize} bytes > ${this.config.maxFileSize} bytes)`)
-          }
-        }
-      }
+      await this.jobRunService.startExclusiveJobRun({
+        job_id: jobId,
+        job_type: DOWNLOAD_JOB_TYPE,
+        trigger_type: triggerType
+      })
 
-      this.appScheduleRunning = false
+      const metrics = await this.drainDownloadJob(jobId, () => this.enqueueApplicantDocuments(jobId))
 
       if (res) {
         return res.status(200).send({
           message: 'PDF processing completed successfully.',
+          jobId,
           processedLocally: this.config.processLocally,
           ghostscriptEnabled: this.pdfController.config.useGhostscript,
           smartProcessing: this.pdfController.config.smartProcessing,
-          filesProcessed: this.filesToProcess.length
+          filesProcessed: metrics.totalFiles
         })
       }
 
       return true
 
     } catch (err) {
+      if (res && err.code === 'JOB_ALREADY_RUNNING') {
+        return this.sendJobAlreadyRunning(res, err)
+      }
+
       console.error(`💥 Fatal error in test(): ${err.message}`)
       await this.loggingService.writeMessage('testFatal', err.message)
 
@@ -339,617 +146,426 @@ class EmnrdController {
     }
   }
 
-  // Vision-based processing workflow - processes PDFs with Claude Vision (converts to images)
-  async testWithVision(req, res) {
-    const { execSync } = require('child_process')
-    const jobIdService = require('../services/job-id.service')
-    const JobRunService = require('../services/job-run.service.js')
-    const jobRunService = new JobRunService()
+  // Queue every applicant's imaging files for a download run; files over maxFileSize
+  // are queued as skipped so the job run still lists them
+  async enqueueApplicantDocuments(jobId) {
+    const applicantNames = await this.dataService.getApplicantNames()
+    let queued = 0
 
-    // Generate unique job ID for this processing run
-    const jobId = jobIdService.generateJobId('OCD_IMAGING')
-    console.log(`🆔 Generated Job ID for this run: ${jobId}`)
+    for (const applicant of applicantNames) {
+      console.log(`🔍 Processing applicant: ${applicant}`)
 
-    // Determine trigger type (manual if called via HTTP, cron otherwise)
-    const triggerType = res ? 'manual' : 'cron'
+      if (!this.authService.getToken()) {
+        await this.authService.login()
+      }
+
+      const response = await this.dataService.callForData(applicant)
+
+      if (!response || !response.data || !Array.isArray(response.data.Items)) {
+        console.warn(`⚠️ No valid data returned for applicant "${applicant}". Skipping...`)
+        await this.loggingService.writeMessage('missingItems', `No Items for ${applicant}`)
+        continue
+      }
+
+      const items = response.data.Items
+      console.log(`✅ Retrieved ${items.length} items for ${applicant}`)
 
-    // Track processing metrics
-    const metrics = {
-      totalFiles: 0,
-      downloadFailed: 0,
-      validationFailed: 0,
-      processingFailed: 0,
-      successfullyProcessed: 0,
-      totalContacts: 0,
-      skippedFiles: [],
-      jobId
+      await this.recordCases(items, applicant)
+
+      // Keep track of which PDF belongs to which item (for App/Order/Case numbers)
+      const allPdfs = items.flatMap(item =>
+        (item.ImagingFiles || []).map(pdf => ({
+          ...pdf,
+          ...this.itemNumbers(item)
+        }))
+      )
+
+      if (!allPdfs.length) {
+        console.log(`📭 No ImagingFiles found for "${applicant}".`)
+        continue
+      }
+
+      const queueItems = allPdfs.map(pdf => {
+        const item = {
+          item_key: `pdfs/${applicant}/${pdf.FileName}`,
+          payload: {
+            fileName: pdf.FileName,
+            fileSize: pdf.FileSize,
+            applicant,
+            url: pdf.Url,
+            appNumber: pdf.AppNumber,
+            orderNumber: pdf.OrderNumber,
+            caseNumber: pdf.CaseNumber
+          }
+        }
+
+        if (pdf.FileSize > this.config.maxFileSize) {
+          console.log(`⚠️ ${pdf.FileName} skipping due to file size (${pdf.FileSize} bytes > ${this.config.maxFileSize} bytes)`)
+          item.status = 'skipped'
+          item.failure_reason = 'File size exceeds limit'
+          item.last_error = `${pdf.FileSize} bytes > ${this.config.maxFileSize} bytes`
+        }
+
+        return item
+      })
+
+      queued += await this.jobQueueService.enqueueItems(jobId, DOWNLOAD_JOB_TYPE, queueItems)
     }
 
-    // Create job run record
+    return queued
+  }
+
+  // Work a download run's queue until every file is finished, then close the job run.
+  // prepare (queueing the files) runs first for new runs; resumed runs skip it
+  async drainDownloadJob(jobId, prepare = null) {
     try {
-      await jobRunService.createJobRun({
-        job_id: jobId,
-        job_type: 'OCD_IMAGING',
-        trigger_type: triggerType
-      })
-    } catch (trackingErr) {
-      console.error('Failed to create job run record:', trackingErr.message)
-      // Continue with job execution even if tracking fails
+      if (prepare) {
+        await prepare()
+      }
+
+      // Small delay between files to avoid Claude rate limits
+      await this.jobQueueService.drainQueue(jobId, item => this.processDownloadItem(item), { delayMs: 3000 })
+
+      const metrics = await this.jobQueueService.getJobMetrics(jobId)
+
+      try {
+        await this.jobRunService.markJobCompleted(jobId, metrics)
+      } catch (trackingErr) {
+        console.error('Failed to mark job as completed:', trackingErr.message)
+      }
+
+      return metrics
+
+    } catch (err) {
+      let metrics = {}
+      try {
+        metrics = await this.jobQueueService.getJobMetrics(jobId)
+      } catch (metricsErr) {
+        console.error('Failed to collect job metrics:', metricsErr.message)
+      }
+
+      try {
+        await this.jobRunService.markJobFailed(jobId, err.message, err.stack, metrics)
+      } catch (trackingErr) {
+        console.error('Failed to mark job as failed:', trackingErr.message)
+      }
+
+      throw err
     }
+  }
+
+  // Process one leased file of a download run and record the outcome on its queue item
+  async processDownloadItem(item) {
+    const pdf = item.payload
+    const stopHeartbeat = this.jobQueueService.startHeartbeat(item)
 
     try {
-      this.appScheduleRunning = true
-      const applicantNames = this.dataService.getApplicantNames()
+      const contactCount = await this.processApplicantFile(item.job_id, item.item_key, pdf)
+      await this.jobQueueService.completeItem(item, { contactCount })
+    } catch (processErr) {
+      console.error(`❌ Processing failed for ${pdf.fileName}: ${processErr.message}`)
+      await this.loggingService.writeMessage('processingFail', `${processErr.message} ${pdf.fileName}`)
+      await this.jobQueueService.failItem(item, processErr)
+    } finally {
+      stopHeartbeat()
+    }
+  }
+
+  // Download one applicant PDF and extract its contacts with the configured method,
+  // or upload it straight to S3 when not processing locally
+  // Returns the number of contacts saved to PostgreSQL
+  async processApplicantFile(jobId, s3Key, pdf) {
+    let contactCount = 0
 
-      for (let j = 0; j < applicantNames.length; j++) {
-        const applicant = applicantNames[j]
-        console.log(`🔍 Processing applicant with Vision: ${applicant}`)
+    if (this.config.processLocally) {
+      console.log(`⬇️ Downloading ${pdf.fileName} locally for processing...`)
+      const localPath = await this.pdfController.downloadPdfLocally(pdf.url, pdf.fileName, pdf.applicant)
+
+      // Choose processing method based on configuration
+      if (this.config.useHybridPdf) {
+        // Hybrid PDF processing: Textract tables + Claude vision
+        console.log(`🔀 Using hybrid PDF processing (Textract + Claude) for ${pdf.fileName}`)
+
+        const pdfBuffer = fs.readFileSync(localPath)
+        const ClaudeContactExtractor = require('../services/ClaudeContactExtractor.cjs')
+        const extractor = new ClaudeContactExtractor({
+          anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+          awsRegion: process.env.AWS_REGION,
+          awsAccessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          awsSecretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+        })
 
-        if (!this.authService.getToken()) {
-          await this.authService.login()
+        const startTime = Date.now()
+        const contacts = await extractor.extractContactsFromPDFHybrid(pdfBuffer, pdf.fileName)
+        const processingTime = ((Date.now() - startTime) / 1000).toFixed(1)
+
+        console.log(`✅ Hybrid PDF processing complete in ${processingTime}s: ${contacts.length} contacts`)
+
+        // Add metadata to contacts
+        const enrichedContacts = contacts.map(c => ({
+          ...c,
+          source_file: pdf.fileName,
+          record_type: pdf.applicant,
+          extraction_method: 'hybrid-textract-claude',
+          project_origin: 'OCD_IMAGING',
+          jobid: jobId,
+          app_number: pdf.appNumber,
+          order_number: pdf.orderNumber,
+          case_number: pdf.caseNumber
+        }))
+
+        // Save to PostgreSQL
+        if (enrichedContacts.length > 0 && this.postgresContactService) {
+          console.log(`💾 Saving ${enrichedContacts.length} contacts to PostgreSQL...`)
+          const insertResult = await this.postgresContactService.bulkInsertContacts(enrichedContacts)
+          if (insertResult.success) {
+            console.log(`✅ Saved ${insertResult.insertedCount} contacts to PostgreSQL`)
+            contactCount = insertResult.insertedCount
+          }
         }
 
-        const response = await this.dataService.callForData(applicant)
+        // Upload original PDF to S3
+        console.log(`☁️ Uploading PDF to S3: ${s3Key}`)
+        await this.s3Service.uploadBufferToS3(pdfBuffer, s3Key)
+        console.log(`✅ Uploaded to S3`)
 
-        if (!response || !response.data || !Array.isArray(response.data.Items)) {
-          console.warn(`⚠️ No valid data returned for applicant "${applicant}". Skipping...`)
-          await this.loggingService.writeMessage('missingItems', `No Items for ${applicant}`)
-          continue
+        // Cleanup
+        if (!process.env.KEEP_LOCAL_FILES) {
+          await this.pdfController.cleanupLocalFile(localPath)
         }
 
-        const items = response.data.Items
-        console.log(`✅ Retrieved ${items.length} items for ${applicant}`)
-
-        // Keep track of which PDF belongs to which item (for App/Order/Case numbers)
-        // Note: EMNRD API returns CaseNumber, HearingOrderNumber, and RecordNo fields
-        const allPdfs = items.flatMap(item =>
-          (item.ImagingFiles || []).map(pdf => ({
-            ...pdf,
-            AppNumber: item.RecordNo || null,  // Using RecordNo as application number
-            OrderNumber: item.HearingOrderNumber || null,  // Actual field name from API
-            CaseNumber: item.CaseNumber || null  // Actual field name from API
-          }))
-        )
+        console.log(`📊 Processing summary for ${pdf.fileName}:`)
+        console.log(`   - Method: hybrid-textract-claude-vision`)
+        console.log(`   - Processing time: ${processingTime}s`)
+        console.log(`   - Contacts extracted: ${contacts.length}`)
+
+      } else if (this.config.useNativePdf) {
+        // Native PDF processing with Claude vision
+        console.log(`📄 Using Claude native PDF vision for ${pdf.fileName}`)
+
+        const pdfBuffer = fs.readFileSync(localPath)
+        const ClaudeContactExtractor = require('../services/ClaudeContactExtractor.cjs')
+        const extractor = new ClaudeContactExtractor({
+          anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+          awsRegion: process.env.AWS_REGION,
+          awsAccessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          awsSecretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+        })
 
-        if (!allPdfs.length) {
-          console.log(`📭 No ImagingFiles found for "${applicant}".`)
-          continue
+        const startTime = Date.now()
+        const contacts = await extractor.extractContactsFromPDFNative(pdfBuffer, pdf.fileName)
+        const processingTime = ((Date.now() - startTime) / 1000).toFixed(1)
+
+        console.log(`✅ Claude native PDF processing complete in ${processingTime}s: ${contacts.length} contacts`)
+
+        // Add metadata to contacts
+        const enrichedContacts = contacts.map(c => ({
+          ...c,
+          source_file: pdf.fileName,
+          record_type: pdf.applicant,
+          extraction_method: 'hybrid-textract-claude',
+          project_origin: 'OCD_IMAGING',
+          jobid: jobId,
+          app_number: pdf.appNumber,
+          order_number: pdf.orderNumber,
+          case_number: pdf.caseNumber
+        }))
+
+        // Save to PostgreSQL
+        if (enrichedContacts.length > 0 && this.postgresContactService) {
+          console.log(`💾 Saving ${enrichedContacts.length} contacts to PostgreSQL...`)
+          const insertResult = await this.postgresContactService.bulkInsertContacts(enrichedContacts)
+          if (insertResult.success) {
+            console.log(`✅ Saved ${insertResult.insertedCount} contacts to PostgreSQL`)
+            contactCount = insertResult.insertedCount
+          }
         }
 
-        for (let i = 0; i < allPdfs.length; i++) {
-          const pdf = allPdfs[i]
-          const s3Key = `vision-pdfs/${applicant}/${pdf.FileName}`
-
-          if (pdf.FileSize <= this.config.maxFileSize) {
-            metrics.totalFiles++
-            let localPath = null
-            let outputDir = null
-            let resizedPdfPath = null
-
-            try {
-              this.filesToProcess.push(s3Key)
-
-              // Download PDF with error handling
-              console.log(`⬇️ Downloading ${pdf.FileName} locally for Vision processing...`)
-
-              try {
-                localPath = await this.pdfController.downloadPdfLocally(pdf.Url, pdf.FileName, applicant)
-              } catch (downloadError) {
-                metrics.downloadFailed++
-                metrics.skippedFiles.push({ file: pdf.FileName, reason: 'Download failed', error: downloadError.message })
-                console.error(`❌ Download failed for ${pdf.FileName}: ${downloadError.message}`)
-                await this.loggingService.writeMessage('visionDownloadFailed', `${pdf.FileName}: ${downloadError.message}`)
-
-                // Skip this file and continue to next
-                console.log(`⏭️ Skipping ${pdf.FileName} due to download failure`)
-                continue
-              }
-
-              // Validate downloaded file exists and is valid
-              try {
-                // Check file exists
-                if (!fs.existsSync(localPath)) {
-                  throw new Error('Downloaded file does not exist on disk')
-                }
-
-                const fileStats = fs.statSync(localPath)
-
-                // Check file is not empty
-                if (fileStats.size === 0) {
-                  throw new Error('Downloaded file is empty (0 bytes)')
-                }
-
-                // Check minimum size (PDFs are typically > 1KB)
-                if (fileStats.size < 1024) {
-                  throw new Error(`File too small (${fileStats.size} bytes) - likely corrupt or error page`)
-                }
-
-                // Quick validation: Check if file starts with PDF header
-                const fileBuffer = fs.readFileSync(localPath)
-                const header = fileBuffer.toString('ascii', 0, 5)
-
-                if (header !== '%PDF-') {
-                  // Get more detailed preview
-                  const textPreview = fileBuffer.toString('utf8', 0, Math.min(500, fileBuffer.length))
-                  const hexPreview = fileBuffer.toString('hex', 0, Math.min(100, fileBuffer.length))
-
-                  console.error(`\n🔍 FILE DIAGNOSTIC FOR ${pdf.FileName}:`)
-                  console.error(`   File size: ${fileStats.size} bytes`)
-                  console.error(`   Header (first 5 bytes): "${header}"`)
-                  console.error(`   Hex dump (first 100 bytes): ${hexPreview}`)
-                  console.error(`   Text preview (first 500 chars):\n${textPreview}`)
-
-                  throw new Error(`Invalid PDF header: "${header}". File appears to be: ${this.detectFileType(fileBuffer)}`)
-                }
-
-                // Additional validation: Check PDF version
-                const pdfVersion = fileBuffer.toString('ascii', 0, 8)
-                console.log(`✅ PDF validation passed (${(fileStats.size / 1024).toFixed(1)} KB, ${pdfVersion})`)
-              } catch (validationError) {
-                metrics.validationFailed++
-                metrics.skippedFiles.push({ file: pdf.FileName, reason: 'Validation failed', error: validationError.message })
-                console.error(`❌ PDF validation failed for ${pdf.FileName}: ${validationError.message}`)
-                await this.loggingService.writeMessage('visionValidationFailed', `${pdf.FileName}: ${validationError.message}`)
-
-                // Clean up invalid file
-                if (localPath && fs.existsSync(localPath)) {
-                  try {
-                    fs.unlinkSync(localPath)
-                    console.log(`🗑️ Removed invalid file: ${localPath}`)
-                  } catch (cleanupErr) {
-                    console.warn(`⚠️ Could not remove invalid file: ${cleanupErr.message}`)
-                  }
-                }
-
-                // Skip this file and continue to next
-                console.log(`⏭️ Skipping ${pdf.FileName} due to validation failure`)
-                continue
-              }
-
-              // Prepare temp directory for image output
-              const tempDir = process.env.UPLOAD_TEMP_DIR || './temp/uploads'
-              if (!fs.existsSync(tempDir)) {
-                fs.mkdirSync(tempDir, { recursive: true })
-              }
-
-              outputDir = path.join(tempDir, `gs_images_${Date.now()}`)
-              if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true })
-              }
-
-              // First, try to optimize/flatten the PDF with Ghostscript
-              resizedPdfPath = path.join(tempDir, `gs_resized_${Date.now()}.pdf`)
-              let pdfToConvert = localPath // Default to original file
-              let gsTime = 0
-
-              try {
-                console.log(`🔧 Optimizing PDF with Ghostscript...`)
-                const gsOptimizeCommand = [
-                  'gs',
-                  '-sDEVICE=pdfwrite',
-                  '-dCompatibilityLevel=1.4',
-                  '-dPDFSETTINGS=/ebook',
-                  '-dNOPAUSE',
-                  '-dQUIET',
-                  '-dBATCH',
-                  `-sOutputFile=${resizedPdfPath}`,
-                  localPath
-                ].join(' ')
-
-                execSync(gsOptimizeCommand, { stdio: 'pipe' })
-                console.log(`✅ PDF optimized`)
-                pdfToConvert = resizedPdfPath // Use optimized version
-              } catch (gsOptimizeError) {
-                console.warn(`⚠️ PDF optimization failed, will try converting original file directly: ${gsOptimizeError.message}`)
-                // Continue with original file
-              }
-
-              // Convert PDF to PNG images using Ghostscript
-              const startGsTime = Date.now()
-              const resolution = process.env.GS_IMAGE_RESOLUTION || '300' // 300 DPI default
-
-              console.log(`🖼️ Converting PDF to PNG images at ${resolution} DPI...`)
-
-              const outputPattern = path.join(outputDir, 'output_%03d.png')
-              const gsCommand = [
-                'gs',
-                '-o', outputPattern,
-                '-sDEVICE=png16m',
-                `-r${resolution}`,
-                pdfToConvert
-              ].join(' ')
-
-              try {
-                execSync(gsCommand, { stdio: 'pipe' })
-                gsTime = Date.now() - startGsTime
-                console.log(`✅ Ghostscript image conversion completed in ${gsTime}ms`)
-              } catch (gsConvertError) {
-                // If conversion fails completely, try with error recovery flags
-                console.warn(`⚠️ First conversion attempt failed, trying with error recovery...`)
-
-                try {
-                  const gsRecoveryCommand = [
-                    'gs',
-                    '-o', outputPattern,
-                    '-sDEVICE=png16m',
-                    `-r${resolution}`,
-                    '-dPDFSTOPONERROR=false',  // Don't stop on errors
-                    '-dNOSAFER',               // Allow more operations
-                    pdfToConvert
-                  ].join(' ')
-
-                  execSync(gsRecoveryCommand, { stdio: 'pipe' })
-                  gsTime = Date.now() - startGsTime
-                  console.log(`✅ Ghostscript conversion succeeded with recovery mode in ${gsTime}ms`)
-                } catch (gsRecoveryError) {
-                  // Ghostscript completely failed - fall back to Claude Native PDF processing
-                  console.warn(`⚠️ Ghostscript failed completely, falling back to Claude Native PDF processing...`)
-
-                  const pdfBuffer = fs.readFileSync(localPath)
-                  const ClaudeContactExtractor = require('../services/ClaudeContactExtractor.cjs')
-                  const extractor = new ClaudeContactExtractor({
-                    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-                    awsRegion: process.env.AWS_REGION,
-                    awsAccessKeyId: process.env.AWS_ACCESS_KEY_ID,
-                    awsSecretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-                  })
-
-                  const startNativeTime = Date.now()
-                  const contacts = await extractor.extractContactsFromPDFNative(pdfBuffer, pdf.FileName)
-                  const nativeTime = Date.now() - startNativeTime
-
-                  console.log(`✅ Claude Native PDF processing succeeded in ${nativeTime}ms: ${contacts.length} contacts`)
-
-                  // Add metadata to contacts
-                  const enrichedContacts = contacts.map(c => ({
-                    ...c,
-                    source_file: pdf.FileName,
-                    record_type: applicant,
-                    extraction_method: 'claude-native-pdf-fallback',
-                    project_origin: 'OCD_IMAGING',
-                    jobid: jobId,
-                    app_number: pdf.AppNumber,
-                    order_number: pdf.OrderNumber,
-                    case_number: pdf.CaseNumber
-                  }))
-
-                  // Save to PostgreSQL
-                  if (enrichedContacts.length > 0 && this.postgresContactService) {
-                    console.log(`💾 Saving ${enrichedContacts.length} contacts to PostgreSQL...`)
-                    const insertResult = await this.postgresContactService.bulkInsertContacts(enrichedContacts)
-                    if (insertResult.success) {
-                      console.log(`✅ Saved ${insertResult.insertedCount} contacts to PostgreSQL`)
-                      metrics.totalContacts += insertResult.insertedCount
-                    }
-                  }
-
-                  metrics.successfullyProcessed++
-
-                  // Upload original PDF to S3
-                  console.log(`☁️ Uploading PDF to S3: ${s3Key}`)
-                  await this.s3Service.uploadBufferToS3(pdfBuffer, s3Key)
-                  console.log(`✅ Uploaded to S3`)
-
-                  // Cleanup
-                  if (!process.env.KEEP_LOCAL_FILES) {
-                    if (localPath && fs.existsSync(localPath)) {
-                      fs.unlinkSync(localPath)
-                      console.log(`🗑️ Removed local file: ${localPath}`)
-                    }
-                    if (resizedPdfPath && fs.existsSync(resizedPdfPath)) {
-                      fs.unlinkSync(resizedPdfPath)
-                      console.log(`🗑️ Removed resized PDF: ${resizedPdfPath}`)
-                    }
-                  }
-
-                  console.log(`📊 Native PDF fallback summary for ${pdf.FileName}:`)
-                  console.log(`   - Method: claude-native-pdf-fallback (Ghostscript failed)`)
-                  console.log(`   - Processing time: ${nativeTime}ms`)
-                  console.log(`   - Contacts extracted: ${contacts.length}`)
-                  console.log(`✅ Completed with fallback method: ${pdf.FileName}`)
-
-                  // Skip the rest of the vision processing (images, etc.)
-                  continue
-                }
-              }
-
-              // Get list of generated images
-              const imageFiles = fs.readdirSync(outputDir)
-                .filter(file => file.endsWith('.png'))
-                .sort()
-                .map(file => path.join(outputDir, file))
-
-              if (imageFiles.length === 0) {
-                throw new Error('No images generated from PDF')
-              }
-
-              console.log(`📸 Generated ${imageFiles.length} images from PDF`)
-
-              // Resize images to meet Claude's 2000px dimension limit
-              console.log(`📐 Resizing images to meet Claude's dimension requirements...`)
-              const resizedImageFiles = []
-
-              for (const imagePath of imageFiles) {
-                const resizedPath = imagePath.replace('.png', '_resized.png')
-
-                // Check if magick (v7) is available
-                let useV7 = false
-                try {
-                  execSync('magick --version', { stdio: 'pipe' })
-                  useV7 = true
-                } catch (e) {
-                  // Fall back to convert (v6)
-                }
-
-                try {
-                  let resizeCommand
-
-                  if (useV7) {
-                    // ImageMagick v7 syntax
-                    resizeCommand = `magick "${imagePath}" -resize "1800x1800>" "${resizedPath}"`
-                  } else {
-                    // ImageMagick v6 syntax
-                    resizeCommand = `convert "${imagePath}" -resize "1800x1800>" "${resizedPath}"`
-                  }
-
-                  execSync(resizeCommand, { stdio: 'pipe', shell: true })
-                  resizedImageFiles.push(resizedPath)
-
-                  const originalSize = fs.statSync(imagePath).size
-                  const resizedSize = fs.statSync(resizedPath).size
-                  console.log(`  ✓ ${path.basename(imagePath)}: ${(originalSize/1024).toFixed(0)}KB → ${(resizedSize/1024).toFixed(0)}KB`)
-                } catch (resizeError) {
-                  console.warn(`⚠️ Failed to resize ${path.basename(imagePath)}, using original: ${resizeError.message}`)
-                  resizedImageFiles.push(imagePath)
-                }
-              }
-
-              console.log(`✅ Resized ${resizedImageFiles.length} images`)
-
-              // Send images to Claude for analysis
-              console.log(`🤖 Sending images to Claude for analysis...`)
-              const startClaudeTime = Date.now()
-
-              const ClaudeContactExtractor = require('../services/ClaudeContactExtractor.cjs')
-              const extractor = new ClaudeContactExtractor({
-                anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-                awsRegion: process.env.AWS_REGION,
-                awsAccessKeyId: process.env.AWS_ACCESS_KEY_ID,
-                awsSecretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-              })
-
-              // Convert resized images to base64 for Claude
-              const imageData = resizedImageFiles.map(imagePath => {
-                const imageBuffer = fs.readFileSync(imagePath)
-                return {
-                  path: path.basename(imagePath),
-                  base64: imageBuffer.toString('base64'),
-                  size: imageBuffer.length
-                }
-              })
-
-              // Call Claude with vision API to analyze images
-              const contacts = await extractor.extractContactsFromImages(imageData, pdf.FileName)
-
-              const claudeTime = Date.now() - startClaudeTime
-              console.log(`✅ Claude analyzed ${imageFiles.length} images and extracted ${contacts.length} contacts in ${claudeTime}ms`)
-
-              // Add metadata to contacts
-              const enrichedContacts = contacts.map(c => ({
-                ...c,
-                source_file: pdf.FileName,
-                record_type: applicant,
-                extraction_method: 'ghostscript-claude-vision',
-                project_origin: 'OCD_IMAGING',
-                jobid: jobId,
-                app_number: pdf.AppNumber,
-                order_number: pdf.OrderNumber,
-                case_number: pdf.CaseNumber
-              }))
-
-              // Save to PostgreSQL
-              if (enrichedContacts.length > 0 && this.postgresContactService) {
-                console.log(`💾 Saving ${enrichedContacts.length} contacts to PostgreSQL...`)
-                const insertResult = await this.postgresContactService.bulkInsertContacts(enrichedContacts)
-                if (insertResult.success) {
-                  console.log(`✅ Saved ${insertResult.insertedCount} contacts to PostgreSQL`)
-                  metrics.totalContacts += insertResult.insertedCount
-                }
-              }
-
-              metrics.successfullyProcessed++
-
-              // Upload original PDF to S3
-              const pdfBuffer = fs.readFileSync(localPath)
-              console.log(`☁️ Uploading PDF to S3: ${s3Key}`)
-              await this.s3Service.uploadBufferToS3(pdfBuffer, s3Key)
-              console.log(`✅ Uploaded to S3`)
-
-              // Cleanup local files
-              if (!process.env.KEEP_LOCAL_FILES) {
-                if (localPath && fs.existsSync(localPath)) {
-                  fs.unlinkSync(localPath)
-                  console.log(`🗑️ Removed local file: ${localPath}`)
-                }
-                if (resizedPdfPath && fs.existsSync(resizedPdfPath)) {
-                  fs.unlinkSync(resizedPdfPath)
-                  console.log(`🗑️ Removed resized PDF: ${resizedPdfPath}`)
-                }
-                // Clean up images
-                if (outputDir && fs.existsSync(outputDir)) {
-                  imageFiles.forEach(img => {
-                    try {
-                      if (fs.existsSync(img)) fs.unlinkSync(img)
-                    } catch (e) {
-                      console.warn(`Failed to delete ${img}: ${e.message}`)
-                    }
-                  })
-                  resizedImageFiles.forEach(img => {
-                    try {
-                      if (fs.existsSync(img)) fs.unlinkSync(img)
-                    } catch (e) {
-                      console.warn(`Failed to delete ${img}: ${e.message}`)
-                    }
-                  })
-                  try {
-                    const remainingFiles = fs.readdirSync(outputDir)
-                    remainingFiles.forEach(file => {
-                      const filePath = path.join(outputDir, file)
-                      try {
-                        fs.unlinkSync(filePath)
-                      } catch (e) {
-                        console.warn(`Failed to delete ${filePath}: ${e.message}`)
-                      }
-                    })
-                    fs.rmdirSync(outputDir)
-                  } catch (e) {
-                    console.warn(`Failed to remove directory ${outputDir}: ${e.message}`)
-                  }
-                }
-              }
-
-              console.log(`📊 Vision processing summary for ${pdf.FileName}:`)
-              console.log(`   - Method: ghostscript-claude-vision`)
-              console.log(`   - Images generated: ${imageFiles.length}`)
-              console.log(`   - Processing time: ${gsTime + claudeTime}ms`)
-              console.log(`   - Contacts extracted: ${contacts.length}`)
-
-              console.log(`✅ Completed Vision processing: ${pdf.FileName}`)
-
-            } catch (processErr) {
-              metrics.processingFailed++
-              metrics.skippedFiles.push({ file: pdf.FileName, reason: 'Processing failed', error: processErr.message })
-              console.error(`❌ Vision processing failed for ${pdf.FileName}: ${processErr.message}`)
-              await this.loggingService.writeMessage('visionProcessingFail', `${processErr.message} ${pdf.FileName}`)
-
-              // Cleanup on error
-              try {
-                if (localPath && fs.existsSync(localPath)) fs.unlinkSync(localPath)
-                if (resizedPdfPath && fs.existsSync(resizedPdfPath)) fs.unlinkSync(resizedPdfPath)
-                if (outputDir && fs.existsSync(outputDir)) {
-                  const files = fs.readdirSync(outputDir)
-                  files.forEach(file => {
-                    try {
-                      fs.unlinkSync(path.join(outputDir, file))
-                    } catch (e) {
-                      // Ignore cleanup errors
-                    }
-                  })
-                  try {
-                    fs.rmdirSync(outputDir)
-                  } catch (e) {
-                    // Ignore cleanup errors
-                  }
-                }
-              } catch (cleanupErr) {
-                console.error(`❌ Cleanup error: ${cleanupErr.message}`)
-              }
-            }
+        // Upload original PDF to S3
+        console.log(`☁️ Uploading PDF to S3: ${s3Key}`)
+        await this.s3Service.uploadBufferToS3(pdfBuffer, s3Key)
+        console.log(`✅ Uploaded to S3`)
 
-            // Add delay between files to avoid Claude rate limits
-            if (i < allPdfs.length - 1) {
-              console.log(`⏸️ Waiting 3 seconds before next file to avoid rate limits...`)
-              await new Promise(resolve => setTimeout(resolve, 3000))
-            }
-          } else {
-            console.log(`⚠️ ${pdf.FileName} skipping due to file size (${pdf.FileSize} bytes > ${this.config.maxFileSize} bytes)`)
+        // Cleanup
+        if (!process.env.KEEP_LOCAL_FILES) {
+          await this.pdfController.cleanupLocalFile(localPath)
+        }
+
+        console.log(`📊 Processing summary for ${pdf.fileName}:`)
+        console.log(`   - Method: claude-native-pdf-vision`)
+        console.log(`   - Processing time: ${processingTime}s`)
+        console.log(`   - Contacts extracted: ${contacts.length}`)
+
+      } else {
+        // Traditional Ghostscript + Textract processing
+        const processingResult = this.pdfController.config.smartProcessing ?
+          await this.pdfController.smartOptimizeAndExtract(localPath, s3Key) :
+          await this.pdfController.optimizeAndExtractText(localPath, s3Key)
+
+        // Upload to S3 only if not already uploaded by Textract
+        if (!processingResult.uploadedToS3) {
+          console.log(`☁️ Uploading processed ${pdf.fileName} to S3...`)
+          await this.pdfController.uploadOptimizedToS3(processingResult.optimizedPath, s3Key)
+        } else {
+          console.log(`✅ ${pdf.fileName} already uploaded to S3 by Textract`)
+        }
+
+        console.log(`📊 Processing summary for ${pdf.fileName}:`)
+        console.log(`   - Optimization: ${processingResult.wasOptimized ? 'Yes' : 'No'}`)
+        console.log(`   - Text extracted: ${processingResult.textLength} characters`)
+        console.log(`   - Method: ${processingResult.method}`)
+        console.log(`   - Steps: ${processingResult.processingSteps.join(' → ')}`)
+
+        if (!process.env.KEEP_LOCAL_FILES) {
+          await this.pdfController.cleanupLocalFile(localPath)
+          if (processingResult.optimizedPath !== localPath) {
+            await this.pdfController.cleanupLocalFile(processingResult.optimizedPath)
+          }
+          if (processingResult.textPath) {
+            await this.pdfController.cleanupLocalFile(processingResult.textPath)
           }
         }
-      }
 
-      this.appScheduleRunning = false
-
-      // Print comprehensive summary
-      console.log('\n═══════════════════════════════════════════════════════════')
-      console.log('📊 VISION PROCESSING JOB SUMMARY')
-      console.log('═══════════════════════════════════════════════════════════')
-      console.log(`Total files attempted:      ${metrics.totalFiles}`)
-      console.log(`✅ Successfully processed:   ${metrics.successfullyProcessed}`)
-      console.log(`❌ Download failed:          ${metrics.downloadFailed}`)
-      console.log(`❌ Validation failed:        ${metrics.validationFailed}`)
-      console.log(`❌ Processing failed:        ${metrics.processingFailed}`)
-      console.log(`📇 Total contacts extracted: ${metrics.totalContacts}`)
-      console.log('───────────────────────────────────────────────────────────')
-
-      if (metrics.skippedFiles.length > 0) {
-        console.log(`\n⚠️ SKIPPED FILES (${metrics.skippedFiles.length}):`)
-        metrics.skippedFiles.forEach((skip, idx) => {
-          console.log(`${idx + 1}. ${skip.file}`)
-          console.log(`   Reason: ${skip.reason}`)
-          console.log(`   Error: ${skip.error}`)
+        this.pdfController.processingResults = this.pdfController.processingResults || []
+        this.pdfController.processingResults.push({
+          filename: pdf.fileName,
+          applicant: pdf.applicant,
+          s3Key: s3Key,
+          ...processingResult
         })
       }
 
-      console.log('═══════════════════════════════════════════════════════════\n')
+      console.log(`✅ Locally processed and uploaded: ${pdf.fileName}`)
+    } else {
+      console.log(`⬇️ Uploading ${pdf.fileName} directly to S3...`)
+      await this.s3Service.uploadToS3(pdf.url, s3Key)
+      console.log(`✅ Directly uploaded: ${pdf.fileName}`)
+    }
 
-      // Mark job as completed
-      try {
-        await jobRunService.markJobCompleted(jobId, metrics)
-      } catch (trackingErr) {
-        console.error('Failed to mark job as completed:', trackingErr.message)
-      }
+    return contactCount
+  }
+
+  // Vision-based processing workflow - runs every applicant's PDFs through the document
+  // pipeline (Ghostscript page images + Claude Vision), one job queue item per file
+  async testWithVision(req, res) {
+    // Determine trigger type (manual if called via HTTP, cron otherwise)
+    const triggerType = res ? 'manual' : 'cron'
+
+    try {
+      const metrics = await this.visionPipeline.runJob({ triggerType })
 
       if (res) {
         return res.status(200).send({
           message: 'Vision PDF processing completed.',
           method: 'ghostscript-claude-vision',
-          metrics: {
-            totalFiles: metrics.totalFiles,
-            successfullyProcessed: metrics.successfullyProcessed,
-            downloadFailed: metrics.downloadFailed,
-            validationFailed: metrics.validationFailed,
-            processingFailed: metrics.processingFailed,
-            totalContacts: metrics.totalContacts,
-            skippedFiles: metrics.skippedFiles
-          }
+          metrics
         })
       }
 
       return true
 
     } catch (err) {
-      console.error(`💥 Fatal error in testWithVision(): ${err.message}`)
-      await this.loggingService.writeMessage('testWithVisionFatal', err.message)
-
-      // Mark job as failed
-      try {
-        await jobRunService.markJobFailed(jobId, err.message, err.stack, metrics)
-      } catch (trackingErr) {
-        console.error('Failed to mark job as failed:', trackingErr.message)
+      if (res && err.code === 'JOB_ALREADY_RUNNING') {
+        return this.sendJobAlreadyRunning(res, err)
       }
 
       if (res) {
-        return res.status(500).send({ error: err.message })
+        return res.status(500).send({ error: err.message, metrics: err.metrics })
       }
 
       return false
     }
   }
 
-  // Helper method to detect file type from buffer
-  detectFileType(buffer) {
-    const header = buffer.toString('hex', 0, Math.min(20, buffer.length))
-    const text = buffer.toString('utf8', 0, Math.min(100, buffer.length))
-
-    // Common file signatures
-    if (header.startsWith('25504446')) return 'PDF'
-    if (header.startsWith('ffd8ff')) return 'JPEG image'
-    if (header.startsWith('89504e47')) return 'PNG image'
-    if (header.startsWith('474946')) return 'GIF image'
-    if (text.startsWith('<!DOCTYPE') || text.startsWith('<html')) return 'HTML document'
-    if (text.startsWith('<?xml')) return 'XML document'
-    if (text.startsWith('{') || text.startsWith('[')) return 'JSON document'
-    if (header.startsWith('504b0304')) return 'ZIP/Office document'
-
-    return 'Unknown file type'
+  // Another OCD Imaging run holds the queue: 409 naming the running job
+  sendJobAlreadyRunning(res, error) {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      jobId: error.jobId
+    })
   }
 
-  getStatus(req, res) {
-    res.status(200).send({
-      running: this.appScheduleRunning,
-      config: this.config,
-      s3AnalysisRunning: this.s3AnalysisController.isRunning()
-    })
+  /**
+   * Resume OCD Imaging runs interrupted by a restart - called once on application startup.
+   * Download runs that died before any file was queued cannot be resumed and are marked failed.
+   * @returns {Promise<number>} Number of jobs resumed
+   */
+  async resumeInterruptedJobs() {
+    const resumedVision = await this.visionPipeline.resumeInterruptedJobs()
+    const jobRuns = await this.jobQueueService.findInterruptedJobs(DOWNLOAD_JOB_TYPE)
+    const resumable = []
+
+    for (const jobRun of jobRuns) {
+      const summary = await this.jobQueueService.getQueueSummary(jobRun.job_id)
+
+      if (summary.total === 0) {
+        console.warn(`⚠️ ${DOWNLOAD_JOB_TYPE} job ${jobRun.job_id} was interrupted before any files were queued`)
+        await this.jobRunService.markJobFailed(jobRun.job_id, 'Interrupted before any files were queued', null, {})
+        continue
+      }
+
+      resumable.push(jobRun.job_id)
+    }
+
+    // Work through resumable jobs one after another in the background
+    if (resumable.length) {
+      (async () => {
+        for (const jobId of resumable) {
+          try {
+            console.log(`▶️ Resuming ${DOWNLOAD_JOB_TYPE} job ${jobId} from the queue`)
+            await this.drainDownloadJob(jobId)
+          } catch (error) {
+            console.error(`❌ Failed to resume ${DOWNLOAD_JOB_TYPE} job ${jobId}:`, error.message)
+          }
+        }
+      })()
+    }
+
+    return resumedVision + resumable.length
+  }
+
+  // App/Order/Case numbers of an applicant search Item
+  // Note: EMNRD API returns CaseNumber, HearingOrderNumber, and RecordNo fields
+  itemNumbers(item) {
+    return {
+      AppNumber: item.RecordNo || null,  // Using RecordNo as application number
+      OrderNumber: item.HearingOrderNumber || null,  // Actual field name from API
+      CaseNumber: item.CaseNumber || null  // Actual field name from API
+    }
+  }
+
+  // Record the cases and imaging files of an applicant's search result
+  async recordCases(items, applicant) {
+    try {
+      const recorded = await this.caseService.recordSearchItems(items, {
+        sourceKey: 'OCD_IMAGING',
+        numbersOf: item => this.itemNumbers(item),
+        applicant
+      })
+      console.log(`📁 Recorded ${recorded.cases} cases (${recorded.documents} documents) for ${applicant}, linked ${recorded.linkedContacts} contacts`)
+    } catch (error) {
+      // The documents can still be processed - their contacts keep the loose case number
+      console.warn(`⚠️ Failed to record cases for ${applicant}: ${error.message}`)
+    }
+  }
+
+  async getStatus(req, res) {
+    try {
+      const downloadJob = await this.jobQueueService.findActiveJob(DOWNLOAD_JOB_TYPE)
+      const visionJob = await this.jobQueueService.findActiveJob(ocdImagingSource.key)
+
+      res.status(200).send({
+        running: !!(downloadJob || visionJob),
+        downloadJobId: downloadJob ? downloadJob.job_id : null,
+        visionJobId: visionJob ? visionJob.job_id : null,
+        config: this.config,
+        s3AnalysisRunning: await this.s3AnalysisController.isRunning()
+      })
+    } catch (error) {
+      res.status(500).send({ success: false, error: error.message })
+    }
   }
 
   async debugMethods(_req, res) {
@@ -1396,37 +1012,6 @@ class EmnrdController {
     }
   }
 
-  // Main processing workflow
-  async processFilesInBucket() {
-    this.filesToProcess = []
-    try {
-      console.log(`[${new Date().toISOString()}] Good morning! Running Process Files`)
-      console.log('-----------------------------------')
-      console.log('process files')
-
-      console.log('-----------------------------------')
-      console.log('🤖 Starting Claude contact extraction...')
-
-      const contactExtractionResult = await this.pdfService.processContactsFromPdfs(this.filesToProcess)
-
-      if (contactExtractionResult.success) {
-        console.log('✅ Claude contact extraction completed successfully!')
-        console.log(`📊 Extracted ${contactExtractionResult.contactCount} contacts`)
-      } else {
-        console.log('❌ Claude contact extraction failed:', contactExtractionResult.message)
-      }
-
-      console.log('files done processing')
-      this.appScheduleRunning = false
-    } catch (e) {
-      console.log('----------- Failure ---------------')
-      console.log(e)
-      await this.loggingService.writeMessage('scheduleFailed', e.message)
-      console.log('----------- Failure ---------------')
-      this.appScheduleRunning = false
-    }
-  }
-
   // Cron job initialization
   initializeCronJob() {
     // Original job - Tuesday 11:59 PM
@@ -1435,7 +1020,6 @@ class EmnrdController {
     if (emnrdCronEnabled) {
       console.log('📅 Initializing EMNRD cron job: Tuesdays at 11:59 PM')
       cron.schedule('59 23 * * 2', async () => {
-      this.filesToProcess = []
       try {
         console.log(`[${new Date().toISOString()}] Good morning! Running daily job at 11:05 AM`)
 
@@ -1449,9 +1033,12 @@ class EmnrdController {
 
         console.log('Start download pdf Success')
 
-        this.appScheduleRunning = true
         await this.loggingService.writeMessage('downloadStart', 'started')
-        await this.test()
+        // test() logs why a run didn't happen (another download job running, or a fatal error)
+        const completed = await this.test()
+        if (!completed) {
+          throw new Error('PDF download run did not complete - see the testFatal log')
+        }
         await this.loggingService.writeMessage('downloadComplete', 'success')
 
         await this.authService.writeDynamoMessage({
@@ -1475,80 +1062,7 @@ class EmnrdController {
         // 3. Uploads PDFs to S3
         // Therefore, we don't need to process from S3 again
 
-        /* DISABLED - Phase 2 S3 Processing (no longer needed with hybrid mode)
-        console.log('🤖 Starting Claude contact extraction...')
-
-        await this.authService.writeDynamoMessage({
-          pkey: 'schedule#claudeStart',
-          skey: 'schedule#start',
-          origin: 'claude',
-          type:'system',
-          data: `SUCCESS: Claude Started`
-        })
-
-        const contactExtractionResult = await this.pdfService.processContactsFromPdfs(this.filesToProcess)
-
-        if (contactExtractionResult.success) {
-          console.log('✅ Claude contact extraction completed successfully!')
-          console.log(`📊 Extracted ${contactExtractionResult.contactCount} contacts`)
-          await this.authService.writeDynamoMessage({
-            pkey: 'schedule#claudeStart',
-            skey: 'schedule#complete',
-            origin: 'claude',
-            type:'system',
-            data: `SUCCESS: Claude Completed`
-          })
-
-          console.log('-----------------------------------')
-          console.log('🐘 Starting PostgreSQL processing...')
-
-          await this.authService.writeDynamoMessage({
-            pkey: 'schedule#postgresProcessing',
-            skey: 'schedule#start',
-            origin: 'postgresProcessor',
-            type: 'system',
-            data: 'SUCCESS: PostgreSQL Processing Started'
-          })
-
-          const postgresProcessingResult = await this.contactController.processCSVsToPostgres()
-
-          if (postgresProcessingResult.success) {
-            console.log('✅ PostgreSQL processing completed successfully!')
-            console.log(`📊 Processed ${postgresProcessingResult.totalRecordsProcessed} records to PostgreSQL`)
-
-            await this.authService.writeDynamoMessage({
-              pkey: 'schedule#postgresProcessing',
-              skey: 'schedule#complete',
-              origin: 'postgresProcessor',
-              type: 'system',
-              data: `SUCCESS: ${postgresProcessingResult.message}`
-            })
-          } else {
-            console.log('❌ PostgreSQL processing failed:', postgresProcessingResult.message)
-
-            await this.authService.writeDynamoMessage({
-              pkey: 'schedule#postgresProcessing',
-              skey: 'schedule#error',
-              origin: 'postgresProcessor',
-              type: 'system',
-              data: `FAILED: ${postgresProcessingResult.message}`
-            })
-          }
-
-        } else {
-          console.log('❌ Claude contact extraction failed:', contactExtractionResult.message)
-          await this.authService.writeDynamoMessage({
-            pkey: 'schedule#claudeStart',
-            skey: 'schedule#error',
-            origin: 'claude',
-            type:'system',
-            data: `FAILED: ${contactExtractionResult.message}`
-          })
-        }
-        */
-
         console.log('files done processing')
-        this.appScheduleRunning = false
       } catch (e) {
         console.log('----------- Failure ---------------')
         console.log(e)
@@ -1562,7 +1076,6 @@ class EmnrdController {
           data: `FAILURE: ${e.message}`
         })
         console.log('----------- Failure ---------------')
-        this.appScheduleRunning = false
       }
     })
     } else {
@@ -1586,13 +1099,13 @@ class EmnrdController {
     }
 
     // Vision Processing Job - Uses Claude Vision API (converts PDFs to images)
-    const visionCronEnabled = process.env.VISION_CRON_ENABLED === 'true'
-    const visionCronSchedule = process.env.VISION_CRON_SCHEDULE || '0 4 * * 4' // Thursdays at 4 AM by default
+    const visionCron = ocdImagingSource.cron
+    const visionCronEnabled = process.env[visionCron.enabledEnv] === 'true'
+    const visionCronSchedule = process.env[visionCron.scheduleEnv] || visionCron.defaultSchedule
 
     if (visionCronEnabled) {
       console.log(`🎨 Initializing Vision Processing cron job: ${visionCronSchedule}`)
       cron.schedule(visionCronSchedule, async () => {
-        this.filesToProcess = []
         try {
           console.log(`[${new Date().toISOString()}] 🎨 Starting scheduled Vision Processing Job`)
 
@@ -1606,9 +1119,9 @@ class EmnrdController {
 
           console.log('Start Vision Processing Success')
 
-          this.appScheduleRunning = true
           await this.loggingService.writeMessage('visionProcessingStart', 'started')
-          await this.testWithVision()
+          // A run that finds another OCD Imaging vision job going waits for it
+          const metrics = await this.visionPipeline.runJobWhenIdle({ triggerType: 'cron' })
           await this.loggingService.writeMessage('visionProcessingComplete', 'success')
 
           await this.authService.writeDynamoMessage({
@@ -1616,7 +1129,7 @@ class EmnrdController {
             skey: 'schedule#complete',
             origin: 'scheduler',
             type: 'system',
-            data: `SUCCESS: Vision Processing Complete - ${this.filesToProcess.length} files processed`
+            data: `SUCCESS: Vision Processing Complete - ${metrics.totalFiles} files processed`
           })
 
           console.log('Completed Vision Processing Success')
@@ -1626,7 +1139,6 @@ class EmnrdController {
           console.log('-----------------------------------')
 
           console.log('Vision processing job complete')
-          this.appScheduleRunning = false
         } catch (e) {
           console.log('----------- Vision Processing Failure ---------------')
           console.log(e)
@@ -1640,7 +1152,6 @@ class EmnrdController {
             data: `FAILURE: ${e.message}`
           })
           console.log('----------- Vision Processing Failure ---------------')
-          this.appScheduleRunning = false
         }
       })
     } else {
@@ -1654,6 +1165,38 @@ const emnrdController = new EmnrdController()
 
 // Export both the Controller class and controller function for routes
 module.exports.Controller = { EmnrdController: emnrdController }
+
+/**
+ * Resume OCD Imaging jobs interrupted by a restart - called once on application startup
+ * @returns {Promise<number>} Number of jobs resumed
+ */
+module.exports.resumeInterruptedJobs = () => emnrdController.resumeInterruptedJobs()
+
+/**
+ * Rebuild the cron schedules of applicant search targets (OCD Imaging vision runs) -
+ * called on startup and after search targets are created, updated or deleted
+ * @returns {Promise<number>} Number of scheduled targets
+ */
+module.exports.refreshTargetSchedules = () => emnrdController.visionPipeline.refreshTargetSchedules()
+
+/**
+ * Get the document pipeline that runs jobs of a given type
+ * @param {string} jobType - Job type
+ * @returns {DocumentPipelineService|null} The OCD Imaging vision pipeline, or null for other job types
+ */
+module.exports.getPipeline = (jobType) => jobType === ocdImagingSource.key ? emnrdController.visionPipeline : null
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/running': 'read',
+  'GET /v1/force': 'operate',
+  'GET /v1/force-vision': 'operate',
+  'POST /v1/emnrd/upload-and-process': 'operate',
+  'POST /v1/emnrd/upload-and-process-native': 'operate',
+  'POST /v1/emnrd/upload-and-process-hybrid': 'operate',
+  'GET /v1/debug-methods': 'admin'
+}
+
 module.exports.upload = upload
 module.exports.controller = (app) => {
   console.log('🔧 Loading EMNRD controller routes...')
@@ -0,0 +1,137 @@
+const EnrichmentService = require('../services/enrichment.service.js');
+const { Contact } = require('../config/pddbclient.cjs');
+
+class EnrichmentController {
+  constructor() {
+    this.enrichmentService = new EnrichmentService();
+  }
+
+  sendEnrichmentError(res, error, fallbackMessage) {
+    if (error.code === 'UNKNOWN_PROVIDER') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({
+      success: false,
+      error: fallbackMessage,
+      message: error.message
+    });
+  }
+
+  /**
+   * GET /v1/enrichment/providers
+   * Registered providers in waterfall order, with cost and rate limit
+   */
+  async getProviders(req, res) {
+    return res.status(200).json({
+      success: true,
+      data: this.enrichmentService.listProviders()
+    });
+  }
+
+  /**
+   * POST /v1/enrichment/lookup/:contactId
+   * Look a contact up through the provider waterfall
+   * Body: { providers: ['whitepages', ...], continueOnError }
+   */
+  async lookupContact(req, res) {
+    try {
+      const contactId = parseInt(req.params.contactId);
+      const contact = await Contact.findByPk(contactId);
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          error: `Contact not found: ${contactId}`
+        });
+      }
+
+      const { providers, continueOnError } = req.body || {};
+      const result = await this.enrichmentService.lookup(contact, {
+        providers: typeof providers === 'string' ? providers.split(',').map(name => name.trim()) : providers,
+        continueOnError: continueOnError === true || continueOnError === 'true'
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      return this.sendEnrichmentError(res, error, 'Failed to look up contact');
+    }
+  }
+
+  /**
+   * GET /v1/enrichment/lookups
+   * Recorded provider requests (?contact_id=42&provider=whitepages&status=no_results&lookup_group=...)
+   */
+  async getLookups(req, res) {
+    try {
+      const { contact_id, provider, status, lookup_group, limit, offset } = req.query;
+      const result = await this.enrichmentService.getLookups(
+        { contactId: contact_id, provider, status, lookupGroup: lookup_group },
+        { limit, offset }
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: result.rows,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      return this.sendEnrichmentError(res, error, 'Failed to retrieve enrichment lookups');
+    }
+  }
+
+  /**
+   * GET /v1/enrichment/costs
+   * Lookups and spend per provider (?from=2026-01-01&to=2026-01-31&group_by=day|month)
+   */
+  async getCosts(req, res) {
+    try {
+      const { from, to, group_by } = req.query;
+      const summary = await this.enrichmentService.getCostSummary({ from, to, groupBy: group_by });
+
+      return res.status(200).json({
+        success: true,
+        data: summary,
+        total_cost: summary.reduce((sum, row) => sum + row.cost, 0)
+      });
+    } catch (error) {
+      return this.sendEnrichmentError(res, error, 'Failed to retrieve enrichment costs');
+    }
+  }
+}
+
+// Create singleton instance
+const enrichmentController = new EnrichmentController();
+
+// Export controller instance
+module.exports.Controller = { EnrichmentController: enrichmentController };
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/enrichment/providers': 'read',
+  'POST /v1/enrichment/lookup/:contactId': 'write',
+  'GET /v1/enrichment/lookups': 'read',
+  'GET /v1/enrichment/costs': 'read'
+};
+
+// Export route registration function (follows existing pattern)
+module.exports.controller = (app) => {
+  console.log('Loading Enrichment controller routes...');
+
+  app.get('/v1/enrichment/providers', (req, res) => enrichmentController.getProviders(req, res));
+  app.post('/v1/enrichment/lookup/:contactId', (req, res) => enrichmentController.lookupContact(req, res));
+  app.get('/v1/enrichment/lookups', (req, res) => enrichmentController.getLookups(req, res));
+  app.get('/v1/enrichment/costs', (req, res) => enrichmentController.getCosts(req, res));
+
+  console.log('Enrichment controller routes loaded');
+  console.log('  GET  /v1/enrichment/providers');
+  console.log('  POST /v1/enrichment/lookup/:contactId');
+  console.log('  GET  /v1/enrichment/lookups');
+  console.log('  GET  /v1/enrichment/costs');
+};
@@ -0,0 +1,254 @@
+require('dotenv').config();
+const multer = require('multer');
+const AuthService = require('../services/auth.service.js');
+const S3Service = require('../services/s3.service.js');
+const LoggingService = require('../services/logging.service.js');
+const ExtractionEvalService = require('../services/extraction-eval.service.js');
+
+// Golden-set PDFs are uploaded straight to S3, so they are kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_UPLOAD_SIZE) || (150 * 1024 * 1024)
+  },
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF files are allowed'));
+    }
+  }
+});
+
+/**
+ * Extraction Eval Controller
+ *
+ * API endpoints for the extraction prompt golden set and evaluation runs
+ */
+class ExtractionEvalController {
+  constructor() {
+    this.loggingService = new LoggingService();
+    this.authService = new AuthService();
+    this.s3Service = new S3Service(this.authService, this.loggingService);
+    this.extractionEvalService = new ExtractionEvalService(this.s3Service);
+  }
+
+  /**
+   * GET /v1/extraction-eval/documents
+   * List golden-set documents (?set_name, ?prompt_key)
+   */
+  async getDocuments(req, res) {
+    try {
+      const result = await this.extractionEvalService.getDocuments({
+        set_name: req.query.set_name,
+        prompt_key: req.query.prompt_key
+      });
+
+      res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      console.error('Error in getDocuments:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch eval documents: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * POST /v1/extraction-eval/documents
+   * Add a labeled PDF (multipart: pdf, prompt_key, expected_contacts JSON, set_name, project_origin, notes)
+   */
+  async addDocument(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No PDF uploaded (field name: pdf)'
+        });
+      }
+
+      let expectedContacts;
+      try {
+        expectedContacts = JSON.parse(req.body.expected_contacts || '');
+      } catch (parseErr) {
+        return res.status(400).json({
+          success: false,
+          message: 'expected_contacts must be a JSON array of contacts'
+        });
+      }
+
+      const createdBy = req.body.created_by || 'api';
+      const result = await this.extractionEvalService.addDocument({
+        set_name: req.body.set_name,
+        prompt_key: req.body.prompt_key,
+        project_origin: req.body.project_origin,
+        expected_contacts: expectedContacts,
+        notes: req.body.notes
+      }, req.file.buffer, req.file.originalname, createdBy);
+
+      res.status(result.success ? 201 : 400).json(result);
+    } catch (error) {
+      console.error('Error in addDocument:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to create eval document: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * PUT /v1/extraction-eval/documents/:id
+   * Update the labeled contacts of a golden-set document
+   */
+  async updateDocument(req, res) {
+    try {
+      const result = await this.extractionEvalService.updateDocument(req.params.id, req.body);
+
+      res.status(result.success ? 200 : result.notFound ? 404 : 400).json(result);
+    } catch (error) {
+      console.error('Error in updateDocument:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to update eval document: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * DELETE /v1/extraction-eval/documents/:id
+   */
+  async deleteDocument(req, res) {
+    try {
+      const result = await this.extractionEvalService.deleteDocument(req.params.id);
+
+      res.status(result.success ? 200 : result.notFound ? 404 : 500).json(result);
+    } catch (error) {
+      console.error('Error in deleteDocument:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to delete eval document: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * POST /v1/extraction-eval/runs
+   * Start an evaluation run in the background
+   * Body: { prompt_key, version?, set_name?, mode?: 'live' | 'replay', extraction?: 'vision' | 'native' }
+   */
+  async startRun(req, res) {
+    try {
+      const { prompt_key, version, set_name, mode, extraction } = req.body;
+
+      if (!prompt_key) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required field: prompt_key'
+        });
+      }
+
+      let started;
+      try {
+        started = await this.extractionEvalService.startEvaluation({
+          promptKey: prompt_key,
+          version: version || null,
+          setName: set_name || 'default',
+          mode: mode || 'live',
+          extraction: extraction || 'vision'
+        });
+      } catch (startErr) {
+        return res.status(400).json({
+          success: false,
+          message: startErr.message
+        });
+      }
+
+      // Failures are stored on the run
+      started.completion.catch(() => {});
+
+      res.status(202).json({
+        success: true,
+        message: 'Evaluation started',
+        runId: started.runId
+      });
+    } catch (error) {
+      console.error('Error in startRun:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to start evaluation: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * GET /v1/extraction-eval/runs
+   * List runs (?prompt_key, ?prompt_version, ?set_name) to compare prompt versions
+   */
+  async getRuns(req, res) {
+    try {
+      const result = await this.extractionEvalService.getRuns({
+        prompt_key: req.query.prompt_key,
+        prompt_version: req.query.prompt_version,
+        set_name: req.query.set_name
+      });
+
+      res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+      console.error('Error in getRuns:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch eval runs: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * GET /v1/extraction-eval/runs/:id
+   * Run with per-document results
+   */
+  async getRun(req, res) {
+    try {
+      const result = await this.extractionEvalService.getRun(req.params.id);
+
+      res.status(result.success ? 200 : result.notFound ? 404 : 500).json(result);
+    } catch (error) {
+      console.error('Error in getRun:', error.message);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch eval run: ${error.message}`
+      });
+    }
+  }
+}
+
+const extractionEvalController = new ExtractionEvalController();
+
+module.exports.Controller = { ExtractionEvalController: extractionEvalController };
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/extraction-eval/documents': 'read',
+  'POST /v1/extraction-eval/documents': 'admin',
+  'PUT /v1/extraction-eval/documents/:id': 'admin',
+  'DELETE /v1/extraction-eval/documents/:id': 'admin',
+  'POST /v1/extraction-eval/runs': 'admin',
+  'GET /v1/extraction-eval/runs': 'read',
+  'GET /v1/extraction-eval/runs/:id': 'read'
+};
+
+module.exports.controller = (app) => {
+  console.log('🔧 Loading Extraction Eval controller routes...');
+
+  // Golden set
+  app.get('/v1/extraction-eval/documents', (req, res) => extractionEvalController.getDocuments(req, res));
+  app.post('/v1/extraction-eval/documents', upload.single('pdf'), (req, res) => extractionEvalController.addDocument(req, res));
+  app.put('/v1/extraction-eval/documents/:id', (req, res) => extractionEvalController.updateDocument(req, res));
+  app.delete('/v1/extraction-eval/documents/:id', (req, res) => extractionEvalController.deleteDocument(req, res));
+
+  // Evaluation runs
+  app.post('/v1/extraction-eval/runs', (req, res) => extractionEvalController.startRun(req, res));
+  app.get('/v1/extraction-eval/runs', (req, res) => extractionEvalController.getRuns(req, res));
+  app.get('/v1/extraction-eval/runs/:id', (req, res) => extractionEvalController.getRun(req, res));
+
+  console.log('✅ Extraction Eval controller routes loaded successfully');
+};
@@ -217,6 +217,20 @@ const extractionPromptController = new ExtractionPromptController();
 
 // Export controller
 module.exports.Controller = { ExtractionPromptController: extractionPromptController };
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/extraction-prompts': 'read',
+  'GET /v1/extraction-prompts/stats': 'read',
+  'GET /v1/extraction-prompts/project/:projectOrigin': 'read',
+  'GET /v1/extraction-prompts/:key': 'read',
+  'POST /v1/extraction-prompts': 'admin',
+  'PUT /v1/extraction-prompts/:key': 'admin',
+  'DELETE /v1/extraction-prompts/:key': 'admin',
+  'GET /v1/extraction-prompts/:key/versions': 'read',
+  'POST /v1/extraction-prompts/:key/rollback': 'admin'
+};
+
 module.exports.controller = (app) => {
   console.log('🔧 Loading Extraction Prompt controller routes...');
 
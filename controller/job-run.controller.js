@@ -173,6 +173,140 @@ class JobRunController {
       });
     }
   }
+
+  /**
+   * GET /v1/job-runs/:job_id/files
+   * Get the per-file processing ledger of a job run
+   */
+  async getJobRunFiles(req, res) {
+    try {
+      const { job_id } = req.params;
+      const { status, stage, limit, offset } = req.query;
+
+      if (!job_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing job_id parameter'
+        });
+      }
+
+      // First verify the job run exists
+      const jobRun = await this.jobRunService.getJobRunById(job_id);
+
+      if (!jobRun) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job run not found',
+          job_id
+        });
+      }
+
+      const result = await this.jobRunService.getJobRunFiles(job_id, {
+        status,
+        stage,
+        limit,
+        offset
+      });
+
+      return res.status(200).json({
+        success: true,
+        job_run: jobRun.getSummary(),
+        summary: result.summary,
+        files: result.rows,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error getting job run files:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve job run files',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /v1/job-runs/:job_id/retry
+   * Reprocess failed files of a job run under the original job ID
+   * Body: { reason?: 'Download failed' | 'Validation failed' | ..., files?: [fileName | s3Key] }
+   */
+  async retryJobRun(req, res) {
+    try {
+      const { job_id } = req.params;
+      const { reason, files } = req.body || {};
+
+      if (files !== undefined && !Array.isArray(files)) {
+        return res.status(400).json({
+          success: false,
+          error: 'files must be an array of file names or S3 keys'
+        });
+      }
+
+      const jobRun = await this.jobRunService.getJobRunById(job_id);
+
+      if (!jobRun) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job run not found',
+          job_id
+        });
+      }
+
+      if (jobRun.isRunning()) {
+        return res.status(409).json({
+          success: false,
+          error: 'Job run is still running',
+          job_id
+        });
+      }
+
+      const pipeline = require('./ocd-document.controller.js').getPipeline(jobRun.job_type)
+        || require('./emnrd.controller.js').getPipeline(jobRun.job_type);
+
+      if (!pipeline) {
+        return res.status(400).json({
+          success: false,
+          error: `Retry is not supported for ${jobRun.job_type} job runs`,
+          job_id
+        });
+      }
+
+      const result = await pipeline.retryJobFiles(job_id, { reason, files });
+
+      if (result.requeued === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No failed files match the retry filter',
+          job_id,
+          reason,
+          files
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: `Retrying ${result.requeued} files under job ${job_id}`,
+        job_id,
+        requeued: result.requeued,
+        files: result.files
+      });
+    } catch (error) {
+      if (error.code === 'JOB_ALREADY_RUNNING') {
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+          running_job_id: error.jobId
+        });
+      }
+
+      console.error('Error retrying job run:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to retry job run',
+        message: error.message
+      });
+    }
+  }
 }
 
 // Create singleton instance
@@ -181,6 +315,16 @@ const jobRunController = new JobRunController();
 // Export controller instance
 module.exports.Controller = { JobRunController: jobRunController };
 
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/job-runs': 'read',
+  'GET /v1/job-runs/stats': 'read',
+  'GET /v1/job-runs/:job_id': 'read',
+  'GET /v1/job-runs/:job_id/contacts': 'read',
+  'GET /v1/job-runs/:job_id/files': 'read',
+  'POST /v1/job-runs/:job_id/retry': 'operate'
+};
+
 // Export route registration function (follows existing pattern)
 module.exports.controller = (app) => {
   console.log('Loading JobRun controller routes...');
@@ -197,9 +341,17 @@ module.exports.controller = (app) => {
   // Get contacts for a job run
   app.get('/v1/job-runs/:job_id/contacts', (req, res) => jobRunController.getJobRunContacts(req, res));
 
+  // Get per-file ledger for a job run
+  app.get('/v1/job-runs/:job_id/files', (req, res) => jobRunController.getJobRunFiles(req, res));
+
+  // Reprocess failed files of a job run
+  app.post('/v1/job-runs/:job_id/retry', (req, res) => jobRunController.retryJobRun(req, res));
+
   console.log('JobRun controller routes loaded');
   console.log('  GET /v1/job-runs');
   console.log('  GET /v1/job-runs/stats');
   console.log('  GET /v1/job-runs/:job_id');
   console.log('  GET /v1/job-runs/:job_id/contacts');
+  console.log('  GET /v1/job-runs/:job_id/files');
+  console.log('  POST /v1/job-runs/:job_id/retry');
 };
@@ -1,4 +1,3 @@
-const authenticateJWT = require('../config/authenticate.cjs')
 require("dotenv").config()
 
 const { 
@@ -136,11 +135,22 @@ const Login = {
 }
 
 module.exports.Controller = { Login }
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'POST /v1/sec/signup': 'public',
+  'POST /v1/sec/confirm': 'public',
+  'POST /v1/sec/signin': 'public',
+  'POST /v1/sec/resend': 'public',
+  'GET /v1/sec/verify': 'authenticated',
+  'GET /v1/sec/refresh': 'public'
+}
+
 module.exports.controller = ( app ) => {
   app.post('/v1/sec/signup', Login.signup )
   app.post('/v1/sec/confirm', Login.confirm )
   app.post('/v1/sec/signin', Login.signin )
   app.post('/v1/sec/resend', Login.resend )
-  app.get('/v1/sec/verify', authenticateJWT, Login.verify)
+  app.get('/v1/sec/verify', Login.verify)
   app.get('/v1/sec/refresh',  Login.refresh)
 }
\ No newline at end of file
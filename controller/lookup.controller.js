@@ -23,6 +23,12 @@ const lookupController = new LookupController()
 
 // Export controller function for routes
 module.exports.Controller = { LookupController: lookupController }
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/lookup/': 'read'
+}
+
 module.exports.controller = (app) => {
   console.log('🔍 Loading LookupController controller routes...')
   // Status and configuration endpoints
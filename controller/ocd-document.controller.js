@@ -0,0 +1,423 @@
+require('dotenv').config()
+const cron = require('node-cron')
+const multer = require('multer')
+const fs = require('fs')
+
+// Import services
+const AuthService = require('../services/auth.service.js')
+const S3Service = require('../services/s3.service.js')
+const LoggingService = require('../services/logging.service.js')
+const DataService = require('../services/data.service.js')
+const PostgresContactService = require('../services/postgres-contact.service.js')
+const DocumentPipelineService = require('../services/document-pipeline.service.js')
+const { documentSources } = require('../config/document-sources.cjs')
+
+// Import other controllers for PDF processing utilities
+const { Controller: PdfControllerModule } = require('./pdf.controller.js')
+
+// Configure multer for file uploads
+const uploadDir = process.env.UPLOAD_TEMP_DIR || './temp/uploads'
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir, { recursive: true })
+}
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, uploadDir)
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
+    cb(null, `upload-${uniqueSuffix}-${file.originalname}`)
+  }
+})
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_UPLOAD_SIZE) || (150 * 1024 * 1024) // 150MB default
+  },
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype === 'application/pdf') {
+      cb(null, true)
+    } else {
+      cb(new Error('Only PDF files are allowed'))
+    }
+  }
+})
+
+/**
+ * Routes, cron and upload handling for one OCD document source.
+ * The processing itself lives in DocumentPipelineService; one instance of this
+ * controller is created for every entry in config/document-sources.cjs.
+ */
+class OcdDocumentController {
+  constructor(source) {
+    this.source = source
+
+    // Initialize services
+    this.loggingService = new LoggingService()
+    this.authService = new AuthService()
+    this.s3Service = new S3Service(this.authService, this.loggingService)
+    this.dataService = new DataService(this.authService, this.loggingService)
+    this.postgresContactService = new PostgresContactService()
+
+    this.pipeline = new DocumentPipelineService({
+      source,
+      authService: this.authService,
+      s3Service: this.s3Service,
+      dataService: this.dataService,
+      loggingService: this.loggingService,
+      postgresContactService: this.postgresContactService,
+      pdfDownloader: PdfControllerModule.PdfController
+    })
+
+    // Initialize cron job
+    this.initializeCronJob()
+  }
+
+  async getStatus(req, res) {
+    try {
+      const activeJob = await this.pipeline.jobQueueService.findActiveJob(this.source.key)
+      const queue = activeJob ? await this.pipeline.jobQueueService.getQueueSummary(activeJob.job_id) : null
+
+      res.status(200).send({
+        source: this.source.key,
+        running: !!activeJob,
+        jobId: activeJob ? activeJob.job_id : null,
+        config: this.pipeline.config,
+        filesToProcess: queue ? queue.pending + queue.leased : 0,
+        queue
+      })
+    } catch (error) {
+      res.status(500).send({ success: false, error: error.message })
+    }
+  }
+
+  // Main vision processing workflow - processes PDFs from every county
+  // Optional ?from=&to= query parameters replace the default rolling ScanDate window,
+  // ?force=true re-extracts documents that were already processed by an earlier run
+  async processWithVision(req, res) {
+    // Determine trigger type (manual if called via HTTP, cron otherwise)
+    const triggerType = res ? 'manual' : 'cron'
+    const window = req ? { from: req.query.from, to: req.query.to } : {}
+    const force = req ? req.query.force === 'true' : false
+
+    try {
+      const metrics = await this.pipeline.runJob({ triggerType, window, force })
+
+      if (res) {
+        return res.status(200).send({
+          success: true,
+          message: `${this.source.key} Vision PDF processing completed.`,
+          method: 'ghostscript-claude-vision',
+          metrics
+        })
+      }
+
+      return true
+
+    } catch (err) {
+      if (res && err.code === 'JOB_ALREADY_RUNNING') {
+        return this.sendJobAlreadyRunning(res, err)
+      }
+
+      if (res) {
+        return res.status(500).send({
+          success: false,
+          error: err.message,
+          message: err.message,
+          metrics: err.metrics
+        })
+      }
+
+      return false
+    }
+  }
+
+  // Another job of this source holds the queue: 409 naming the running job
+  sendJobAlreadyRunning(res, error) {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      jobId: error.jobId
+    })
+  }
+
+  /**
+   * Load a historical ScanDate range - one search per county, allowed EMNRD_MAX_PAGES
+   * for every chunkDays of the range
+   * Body: { from, to?, chunkDays?: 30, counties?: ['Eddy', 'Lea'], force?: false }
+   * Responds once the job is queued; follow progress via /v1/job-runs/:job_id
+   */
+  async backfill(req, res) {
+    const { from, to, chunkDays = 30, counties, force = false } = req.body || {}
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'from is required (e.g. "2024-01-01")'
+      })
+    }
+
+    if (counties !== undefined && !Array.isArray(counties)) {
+      return res.status(400).json({
+        success: false,
+        message: 'counties must be an array of county names'
+      })
+    }
+
+    try {
+      // Validate the range before starting a job
+      const chunks = this.dataService.buildDateChunks(from, to, chunkDays)
+
+      const countyNames = counties || await this.dataService.getCountyNames(this.source.applicationCategoryId)
+
+      const { jobId, completion } = await this.pipeline.startJob({
+        triggerType: 'api',
+        window: { from, to, chunkDays, counties: countyNames },
+        force: force === true || force === 'true'
+      })
+      completion.catch(error => console.error(`❌ ${this.source.key} backfill ${jobId} failed:`, error.message))
+
+      return res.status(202).json({
+        success: true,
+        message: `${this.source.key} backfill started`,
+        jobId,
+        from,
+        to: to || new Date().toISOString(),
+        chunkDays: parseInt(chunkDays),
+        chunks: chunks.length,
+        counties: countyNames
+      })
+
+    } catch (error) {
+      if (error.code === 'JOB_ALREADY_RUNNING') {
+        return this.sendJobAlreadyRunning(res, error)
+      }
+
+      if (error.message.startsWith('Invalid date window')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        })
+      }
+
+      console.error(`❌ ${this.source.key} backfill failed to start: ${error.message}`)
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Upload and process a single PDF with Claude Vision (Ghostscript + Claude)
+   * Accepts multipart/form-data file upload
+   */
+  async uploadAndProcessWithClaudeVision(req, res) {
+    // Check if file was uploaded
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No PDF file uploaded. Please upload a PDF file with field name "pdf"'
+      })
+    }
+
+    const uploadField = this.source.uploadField
+    const group = req.body[uploadField] || 'manual-upload'
+    const force = req.body.force === 'true'
+    const originalName = req.file.originalname
+
+    console.log(`📤 Received upload for Vision processing: ${originalName} (${req.file.size} bytes)`)
+    console.log(`📋 ${uploadField}: ${group}`)
+
+    try {
+      const ctx = await this.pipeline.processUpload({
+        filePath: req.file.path,
+        originalName,
+        group,
+        force
+      })
+
+      if (ctx.duplicateOf) {
+        return res.status(200).json({
+          success: true,
+          message: `${originalName} was already processed - send force=true to extract it again`,
+          duplicate: true,
+          jobId: ctx.jobId,
+          file: originalName,
+          contentHash: ctx.contentHash,
+          firstProcessedJobId: ctx.duplicateOf.first_job_id,
+          firstProcessedFile: ctx.duplicateOf.file_name,
+          contactCount: ctx.duplicateOf.contact_count,
+          processingTimestamp: new Date().toISOString()
+        })
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: `${this.source.key} Vision processing completed`,
+        jobId: ctx.jobId,
+        file: originalName,
+        [uploadField]: group,
+        method: ctx.extractionMethod,
+        imagesGenerated: ctx.imageFiles.length,
+        resolution: `${this.pipeline.config.resolution} DPI`,
+        gsTime: ctx.timings.gs,
+        claudeTime: ctx.timings.claude,
+        contactCount: ctx.contacts.length,
+        contactsSaved: ctx.insertedCount,
+        contacts: ctx.contacts,
+        s3Key: ctx.s3Key,
+        processingTimestamp: new Date().toISOString()
+      })
+
+    } catch (error) {
+      console.error(`❌ Vision processing failed: ${error.message}`)
+      console.error(error.stack)
+
+      return res.status(500).json({
+        success: false,
+        message: `Vision processing failed: ${error.message}`,
+        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      })
+    }
+  }
+
+  // Cron job initialization
+  initializeCronJob() {
+    const { key, cron: cronConfig, dynamoKey, logKey } = this.source
+    const cronEnabled = process.env[cronConfig.enabledEnv] === 'true'
+    const cronSchedule = process.env[cronConfig.scheduleEnv] || cronConfig.defaultSchedule
+
+    if (!cronEnabled) {
+      console.log(`⏸️ ${key} cron job is disabled (set ${cronConfig.enabledEnv}=true to enable)`)
+      return
+    }
+
+    console.log(`📅 Initializing ${key} cron job: ${cronSchedule}`)
+    cron.schedule(cronSchedule, async () => {
+      try {
+        console.log(`[${new Date().toISOString()}] 🎨 Starting scheduled ${key} Vision Processing Job`)
+
+        await this.authService.writeDynamoMessage({
+          pkey: `schedule#${dynamoKey}`,
+          skey: 'schedule#start',
+          origin: 'scheduler',
+          type: 'system',
+          data: `SUCCESS: Started ${key} Vision Processing Job`
+        })
+
+        await this.loggingService.writeMessage(`${logKey}ProcessingStart`, 'started')
+        const metrics = await this.pipeline.runJobWhenIdle({ triggerType: 'cron' })
+        await this.loggingService.writeMessage(`${logKey}ProcessingComplete`, 'success')
+
+        await this.authService.writeDynamoMessage({
+          pkey: `schedule#${dynamoKey}`,
+          skey: 'schedule#complete',
+          origin: 'scheduler',
+          type: 'system',
+          data: `SUCCESS: ${key} Vision Processing Complete - ${metrics.totalFiles} files processed`
+        })
+
+        console.log(`[${new Date().toISOString()}] ✅ Completed scheduled ${key} Vision Processing Job`)
+
+      } catch (e) {
+        console.error(`[${new Date().toISOString()}] ❌ ${key} cron job failed:`, e.message)
+        await this.loggingService.writeMessage(`${logKey}ScheduleFailed`, e.message)
+
+        await this.authService.writeDynamoMessage({
+          pkey: `schedule#${dynamoKey}`,
+          skey: 'error#failed',
+          origin: 'scheduler',
+          type: 'system',
+          data: `FAILURE: ${e.message}`
+        })
+      }
+    })
+
+    console.log(`✅ ${key} cron job initialized successfully`)
+  }
+}
+
+// Create one instance per configured document source
+const ocdDocumentControllers = {}
+documentSources.forEach(source => {
+  ocdDocumentControllers[source.key] = new OcdDocumentController(source)
+})
+
+/**
+ * Resume jobs interrupted by a restart - called once on application startup
+ * @returns {Promise<number>} Number of jobs resumed
+ */
+const resumeInterruptedJobs = async () => {
+  let resumed = 0
+  for (const ctrl of Object.values(ocdDocumentControllers)) {
+    try {
+      resumed += await ctrl.pipeline.resumeInterruptedJobs()
+    } catch (error) {
+      console.error(`❌ Failed to resume ${ctrl.source.key} jobs:`, error.message)
+    }
+  }
+  return resumed
+}
+
+/**
+ * Rebuild the per-target cron schedules of every source - called on startup and
+ * after search targets are created, updated or deleted
+ * @returns {Promise<number>} Number of scheduled targets
+ */
+const refreshTargetSchedules = async () => {
+  let scheduled = 0
+  for (const ctrl of Object.values(ocdDocumentControllers)) {
+    try {
+      scheduled += await ctrl.pipeline.refreshTargetSchedules()
+    } catch (error) {
+      console.error(`❌ Failed to schedule ${ctrl.source.key} search targets:`, error.message)
+    }
+  }
+  return scheduled
+}
+
+/**
+ * Get the document pipeline that runs jobs of a given type
+ * @param {string} jobType - Job type / source key (OCD_CBT, OLM, PLC)
+ * @returns {DocumentPipelineService|null} Pipeline, or null for other job types
+ */
+const getPipeline = (jobType) => {
+  const ctrl = ocdDocumentControllers[jobType]
+  return ctrl ? ctrl.pipeline : null
+}
+
+// Export both the controller instances and controller function for routes
+module.exports.Controller = { OcdDocumentControllers: ocdDocumentControllers }
+module.exports.resumeInterruptedJobs = resumeInterruptedJobs
+module.exports.refreshTargetSchedules = refreshTargetSchedules
+module.exports.getPipeline = getPipeline
+
+// Permission each route of every source requires (see config/roles.cjs)
+module.exports.permissions = Object.values(ocdDocumentControllers).reduce((permissions, { source }) => ({
+  ...permissions,
+  [`GET ${source.routePrefix}/status`]: 'read',
+  [`GET ${source.routePrefix}/force-process`]: 'operate',
+  [`POST ${source.routePrefix}/backfill`]: 'operate',
+  [`POST ${source.routePrefix}/upload-and-process-vision`]: 'operate'
+}), {})
+module.exports.upload = upload
+module.exports.controller = (app) => {
+  Object.values(ocdDocumentControllers).forEach(ctrl => {
+    const { key, routePrefix } = ctrl.source
+    console.log(`🔧 Loading ${key} controller routes...`)
+
+    // Core workflow routes
+    app.get(`${routePrefix}/status`, (req, res) => ctrl.getStatus(req, res))
+    app.get(`${routePrefix}/force-process`, (req, res) => ctrl.processWithVision(req, res))
+    app.post(`${routePrefix}/backfill`, (req, res) => ctrl.backfill(req, res))
+
+    // Single file upload endpoint - uses multer middleware
+    app.post(`${routePrefix}/upload-and-process-vision`, upload.single('pdf'), (req, res) => ctrl.uploadAndProcessWithClaudeVision(req, res))
+
+    console.log(`✅ ${key} controller routes loaded successfully`)
+  })
+}
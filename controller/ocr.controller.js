@@ -12,6 +12,13 @@ const DataService = require('../services/data.service.js')
 const PostgresContactService = require('../services/postgres-contact.service.js')
 const OCRService = require('../services/ocr.service.js')
 const PDFService = require('../services/pdf.service.js')
+const JobRunService = require('../services/job-run.service.js')
+const jobIdService = require('../services/job-id.service')
+
+// Job types of the OCR runs. Each is tracked in job_runs, and a running row blocks
+// a second run of the same type (see JobRunService.startExclusiveJobRun)
+const OCR_JOB_TYPE = 'OCR'
+const OCR_APPLICANT_JOB_TYPE = 'OCR_APPLICANT'
 
 // Configure multer for file uploads
 const uploadDir = process.env.UPLOAD_TEMP_DIR || './temp/uploads'
@@ -53,11 +60,7 @@ class OCRController {
     this.postgresContactService = new PostgresContactService()
     this.ocrService = new OCRService(this.authService, this.s3Service, this.loggingService)
     this.pdfService = new PDFService(this.authService, this.s3Service, this.loggingService)
-
-    // OCR Processing State
-    this.ocrJobRunning = false
-    this.ocrCronJobRunning = false
-    this.filesToProcess = []
+    this.jobRunService = new JobRunService()
 
     // Configuration from environment
     this.config = {
@@ -100,19 +103,47 @@ class OCRController {
     }
   }
 
+  /**
+   * Create the job run of an OCR run
+   * @param {string} jobId - Job ID
+   * @param {string} jobType - OCR_JOB_TYPE or OCR_APPLICANT_JOB_TYPE
+   * @param {Object} res - Express response (null for cron runs)
+   * @throws {Error} When a run of the same type is going (error.code = 'JOB_ALREADY_RUNNING')
+   */
+  async startJobRun(jobId, jobType, res) {
+    await this.jobRunService.startExclusiveJobRun({
+      job_id: jobId,
+      job_type: jobType,
+      trigger_type: res ? 'manual' : 'cron'
+    })
+  }
+
+  // A run of the same type is going (429), or its job run could not be created (500)
+  sendJobNotStarted(res, error) {
+    const running = error.code === 'JOB_ALREADY_RUNNING'
+    const result = {
+      success: false,
+      message: running ? error.message : `OCR processing could not start: ${error.message}`,
+      jobId: error.jobId
+    }
+
+    if (res) {
+      return res.status(running ? 429 : 500).json(result)
+    }
+    return result
+  }
+
   /**
    * Main OCR processing job - processes all PDFs in the S3 analysis folder
    */
   async processS3PdfsWithOCR(req, res) {
-    if (this.ocrJobRunning) {
-      const message = 'OCR processing job is already running'
-      if (res) {
-        return res.status(429).json({ success: false, message })
-      }
-      return { success: false, message }
-    }
+    const jobId = jobIdService.generateJobId(OCR_JOB_TYPE)
 
-    this.ocrJobRunning = true
+    try {
+      await this.startJobRun(jobId, OCR_JOB_TYPE, res)
+    } catch (error) {
+      return this.sendJobNotStarted(res, error)
+    }
 
     try {
       console.log(`\n🔍 [${new Date().toISOString()}] Starting OCR Processing Job`)
@@ -146,7 +177,7 @@ class OCRController {
           data: message
         })
 
-        this.ocrJobRunning = false
+        await this.jobRunService.closeJobRun(jobId, { metrics: { skippedFiles: fileAnalysis.oversizedFiles } })
         if (res) return res.status(200).json(result)
         return result
       }
@@ -179,7 +210,14 @@ class OCRController {
 
       console.log(`✅ OCR Processing Job Complete: ${finalResult.message}`)
 
-      this.ocrJobRunning = false
+      await this.jobRunService.closeJobRun(jobId, {
+        metrics: {
+          totalFiles: fileAnalysis.processableFiles.length,
+          successfullyProcessed: results.successful,
+          totalContacts: contactResults.totalContacts,
+          skippedFiles: fileAnalysis.oversizedFiles
+        }
+      })
 
       if (res) {
         return res.status(200).json(finalResult)
@@ -198,7 +236,7 @@ class OCRController {
         data: `ERROR: ${error.message}`
       })
 
-      this.ocrJobRunning = false
+      await this.jobRunService.closeJobRun(jobId, { error })
 
       const errorResult = {
         success: false,
@@ -793,12 +831,16 @@ class OCRController {
     const fs = require('fs')
     const path = require('path')
     const { execSync } = require('child_process')
+    const jobId = jobIdService.generateJobId(OCR_APPLICANT_JOB_TYPE)
 
     try {
-      this.ocrCronJobRunning = true
-      this.filesToProcess = []
+      await this.startJobRun(jobId, OCR_APPLICANT_JOB_TYPE, res)
+    } catch (error) {
+      return this.sendJobNotStarted(res, error)
+    }
 
-      const applicantNames = this.dataService.getApplicantNames()
+    try {
+      const applicantNames = await this.dataService.getApplicantNames()
 
       console.log(`\n🔍 [${new Date().toISOString()}] Starting Local OCR Applicant Processing`)
       console.log(`📋 Processing ${applicantNames.length} applicants with local Ghostscript + Tesseract OCR`)
@@ -850,8 +892,6 @@ class OCRController {
             let flattenedPath = null
 
             try {
-              this.filesToProcess.push(s3Key)
-
               // Step 1: Download PDF locally
               console.log(`⬇️ Downloading ${pdf.FileName} locally for OCR processing...`)
 
@@ -990,7 +1030,9 @@ class OCRController {
         }
       }
 
-      this.ocrCronJobRunning = false
+      await this.jobRunService.closeJobRun(jobId, {
+        metrics: { totalFiles: totalFilesProcessed, successfullyProcessed: totalFilesProcessed, totalContacts: totalContactsExtracted }
+      })
 
       const result = {
         success: true,
@@ -1022,7 +1064,7 @@ class OCRController {
       console.error(`💥 Local OCR Applicant Processing failed: ${error.message}`)
       await this.loggingService.writeMessage('ocrLocalApplicantError', error.message)
 
-      this.ocrCronJobRunning = false
+      await this.jobRunService.closeJobRun(jobId, { error })
 
       const errorResult = {
         success: false,
@@ -1052,12 +1094,17 @@ class OCRController {
    */
   async processApplicantsWithOCR(req, res) {
     const { execSync } = require('child_process')
+    const jobId = jobIdService.generateJobId(OCR_APPLICANT_JOB_TYPE)
 
     try {
-      this.ocrCronJobRunning = true
-      this.filesToProcess = []
+      await this.startJobRun(jobId, OCR_APPLICANT_JOB_TYPE, res)
+    } catch (error) {
+      return this.sendJobNotStarted(res, error)
+    }
 
-      const applicantNames = this.dataService.getApplicantNames()
+    try {
+      let filesProcessed = 0
+      const applicantNames = await this.dataService.getApplicantNames()
 
       console.log(`\n🔍 [${new Date().toISOString()}] Starting OCR Applicant Processing`)
       console.log(`📋 Processing ${applicantNames.length} applicants with Ghostscript + Tesseract OCR`)
@@ -1103,7 +1150,7 @@ class OCRController {
 
           if (pdf.FileSize <= this.config.maxFileSize) {
             try {
-              this.filesToProcess.push(s3Key)
+              filesProcessed++
 
               if (this.config.ocrProcessLocally) {
                 console.log(`⬇️ Downloading ${pdf.FileName} for OCR processing...`)
@@ -1254,23 +1301,23 @@ class OCRController {
         }
       }
 
-      this.ocrCronJobRunning = false
+      await this.jobRunService.closeJobRun(jobId, { metrics: { totalFiles: filesProcessed } })
 
       const result = {
         success: true,
         message: 'OCR applicant processing completed',
-        filesProcessed: this.filesToProcess.length,
+        filesProcessed,
         timestamp: new Date().toISOString()
       }
 
-      console.log(`✅ OCR Applicant Processing Complete: ${this.filesToProcess.length} files processed`)
+      console.log(`✅ OCR Applicant Processing Complete: ${filesProcessed} files processed`)
 
       await this.authService.writeDynamoMessage({
         pkey: 'ocrApplicant#job',
         skey: 'complete',
         origin: 'ocrApplicantJob',
         type: 'system',
-        data: `Completed OCR processing: ${this.filesToProcess.length} files`
+        data: `Completed OCR processing: ${filesProcessed} files`
       })
 
       if (res) {
@@ -1283,7 +1330,7 @@ class OCRController {
       console.error(`💥 OCR Applicant Processing failed: ${error.message}`)
       await this.loggingService.writeMessage('ocrApplicantError', error.message)
 
-      this.ocrCronJobRunning = false
+      await this.jobRunService.closeJobRun(jobId, { error })
 
       const errorResult = {
         success: false,
@@ -1772,13 +1819,17 @@ class OCRController {
    */
   async getOCRStatus(req, res) {
     const status = {
-      running: this.ocrJobRunning,
+      running: false,
+      applicantRunning: false,
       configuration: this.config,
       ocrServiceStatus: this.ocrService.getStatus(),
       lastRun: null // Could be enhanced to track from DynamoDB
     }
 
     try {
+      status.running = !!(await this.jobRunService.findRunningJob(OCR_JOB_TYPE))
+      status.applicantRunning = !!(await this.jobRunService.findRunningJob(OCR_APPLICANT_JOB_TYPE))
+
       if (res) {
         return res.status(200).json({
           success: true,
@@ -1900,6 +1951,22 @@ const ocrController = new OCRController()
 
 // Export controller function for routes
 module.exports.Controller = { OCRController: ocrController }
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'POST /v1/ocr/process-all': 'operate',
+  'POST /v1/ocr/process-single': 'operate',
+  'POST /v1/ocr/process-claude-only': 'operate',
+  'POST /v1/ocr/process-ghostscript-claude': 'operate',
+  'POST /v1/ocr/process-applicants': 'operate',
+  'POST /v1/ocr/process-applicants-local': 'operate',
+  'POST /v1/ocr/upload-and-process': 'operate',
+  'POST /v1/ocr/upload-and-process-vision': 'operate',
+  'GET /v1/ocr/status': 'read',
+  'PUT /v1/ocr/config': 'admin',
+  'GET /v1/ocr/list-files': 'read'
+}
+
 module.exports.controller = (app) => {
   console.log('🔍 Loading OCR controller routes...')
 
@@ -929,6 +929,22 @@ const pdfController = new PdfController()
 
 // Export controller
 module.exports.Controller = { PdfController: pdfController }
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/pdflist': 'read',
+  'GET /v1/pdfbykey': 'read',
+  'GET /v1/theprocess': 'read',
+  'POST /v1/extract-contacts': 'operate',
+  'POST /v1/processsingle': 'operate',
+  'GET /v1/config': 'read',
+  'PUT /v1/config': 'admin',
+  'GET /v1/processing-results': 'read',
+  'GET /v1/test-ghostscript': 'admin',
+  'DELETE /v1/cleanup-local': 'admin',
+  'GET /v1/debug-config': 'admin'
+}
+
 module.exports.controller = (app) => {
   console.log('🔧 Loading PDF controller routes...')
 
@@ -5,6 +5,11 @@ const AuthService = require('../services/auth.service.js')
 const S3Service = require('../services/s3.service.js')
 const LoggingService = require('../services/logging.service.js')
 const PDFService = require('../services/pdf.service.js')
+const JobRunService = require('../services/job-run.service.js')
+const jobIdService = require('../services/job-id.service')
+
+// Runs are tracked in job_runs; a running row blocks a second run (see JobRunService.startExclusiveJobRun)
+const JOB_TYPE = 'S3_ANALYSIS'
 
 class S3AnalysisController {
   constructor() {
@@ -13,9 +18,9 @@ class S3AnalysisController {
     this.authService = new AuthService()
     this.s3Service = new S3Service(this.authService, this.loggingService)
     this.pdfService = new PDFService(this.authService, this.s3Service, this.loggingService)
+    this.jobRunService = new JobRunService()
 
-    // S3 Analysis Job State
-    this.s3AnalysisRunning = false
+    // S3 Analysis Job Config
     this.s3AnalysisConfig = {
       sourceBucket: process.env.S3_ANALYSIS_BUCKET || 'ocdpdfs',
       sourceFolder: process.env.S3_ANALYSIS_FOLDER || 'analysis-pdfs',
@@ -26,18 +31,28 @@ class S3AnalysisController {
 
   // S3 PDF Analysis Job Methods
   async processS3PdfsForAnalysis(req, res) {
-    if (this.s3AnalysisRunning) {
+    const jobId = jobIdService.generateJobId(JOB_TYPE)
+
+    try {
+      await this.jobRunService.startExclusiveJobRun({
+        job_id: jobId,
+        job_type: JOB_TYPE,
+        trigger_type: res ? 'manual' : 'cron'
+      })
+    } catch (error) {
+      const running = error.code === 'JOB_ALREADY_RUNNING'
+      const result = {
+        success: false,
+        message: running ? 'S3 PDF analysis job is already running' : `S3 PDF analysis could not start: ${error.message}`,
+        jobId: error.jobId
+      }
+
       if (res) {
-        return res.status(429).json({
-          success: false,
-          message: 'S3 PDF analysis job is already running'
-        })
+        return res.status(running ? 429 : 500).json(result)
       }
-      return { success: false, message: 'S3 PDF analysis job is already running' }
+      return result
     }
 
-    this.s3AnalysisRunning = true
-
     try {
       console.log(`[${new Date().toISOString()}] 🔍 Starting S3 PDF Analysis Job`)
       console.log(`📁 Source: s3://${this.s3AnalysisConfig.sourceBucket}/${this.s3AnalysisConfig.sourceFolder}/`)
@@ -125,7 +140,7 @@ class S3AnalysisController {
           data: message
         })
 
-        this.s3AnalysisRunning = false
+        await this.jobRunService.closeJobRun(jobId, { metrics: { skippedFiles: oversizedFiles } })
         if (res) return res.status(200).json(result)
         return result
       }
@@ -187,7 +202,13 @@ class S3AnalysisController {
         })
       }
 
-      this.s3AnalysisRunning = false
+      const metrics = {
+        totalFiles: pdfKeys.length,
+        successfullyProcessed: result.success ? result.filesProcessed : 0,
+        totalContacts: result.contactCount || 0,
+        skippedFiles: oversizedFiles
+      }
+      await this.jobRunService.closeJobRun(jobId, { error: result.success ? null : new Error(result.message), metrics })
 
       if (res) {
         return res.status(result.success ? 200 : 400).json(result)
@@ -206,7 +227,7 @@ class S3AnalysisController {
         data: `ERROR: ${error.message}`
       })
 
-      this.s3AnalysisRunning = false
+      await this.jobRunService.closeJobRun(jobId, { error })
 
       const errorResult = {
         success: false,
@@ -225,13 +246,15 @@ class S3AnalysisController {
 
   async getS3AnalysisStatus(req, res) {
     const status = {
-      running: this.s3AnalysisRunning,
+      running: false,
       config: this.s3AnalysisConfig,
       lastRun: null,
       nextScheduled: null
     }
 
     try {
+      status.running = await this.isRunning()
+
       // You could add logic here to fetch last run time from DynamoDB logs if needed
       if (res) {
         return res.status(200).json({
@@ -341,8 +364,8 @@ class S3AnalysisController {
     return this.s3AnalysisConfig
   }
 
-  isRunning() {
-    return this.s3AnalysisRunning
+  async isRunning() {
+    return !!(await this.jobRunService.findRunningJob(JOB_TYPE))
   }
 }
 
@@ -351,6 +374,15 @@ const s3AnalysisController = new S3AnalysisController()
 
 // Export controller
 module.exports.Controller = { S3AnalysisController: s3AnalysisController }
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'POST /v1/s3-analysis/run': 'operate',
+  'GET /v1/s3-analysis/status': 'read',
+  'PUT /v1/s3-analysis/config': 'admin',
+  'GET /v1/s3-analysis/list-bucket': 'read'
+}
+
 module.exports.controller = (app) => {
   console.log('🔧 Loading S3 Analysis controller routes...')
 
@@ -1,8 +1,133 @@
 require("dotenv").config()
+const AuthService = require('../services/auth.service.js')
+const SalesforceSyncService = require('../services/salesforce-sync.service.js')
+
+// Sync error codes → HTTP status
+const SYNC_ERROR_STATUS = {
+  UNKNOWN_SOBJECT: 400,
+  SYNC_ALREADY_RUNNING: 409
+}
 
 class SalesForce{
   constructor() {
-    console.log('🔍 Salesforce initialized');
+    this.authService = new AuthService()
+    this.salesforceSyncService = new SalesforceSyncService(this.authService)
+    console.log('🔍 Salesforce initialized')
+  }
+
+  sendSyncError(res, error, fallbackMessage) {
+    const status = SYNC_ERROR_STATUS[error.code]
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...(error.runId ? { runId: error.runId } : {})
+      })
+    }
+
+    console.error(`${fallbackMessage}:`, error)
+    return res.status(500).json({
+      success: false,
+      error: fallbackMessage,
+      message: error.message
+    })
+  }
+
+  /**
+   * POST /v1/salesforce/sync
+   * Start upserting ready contacts into Salesforce. Runs in the background; follow it
+   * with GET /v1/salesforce/sync-runs/:runId
+   * Body: { sobject: 'Contact'|'Lead', ids, outreachStatus, ownerType, verified, limit, force }
+   */
+  async startSync(req, res) {
+    try {
+      const { sobject, ids, outreachStatus, ownerType, verified, limit, force } = req.body || {}
+
+      const { run, completion } = await this.salesforceSyncService.startSync({
+        sobject,
+        ids,
+        outreachStatus,
+        ownerType,
+        verified: verified !== undefined ? verified === true || verified === 'true' : undefined,
+        limit,
+        force: force === true || force === 'true'
+      })
+      completion.catch(error => console.error(`❌ Salesforce sync ${run.id} failed:`, error.message))
+
+      return res.status(202).json({
+        success: true,
+        message: `Salesforce sync ${run.id} started`,
+        runId: run.id,
+        data: run
+      })
+    } catch (error) {
+      return this.sendSyncError(res, error, 'Failed to start Salesforce sync')
+    }
+  }
+
+  /**
+   * GET /v1/salesforce/sync-runs
+   * Sync runs, newest first (?status=failed&sobject=Lead)
+   */
+  async getSyncRuns(req, res) {
+    try {
+      const { status, sobject, limit, offset } = req.query
+      const result = await this.salesforceSyncService.listRuns({ status, sobject }, { limit, offset })
+
+      return res.status(200).json({
+        success: true,
+        data: result.rows,
+        pagination: result.pagination
+      })
+    } catch (error) {
+      return this.sendSyncError(res, error, 'Failed to retrieve Salesforce sync runs')
+    }
+  }
+
+  /**
+   * GET /v1/salesforce/sync-runs/:runId
+   * A sync run's totals and the records it failed, with their Salesforce errors
+   */
+  async getSyncRun(req, res) {
+    try {
+      const result = await this.salesforceSyncService.getRun(parseInt(req.params.runId))
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Salesforce sync run not found'
+        })
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      })
+    } catch (error) {
+      return this.sendSyncError(res, error, 'Failed to retrieve Salesforce sync run')
+    }
+  }
+
+  /**
+   * GET /v1/salesforce/sync-records
+   * Per-contact sync status (?status=failed&sobject=Contact&run_id=3&contact_ready_id=42)
+   */
+  async getSyncRecords(req, res) {
+    try {
+      const { status, sobject, run_id, contact_ready_id, limit, offset } = req.query
+      const result = await this.salesforceSyncService.listRecords(
+        { status, sobject, runId: run_id, contactReadyId: contact_ready_id },
+        { limit, offset }
+      )
+
+      return res.status(200).json({
+        success: true,
+        data: result.rows,
+        pagination: result.pagination
+      })
+    } catch (error) {
+      return this.sendSyncError(res, error, 'Failed to retrieve Salesforce sync records')
+    }
   }
 }
 
@@ -11,7 +136,26 @@ const salesForce = new SalesForce()
 
 // Export controller for routes
 module.exports.Controller = { SalesForce: salesForce };
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'POST /v1/salesforce/sync': 'operate',
+  'GET /v1/salesforce/sync-runs': 'read',
+  'GET /v1/salesforce/sync-runs/:runId': 'read',
+  'GET /v1/salesforce/sync-records': 'read'
+};
+
 module.exports.controller = (app) => {
   console.log('🔍 Loading Salesforce controller routes...');
+
+  app.post('/v1/salesforce/sync', (req, res) => salesForce.startSync(req, res))
+  app.get('/v1/salesforce/sync-runs', (req, res) => salesForce.getSyncRuns(req, res))
+  app.get('/v1/salesforce/sync-runs/:runId', (req, res) => salesForce.getSyncRun(req, res))
+  app.get('/v1/salesforce/sync-records', (req, res) => salesForce.getSyncRecords(req, res))
+
   console.log('✅ SalesForce controller routes loaded successfully');
-};
\ No newline at end of file
+  console.log('  POST /v1/salesforce/sync')
+  console.log('  GET  /v1/salesforce/sync-runs')
+  console.log('  GET  /v1/salesforce/sync-runs/:runId')
+  console.log('  GET  /v1/salesforce/sync-records')
+};
@@ -393,6 +393,15 @@ const whitepagesTestController = new WhitepagesTestController();
 
 // Export controller for routes
 module.exports.Controller = { WhitepagesTestController: whitepagesTestController };
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/whitepages-test/select-test-contacts': 'read',
+  'POST /v1/whitepages-test/run-test': 'operate',
+  'GET /v1/whitepages-test/results': 'read',
+  'DELETE /v1/whitepages-test/clear': 'admin'
+};
+
 module.exports.controller = (app) => {
   console.log('🧪 Loading WhitePages Test controller routes...');
 
@@ -1,12 +1,81 @@
 require('dotenv').config();
 const WhitepagesService = require('../services/whitepages.service');
+const WhitepagesMergeService = require('../services/whitepages-merge.service');
+const WhitepagesBatchService = require('../services/whitepages-batch.service');
 const WhitepagesLookup = require('../models/whitepages-lookup');
 const Contact = require('../models/contact');
+const requestContext = require('../services/request-context.js');
+
+// Merge error codes → HTTP status
+const MERGE_ERROR_STATUS = {
+  LOOKUP_NOT_FOUND: 404,
+  CONTACT_NOT_FOUND: 404,
+  MERGE_NOT_FOUND: 404,
+  LOOKUP_NOT_SUCCESSFUL: 400,
+  INVALID_SELECTION: 400,
+  ALREADY_UNDONE: 409
+};
+
+// Batch job error codes → HTTP status
+const BATCH_ERROR_STATUS = {
+  JOB_NOT_FOUND: 404,
+  INVALID_JOB_STATE: 409,
+  JOB_ALREADY_RUNNING: 409,
+  SPEND_CAP_REACHED: 409
+};
 
 class WhitepagesController {
   constructor() {
     console.log('🔍 WhitepagesController initialized');
     this.whitepagesService = new WhitepagesService();
+    this.whitepagesMergeService = new WhitepagesMergeService();
+    this.whitepagesBatchService = new WhitepagesBatchService();
+  }
+
+  sendBatchError(res, error, fallbackMessage) {
+    const status = BATCH_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        ...(error.jobId ? { job_id: error.jobId } : {})
+      });
+    }
+
+    console.error(`❌ ${fallbackMessage}:`, error.message);
+    return res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: error.message
+    });
+  }
+
+  sendMergeError(res, error, fallbackMessage) {
+    const status = MERGE_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    // Adopting an address can make a ready contact identical to another one
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The merge would make the contact a duplicate of an existing contact',
+        error: error.message
+      });
+    }
+
+    console.error(`❌ ${fallbackMessage}:`, error.message);
+    return res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: error.message
+    });
   }
 
   /**
@@ -128,47 +197,107 @@ class WhitepagesController {
 
   /**
    * POST /v1/whitepages/batch
-   * Perform batch WhitePages lookups for eligible contacts
+   * Start a background batch lookup of eligible contacts
+   * Body: { limit, requests_per_second } - delay (ms between requests) is still accepted
    */
   async lookupBatch(req, res) {
     try {
-      const limit = parseInt(req.body.limit) || 50;
-      const delayMs = parseInt(req.body.delay) || 1000;
+      const { limit, requests_per_second, delay } = req.body || {};
+      const requestsPerSecond = requests_per_second || (parseInt(delay) > 0 ? 1000 / parseInt(delay) : null);
 
-      console.log(`📦 Starting batch lookup for up to ${limit} contacts (${delayMs}ms delay)`);
-
-      // Find eligible contacts
-      const contacts = await this.whitepagesService.findEligibleContacts(limit, 0);
+      const { jobId, total } = await this.whitepagesBatchService.startBatch({
+        limit,
+        requestsPerSecond,
+        triggerType: 'api'
+      });
 
-      if (contacts.length === 0) {
+      if (!jobId) {
         return res.status(200).json({
           success: true,
           message: 'No eligible contacts found for lookup',
-          results: {
-            total: 0,
-            success: 0,
-            no_results: 0,
-            errors: 0
-          }
+          job_id: null,
+          total: 0
         });
       }
 
-      // Process batch
-      const results = await this.whitepagesService.processBatch(contacts, delayMs);
+      res.status(202).json({
+        success: true,
+        message: `Batch lookup started for ${total} contacts`,
+        job_id: jobId,
+        total,
+        status_url: `/v1/whitepages/batch/${jobId}`
+      });
+
+    } catch (error) {
+      return this.sendBatchError(res, error, 'Failed to start batch lookup');
+    }
+  }
+
+  /**
+   * GET /v1/whitepages/batch
+   * Batch jobs, newest first (?status=paused&limit=50&offset=0)
+   */
+  async getBatches(req, res) {
+    try {
+      const { status, limit, offset } = req.query;
+      const result = await this.whitepagesBatchService.listBatches({ status, limit, offset });
 
       res.status(200).json({
         success: true,
-        message: 'Batch lookup completed',
-        results
+        data: result.rows,
+        pagination: result.pagination
       });
 
     } catch (error) {
-      console.error('❌ Error performing batch lookup:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to perform batch lookup',
-        error: error.message
+      return this.sendBatchError(res, error, 'Failed to get batch lookups');
+    }
+  }
+
+  /**
+   * GET /v1/whitepages/batch/:jobId
+   * Progress, outcome counts and spend of a batch
+   */
+  async getBatchStatus(req, res) {
+    try {
+      const batch = await this.whitepagesBatchService.getBatchStatus(req.params.jobId);
+
+      res.status(200).json({
+        success: true,
+        batch
       });
+
+    } catch (error) {
+      return this.sendBatchError(res, error, 'Failed to get batch status');
+    }
+  }
+
+  /**
+   * POST /v1/whitepages/batch/:jobId/pause|resume|cancel
+   */
+  async pauseBatch(req, res) {
+    try {
+      const batch = await this.whitepagesBatchService.pauseBatch(req.params.jobId);
+      res.status(200).json({ success: true, batch });
+    } catch (error) {
+      return this.sendBatchError(res, error, 'Failed to pause batch');
+    }
+  }
+
+  async resumeBatch(req, res) {
+    try {
+      const batch = await this.whitepagesBatchService.resumeBatch(req.params.jobId);
+      res.status(200).json({ success: true, batch });
+    } catch (error) {
+      return this.sendBatchError(res, error, 'Failed to resume batch');
+    }
+  }
+
+  async cancelBatch(req, res) {
+    try {
+      const batch = await this.whitepagesBatchService.cancelBatch(req.params.jobId);
+      res.status(200).json({ success: true, batch });
+    } catch (error) {
+      return this.sendBatchError(res, error, 'Failed to cancel batch');
     }
   }
 
@@ -243,43 +372,74 @@ class WhitepagesController {
 
   /**
    * PUT /v1/whitepages/verify/:lookupId
-   * Mark a lookup as verified
+   * Mark a lookup as verified, optionally merging the results the reviewer picked
+   * into the contact and its ready copy (see WhitepagesMergeService.verifyAndMerge):
+   * { verification_notes, apply: { phones, emails, address, deceased, relatives, targets } }
+   * The verification is attributed to the authenticated user.
    */
   async verifyLookup(req, res) {
     try {
       const lookupId = parseInt(req.params.lookupId);
-      const { verified_by, verification_notes } = req.body;
-
-      const lookup = await WhitepagesLookup.findByPk(lookupId);
+      const { verification_notes, apply } = req.body;
 
-      if (!lookup) {
-        return res.status(404).json({
-          success: false,
-          message: `Lookup ${lookupId} not found`
-        });
-      }
+      const { lookup, merges } = await this.whitepagesMergeService.verifyAndMerge(lookupId, {
+        verifiedBy: requestContext.actor(),
+        notes: verification_notes || null,
+        apply: apply || null
+      });
 
-      // Update verification status
-      await lookup.update({
-        verified: true,
-        verified_by: verified_by || 'unknown',
-        verified_at: new Date(),
-        verification_notes: verification_notes || null
+      res.status(200).json({
+        success: true,
+        message: merges.length ? `Lookup verified and merged into ${merges.length} record(s)` : 'Lookup marked as verified',
+        lookup,
+        merges
       });
 
+    } catch (error) {
+      return this.sendMergeError(res, error, 'Failed to verify lookup');
+    }
+  }
+
+  /**
+   * GET /v1/whitepages/results/:lookupId/merge
+   * Phones, emails, addresses and relatives a lookup could merge, marked against
+   * what the contact already has, and the lookup's earlier merges
+   */
+  async getMergeCandidates(req, res) {
+    try {
+      const candidates = await this.whitepagesMergeService.getMergeCandidates(parseInt(req.params.lookupId));
+
       res.status(200).json({
         success: true,
-        message: 'Lookup marked as verified',
-        lookup
+        candidates
       });
 
     } catch (error) {
-      console.error('❌ Error verifying lookup:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to verify lookup',
-        error: error.message
+      return this.sendMergeError(res, error, 'Failed to get merge candidates');
+    }
+  }
+
+  /**
+   * POST /v1/whitepages/merges/:mergeId/undo
+   * Undo a merge: removes the phones and emails it added and restores the fields it changed.
+   * The undo is attributed to the authenticated user.
+   */
+  async undoMerge(req, res) {
+    try {
+      const merge = await this.whitepagesMergeService.undoMerge(parseInt(req.params.mergeId), {
+        undoneBy: requestContext.actor()
+      });
+
+      res.status(200).json({
+        success: true,
+        message: merge.undo_conflicts
+          ? `Merge undone; fields edited since the merge were kept: ${Object.keys(merge.undo_conflicts).join(', ')}`
+          : 'Merge undone',
+        merge
       });
+
+    } catch (error) {
+      return this.sendMergeError(res, error, 'Failed to undo merge');
     }
   }
 
@@ -341,6 +501,27 @@ const whitepagesController = new WhitepagesController();
 
 // Export controller for routes
 module.exports.Controller = { WhitepagesController: whitepagesController };
+
+// Permission each route requires (see config/roles.cjs)
+module.exports.permissions = {
+  'GET /v1/whitepages/eligible': 'read',
+  'GET /v1/whitepages/statistics': 'read',
+  'POST /v1/whitepages/lookup/:contactId': 'write',
+  'POST /v1/whitepages/batch': 'operate',
+  'GET /v1/whitepages/batch': 'read',
+  'GET /v1/whitepages/batch/:jobId': 'read',
+  'POST /v1/whitepages/batch/:jobId/pause': 'operate',
+  'POST /v1/whitepages/batch/:jobId/resume': 'operate',
+  'POST /v1/whitepages/batch/:jobId/cancel': 'operate',
+  'GET /v1/whitepages/results/:lookupId': 'read',
+  'GET /v1/whitepages/results/:lookupId/merge': 'read',
+  'GET /v1/whitepages/contact/:contactId': 'read',
+  'GET /v1/whitepages/pending': 'read',
+  'PUT /v1/whitepages/verify/:lookupId': 'write',
+  'POST /v1/whitepages/merges/:mergeId/undo': 'write'
+};
+
+module.exports.resumeInterruptedJobs = () => whitepagesController.whitepagesBatchService.resumeInterruptedJobs();
 module.exports.controller = (app) => {
   console.log('🔍 Loading WhitePages controller routes...');
 
@@ -350,15 +531,24 @@ module.exports.controller = (app) => {
 
   // Lookup endpoints
   app.post('/v1/whitepages/lookup/:contactId', (req, res) => whitepagesController.lookupSingleContact(req, res));
+
+  // Batch job endpoints
   app.post('/v1/whitepages/batch', (req, res) => whitepagesController.lookupBatch(req, res));
+  app.get('/v1/whitepages/batch', (req, res) => whitepagesController.getBatches(req, res));
+  app.get('/v1/whitepages/batch/:jobId', (req, res) => whitepagesController.getBatchStatus(req, res));
+  app.post('/v1/whitepages/batch/:jobId/pause', (req, res) => whitepagesController.pauseBatch(req, res));
+  app.post('/v1/whitepages/batch/:jobId/resume', (req, res) => whitepagesController.resumeBatch(req, res));
+  app.post('/v1/whitepages/batch/:jobId/cancel', (req, res) => whitepagesController.cancelBatch(req, res));
 
   // Results endpoints
   app.get('/v1/whitepages/results/:lookupId', (req, res) => whitepagesController.getLookupResult(req, res));
+  app.get('/v1/whitepages/results/:lookupId/merge', (req, res) => whitepagesController.getMergeCandidates(req, res));
   app.get('/v1/whitepages/contact/:contactId', (req, res) => whitepagesController.getContactLookups(req, res));
 
   // Verification endpoints
   app.get('/v1/whitepages/pending', (req, res) => whitepagesController.getPendingVerification(req, res));
   app.put('/v1/whitepages/verify/:lookupId', (req, res) => whitepagesController.verifyLookup(req, res));
+  app.post('/v1/whitepages/merges/:mergeId/undo', (req, res) => whitepagesController.undoMerge(req, res));
 
   console.log('✅ WhitePages controller routes loaded successfully');
 };
@@ -3,6 +3,8 @@ dotenv.config()
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const requestContext = require('./services/request-context.js');
+const { withPermissions } = require('./config/authenticate.cjs');
 
 const app = express();
 app.use(express.json({ limit: '150mb' }));
@@ -28,10 +30,10 @@ const xPolicy = (req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*') // Fallback to allow all
   }
   res.header('Access-Control-Allow-Origin', '*')
-  res.header('Access-Control-Expose-Headers', 'ukey')
+  res.header('Access-Control-Expose-Headers', 'ukey, x-request-id')
   res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS')
   res.header('Access-Control-Allow-Credentials', 'true')
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, token, X-CSRF-TOKEN, api-key, authorization, content-type, Bearer, ukey')
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, token, X-CSRF-TOKEN, api-key, authorization, content-type, Bearer, ukey, x-request-id')
   res.header('Access-Control-Max-Age', '86400') // Cache preflight for 24 hours
 
   // Handle preflight requests
@@ -44,6 +46,9 @@ const xPolicy = (req, res, next) => {
 
 app.use(xPolicy)
 
+// Request id and acting user for the audit log (see services/request-context.js)
+app.use(requestContext.middleware())
+
 const loadControllers = () => {
   
   fs.readdirSync(`./controller`).forEach((file) => {
@@ -52,7 +57,8 @@ const loadControllers = () => {
       import(`./controller/${file}`)
         .then(obj => {
           console.log('Successfully loaded controller:', file)
-          obj.controller(app)
+          // Every route the controller registers requires the permission it declares
+          obj.controller(withPermissions(app, obj.permissions, file))
         })
         .catch(err => console.log('Controller load error:', err))
     }
@@ -60,12 +66,21 @@ const loadControllers = () => {
   
 }
 
+// Permission each base route requires (see config/roles.cjs)
+const baseRoutes = withPermissions(app, {
+  'GET /health': 'public',
+  'GET /v1/health': 'public',
+  'GET /v1/routes': 'admin',
+  'GET /v1/test-postgres-direct': 'admin',
+  'GET /v1/postgres-contacts-direct': 'read'
+}, 'index.js')
+
 // Add routes first, then load controllers
-app.get('/health', (req,res) => {
+baseRoutes.get('/health', (req,res) => {
   res.send('OK')
 })
 
-app.get('/v1/health', (req,res) => {
+baseRoutes.get('/v1/health', (req,res) => {
   const formatMemoryUsage = (data) => `${Math.round(data / 1024 / 1024 * 100) / 100} MB`
   const memoryData = process.memoryUsage()
   const memoryUsage = {
@@ -79,7 +94,7 @@ app.get('/v1/health', (req,res) => {
 })
 
 // Debug route to show all registered routes
-app.get('/v1/routes', (_req, res) => {
+baseRoutes.get('/v1/routes', (_req, res) => {
   const routes = []
   if (app._router && app._router.stack) {
     app._router.stack.forEach((middleware) => {
@@ -95,7 +110,7 @@ app.get('/v1/routes', (_req, res) => {
 })
 
 // Direct test route for PostgreSQL (bypassing controller loading issues)
-app.get('/v1/test-postgres-direct', async (_req, res) => {
+baseRoutes.get('/v1/test-postgres-direct', async (_req, res) => {
   try {
     console.log('🧪 Direct PostgreSQL test...')
     const PostgresContactService = require('./services/postgres-contact.service.js')
@@ -113,7 +128,7 @@ app.get('/v1/test-postgres-direct', async (_req, res) => {
 })
 
 // Direct route for getting PostgreSQL contacts
-app.get('/v1/postgres-contacts-direct', async (req, res) => {
+baseRoutes.get('/v1/postgres-contacts-direct', async (req, res) => {
   try {
     const PostgresContactService = require('./services/postgres-contact.service.js')
     const pgService = new PostgresContactService()
@@ -161,7 +176,61 @@ app.listen(port, async () => {
     const JobRunService = require('./services/job-run.service.js')
     const jobRunService = new JobRunService()
     await jobRunService.cleanupStaleJobs()
+    await jobRunService.failInterruptedJobs()
   } catch (error) {
     console.error('Failed to cleanup stale jobs on startup:', error.message)
   }
+
+  // Fail Salesforce syncs the restart cut off so they don't block the next one
+  try {
+    const SalesforceSyncService = require('./services/salesforce-sync.service.js')
+    await new SalesforceSyncService().failInterruptedRuns()
+  } catch (error) {
+    console.error('Failed to clean up interrupted Salesforce syncs on startup:', error.message)
+  }
+
+  // Resume queued jobs that were interrupted by a restart
+  try {
+    const { resumeInterruptedJobs } = require('./controller/ocd-document.controller.js')
+    const resumed = await resumeInterruptedJobs()
+    console.log(`▶️ Resumed ${resumed} interrupted job(s)`)
+  } catch (error) {
+    console.error('Failed to resume interrupted jobs on startup:', error.message)
+  }
+
+  // Resume OCD Imaging runs (/v1/force, /v1/force-vision and their crons)
+  try {
+    const { resumeInterruptedJobs } = require('./controller/emnrd.controller.js')
+    const resumed = await resumeInterruptedJobs()
+    console.log(`▶️ Resumed ${resumed} OCD Imaging job(s)`)
+  } catch (error) {
+    console.error('Failed to resume OCD Imaging jobs on startup:', error.message)
+  }
+
+  // Resume WhitePages batch lookups that were running before the restart
+  try {
+    const { resumeInterruptedJobs } = require('./controller/whitepages.controller.js')
+    const resumed = await resumeInterruptedJobs()
+    console.log(`▶️ Resumed ${resumed} WhitePages batch(es)`)
+  } catch (error) {
+    console.error('Failed to resume WhitePages batches on startup:', error.message)
+  }
+
+  // Start cron runs of county search targets that have their own schedule
+  try {
+    const { refreshTargetSchedules } = require('./controller/ocd-document.controller.js')
+    const scheduled = await refreshTargetSchedules()
+    console.log(`📅 Scheduled ${scheduled} search target run(s)`)
+  } catch (error) {
+    console.error('Failed to schedule search targets on startup:', error.message)
+  }
+
+  // Start OCD Imaging runs of applicant search targets that have their own schedule
+  try {
+    const { refreshTargetSchedules } = require('./controller/emnrd.controller.js')
+    const scheduled = await refreshTargetSchedules()
+    console.log(`📅 Scheduled ${scheduled} applicant search target run(s)`)
+  } catch (error) {
+    console.error('Failed to schedule applicant search targets on startup:', error.message)
+  }
 });
\ No newline at end of file
@@ -0,0 +1,278 @@
+const { DataTypes, Model } = require('sequelize');
+const requestContext = require('../services/request-context.js');
+
+const ENTITIES = ['contact', 'contact_ready', 'business_entity', 'dynamo_contact'];
+
+// Bookkeeping and derived columns that aren't audited (blocking keys, case link, scoring time)
+const IGNORED_FIELDS = [
+  'id', 'created_at', 'updated_at', 'createdAt', 'updatedAt',
+  'name_key', 'last_name_key', 'name_phonetic', 'zip5', 'match_scored_at', 'case_id'
+];
+
+/**
+ * AuditLog Model
+ *
+ * Append-only log of changes to audited entities (contacts, ready contacts, business
+ * entities): one row per changed field for updates, and one row holding the whole
+ * record for creates and deletes. Changes to their phones and emails are logged
+ * against the owning entity under the field "phones" / "emails". Rows are written by the hooks AuditLog.track
+ * installs on each audited model, so every write path that goes through Sequelize
+ * is recorded, inside the same transaction as the change. Writes outside Sequelize
+ * (the DynamoDB contacts) call AuditLog.recordChanges.
+ */
+class AuditLog extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      entity: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        comment: 'contact, contact_ready, business_entity or dynamo_contact',
+        validate: {
+          isIn: [ENTITIES]
+        }
+      },
+      entity_id: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Row ID, or "pkey|skey" for DynamoDB contacts'
+      },
+      action: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        validate: {
+          isIn: [['create', 'update', 'delete']]
+        }
+      },
+      field: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Changed field; null for creates and deletes; "phones" / "emails" for changes to those'
+      },
+      old_value: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Previous value, or the deleted record'
+      },
+      new_value: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'New value, or the created record'
+      },
+      actor: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'User from the request JWT; "system" outside requests, "anonymous" without a valid token'
+      },
+      request_id: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+      }
+    }, {
+      sequelize,
+      modelName: 'AuditLog',
+      tableName: 'audit_log',
+      timestamps: true,
+      updatedAt: false,
+      underscored: true,
+      createdAt: 'created_at',
+      indexes: [
+        {
+          fields: ['entity', 'entity_id', 'created_at'],
+          name: 'audit_log_entity_idx'
+        },
+        {
+          fields: ['request_id'],
+          name: 'audit_log_request_idx'
+        },
+        {
+          fields: ['actor'],
+          name: 'audit_log_actor_idx'
+        }
+      ],
+      hooks: {
+        beforeUpdate: () => AuditLog.appendOnly(),
+        beforeBulkUpdate: () => AuditLog.appendOnly(),
+        beforeDestroy: () => AuditLog.appendOnly(),
+        beforeBulkDestroy: () => AuditLog.appendOnly()
+      }
+    });
+  }
+
+  static appendOnly() {
+    throw new Error('audit_log is append-only');
+  }
+
+  /**
+   * Audit every create, update and delete of a model. Bulk updates and deletes are run
+   * row by row (individualHooks) so each row's old values can be recorded, unless they
+   * only touch ignored fields.
+   * @param {Model} model - Model to audit
+   * @param {string} entity - Entity name stored in audit_log.entity
+   */
+  static track(model, entity) {
+    model.addHook('beforeBulkUpdate', 'audit', options => {
+      if ((options.fields || []).some(field => !IGNORED_FIELDS.includes(field))) {
+        options.individualHooks = true;
+      }
+    });
+    model.addHook('beforeBulkDestroy', 'audit', options => {
+      options.individualHooks = true;
+    });
+
+    model.addHook('afterCreate', 'audit', (instance, options) =>
+      this.record([this.createEntry(entity, instance)], options));
+    model.addHook('afterBulkCreate', 'audit', (instances, options) =>
+      this.record(instances.filter(instance => instance.id).map(instance => this.createEntry(entity, instance)), options));
+    // A bulk update saved row by row has reset _previousDataValues before afterUpdate runs
+    model.addHook('beforeUpdate', 'audit', instance => {
+      instance._auditPrevious = { ...instance._previousDataValues };
+    });
+    model.addHook('afterUpdate', 'audit', (instance, options) => {
+      const previous = instance._auditPrevious || instance._previousDataValues;
+      delete instance._auditPrevious;
+      return this.record(this.changeEntries(entity, instance.id, previous, instance.dataValues), options);
+    });
+    model.addHook('afterDestroy', 'audit', (instance, options) =>
+      this.record([this.deleteEntry(entity, instance)], options));
+  }
+
+  /**
+   * Audit every create, update and delete of rows owned by an audited entity (phones,
+   * emails). Changes are recorded against the owner (owner_type / owner_id) with field
+   * set to the collection, one entry per row: creates and deletes hold the row, updates
+   * the row ID and its changed fields.
+   * @param {Model} model - Owned model, with owner_type and owner_id columns
+   * @param {string} collection - Field stored in audit_log.field ("phones", "emails")
+   */
+  static trackOwned(model, collection) {
+    model.addHook('beforeBulkUpdate', 'audit', options => {
+      options.individualHooks = true;
+    });
+    model.addHook('beforeBulkDestroy', 'audit', options => {
+      options.individualHooks = true;
+    });
+
+    model.addHook('afterCreate', 'audit', (instance, options) =>
+      this.record([this.ownedEntry(collection, instance, 'create')], options));
+    model.addHook('afterBulkCreate', 'audit', (instances, options) =>
+      this.record(instances.filter(instance => instance.id).map(instance => this.ownedEntry(collection, instance, 'create')), options));
+    model.addHook('beforeUpdate', 'audit', instance => {
+      instance._auditPrevious = { ...instance._previousDataValues };
+    });
+    model.addHook('afterUpdate', 'audit', (instance, options) => {
+      const previous = instance._auditPrevious || instance._previousDataValues;
+      delete instance._auditPrevious;
+      const changes = this.changeEntries(null, instance.id, previous, instance.dataValues);
+      if (!changes.length) return;
+
+      return this.record([this.ownedEntry(collection, instance, 'update', {
+        old_value: Object.fromEntries([['id', instance.id], ...changes.map(change => [change.field, change.old_value])]),
+        new_value: Object.fromEntries([['id', instance.id], ...changes.map(change => [change.field, change.new_value])])
+      })], options);
+    });
+    model.addHook('afterDestroy', 'audit', (instance, options) =>
+      this.record([this.ownedEntry(collection, instance, 'delete')], options));
+  }
+
+  static createEntry(entity, instance) {
+    return { entity, entity_id: String(instance.id), action: 'create', field: null, old_value: null, new_value: this.snapshot(instance) };
+  }
+
+  static deleteEntry(entity, instance) {
+    return { entity, entity_id: String(instance.id), action: 'delete', field: null, old_value: this.snapshot(instance), new_value: null };
+  }
+
+  // Entry for a change to an owned row, against its owner
+  static ownedEntry(collection, instance, action, values = null) {
+    const row = { id: instance.id, ...this.snapshot(instance) };
+    return {
+      entity: instance.owner_type,
+      entity_id: String(instance.owner_id),
+      action,
+      field: collection,
+      old_value: values ? values.old_value : action === 'delete' ? row : null,
+      new_value: values ? values.new_value : action === 'create' ? row : null
+    };
+  }
+
+  /**
+   * One entry per field whose value differs between the old and new values. Bulk
+   * updates set dataValues directly, so changed() can't be relied on.
+   */
+  static changeEntries(entity, entityId, oldValues, newValues) {
+    const entries = [];
+    for (const field of Object.keys(newValues)) {
+      if (IGNORED_FIELDS.includes(field)) continue;
+
+      const oldValue = this.toAuditValue(oldValues[field]);
+      const newValue = this.toAuditValue(newValues[field]);
+      if (typeof newValue === 'object' && newValue !== null) continue; // Included associations
+
+      if (!this.sameValue(oldValue, newValue)) {
+        entries.push({ entity, entity_id: String(entityId), action: 'update', field, old_value: oldValue, new_value: newValue });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Record the changed fields of a write made outside Sequelize
+   * @param {string} entity - Entity name
+   * @param {string|number} entityId - Entity ID
+   * @param {Object} oldValues - Values before the write
+   * @param {Object} newValues - Values written
+   */
+  static recordChanges(entity, entityId, oldValues, newValues) {
+    return this.record(this.changeEntries(entity, entityId, oldValues || {}, newValues));
+  }
+
+  static async record(entries, options = {}) {
+    if (!entries.length) {
+      return;
+    }
+
+    const actor = requestContext.actor();
+    const requestId = requestContext.requestId();
+    await this.bulkCreate(entries.map(entry => ({ ...entry, actor, request_id: requestId })), {
+      transaction: options.transaction || null,
+      hooks: false
+    });
+  }
+
+  // Non-empty, non-ignored values of a record
+  static snapshot(source) {
+    const values = source && typeof source.get === 'function' ? source.get({ plain: true }) : (source || {});
+    const snapshot = {};
+    for (const [field, value] of Object.entries(values)) {
+      if (IGNORED_FIELDS.includes(field) || value === null || value === undefined || typeof value === 'object' && !(value instanceof Date)) continue;
+      snapshot[field] = this.toAuditValue(value);
+    }
+    return snapshot;
+  }
+
+  static toAuditValue(value) {
+    if (value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+  }
+
+  // DECIMAL columns come back from Postgres as strings: '0.5000' and 0.5 are the same value
+  static sameValue(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null) return false;
+    if (!isNaN(parseFloat(a)) && !isNaN(parseFloat(b)) && isFinite(a) && isFinite(b)) {
+      return parseFloat(a) === parseFloat(b);
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+AuditLog.ENTITIES = ENTITIES;
+AuditLog.IGNORED_FIELDS = IGNORED_FIELDS;
+
+module.exports = AuditLog;
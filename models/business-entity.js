@@ -1,6 +1,14 @@
 const { DataTypes, Model } = require('sequelize');
+const { OWNER_TYPES } = require('../services/owner-type-classifier.js');
 
-class BusinssEntity extends Model {
+/**
+ * BusinessEntity Model
+ *
+ * Ready records for owners classified as companies, partnerships, operators, government
+ * bodies and non-profits (see OwnerTypeClassifier); people, trusts and estates go to
+ * contactsready.
+ */
+class BusinessEntity extends Model {
   static init(sequelize) {
     return super.init({
       id: {
@@ -36,117 +44,10 @@ class BusinssEntity extends Model {
           len: [0, 255]
         }
       },
-      phone1: {
-        type: DataTypes.STRING(20),
-        allowNull: true,
-        validate: {
-          len: [0, 20],
-          isPhoneNumber(value) {
-            if (value && !/^[\d\s\-\(\)\+\.]*$/.test(value)) {
-              throw new Error('Phone number contains invalid characters');
-            }
-          }
-        }
-      },
-      phone2: {
-        type: DataTypes.STRING(20),
-        allowNull: true,
-        validate: {
-          len: [0, 20],
-          isPhoneNumber(value) {
-            if (value && !/^[\d\s\-\(\)\+\.]*$/.test(value)) {
-              throw new Error('Phone number contains invalid characters');
-            }
-          }
-        }
-      },
-      phone3: {
-        type: DataTypes.STRING(20),
-        allowNull: true,
-        validate: {
-          len: [0, 20],
-          isPhoneNumber(value) {
-            if (value && !/^[\d\s\-\(\)\+\.]*$/.test(value)) {
-              throw new Error('Phone number contains invalid characters');
-            }
-          }
-        }
-      },
-      phone4: {
-        type: DataTypes.STRING(20),
-        allowNull: true,
-        validate: {
-          len: [0, 20],
-          isPhoneNumber(value) {
-            if (value && !/^[\d\s\-\(\)\+\.]*$/.test(value)) {
-              throw new Error('Phone number contains invalid characters');
-            }
-          }
-        }
-      },
-      phone5: {
-        type: DataTypes.STRING(20),
-        allowNull: true,
-        validate: {
-          len: [0, 20],
-          isPhoneNumber(value) {
-            if (value && !/^[\d\s\-\(\)\+\.]*$/.test(value)) {
-              throw new Error('Phone number contains invalid characters');
-            }
-          }
-        }
-      },
-      phone6: {
-        type: DataTypes.STRING(20),
-        allowNull: true,
-        validate: {
-          len: [0, 20],
-          isPhoneNumber(value) {
-            if (value && !/^[\d\s\-\(\)\+\.]*$/.test(value)) {
-              throw new Error('Phone number contains invalid characters');
-            }
-          }
-        }
-      },
-      phone7: {
-        type: DataTypes.STRING(20),
-        allowNull: true,
-        validate: {
-          len: [0, 20],
-          isPhoneNumber(value) {
-            if (value && !/^[\d\s\-\(\)\+\.]*$/.test(value)) {
-              throw new Error('Phone number contains invalid characters');
-            }
-          }
-        }
-      },
-      phone8: {
-        type: DataTypes.STRING(20),
+      owner_details: {
+        type: DataTypes.JSONB,
         allowNull: true,
-        validate: {
-          len: [0, 20],
-          isPhoneNumber(value) {
-            if (value && !/^[\d\s\-\(\)\+\.]*$/.test(value)) {
-              throw new Error('Phone number contains invalid characters');
-            }
-          }
-        }
-      },
-      email1: {
-        type: DataTypes.STRING(255),
-        allowNull: true,
-        validate: {
-          isEmail: true,
-          len: [0, 255]
-        }
-      },
-      email2: {
-        type: DataTypes.STRING(255),
-        allowNull: true,
-        validate: {
-          isEmail: true,
-          len: [0, 255]
-        }
+        comment: 'Parsed owner name: { individuals: [{ full_name, role, deceased, ... }], entity: { type, name, date }, care_of, life_estate, notes }'
       },
       address: {
         type: DataTypes.TEXT,
@@ -172,7 +73,8 @@ class BusinssEntity extends Model {
         validate: {
           len: [0, 10],
           isZipCode(value) {
-            if (value && !/^\d{5}(-\d{4})?$/.test(value)) {
+            // Allow empty, null, or valid ZIP formats (5 digits, ZIP+4, or partial)
+            if (value && value.trim() && !/^\d{3,5}(-\d{4})?$/.test(value.trim())) {
               throw new Error('Invalid ZIP code format');
             }
           }
@@ -185,16 +87,35 @@ class BusinssEntity extends Model {
           len: [0, 50]
         }
       },
+      care_of: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'c/o or attention line taken out of the address'
+      },
       verified: {
         type: DataTypes.BOOLEAN,
         allowNull: false,
         defaultValue: false
       },
+      // Kept in step with owner_type === 'legal' for existing filters and exports
       islegal: {
         type: DataTypes.BOOLEAN,
         allowNull: false,
         defaultValue: false
       },
+      owner_type: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        validate: {
+          isIn: [OWNER_TYPES]
+        },
+        comment: 'individual, trust, estate, company, partnership, government, nonprofit, operator, legal or unknown'
+      },
+      owner_type_reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Classifier rule and the text it matched'
+      },
       first_name: {
         type: DataTypes.STRING(255),
         allowNull: true,
@@ -255,11 +176,35 @@ class BusinssEntity extends Model {
         validate: {
           len: [0, 255]
         }
+      },
+      app_number: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'EMNRD Application Number for source document search',
+        validate: {
+          len: [0, 100]
+        }
+      },
+      order_number: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'EMNRD Order Number for source document search',
+        validate: {
+          len: [0, 100]
+        }
+      },
+      case_number: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'EMNRD Case Number for source document search',
+        validate: {
+          len: [0, 100]
+        }
       }
     }, {
       sequelize,
-      modelName: 'ContactReady',
-      tableName: 'contactsready',
+      modelName: 'BusinessEntity',
+      tableName: 'business_entities',
       timestamps: true,
       underscored: true,
       createdAt: 'created_at',
@@ -267,18 +212,12 @@ class BusinssEntity extends Model {
       indexes: [
         {
           unique: true,
-          fields: ['name', 'first_name', 'last_name', 'llc_owner', 'address', 'city', 'state', 'zip'],
-          name: 'contactsready_unique_contact'
+          fields: ['name', 'llc_owner', 'address', 'city', 'state', 'zip'],
+          name: 'business_entities_unique_entity'
         },
         {
           fields: ['name']
         },
-        {
-          fields: ['phone1']
-        },
-        {
-          fields: ['email1']
-        },
         {
           fields: ['city', 'state']
         },
@@ -288,6 +227,9 @@ class BusinssEntity extends Model {
         {
           fields: ['islegal']
         },
+        {
+          fields: ['owner_type']
+        },
         {
           fields: ['ownership_type']
         },
@@ -296,24 +238,48 @@ class BusinssEntity extends Model {
         },
         {
           fields: ['mineral_rights_percentage']
+        },
+        {
+          fields: ['app_number']
+        },
+        {
+          fields: ['order_number']
+        },
+        {
+          fields: ['case_number']
         }
       ]
     });
   }
 
+  static associate(models) {
+    this.hasMany(models.ContactPhone, {
+      as: 'phones',
+      foreignKey: 'owner_id',
+      constraints: false,
+      scope: { owner_type: 'business_entity' }
+    });
+    this.hasMany(models.ContactEmail, {
+      as: 'emails',
+      foreignKey: 'owner_id',
+      constraints: false,
+      scope: { owner_type: 'business_entity' }
+    });
+  }
+
   // Instance methods
   getFullAddress() {
     const parts = [this.address, this.unit, this.city, this.state, this.zip].filter(Boolean);
     return parts.join(', ');
   }
 
+  // Require the phones / emails associations to be included
   getAllPhones() {
-    return [this.phone1, this.phone2, this.phone3, this.phone4, this.phone5, this.phone6, this.phone7, this.phone8]
-      .filter(Boolean);
+    return (this.phones || []).map(phone => phone.phone);
   }
 
   getAllEmails() {
-    return [this.email1, this.email2].filter(Boolean);
+    return (this.emails || []).map(email => email.email);
   }
 
   // Static methods
@@ -328,33 +294,13 @@ class BusinssEntity extends Model {
   }
 
   static async findByPhone(phone) {
-    const { Op } = require('sequelize');
-    return this.findAll({
-      where: {
-        [Op.or]: [
-          { phone1: phone },
-          { phone2: phone },
-          { phone3: phone },
-          { phone4: phone },
-          { phone5: phone },
-          { phone6: phone },
-          { phone7: phone },
-          { phone8: phone }
-        ]
-      }
-    });
+    const ids = await this.sequelize.models.ContactPhone.findOwnerIds('business_entity', phone);
+    return this.findAll({ where: { id: ids }, include: ['phones', 'emails'] });
   }
 
   static async findByEmail(email) {
-    const { Op } = require('sequelize');
-    return this.findAll({
-      where: {
-        [Op.or]: [
-          { email1: email },
-          { email2: email }
-        ]
-      }
-    });
+    const ids = await this.sequelize.models.ContactEmail.findOwnerIds('business_entity', email);
+    return this.findAll({ where: { id: ids }, include: ['phones', 'emails'] });
   }
 
   static async findByLocation(city, state) {
@@ -408,6 +354,14 @@ class BusinssEntity extends Model {
     });
   }
 
+  static async findByOwnerType(ownerType) {
+    return this.findAll({
+      where: {
+        owner_type: ownerType
+      }
+    });
+  }
+
   static async findPendingVerification() {
     return this.findAll({
       where: {
@@ -442,14 +396,6 @@ class BusinssEntity extends Model {
   static validateContactData(data) {
     const errors = [];
     
-    if (data.email1 && !this.isValidEmail(data.email1)) {
-      errors.push('email1 is not a valid email address');
-    }
-    
-    if (data.email2 && !this.isValidEmail(data.email2)) {
-      errors.push('email2 is not a valid email address');
-    }
-    
     if (data.zip && !this.isValidZip(data.zip)) {
       errors.push('zip is not a valid ZIP code');
     }
@@ -468,4 +414,4 @@ class BusinssEntity extends Model {
   }
 }
 
-module.exports = BusinssEntity;
\ No newline at end of file
+module.exports = BusinessEntity;
\ No newline at end of file
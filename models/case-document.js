@@ -0,0 +1,98 @@
+const { DataTypes, Model } = require('sequelize');
+
+/**
+ * CaseDocument Model
+ *
+ * One imaging file of a case (an entry of the search Item's ImagingFiles),
+ * and whether the pipeline has extracted it yet.
+ */
+class CaseDocument extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      case_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'cases',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      file_name: {
+        type: DataTypes.STRING(500),
+        allowNull: false
+      },
+      url: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'EMNRD download URL'
+      },
+      file_size: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      scan_date: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      s3_key: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'S3 key the document was archived under, once processed'
+      },
+      processed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When contacts were last extracted from the document'
+      },
+      last_job_id: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Job run that last processed the document'
+      },
+      contact_count: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Contacts saved by the last extraction'
+      },
+      search_file: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'The ImagingFiles entry as returned by the search'
+      }
+    }, {
+      sequelize,
+      modelName: 'CaseDocument',
+      tableName: 'case_documents',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['case_id', 'file_name'],
+          name: 'case_documents_case_file_unique'
+        },
+        {
+          fields: ['file_name'],
+          name: 'case_documents_file_name_idx'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.Case, {
+      foreignKey: 'case_id',
+      as: 'case'
+    });
+  }
+}
+
+module.exports = CaseDocument;
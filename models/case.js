@@ -0,0 +1,125 @@
+const { DataTypes, Model } = require('sequelize');
+
+/**
+ * Case Model
+ *
+ * An OCD case / application / order as returned by the EMNRD imaging search
+ * (one search `Item`). Its imaging files are CaseDocuments and the parties
+ * extracted from them are contacts with case_id set.
+ */
+class Case extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      case_number: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Case number the flows store on contacts (CaseNumber, or AdminOrderNo for administrative orders)'
+      },
+      app_number: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'EMNRD application number'
+      },
+      order_number: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'EMNRD order number'
+      },
+      source_key: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Flow that found the case (OCD_IMAGING, OCD_CBT, OLM, PLC)'
+      },
+      category: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Application category (e.g., CTB, OLM, PLC, or the case type of a hearing case)'
+      },
+      applicant: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      operator: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      county: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      scan_date: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Latest scan date of the case or its imaging files'
+      },
+      hearing_date: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      search_item: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'The EMNRD search Item without its ImagingFiles, as last seen'
+      },
+      last_seen_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When a search last returned the case'
+      }
+    }, {
+      sequelize,
+      modelName: 'Case',
+      tableName: 'cases',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['case_number'],
+          name: 'cases_case_number_unique'
+        },
+        {
+          fields: ['app_number'],
+          name: 'cases_app_number_idx'
+        },
+        {
+          fields: ['order_number'],
+          name: 'cases_order_number_idx'
+        },
+        {
+          fields: ['county'],
+          name: 'cases_county_idx'
+        },
+        {
+          fields: ['applicant'],
+          name: 'cases_applicant_idx'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.hasMany(models.CaseDocument, {
+      foreignKey: 'case_id',
+      as: 'documents'
+    });
+    this.hasMany(models.Contact, {
+      foreignKey: 'case_id',
+      as: 'contacts'
+    });
+    models.Contact.belongsTo(this, {
+      foreignKey: 'case_id',
+      as: 'case',
+      onDelete: 'SET NULL'
+    });
+  }
+}
+
+module.exports = Case;
@@ -0,0 +1,77 @@
+const { DataTypes, Model } = require('sequelize');
+
+/**
+ * ContactClusterMember Model
+ *
+ * Links each source contact to the cluster it was merged in, including the golden contact itself.
+ */
+class ContactClusterMember extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      cluster_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'contact_clusters',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      contact_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      role: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'member',
+        validate: {
+          isIn: [['golden', 'member']]
+        }
+      },
+      match_reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Why this contact was matched to the golden contact'
+      }
+    }, {
+      sequelize,
+      modelName: 'ContactClusterMember',
+      tableName: 'contact_cluster_members',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['cluster_id', 'contact_id'],
+          name: 'contact_cluster_members_unique'
+        },
+        {
+          fields: ['contact_id'],
+          name: 'contact_cluster_members_contact_idx'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.ContactCluster, {
+      foreignKey: 'cluster_id',
+      as: 'cluster'
+    });
+    this.belongsTo(models.Contact, {
+      foreignKey: 'contact_id',
+      as: 'contact',
+      constraints: false
+    });
+  }
+}
+
+module.exports = ContactClusterMember;
@@ -0,0 +1,113 @@
+const { DataTypes, Model } = require('sequelize');
+
+/**
+ * ContactCluster Model
+ *
+ * A set of duplicate contacts merged into one golden contact. The golden contact
+ * is the oldest member; the others stay in contacts with merged_into_id set.
+ * golden_snapshot holds what the merge changed so it can be undone.
+ */
+class ContactCluster extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      golden_contact_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Contact that holds the merged values'
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'merged',
+        validate: {
+          isIn: [['merged', 'undone']]
+        }
+      },
+      match_mode: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: 'manual',
+        comment: 'Dedupe mode that found the cluster (strict, name-only, name-company, fuzzy) or manual'
+      },
+      match_reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      member_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      field_sources: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: {},
+        comment: 'Contact ID each golden field value was taken from: { field: contactId }'
+      },
+      golden_snapshot: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'What the merge changed: { fields (before), merged_fields (after), added: { phones, emails, interests }, absorbed: [{ contactId, memberIds }] }'
+      },
+      created_by: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      merged_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      undone_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      undone_by: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      undo_conflicts: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Golden fields left alone on undo because they were edited after the merge: { field: current value }'
+      }
+    }, {
+      sequelize,
+      modelName: 'ContactCluster',
+      tableName: 'contact_clusters',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          fields: ['golden_contact_id'],
+          name: 'contact_clusters_golden_idx'
+        },
+        {
+          fields: ['status'],
+          name: 'contact_clusters_status_idx'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.hasMany(models.ContactClusterMember, {
+      foreignKey: 'cluster_id',
+      as: 'members'
+    });
+    this.belongsTo(models.Contact, {
+      foreignKey: 'golden_contact_id',
+      as: 'golden',
+      constraints: false
+    });
+  }
+}
+
+module.exports = ContactCluster;
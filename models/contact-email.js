@@ -0,0 +1,129 @@
+const { DataTypes, Model } = require('sequelize');
+
+const OWNER_TYPES = ['contact', 'contact_ready', 'business_entity'];
+const EMAIL_TYPES = ['personal', 'work', 'unknown'];
+const SOURCES = ['extraction', 'whitepages', 'manual'];
+
+/**
+ * ContactEmail Model
+ *
+ * Email addresses of a contact, contactsready or business entity row (owner_type + owner_id).
+ * Replaces the fixed email1/email2 columns.
+ */
+class ContactEmail extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      owner_type: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        comment: 'Table the owner row lives in: contact, contact_ready or business_entity',
+        validate: {
+          isIn: [OWNER_TYPES]
+        }
+      },
+      owner_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      email: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Lowercased address',
+        validate: {
+          isEmail: true,
+          len: [0, 255]
+        }
+      },
+      email_type: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'unknown',
+        validate: {
+          isIn: [EMAIL_TYPES]
+        }
+      },
+      source: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'extraction',
+        comment: 'Where the address came from: extraction, whitepages or manual',
+        validate: {
+          isIn: [SOURCES]
+        }
+      },
+      confidence: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+        validate: {
+          min: 0,
+          max: 1
+        }
+      },
+      is_verified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      first_seen_job_id: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Job that first produced the address (contacts.jobid format)'
+      },
+      position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Display order within the owner (0 = primary)'
+      }
+    }, {
+      sequelize,
+      modelName: 'ContactEmail',
+      tableName: 'contact_emails',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['owner_type', 'owner_id', 'email'],
+          name: 'contact_emails_owner_email_unique'
+        },
+        {
+          fields: ['email'],
+          name: 'contact_emails_email_idx'
+        },
+        {
+          fields: ['source'],
+          name: 'contact_emails_source_idx'
+        }
+      ]
+    });
+  }
+
+  /**
+   * Owner IDs with a matching address
+   * @param {string} ownerType - contact, contact_ready or business_entity
+   * @param {string} email - Address (case-insensitive)
+   */
+  static async findOwnerIds(ownerType, email) {
+    if (!email) return [];
+
+    const rows = await this.findAll({
+      where: { owner_type: ownerType, email: email.toString().trim().toLowerCase() },
+      attributes: ['owner_id']
+    });
+    return [...new Set(rows.map(row => row.owner_id))];
+  }
+}
+
+ContactEmail.OWNER_TYPES = OWNER_TYPES;
+ContactEmail.EMAIL_TYPES = EMAIL_TYPES;
+ContactEmail.SOURCES = SOURCES;
+
+module.exports = ContactEmail;
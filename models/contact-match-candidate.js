@@ -0,0 +1,86 @@
+const { DataTypes, Model } = require('sequelize');
+
+/**
+ * ContactMatchCandidate Model
+ *
+ * A likely duplicate pair found by fuzzy matching: a contact and an older contact
+ * it matched. Pending pairs are merged by the fuzzy deduplication run.
+ */
+class ContactMatchCandidate extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      contact_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'The newer contact of the pair'
+      },
+      match_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'The older contact it matched'
+      },
+      score: {
+        type: DataTypes.DECIMAL(4, 3),
+        allowNull: false
+      },
+      name_similarity: {
+        type: DataTypes.DECIMAL(4, 3),
+        allowNull: true,
+        comment: 'pg_trgm similarity of the name keys'
+      },
+      company_similarity: {
+        type: DataTypes.DECIMAL(4, 3),
+        allowNull: true,
+        comment: 'pg_trgm similarity of llc_owner; null when either contact has none'
+      },
+      signals: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: {},
+        comment: '{ sameZip, samePhonetic, sharedPhone, sharedEmail }'
+      },
+      match_reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending',
+        validate: {
+          isIn: [['pending', 'merged', 'dismissed']]
+        }
+      }
+    }, {
+      sequelize,
+      modelName: 'ContactMatchCandidate',
+      tableName: 'contact_match_candidates',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['contact_id', 'match_id'],
+          name: 'contact_match_candidates_pair_unique'
+        },
+        {
+          fields: ['match_id'],
+          name: 'contact_match_candidates_match_idx'
+        },
+        {
+          fields: ['status'],
+          name: 'contact_match_candidates_status_idx'
+        }
+      ]
+    });
+  }
+}
+
+module.exports = ContactMatchCandidate;
@@ -0,0 +1,147 @@
+const { DataTypes, Model } = require('sequelize');
+
+const OWNER_TYPES = ['contact', 'contact_ready', 'business_entity'];
+const PHONE_TYPES = ['mobile', 'landline', 'fax', 'voip', 'unknown'];
+const SOURCES = ['extraction', 'whitepages', 'manual'];
+
+/**
+ * ContactPhone Model
+ *
+ * Phone numbers of a contact, contactsready or business entity row (owner_type + owner_id).
+ * Replaces the fixed phone1-phone8 columns.
+ */
+class ContactPhone extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      owner_type: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        comment: 'Table the owner row lives in: contact, contact_ready or business_entity',
+        validate: {
+          isIn: [OWNER_TYPES]
+        }
+      },
+      owner_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      phone: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        comment: 'Number as found (e.g., "(575) 420-7918")'
+      },
+      phone_normalized: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'Digits only, without a leading US country code - used for matching'
+      },
+      phone_type: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'unknown',
+        validate: {
+          isIn: [PHONE_TYPES]
+        }
+      },
+      source: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'extraction',
+        comment: 'Where the number came from: extraction, whitepages or manual',
+        validate: {
+          isIn: [SOURCES]
+        }
+      },
+      confidence: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+        comment: '0-1 (WhitePages score / 100 for WhitePages numbers)',
+        validate: {
+          min: 0,
+          max: 1
+        }
+      },
+      is_verified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      first_seen_job_id: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Job that first produced the number (contacts.jobid format)'
+      },
+      position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Display order within the owner (0 = primary)'
+      }
+    }, {
+      sequelize,
+      modelName: 'ContactPhone',
+      tableName: 'contact_phones',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['owner_type', 'owner_id', 'phone_normalized'],
+          name: 'contact_phones_owner_phone_unique'
+        },
+        {
+          fields: ['phone_normalized'],
+          name: 'contact_phones_normalized_idx'
+        },
+        {
+          fields: ['source'],
+          name: 'contact_phones_source_idx'
+        }
+      ]
+    });
+  }
+
+  /**
+   * Digits used for matching - strips formatting and a leading US country code
+   * @returns {string|null} Normalized number, or null when it has too few digits to be a phone
+   */
+  static normalize(phone) {
+    if (!phone) return null;
+
+    let digits = phone.toString().replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('1')) {
+      digits = digits.substring(1);
+    }
+
+    return digits.length >= 7 && digits.length <= 15 ? digits : null;
+  }
+
+  /**
+   * Owner IDs with a matching number
+   * @param {string} ownerType - contact, contact_ready or business_entity
+   * @param {string} phone - Number in any format
+   */
+  static async findOwnerIds(ownerType, phone) {
+    const normalized = this.normalize(phone);
+    if (!normalized) return [];
+
+    const rows = await this.findAll({
+      where: { owner_type: ownerType, phone_normalized: normalized },
+      attributes: ['owner_id']
+    });
+    return [...new Set(rows.map(row => row.owner_id))];
+  }
+}
+
+ContactPhone.OWNER_TYPES = OWNER_TYPES;
+ContactPhone.PHONE_TYPES = PHONE_TYPES;
+ContactPhone.SOURCES = SOURCES;
+
+module.exports = ContactPhone;
@@ -0,0 +1,118 @@
+const { DataTypes, Model } = require('sequelize');
+
+/**
+ * ContactProvenance Model
+ *
+ * Where in which document a contact was read: the archived PDF, the page and,
+ * when Textract located it, the region of the page. Lets a disputed address be
+ * checked against the original filing.
+ */
+class ContactProvenance extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      contact_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Contact this provenance belongs to (contacts.id)'
+      },
+      job_id: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Job run that extracted the contact (job_runs.job_id)'
+      },
+      source_file: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'PDF file name'
+      },
+      s3_key: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'S3 key of the archived PDF'
+      },
+      content_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'SHA-256 of the PDF (processed_documents.content_hash)'
+      },
+      page_number: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: '1-based page the contact was read from (null when the model did not report one)',
+        validate: {
+          min: 1
+        }
+      },
+      region: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Bounding box on the page as fractions of page size: { left, top, width, height }'
+      },
+      region_source: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'What located the region (textract)',
+        validate: {
+          isIn: [['textract']]
+        }
+      },
+      extraction_method: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'ghostscript-claude-vision, claude-native-pdf-fallback, hybrid-textract-claude, ...'
+      },
+      document_section: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Section of the document the contact came from, as reported by Claude'
+      }
+    }, {
+      sequelize,
+      modelName: 'ContactProvenance',
+      tableName: 'contact_provenance',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          fields: ['contact_id'],
+          name: 'contact_provenance_contact_idx'
+        },
+        {
+          fields: ['job_id'],
+          name: 'contact_provenance_job_idx'
+        },
+        {
+          fields: ['content_hash'],
+          name: 'contact_provenance_content_hash_idx'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.Contact, {
+      foreignKey: 'contact_id',
+      as: 'contact',
+      onDelete: 'CASCADE'
+    });
+  }
+
+  /**
+   * Find the provenance records of a contact
+   */
+  static async findByContactId(contactId) {
+    return this.findAll({
+      where: { contact_id: contactId },
+      order: [['created_at', 'ASC']]
+    });
+  }
+}
+
+module.exports = ContactProvenance;
@@ -1,4 +1,6 @@
 const { DataTypes, Model } = require('sequelize');
+const { OWNER_TYPES } = require('../services/owner-type-classifier.js');
+const { STATUSES: OUTREACH_STATUSES } = require('./outreach-status-history.js');
 
 class ContactReady extends Model {
   static init(sequelize) {
@@ -36,6 +38,20 @@ class ContactReady extends Model {
           len: [0, 255]
         }
       },
+      deceased: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'The owner is known to be deceased (e.g. a verified WhitePages lookup)'
+      },
+      owner_details: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Parsed owner name: { individuals: [{ full_name, role, deceased, ... }], entity: { type, name, date }, care_of, life_estate, notes }'
+      },
+      // Legacy: phone1-phone8 / email1-email2 are superseded by contact_phones / contact_emails
+      // (scripts/migrate-contact-points.js) and no longer written. They stay defined so the
+      // alter sync doesn't drop them before the migration has run everywhere.
       phone1: {
         type: DataTypes.STRING(20),
         allowNull: true,
@@ -186,16 +202,55 @@ class ContactReady extends Model {
           len: [0, 50]
         }
       },
+      care_of: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'c/o or attention line taken out of the address'
+      },
       verified: {
         type: DataTypes.BOOLEAN,
         allowNull: false,
         defaultValue: false
       },
+      // Kept in step with owner_type === 'legal' for existing filters and exports
       islegal: {
         type: DataTypes.BOOLEAN,
         allowNull: false,
         defaultValue: false
       },
+      owner_type: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        validate: {
+          isIn: [OWNER_TYPES]
+        },
+        comment: 'individual, trust, estate, company, partnership, government, nonprofit, operator, legal or unknown'
+      },
+      owner_type_reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Classifier rule and the text it matched'
+      },
+      // Outreach workflow - changed only through OutreachWorkflowService, which records each change
+      outreach_status: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: 'new',
+        validate: {
+          isIn: [OUTREACH_STATUSES]
+        },
+        comment: 'new, researching, skip-traced, contacted, negotiating, leased, declined, deceased or bad-address'
+      },
+      outreach_status_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When outreach_status last changed'
+      },
+      outreach_status_by: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'User who last changed outreach_status'
+      },
       first_name: {
         type: DataTypes.STRING(255),
         allowNull: true,
@@ -280,6 +335,11 @@ class ContactReady extends Model {
         validate: {
           len: [0, 100]
         }
+      },
+      source_contact_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Contact this ready copy was moved from (set by moveContactsToReady); null for rows moved before the link existed'
       }
     }, {
       sequelize,
@@ -313,6 +373,12 @@ class ContactReady extends Model {
         {
           fields: ['islegal']
         },
+        {
+          fields: ['owner_type']
+        },
+        {
+          fields: ['outreach_status']
+        },
         {
           fields: ['ownership_type']
         },
@@ -330,24 +396,42 @@ class ContactReady extends Model {
         },
         {
           fields: ['case_number']
+        },
+        {
+          fields: ['source_contact_id']
         }
       ]
     });
   }
 
+  static associate(models) {
+    this.hasMany(models.ContactPhone, {
+      as: 'phones',
+      foreignKey: 'owner_id',
+      constraints: false,
+      scope: { owner_type: 'contact_ready' }
+    });
+    this.hasMany(models.ContactEmail, {
+      as: 'emails',
+      foreignKey: 'owner_id',
+      constraints: false,
+      scope: { owner_type: 'contact_ready' }
+    });
+  }
+
   // Instance methods
   getFullAddress() {
     const parts = [this.address, this.unit, this.city, this.state, this.zip].filter(Boolean);
     return parts.join(', ');
   }
 
+  // Require the phones / emails associations to be included
   getAllPhones() {
-    return [this.phone1, this.phone2, this.phone3, this.phone4, this.phone5, this.phone6, this.phone7, this.phone8]
-      .filter(Boolean);
+    return (this.phones || []).map(phone => phone.phone);
   }
 
   getAllEmails() {
-    return [this.email1, this.email2].filter(Boolean);
+    return (this.emails || []).map(email => email.email);
   }
 
   // Static methods
@@ -362,33 +446,13 @@ class ContactReady extends Model {
   }
 
   static async findByPhone(phone) {
-    const { Op } = require('sequelize');
-    return this.findAll({
-      where: {
-        [Op.or]: [
-          { phone1: phone },
-          { phone2: phone },
-          { phone3: phone },
-          { phone4: phone },
-          { phone5: phone },
-          { phone6: phone },
-          { phone7: phone },
-          { phone8: phone }
-        ]
-      }
-    });
+    const ids = await this.sequelize.models.ContactPhone.findOwnerIds('contact_ready', phone);
+    return this.findAll({ where: { id: ids }, include: ['phones', 'emails'] });
   }
 
   static async findByEmail(email) {
-    const { Op } = require('sequelize');
-    return this.findAll({
-      where: {
-        [Op.or]: [
-          { email1: email },
-          { email2: email }
-        ]
-      }
-    });
+    const ids = await this.sequelize.models.ContactEmail.findOwnerIds('contact_ready', email);
+    return this.findAll({ where: { id: ids }, include: ['phones', 'emails'] });
   }
 
   static async findByLocation(city, state) {
@@ -442,6 +506,22 @@ class ContactReady extends Model {
     });
   }
 
+  static async findByOwnerType(ownerType) {
+    return this.findAll({
+      where: {
+        owner_type: ownerType
+      }
+    });
+  }
+
+  static async findByOutreachStatus(status) {
+    return this.findAll({
+      where: {
+        outreach_status: status
+      }
+    });
+  }
+
   static async findPendingVerification() {
     return this.findAll({
       where: {
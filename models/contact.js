@@ -1,4 +1,8 @@
 const { DataTypes, Model } = require('sequelize');
+const { OWNER_TYPES } = require('../services/owner-type-classifier.js');
+
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'md', 'phd', 'esq'];
+const ENTITY_SUFFIX_PATTERN = /\b(llc|inc|corp|corporation|co|company|ltd|lp|llp|trust|partnership)\b/;
 
 class Contact extends Model {
   static init(sequelize) {
@@ -36,6 +40,20 @@ class Contact extends Model {
           len: [0, 255]
         }
       },
+      deceased: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'The owner is known to be deceased (e.g. a verified WhitePages lookup)'
+      },
+      owner_details: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Parsed owner name: { individuals: [{ full_name, role, deceased, ... }], entity: { type, name, date }, care_of, life_estate, notes }'
+      },
+      // Legacy: phone1-phone8 / email1-email2 are superseded by contact_phones / contact_emails
+      // (scripts/migrate-contact-points.js) and no longer written. They stay defined so the
+      // alter sync doesn't drop them before the migration has run everywhere.
       phone1: {
         type: DataTypes.STRING(20),
         allowNull: true,
@@ -186,16 +204,35 @@ class Contact extends Model {
           len: [0, 50]
         }
       },
+      care_of: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'c/o or attention line taken out of the address'
+      },
       acknowledged: {
         type: DataTypes.BOOLEAN,
         allowNull: false,
         defaultValue: false
       },
+      // Kept in step with owner_type === 'legal' for existing filters and exports
       islegal: {
         type: DataTypes.BOOLEAN,
         allowNull: false,
         defaultValue: false
       },
+      owner_type: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        validate: {
+          isIn: [OWNER_TYPES]
+        },
+        comment: 'individual, trust, estate, company, partnership, government, nonprofit, operator, legal or unknown'
+      },
+      owner_type_reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Classifier rule and the text it matched'
+      },
       first_name: {
         type: DataTypes.STRING(255),
         allowNull: true,
@@ -287,6 +324,46 @@ class Contact extends Model {
         validate: {
           len: [0, 100]
         }
+      },
+      case_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'cases',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        comment: 'OCD case the contact was noticed in (linked from case_number once the case is recorded)'
+      },
+      merged_into_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Golden contact this duplicate was merged into (see contact_clusters); null for live contacts'
+      },
+      // Blocking keys for fuzzy duplicate detection - set by the hooks below from the name and zip fields
+      name_key: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Normalized person name ("john a smith"), trigram-indexed'
+      },
+      last_name_key: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Normalized last name'
+      },
+      name_phonetic: {
+        type: DataTypes.STRING(10),
+        allowNull: true,
+        comment: 'Soundex of the last name plus first initial ("S530J")'
+      },
+      zip5: {
+        type: DataTypes.STRING(5),
+        allowNull: true
+      },
+      match_scored_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the contact was last scored against older contacts for duplicates (see contact_match_candidates)'
       }
     }, {
       sequelize,
@@ -315,6 +392,9 @@ class Contact extends Model {
         {
           fields: ['islegal']
         },
+        {
+          fields: ['owner_type']
+        },
         {
           fields: ['ownership_type']
         },
@@ -338,8 +418,134 @@ class Contact extends Model {
         },
         {
           fields: ['case_number']
+        },
+        {
+          fields: ['case_id']
+        },
+        {
+          fields: ['merged_into_id']
+        },
+        {
+          name: 'contacts_name_key_trgm_idx',
+          using: 'gin',
+          operator: 'gin_trgm_ops',
+          fields: ['name_key']
+        },
+        {
+          fields: ['last_name_key', 'zip5']
+        },
+        {
+          fields: ['name_phonetic']
+        },
+        {
+          fields: ['match_scored_at']
+        }
+      ],
+      hooks: {
+        beforeCreate: contact => Contact.setBlockingKeys(contact),
+        beforeBulkCreate: contacts => contacts.forEach(contact => Contact.setBlockingKeys(contact)),
+        beforeUpdate: contact => {
+          if (['name', 'first_name', 'last_name', 'zip'].some(field => contact.changed(field))) {
+            Contact.setBlockingKeys(contact);
+          }
         }
-      ]
+      }
+    });
+  }
+
+  /**
+   * Blocking keys for a contact's name and zip
+   * @param {Object} values - { name, first_name, last_name, zip }
+   * @returns {Object} { name_key, last_name_key, name_phonetic, zip5 }
+   */
+  static blockingKeys({ name, first_name, last_name, zip } = {}) {
+    let first = this.normalizeNameKey(first_name);
+    let last = this.normalizeNameKey(last_name);
+
+    // "Smith, John" - the part before the comma is the last name ("Acme Oil, LLC" is left alone)
+    if (!(first && last) && name && name.includes(',')) {
+      const [before, ...after] = name.split(',');
+      const afterKey = this.normalizeNameKey(after.join(' '));
+      if (afterKey && !ENTITY_SUFFIX_PATTERN.test(afterKey)) {
+        first = afterKey;
+        last = this.normalizeNameKey(before);
+      }
+    }
+
+    const nameKey = first && last ? `${first} ${last}` : this.normalizeNameKey(name);
+    // Without a parsed last name, fall back to the last word of the full name
+    const lastKey = last || (nameKey ? nameKey.split(' ').pop() : '');
+    const zipDigits = (zip || '').toString().replace(/\D/g, '');
+
+    return {
+      name_key: nameKey ? nameKey.substring(0, 255) : null,
+      last_name_key: lastKey ? lastKey.substring(0, 100) : null,
+      name_phonetic: lastKey ? `${this.soundex(lastKey)}${nameKey.charAt(0).toUpperCase()}` : null,
+      zip5: zipDigits.length >= 5 ? zipDigits.substring(0, 5) : null
+    };
+  }
+
+  static setBlockingKeys(contact) {
+    const keys = this.blockingKeys({
+      name: contact.get('name'),
+      first_name: contact.get('first_name'),
+      last_name: contact.get('last_name'),
+      zip: contact.get('zip')
+    });
+    Object.entries(keys).forEach(([field, value]) => contact.set(field, value));
+    // New name or zip - the contact has to be scored for duplicates again
+    contact.set('match_scored_at', null);
+  }
+
+  // Lowercase, punctuation and generational suffixes removed ("Smith, Jr." -> "smith")
+  static normalizeNameKey(value) {
+    if (!value) return '';
+
+    return value.toString()
+      .toLowerCase()
+      .replace(/['’]/g, '')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !NAME_SUFFIXES.includes(word))
+      .join(' ');
+  }
+
+  // American Soundex ("Smith" and "Smyth" -> "S530")
+  static soundex(value) {
+    const letters = (value || '').toUpperCase().replace(/[^A-Z]/g, '');
+    if (!letters) return '';
+
+    const codes = { B: 1, F: 1, P: 1, V: 1, C: 2, G: 2, J: 2, K: 2, Q: 2, S: 2, X: 2, Z: 2, D: 3, T: 3, L: 4, M: 5, N: 5, R: 6 };
+    let result = letters[0];
+    let previous = codes[letters[0]] || 0;
+
+    for (const letter of letters.substring(1)) {
+      const code = codes[letter] || 0;
+      if (code && code !== previous) {
+        result += code;
+        if (result.length === 4) break;
+      }
+      // H and W don't separate letters with the same code; vowels do
+      if (letter !== 'H' && letter !== 'W') {
+        previous = code;
+      }
+    }
+
+    return result.padEnd(4, '0');
+  }
+
+  static associate(models) {
+    this.hasMany(models.ContactPhone, {
+      as: 'phones',
+      foreignKey: 'owner_id',
+      constraints: false,
+      scope: { owner_type: 'contact' }
+    });
+    this.hasMany(models.ContactEmail, {
+      as: 'emails',
+      foreignKey: 'owner_id',
+      constraints: false,
+      scope: { owner_type: 'contact' }
     });
   }
 
@@ -349,13 +555,13 @@ class Contact extends Model {
     return parts.join(', ');
   }
 
+  // Require the phones / emails associations to be included
   getAllPhones() {
-    return [this.phone1, this.phone2, this.phone3, this.phone4, this.phone5, this.phone6, this.phone7, this.phone8]
-      .filter(Boolean);
+    return (this.phones || []).map(phone => phone.phone);
   }
 
   getAllEmails() {
-    return [this.email1, this.email2].filter(Boolean);
+    return (this.emails || []).map(email => email.email);
   }
 
   // Static methods
@@ -370,33 +576,13 @@ class Contact extends Model {
   }
 
   static async findByPhone(phone) {
-    const { Op } = require('sequelize');
-    return this.findAll({
-      where: {
-        [Op.or]: [
-          { phone1: phone },
-          { phone2: phone },
-          { phone3: phone },
-          { phone4: phone },
-          { phone5: phone },
-          { phone6: phone },
-          { phone7: phone },
-          { phone8: phone }
-        ]
-      }
-    });
+    const ids = await this.sequelize.models.ContactPhone.findOwnerIds('contact', phone);
+    return this.findAll({ where: { id: ids }, include: ['phones', 'emails'] });
   }
 
   static async findByEmail(email) {
-    const { Op } = require('sequelize');
-    return this.findAll({
-      where: {
-        [Op.or]: [
-          { email1: email },
-          { email2: email }
-        ]
-      }
-    });
+    const ids = await this.sequelize.models.ContactEmail.findOwnerIds('contact', email);
+    return this.findAll({ where: { id: ids }, include: ['phones', 'emails'] });
   }
 
   static async findByLocation(city, state) {
@@ -450,6 +636,14 @@ class Contact extends Model {
     });
   }
 
+  static async findByOwnerType(ownerType) {
+    return this.findAll({
+      where: {
+        owner_type: ownerType
+      }
+    });
+  }
+
   static async findPendingReview() {
     return this.findAll({
       where: {
@@ -0,0 +1,113 @@
+const { DataTypes, Model } = require('sequelize');
+
+const LOOKUP_STATUSES = ['success', 'no_results', 'error'];
+
+/**
+ * EnrichmentLookup Model
+ *
+ * One request to an enrichment provider (skip-trace vendor) for a contact: the
+ * normalized result (see services/enrichment-provider.js), the raw response and what
+ * it cost. Attempts of one waterfall share a lookup_group. Spend per provider is
+ * summed from cost.
+ */
+class EnrichmentLookup extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      contact_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'contacts.id searched for (not enforced FK, like whitepages_lookups)'
+      },
+      provider: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        validate: {
+          isIn: [LOOKUP_STATUSES]
+        }
+      },
+      lookup_group: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Shared by the provider attempts of one waterfall'
+      },
+      attempt: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Position of the provider in the waterfall (1 = first tried)'
+      },
+      search: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Person searched for: { first_name, last_name, address, city, state, zip }'
+      },
+      result: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Normalized result: { person, deceased, addresses, phones, emails, relatives, properties }'
+      },
+      raw_response: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      request_url: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      cost: {
+        type: DataTypes.DECIMAL(10, 4),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'USD charged for the request'
+      },
+      http_status: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      lookup_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    }, {
+      sequelize,
+      modelName: 'EnrichmentLookup',
+      tableName: 'enrichment_lookups',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          fields: ['contact_id'],
+          name: 'enrichment_lookups_contact_idx'
+        },
+        {
+          fields: ['provider', 'lookup_at'],
+          name: 'enrichment_lookups_provider_at_idx'
+        },
+        {
+          fields: ['lookup_group'],
+          name: 'enrichment_lookups_group_idx'
+        }
+      ]
+    });
+  }
+}
+
+EnrichmentLookup.STATUSES = LOOKUP_STATUSES;
+
+module.exports = EnrichmentLookup;
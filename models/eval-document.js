@@ -0,0 +1,92 @@
+const { DataTypes, Model } = require('sequelize');
+
+/**
+ * EvalDocument Model
+ *
+ * A labeled PDF in a golden set: the document plus the contacts a correct
+ * extraction should return. Used to score extraction prompt versions.
+ */
+class EvalDocument extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      set_name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        defaultValue: 'default',
+        comment: 'Golden set the document belongs to'
+      },
+      file_name: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        comment: 'Original PDF file name'
+      },
+      s3_key: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        comment: 'S3 key of the labeled PDF'
+      },
+      prompt_key: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Extraction prompt the document is evaluated with (e.g., "ocd-cbt-contacts")'
+      },
+      project_origin: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'PROJECT_ORIGIN prompt variable (OCD_IMAGING, CTB, OLM, PLC)'
+      },
+      expected_contacts: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Contacts a correct extraction returns, in Claude output format (name, company, address, state, zip, mineral_rights_percentage, ...)'
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'What makes this document interesting (multi-page tables, handwriting, ...)'
+      },
+      created_by: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'User who labeled the document'
+      }
+    }, {
+      sequelize,
+      modelName: 'EvalDocument',
+      tableName: 'eval_documents',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          fields: ['set_name', 'prompt_key'],
+          name: 'eval_documents_set_prompt_idx'
+        },
+        {
+          unique: true,
+          fields: ['set_name', 's3_key'],
+          name: 'eval_documents_set_s3_key_unique'
+        }
+      ]
+    });
+  }
+
+  /**
+   * Documents of a golden set for a prompt
+   */
+  static async findForSet(setName, promptKey) {
+    return this.findAll({
+      where: { set_name: setName, prompt_key: promptKey },
+      order: [['id', 'ASC']]
+    });
+  }
+}
+
+module.exports = EvalDocument;
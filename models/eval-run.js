@@ -0,0 +1,169 @@
+const { DataTypes, Model } = require('sequelize');
+
+/**
+ * EvalRun Model
+ *
+ * Score of one extraction prompt version against a golden set. Live runs also
+ * keep Claude's raw responses so the run can be replayed without calling Claude.
+ */
+class EvalRun extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      prompt_key: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Extraction prompt evaluated'
+      },
+      prompt_version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Prompt version evaluated'
+      },
+      set_name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Golden set evaluated against'
+      },
+      llm_mode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'live',
+        comment: 'live (Anthropic API, responses recorded) or replay (recorded responses, no API calls)',
+        validate: {
+          isIn: [['live', 'replay']]
+        }
+      },
+      extraction_method: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'native',
+        comment: 'vision (Ghostscript page images, as the document pipeline extracts) or native (PDF sent as is)',
+        validate: {
+          isIn: [['vision', 'native']]
+        }
+      },
+      replayed_run_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Live run whose responses a replay run used'
+      },
+      model: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Claude model used (CLAUDE_MODEL)'
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'running',
+        validate: {
+          isIn: [['running', 'completed', 'failed']]
+        }
+      },
+      document_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      expected_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Labeled contacts across the set'
+      },
+      predicted_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Contacts extracted across the set'
+      },
+      matched_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Extracted contacts matched to a labeled contact'
+      },
+      precision: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+        comment: 'matched / predicted'
+      },
+      recall: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+        comment: 'matched / expected'
+      },
+      f1: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+      },
+      field_accuracy: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Per-field accuracy over matched contacts: { name, address, state_zip, ownership_percentage }'
+      },
+      results: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: [],
+        comment: 'Per-document scores, predicted contacts and recorded responses'
+      },
+      error_message: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      started_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      sequelize,
+      modelName: 'EvalRun',
+      tableName: 'eval_runs',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          fields: ['prompt_key', 'prompt_version'],
+          name: 'eval_runs_prompt_version_idx'
+        },
+        {
+          fields: ['set_name'],
+          name: 'eval_runs_set_idx'
+        }
+      ]
+    });
+  }
+
+  /**
+   * Latest completed live run of a prompt version on a set - the source of replay responses.
+   * Recordings are keyed by the images / PDF sent, so only a run with the same extraction method replays.
+   */
+  static async findLatestLive(promptKey, promptVersion, setName, extractionMethod) {
+    return this.findOne({
+      where: {
+        prompt_key: promptKey,
+        prompt_version: promptVersion,
+        set_name: setName,
+        extraction_method: extractionMethod,
+        llm_mode: 'live',
+        status: 'completed'
+      },
+      order: [['completed_at', 'DESC']]
+    });
+  }
+}
+
+module.exports = EvalRun;
@@ -0,0 +1,125 @@
+const { DataTypes, Model } = require('sequelize');
+
+const OWNER_TYPES = ['contact', 'contact_ready', 'business_entity'];
+const INTEREST_TYPES = ['WI', 'UMI', 'ORRI', 'RI'];
+
+/**
+ * Interest Model
+ *
+ * One mineral interest of an owner (owner_type + owner_id, as for contact_phones)
+ * in a tract - or the whole unit - of an OCD case, as listed in a pooling exhibit.
+ * Replaces the single mineral_rights_percentage / ownership_type on the contact.
+ */
+class Interest extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      owner_type: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        comment: 'Table the owner row lives in: contact, contact_ready or business_entity',
+        validate: {
+          isIn: [OWNER_TYPES]
+        }
+      },
+      owner_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      case_number: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'OCD case number the exhibit belongs to'
+      },
+      tract: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Tract as listed (e.g., "1", "Tract 2A"); null for unit-level interests'
+      },
+      unit_level: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Interest in the whole spacing unit rather than one tract'
+      },
+      interest_type: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        comment: 'WI (working), UMI (unleased mineral), ORRI (overriding royalty) or RI (royalty)',
+        validate: {
+          isIn: [INTEREST_TYPES]
+        }
+      },
+      decimal_interest: {
+        type: DataTypes.DECIMAL(12, 10),
+        allowNull: true,
+        comment: 'Share of the tract / unit as a decimal (0.03125 for 1/32)',
+        validate: {
+          min: 0,
+          max: 1
+        }
+      },
+      net_revenue_interest: {
+        type: DataTypes.DECIMAL(12, 10),
+        allowNull: true,
+        comment: 'Net revenue interest as a decimal, when the exhibit lists one',
+        validate: {
+          min: 0,
+          max: 1
+        }
+      },
+      net_acres: {
+        type: DataTypes.DECIMAL(14, 6),
+        allowNull: true,
+        validate: {
+          min: 0
+        }
+      },
+      interest_text: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Interest as written in the document (e.g., "1/64 RI", "3.125%")'
+      },
+      source_file: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      source_page: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: '1-based page of the exhibit the interest was read from'
+      }
+    }, {
+      sequelize,
+      modelName: 'Interest',
+      tableName: 'interests',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          fields: ['owner_type', 'owner_id'],
+          name: 'interests_owner_idx'
+        },
+        {
+          fields: ['case_number'],
+          name: 'interests_case_number_idx'
+        },
+        {
+          fields: ['interest_type'],
+          name: 'interests_interest_type_idx'
+        }
+      ]
+    });
+  }
+}
+
+Interest.OWNER_TYPES = OWNER_TYPES;
+Interest.INTEREST_TYPES = INTEREST_TYPES;
+
+module.exports = Interest;
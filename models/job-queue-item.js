@@ -0,0 +1,177 @@
+const { DataTypes, Model } = require('sequelize');
+
+/**
+ * One file within one job run. Workers lease items, keep the lease alive with
+ * heartbeats while processing, and record the outcome so an interrupted job can
+ * be resumed from the first unfinished file.
+ */
+class JobQueueItem extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      job_id: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Job run this item belongs to (job_runs.job_id)',
+        validate: {
+          len: [1, 100],
+          notEmpty: true
+        }
+      },
+      job_type: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Type of job: OCD_IMAGING, OCD_IMAGING_DOWNLOAD, OCD_CBT, OLM, PLC'
+      },
+      item_key: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        comment: 'Unique key of the file within the job (S3 key)'
+      },
+      sequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Processing order within the job'
+      },
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Everything needed to process the file: {fileName, group, url, appNumber, orderNumber, caseNumber}'
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending',
+        comment: 'Queue state of the item',
+        validate: {
+          isIn: [['pending', 'leased', 'completed', 'failed', 'skipped']]
+        }
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Number of times the item has been leased',
+        validate: {
+          min: 0
+        }
+      },
+      max_attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 3,
+        comment: 'Attempts allowed before the item is marked failed',
+        validate: {
+          min: 1
+        }
+      },
+      lease_owner: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Worker currently holding the lease (host:pid)'
+      },
+      lease_expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Lease expiry - expired leases can be reclaimed'
+      },
+      heartbeat_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Last heartbeat from the lease owner'
+      },
+      failure_metric: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'JobRun counter the failure counts against (downloadFailed, validationFailed, ...)'
+      },
+      failure_reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Short failure / skip reason'
+      },
+      last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Error message from the last attempt'
+      },
+      contact_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Contacts saved for this file',
+        validate: {
+          min: 0
+        }
+      },
+      started_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the current/last attempt began'
+      },
+      completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the item reached a final state'
+      }
+    }, {
+      sequelize,
+      modelName: 'JobQueueItem',
+      tableName: 'job_queue_items',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['job_id', 'item_key'],
+          name: 'job_queue_items_job_item_unique'
+        },
+        {
+          fields: ['job_id', 'status', 'sequence'],
+          name: 'job_queue_items_job_status_seq_idx'
+        },
+        {
+          fields: ['job_type', 'status'],
+          name: 'job_queue_items_type_status_idx'
+        },
+        {
+          fields: ['status', 'lease_expires_at'],
+          name: 'job_queue_items_lease_idx'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.JobRun, {
+      foreignKey: 'job_id',
+      targetKey: 'job_id',
+      as: 'jobRun',
+      constraints: false
+    });
+  }
+
+  /**
+   * Check if the item still needs work
+   */
+  isOutstanding() {
+    return this.status === 'pending' || this.status === 'leased';
+  }
+
+  /**
+   * Check if the current lease has expired
+   */
+  isLeaseExpired() {
+    return this.status === 'leased' && this.lease_expires_at && new Date(this.lease_expires_at) < new Date();
+  }
+}
+
+module.exports = JobQueueItem;
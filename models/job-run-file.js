@@ -0,0 +1,159 @@
+const { DataTypes, Model } = require('sequelize');
+
+class JobRunFile extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      job_id: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Job run this file was processed in (job_runs.job_id)',
+        validate: {
+          len: [1, 100],
+          notEmpty: true
+        }
+      },
+      file_name: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        comment: 'PDF file name from EMNRD'
+      },
+      s3_key: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'S3 key the PDF is archived under'
+      },
+      record_type: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'County / applicant the file was fetched for'
+      },
+      app_number: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Application number from EMNRD (ApplicationNo)'
+      },
+      order_number: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Order number from EMNRD (OrderNo)'
+      },
+      case_number: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Case number from EMNRD (AdminOrderNo)'
+      },
+      file_size: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'File size reported by EMNRD in bytes'
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'Outcome of the file',
+        validate: {
+          isIn: [['completed', 'failed', 'retrying', 'skipped']]
+        }
+      },
+      stage_reached: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Last pipeline stage run (the failing stage when status is failed)'
+      },
+      extraction_method: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'ghostscript-claude-vision or claude-native-pdf-fallback'
+      },
+      images_generated: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Page images rendered by Ghostscript'
+      },
+      contact_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Contacts saved to PostgreSQL',
+        validate: {
+          min: 0
+        }
+      },
+      duration_ms: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Processing time of the last attempt in milliseconds'
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Processing attempts made'
+      },
+      error_reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Short failure / skip reason (Download failed, Validation failed, ...)'
+      },
+      error_message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Error message of the last failed attempt'
+      }
+    }, {
+      sequelize,
+      modelName: 'JobRunFile',
+      tableName: 'job_run_files',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['job_id', 'file_name', 'record_type'],
+          name: 'job_run_files_job_file_unique'
+        },
+        {
+          fields: ['job_id', 'status'],
+          name: 'job_run_files_job_status_idx'
+        },
+        {
+          fields: ['file_name'],
+          name: 'job_run_files_file_name_idx'
+        },
+        {
+          fields: ['case_number'],
+          name: 'job_run_files_case_number_idx'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.JobRun, {
+      foreignKey: 'job_id',
+      targetKey: 'job_id',
+      as: 'jobRun',
+      constraints: false
+    });
+  }
+
+  /**
+   * Find all files of a job run
+   */
+  static async findByJobId(jobId) {
+    return this.findAll({
+      where: { job_id: jobId },
+      order: [['created_at', 'ASC']]
+    });
+  }
+}
+
+module.exports = JobRunFile;
@@ -20,11 +20,11 @@ class JobRun extends Model {
       job_type: {
         type: DataTypes.STRING(50),
         allowNull: false,
-        comment: 'Type of job: OCD_IMAGING, OCD_CBT, OLM, PLC',
+        comment: 'Type of job: OCD_IMAGING, OCD_IMAGING_DOWNLOAD, OCD_CBT, OLM, PLC, CTB, WHITEPAGES, OCR, OCR_APPLICANT, S3_ANALYSIS',
         validate: {
           len: [1, 50],
           notEmpty: true,
-          isIn: [['OCD_IMAGING', 'OCD_CBT', 'OLM', 'PLC', 'CTB']]
+          isIn: [['OCD_IMAGING', 'OCD_IMAGING_DOWNLOAD', 'OCD_CBT', 'OLM', 'PLC', 'CTB', 'WHITEPAGES', 'OCR', 'OCR_APPLICANT', 'S3_ANALYSIS']]
         }
       },
       status: {
@@ -33,7 +33,7 @@ class JobRun extends Model {
         defaultValue: 'pending',
         comment: 'Current status of the job run',
         validate: {
-          isIn: [['pending', 'running', 'completed', 'failed']]
+          isIn: [['pending', 'running', 'paused', 'completed', 'failed', 'cancelled']]
         }
       },
       trigger_type: {
@@ -124,10 +124,15 @@ class JobRun extends Model {
         defaultValue: [],
         comment: 'Array of skipped file details: [{file, reason, error}]'
       },
+      options: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Job settings, e.g. requests_per_second of a WhitePages batch'
+      },
       error_message: {
         type: DataTypes.TEXT,
         allowNull: true,
-        comment: 'Error message if job failed'
+        comment: 'Error message if job failed, or why it was paused'
       },
       error_stack: {
         type: DataTypes.TEXT,
@@ -148,6 +153,13 @@ class JobRun extends Model {
           fields: ['job_id'],
           name: 'job_runs_job_id_unique'
         },
+        {
+          // At most one running run per job type - claiming a run is the insert itself
+          unique: true,
+          fields: ['job_type'],
+          where: { status: 'running' },
+          name: 'job_runs_one_running_per_type'
+        },
         {
           fields: ['job_type', 'status'],
           name: 'job_runs_type_status_idx'
@@ -172,6 +184,15 @@ class JobRun extends Model {
     });
   }
 
+  static associate(models) {
+    this.hasMany(models.JobRunFile, {
+      foreignKey: 'job_id',
+      sourceKey: 'job_id',
+      as: 'files',
+      constraints: false
+    });
+  }
+
   // Instance methods
 
   /**
@@ -285,6 +306,36 @@ class JobRun extends Model {
     });
   }
 
+  /**
+   * Fail every running run but the newest of each job type, so the
+   * job_runs_one_running_per_type index can be created over existing rows.
+   * Runs before sync; a no-op until the table exists.
+   * @returns {Promise<number>} Number of runs failed
+   */
+  static async failDuplicateRunning() {
+    const [[{ exists }]] = await this.sequelize.query(
+      "SELECT to_regclass('job_runs') IS NOT NULL AS exists"
+    );
+    if (!exists) return 0;
+
+    const [, result] = await this.sequelize.query(`
+      UPDATE job_runs
+      SET status = 'failed',
+          completed_at = NOW(),
+          duration_seconds = ROUND(EXTRACT(EPOCH FROM NOW() - started_at)),
+          error_message = 'Superseded by a newer running run of the same job type',
+          updated_at = NOW()
+      WHERE status = 'running'
+        AND id NOT IN (
+          SELECT DISTINCT ON (job_type) id
+          FROM job_runs
+          WHERE status = 'running'
+          ORDER BY job_type, started_at DESC NULLS LAST, id DESC
+        )
+    `);
+    return result.rowCount || 0;
+  }
+
   /**
    * Find recent job runs
    */
@@ -0,0 +1,101 @@
+const { DataTypes, Model } = require('sequelize');
+
+const OUTREACH_STATUSES = [
+  'new', 'researching', 'skip-traced', 'contacted', 'negotiating',
+  'leased', 'declined', 'deceased', 'bad-address'
+];
+
+// Status -> statuses a ready contact can move to from it. Leased is final; a declined,
+// deceased (heirs) or bad-address owner can be worked again.
+const OUTREACH_TRANSITIONS = {
+  'new': ['researching', 'skip-traced', 'deceased', 'bad-address'],
+  'researching': ['skip-traced', 'deceased', 'bad-address'],
+  'skip-traced': ['contacted', 'researching', 'deceased', 'bad-address'],
+  'contacted': ['negotiating', 'declined', 'skip-traced', 'deceased', 'bad-address'],
+  'negotiating': ['leased', 'declined', 'contacted', 'deceased'],
+  'leased': [],
+  'declined': ['contacted', 'negotiating'],
+  'deceased': ['researching'],
+  'bad-address': ['researching', 'skip-traced']
+};
+
+/**
+ * OutreachStatusHistory Model
+ *
+ * One outreach status change of a ready contact: from / to status, who made it and when.
+ * The contact's current status is contactsready.outreach_status.
+ */
+class OutreachStatusHistory extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      contact_ready_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'contactsready',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      from_status: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+      },
+      to_status: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        validate: {
+          isIn: [OUTREACH_STATUSES]
+        }
+      },
+      changed_by: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      note: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      changed_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    }, {
+      sequelize,
+      modelName: 'OutreachStatusHistory',
+      tableName: 'outreach_status_history',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          fields: ['contact_ready_id', 'changed_at'],
+          name: 'outreach_status_history_contact_idx'
+        },
+        {
+          fields: ['to_status'],
+          name: 'outreach_status_history_to_status_idx'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.ContactReady, {
+      foreignKey: 'contact_ready_id',
+      as: 'contact'
+    });
+  }
+}
+
+OutreachStatusHistory.STATUSES = OUTREACH_STATUSES;
+OutreachStatusHistory.TRANSITIONS = OUTREACH_TRANSITIONS;
+
+module.exports = OutreachStatusHistory;
@@ -0,0 +1,135 @@
+const { DataTypes, Model } = require('sequelize');
+
+/**
+ * ProcessedDocument Model
+ *
+ * Registry of every PDF whose contacts have been extracted, keyed by the SHA-256
+ * of its content. The pipeline checks it before sending a document to Claude so
+ * the same filing is not re-extracted (and its contacts re-inserted) every week.
+ */
+class ProcessedDocument extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      content_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 of the PDF bytes (hex)'
+      },
+      file_name: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        comment: 'File name the document was first processed under'
+      },
+      source_url: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'EMNRD URL the document was first downloaded from (null for uploads)'
+      },
+      s3_key: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'S3 key the document was archived under'
+      },
+      job_type: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Source that first processed the document (OCD_CBT, OLM, PLC, ...)'
+      },
+      record_type: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'County / applicant the document was first filed under'
+      },
+      file_size: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Document size in bytes'
+      },
+      first_job_id: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Job run that first processed the document (job_runs.job_id)'
+      },
+      last_job_id: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Most recent job run that saw (or force-reprocessed) the document'
+      },
+      times_seen: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'How many times the document has come through the pipeline'
+      },
+      times_processed: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'How many times contacts were extracted (more than 1 only with force)'
+      },
+      contact_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Contacts saved by the most recent extraction'
+      },
+      extraction_method: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'ghostscript-claude-vision or claude-native-pdf-fallback'
+      },
+      last_seen_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: 'When the document last came through the pipeline'
+      }
+    }, {
+      sequelize,
+      modelName: 'ProcessedDocument',
+      tableName: 'processed_documents',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['content_hash'],
+          name: 'processed_documents_content_hash_unique'
+        },
+        {
+          fields: ['file_name'],
+          name: 'processed_documents_file_name_idx'
+        },
+        {
+          fields: ['first_job_id'],
+          name: 'processed_documents_first_job_idx'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.JobRun, {
+      foreignKey: 'first_job_id',
+      targetKey: 'job_id',
+      as: 'firstJobRun',
+      constraints: false
+    });
+  }
+
+  /**
+   * Find a document by content hash
+   */
+  static async findByHash(contentHash) {
+    return this.findOne({ where: { content_hash: contentHash } });
+  }
+}
+
+module.exports = ProcessedDocument;
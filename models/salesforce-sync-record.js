@@ -0,0 +1,122 @@
+const { DataTypes, Model } = require('sequelize');
+
+const RECORD_STATUSES = ['synced', 'failed'];
+
+/**
+ * SalesforceSyncRecord Model
+ *
+ * Sync state of one ready contact in one Salesforce object: the Salesforce ID it was
+ * upserted as, a hash of the values last sent (so unchanged contacts are skipped),
+ * and the error of the last failed attempt.
+ */
+class SalesforceSyncRecord extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      contact_ready_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'contactsready',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      sobject: {
+        type: DataTypes.STRING(40),
+        allowNull: false
+      },
+      external_id: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Value sent in the external ID field'
+      },
+      salesforce_id: {
+        type: DataTypes.STRING(18),
+        allowNull: true,
+        comment: 'Salesforce record ID, once upserted'
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        validate: {
+          isIn: [RECORD_STATUSES]
+        }
+      },
+      payload_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'SHA-256 of the values last synced successfully'
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_run_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      last_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      last_synced_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      error_code: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Salesforce statusCode of the last failure (e.g., REQUIRED_FIELD_MISSING)'
+      },
+      error_message: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      errors: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Full error list of the last failure: [{ statusCode, message, fields }]'
+      }
+    }, {
+      sequelize,
+      modelName: 'SalesforceSyncRecord',
+      tableName: 'salesforce_sync_records',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['contact_ready_id', 'sobject'],
+          name: 'salesforce_sync_records_contact_object_unique'
+        },
+        {
+          fields: ['status'],
+          name: 'salesforce_sync_records_status_idx'
+        },
+        {
+          fields: ['last_run_id'],
+          name: 'salesforce_sync_records_run_idx'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.ContactReady, {
+      foreignKey: 'contact_ready_id',
+      as: 'contact'
+    });
+  }
+}
+
+SalesforceSyncRecord.STATUSES = RECORD_STATUSES;
+
+module.exports = SalesforceSyncRecord;
@@ -0,0 +1,154 @@
+const { DataTypes, Model } = require('sequelize');
+
+const RUN_STATUSES = ['running', 'completed', 'failed'];
+
+/**
+ * SalesforceSyncRun Model
+ *
+ * One push of ready contacts to Salesforce, with its totals. The outcome per contact
+ * is in salesforce_sync_records (last_run_id).
+ */
+class SalesforceSyncRun extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      sobject: {
+        type: DataTypes.STRING(40),
+        allowNull: false,
+        comment: 'Salesforce object upserted into (Contact or Lead)'
+      },
+      external_id_field: {
+        type: DataTypes.STRING(80),
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'running',
+        validate: {
+          isIn: [RUN_STATUSES]
+        }
+      },
+      options: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Selection the run was started with: { ids, outreachStatus, force, limit }'
+      },
+      triggered_by: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      selected: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Ready contacts looked at'
+      },
+      created: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      updated: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      unchanged: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Skipped because nothing mapped changed since the last successful sync'
+      },
+      failed: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      error_message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Why the run itself failed (login, network); record errors are on the records'
+      },
+      started_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      sequelize,
+      modelName: 'SalesforceSyncRun',
+      tableName: 'salesforce_sync_runs',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          // At most one running sync - starting a sync is the insert itself
+          unique: true,
+          fields: ['status'],
+          where: { status: 'running' },
+          name: 'salesforce_sync_runs_one_running'
+        },
+        {
+          fields: ['status'],
+          name: 'salesforce_sync_runs_status_idx'
+        },
+        {
+          fields: ['started_at'],
+          name: 'salesforce_sync_runs_started_idx'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.hasMany(models.SalesforceSyncRecord, {
+      foreignKey: 'last_run_id',
+      as: 'records',
+      constraints: false
+    });
+  }
+
+  /**
+   * Fail every running sync but the newest, so the salesforce_sync_runs_one_running
+   * index can be created over existing rows. Runs before sync; a no-op until the
+   * table exists.
+   * @returns {Promise<number>} Number of runs failed
+   */
+  static async failDuplicateRunning() {
+    const [[{ exists }]] = await this.sequelize.query(
+      "SELECT to_regclass('salesforce_sync_runs') IS NOT NULL AS exists"
+    );
+    if (!exists) return 0;
+
+    const [, result] = await this.sequelize.query(`
+      UPDATE salesforce_sync_runs
+      SET status = 'failed',
+          completed_at = NOW(),
+          error_message = 'Superseded by a newer running sync',
+          updated_at = NOW()
+      WHERE status = 'running'
+        AND id <> (
+          SELECT id FROM salesforce_sync_runs
+          WHERE status = 'running'
+          ORDER BY started_at DESC, id DESC
+          LIMIT 1
+        )
+    `);
+    return result.rowCount || 0;
+  }
+}
+
+SalesforceSyncRun.STATUSES = RUN_STATUSES;
+
+module.exports = SalesforceSyncRun;
@@ -0,0 +1,103 @@
+const { DataTypes, Model } = require('sequelize');
+
+/**
+ * SearchTarget Model
+ *
+ * Applicants and counties searched on EMNRD. Replaces the hard-coded
+ * DataService lists so landmen can add operators and counties without a deploy.
+ */
+class SearchTarget extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      target_type: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'applicant (OCD Imaging case search) or county (administrative order search)',
+        validate: {
+          isIn: [['applicant', 'county']]
+        }
+      },
+      name: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Applicant or county name as sent to EMNRD (e.g., "Mewbourne", "Eddy")',
+        validate: {
+          notEmpty: true
+        }
+      },
+      category: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: '',
+        comment: 'OCD ApplicationCategoryId for county targets (CTB, OLM, PLC); empty for applicants'
+      },
+      enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Whether scheduled and manual runs search this target'
+      },
+      schedule: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Cron expression for a dedicated run of this target (null = searched by the source\'s regular run)'
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Why this target was added'
+      },
+      created_by: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'User who created this target'
+      },
+      updated_by: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'User who last updated this target'
+      }
+    }, {
+      sequelize,
+      modelName: 'SearchTarget',
+      tableName: 'search_targets',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['target_type', 'category', 'name'],
+          name: 'search_targets_type_category_name_unique'
+        },
+        {
+          fields: ['target_type', 'enabled'],
+          name: 'search_targets_type_enabled_idx'
+        }
+      ]
+    });
+  }
+
+  /**
+   * Find enabled targets of a type, optionally for one application category
+   */
+  static async findEnabled(targetType, category) {
+    const where = { target_type: targetType, enabled: true };
+    if (category !== undefined) {
+      where.category = category;
+    }
+
+    return this.findAll({
+      where,
+      order: [['name', 'ASC']]
+    });
+  }
+}
+
+module.exports = SearchTarget;
@@ -0,0 +1,113 @@
+const { DataTypes, Model } = require('sequelize');
+
+/**
+ * WhitepagesMerge Model
+ *
+ * What a verified WhitePages lookup changed on one contact or ready contact: the
+ * phones and emails it added (contact_phones / contact_emails rows with source
+ * 'whitepages'), the fields it overwrote with their previous values, and the
+ * outreach status change. Holds everything needed to undo the merge.
+ */
+class WhitepagesMerge extends Model {
+  static init(sequelize) {
+    return super.init({
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      lookup_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'whitepages_lookups',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      owner_type: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        comment: 'Merged into a contacts or contactsready row',
+        validate: {
+          isIn: [['contact', 'contact_ready']]
+        }
+      },
+      owner_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      field_changes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: '{ field: { old, new } } for address, city, state, zip, unit, possible_relative, deceased_relative'
+      },
+      phone_ids: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'contact_phones rows the merge added'
+      },
+      email_ids: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'contact_emails rows the merge added'
+      },
+      outreach_status_from: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'Outreach status before a ready contact was marked deceased'
+      },
+      outreach_status_to: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+      },
+      merged_by: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      undone_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      undone_by: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      undo_conflicts: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Fields left alone on undo because they were edited after the merge: { field: current value }'
+      }
+    }, {
+      sequelize,
+      modelName: 'WhitepagesMerge',
+      tableName: 'whitepages_merges',
+      timestamps: true,
+      underscored: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          fields: ['lookup_id'],
+          name: 'whitepages_merges_lookup_idx'
+        },
+        {
+          fields: ['owner_type', 'owner_id'],
+          name: 'whitepages_merges_owner_idx'
+        }
+      ]
+    });
+  }
+
+  static associate(models) {
+    this.belongsTo(models.WhitepagesLookup, {
+      foreignKey: 'lookup_id',
+      as: 'lookup'
+    });
+  }
+}
+
+module.exports = WhitepagesMerge;
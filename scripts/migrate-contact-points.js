@@ -0,0 +1,154 @@
+require('dotenv').config();
+const { Contact, ContactReady, ContactPhone, ContactEmail } = require('../config/pddbclient.cjs');
+const { Op } = require('sequelize');
+const ContactPointService = require('../services/contact-point.service.js');
+
+/**
+ * Contact Point Migration Script
+ *
+ * Moves the legacy phone1-phone8 / email1-email2 columns of contacts and
+ * contactsready into contact_phones / contact_emails. Safe to re-run - numbers
+ * and addresses an owner already has are skipped.
+ *
+ * --clear-legacy also empties the legacy columns once a batch has been copied.
+ *
+ * Run with: node scripts/migrate-contact-points.js [--dry-run] [--batch-size=500] [--clear-legacy]
+ */
+
+const LEGACY_COLUMNS = [...ContactPointService.LEGACY_PHONE_COLUMNS, ...ContactPointService.LEGACY_EMAIL_COLUMNS];
+
+class ContactPointMigrator {
+  constructor(options = {}) {
+    this.dryRun = options.dryRun || false;
+    this.batchSize = options.batchSize || 500;
+    this.clearLegacy = options.clearLegacy || false;
+    this.contactPointService = new ContactPointService();
+  }
+
+  /**
+   * Copy the legacy columns of one table, in ID order
+   * @param {Model} model - Contact or ContactReady
+   * @param {string} ownerType - contact or contact_ready
+   */
+  async migrateTable(model, ownerType) {
+    const stats = { rows: 0, withPoints: 0, phones: 0, emails: 0, errors: 0 };
+    const hasJobId = !!model.rawAttributes.jobid;
+    let lastId = 0;
+
+    console.log(`\n📦 Migrating ${model.tableName} -> ${ownerType} contact points`);
+
+    while (true) {
+      const rows = await model.findAll({
+        where: {
+          id: { [Op.gt]: lastId },
+          [Op.or]: LEGACY_COLUMNS.map(column => ({ [column]: { [Op.ne]: null } }))
+        },
+        attributes: ['id', ...LEGACY_COLUMNS, ...(hasJobId ? ['jobid'] : [])],
+        order: [['id', 'ASC']],
+        limit: this.batchSize,
+        raw: true
+      });
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      lastId = rows[rows.length - 1].id;
+      stats.rows += rows.length;
+
+      const entries = rows
+        .map(row => ({ ownerId: row.id, jobId: row.jobid || null, ...this.contactPointService.fromLegacyColumns(row) }))
+        .filter(entry => entry.phones.length || entry.emails.length);
+      stats.withPoints += entries.length;
+
+      if (this.dryRun) {
+        entries.slice(0, 3).forEach(entry => {
+          console.log(`[DRY RUN] ${ownerType} ${entry.ownerId}: phones [${entry.phones.map(p => p.phone).join(', ')}], emails [${entry.emails.map(e => e.email).join(', ')}]`);
+        });
+        stats.phones += entries.reduce((sum, entry) => sum + this.contactPointService.uniquePhones(entry.phones).length, 0);
+        stats.emails += entries.reduce((sum, entry) => sum + this.contactPointService.uniqueEmails(entry.emails).length, 0);
+        continue;
+      }
+
+      try {
+        const saved = await this.contactPointService.addPointsForMany(ownerType, entries);
+        stats.phones += saved.phones;
+        stats.emails += saved.emails;
+
+        if (this.clearLegacy) {
+          const cleared = {};
+          LEGACY_COLUMNS.forEach(column => {
+            cleared[column] = null;
+          });
+          await model.update(cleared, { where: { id: rows.map(row => row.id) }, validate: false });
+        }
+
+        console.log(`   ✅ Up to ID ${lastId}: ${saved.phones} phones, ${saved.emails} emails`);
+      } catch (error) {
+        console.error(`   ❌ Batch ending at ID ${lastId} failed: ${error.message}`);
+        stats.errors++;
+      }
+    }
+
+    return stats;
+  }
+
+  async run() {
+    console.log('🚀 Starting contact point migration...');
+    console.log(`Mode: ${this.dryRun ? 'DRY RUN' : 'LIVE'}${this.clearLegacy ? ' (clearing legacy columns)' : ''}`);
+    console.log(`Batch size: ${this.batchSize}`);
+
+    // The shared client syncs in the background - make sure the target tables exist first
+    await ContactPhone.sync();
+    await ContactEmail.sync();
+
+    const startTime = Date.now();
+    const results = {
+      contacts: await this.migrateTable(Contact, 'contact'),
+      contactsready: await this.migrateTable(ContactReady, 'contact_ready')
+    };
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 CONTACT POINT MIGRATION COMPLETE');
+    console.log('='.repeat(60));
+    for (const [table, stats] of Object.entries(results)) {
+      console.log(`${table}: ${stats.rows} rows scanned, ${stats.withPoints} with phones/emails`);
+      console.log(`   ${this.dryRun ? 'Would create' : 'Created'}: ${stats.phones} phones, ${stats.emails} emails (errors: ${stats.errors})`);
+    }
+    console.log(`Duration: ${duration}s`);
+    console.log('='.repeat(60));
+
+    if (this.dryRun) {
+      console.log('\n⚠️  This was a DRY RUN. No changes were made to the database.');
+      console.log('Run without --dry-run to apply changes.');
+    }
+
+    return Object.values(results).reduce((sum, stats) => sum + stats.errors, 0);
+  }
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+  dryRun: args.includes('--dry-run'),
+  clearLegacy: args.includes('--clear-legacy'),
+  batchSize: 500
+};
+
+const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+if (batchSizeArg) {
+  options.batchSize = parseInt(batchSizeArg.split('=')[1]);
+}
+
+(async () => {
+  try {
+    const migrator = new ContactPointMigrator(options);
+    const errors = await migrator.run();
+    process.exit(errors ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,96 @@
+const express = require('express');
+const crypto = require('crypto');
+
+/**
+ * Mock Salesforce server for testing the Salesforce sync locally
+ *
+ * Implements just what SalesforceSyncService uses: the OAuth token endpoint (any
+ * assertion is accepted) and the sObject Collections upsert by external ID, with
+ * records kept in memory. Records missing LastName (or Company for Leads) fail with
+ * REQUIRED_FIELD_MISSING, as in Salesforce. GET /mock/records lists what was stored
+ * and DELETE /mock/records clears it.
+ *
+ * Run with: node scripts/mock-salesforce-server.js
+ * then start the API with SALESFORCE_INSTANCE_URL=http://localhost:5252 and
+ * SALESFORCE_ACCESS_TOKEN=mock-token (see docs/salesforce-sync.md).
+ */
+
+const port = parseInt(process.env.SALESFORCE_MOCK_PORT) || 5252;
+const accessToken = process.env.SALESFORCE_MOCK_TOKEN || 'mock-token';
+const REQUIRED_FIELDS = {
+  Contact: ['LastName'],
+  Lead: ['LastName', 'Company']
+};
+const ID_PREFIXES = { Contact: '003', Lead: '00Q' };
+
+// sobject → external ID value → record
+const store = {};
+let sequence = 0;
+
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+app.post('/services/oauth2/token', (req, res) => {
+  res.json({
+    access_token: accessToken,
+    instance_url: `http://localhost:${port}`,
+    token_type: 'Bearer'
+  });
+});
+
+app.patch('/services/data/:version/composite/sobjects/:sobject/:externalIdField', (req, res) => {
+  if (req.headers.authorization !== `Bearer ${accessToken}`) {
+    return res.status(401).json([{ errorCode: 'INVALID_SESSION_ID', message: 'Session expired or invalid' }]);
+  }
+
+  const { sobject, externalIdField } = req.params;
+  const records = (req.body && req.body.records) || [];
+  if (!REQUIRED_FIELDS[sobject]) {
+    return res.status(404).json([{ errorCode: 'NOT_FOUND', message: `The requested resource does not exist: ${sobject}` }]);
+  }
+  if (records.length > 200) {
+    return res.status(400).json([{ errorCode: 'EXCEEDED_ID_LIMIT', message: 'Record limit is 200' }]);
+  }
+
+  store[sobject] = store[sobject] || {};
+  const results = records.map(record => {
+    const { attributes, ...fields } = record;
+    const externalId = fields[externalIdField];
+    if (!externalId) {
+      return { success: false, errors: [{ statusCode: 'MISSING_ARGUMENT', message: `${externalIdField} not specified`, fields: [externalIdField] }] };
+    }
+
+    const existing = store[sobject][externalId];
+    const merged = { ...(existing || {}), ...fields };
+    const missing = REQUIRED_FIELDS[sobject].filter(field => !merged[field]);
+    if (missing.length) {
+      return { success: false, errors: [{ statusCode: 'REQUIRED_FIELD_MISSING', message: `Required fields are missing: [${missing.join(', ')}]`, fields: missing }] };
+    }
+
+    if (!existing) {
+      merged.Id = `${ID_PREFIXES[sobject]}${crypto.createHash('md5').update(`${sobject}${++sequence}`).digest('hex').substring(0, 12).toUpperCase()}`;
+    }
+    store[sobject][externalId] = merged;
+    return { id: merged.Id, success: true, created: !existing, errors: [] };
+  });
+
+  console.log(`☁️ Upserted ${records.length} ${sobject} records by ${externalIdField}: ${results.filter(result => result.success).length} succeeded`);
+  res.json(results);
+});
+
+app.get('/mock/records', (req, res) => {
+  const sobject = req.query.sobject;
+  res.json(sobject ? Object.values(store[sobject] || {}) : store);
+});
+
+app.delete('/mock/records', (req, res) => {
+  for (const key of Object.keys(store)) {
+    delete store[key];
+  }
+  res.json({ success: true });
+});
+
+app.listen(port, () => {
+  console.log(`🚀 Mock Salesforce listening on http://localhost:${port} (token: ${accessToken})`);
+});
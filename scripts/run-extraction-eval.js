@@ -0,0 +1,58 @@
+require('dotenv').config();
+const AuthService = require('../services/auth.service.js');
+const S3Service = require('../services/s3.service.js');
+const LoggingService = require('../services/logging.service.js');
+const ExtractionEvalService = require('../services/extraction-eval.service.js');
+
+/**
+ * Script: Score an extraction prompt version against a golden set
+ *
+ * Live runs call Claude and record its responses; --replay re-scores the latest
+ * live run of the same version from those recorded responses, without calling Claude.
+ * Documents go through the production page-image path unless --native sends the PDF as is.
+ * Run with: node scripts/run-extraction-eval.js --prompt <key> [--version N] [--set name] [--replay] [--native]
+ */
+
+const args = process.argv.slice(2);
+const argValue = name => {
+  const idx = args.indexOf(name);
+  return idx !== -1 ? args[idx + 1] : null;
+};
+
+const promptKey = argValue('--prompt');
+const version = argValue('--version');
+const setName = argValue('--set') || 'default';
+const mode = args.includes('--replay') ? 'replay' : 'live';
+const extraction = args.includes('--native') ? 'native' : 'vision';
+
+(async () => {
+  try {
+    if (!promptKey) {
+      console.error('Usage: node scripts/run-extraction-eval.js --prompt <key> [--version N] [--set name] [--replay] [--native]');
+      process.exit(1);
+    }
+
+    const loggingService = new LoggingService();
+    const s3Service = new S3Service(new AuthService(), loggingService);
+    const evalService = new ExtractionEvalService(s3Service);
+
+    const run = await evalService.runEvaluation({ promptKey, version, setName, mode, extraction });
+
+    console.log(`\n📊 ${run.prompt_key} v${run.prompt_version} on "${run.set_name}" (${run.llm_mode}, ${run.extraction_method})`);
+    console.log(`   Contacts: ${run.matched_count} matched / ${run.predicted_count} extracted / ${run.expected_count} labeled`);
+    console.log(`   Precision: ${evalService.formatScore(run.precision)}  Recall: ${evalService.formatScore(run.recall)}  F1: ${evalService.formatScore(run.f1)}`);
+
+    for (const [field, score] of Object.entries(run.field_accuracy)) {
+      console.log(`   ${field}: ${evalService.formatScore(score.accuracy)} (${score.correct}/${score.total})`);
+    }
+
+    for (const result of run.results.filter(r => r.error)) {
+      console.log(`⚠️  ${result.fileName}: ${result.error}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  }
+})();
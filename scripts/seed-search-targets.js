@@ -0,0 +1,60 @@
+require('dotenv').config();
+const DataService = require('../services/data.service.js');
+const SearchTargetService = require('../services/search-target.service.js');
+
+/**
+ * Seed Script: Import the built-in applicants and counties as search targets
+ *
+ * Copies DataService's default applicant list and its default counties (for every
+ * OCD application category) into search_targets. Existing targets are left alone.
+ * Run with: node scripts/seed-search-targets.js [--dry-run]
+ */
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+(async () => {
+  try {
+    const dataService = new DataService(null, null);
+    const searchTargetService = new SearchTargetService();
+    const stats = { created: 0, skipped: 0, errors: 0 };
+
+    const targets = [
+      ...dataService.applicantNames.map(name => ({ target_type: 'applicant', name })),
+      ...searchTargetService.getCategories().flatMap(category =>
+        dataService.countyNames.map(name => ({ target_type: 'county', name, category }))
+      )
+    ];
+
+    console.log(`🚀 Seeding ${targets.length} search targets (${dryRun ? 'DRY RUN' : 'LIVE'})\n`);
+
+    for (const target of targets) {
+      const label = target.category ? `${target.target_type} ${target.name} (${target.category})` : `${target.target_type} ${target.name}`;
+
+      if (dryRun) {
+        console.log(`[DRY RUN] Would create ${label}`);
+        stats.created++;
+        continue;
+      }
+
+      const result = await searchTargetService.createTarget(target, 'system');
+
+      if (result.success) {
+        stats.created++;
+      } else if (result.message.startsWith('Search target already exists')) {
+        console.log(`⏭️  Skipping (exists): ${label}`);
+        stats.skipped++;
+      } else {
+        console.error(`❌ ${label}: ${result.message}`);
+        stats.errors++;
+      }
+    }
+
+    console.log(`\n📊 Created: ${stats.created}, Skipped: ${stats.skipped}, Errors: ${stats.errors}`);
+    console.log('Manage targets via the API at /v1/configurables/search-targets');
+    process.exit(stats.errors ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  }
+})();
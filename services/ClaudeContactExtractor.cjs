@@ -1,5 +1,5 @@
 const { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
-const Anthropic = require('@anthropic-ai/sdk');
+const LlmTransport = require('./llm-transport.js');
 const pdf = require('pdf-parse');
 const fs = require('fs');
 const path = require('path');
@@ -16,12 +16,42 @@ const {
   DeleteObjectCommand
 } = require('@aws-sdk/client-s3');
 
+// Appended to every vision / PDF prompt so each contact can be traced back to its page
+const PAGE_REFERENCE_INSTRUCTIONS = `
+
+PAGE REFERENCES:
+For EVERY contact also return "source_page": the 1-based page number the contact's name and address were read from.
+- When pages are sent as images, use the number from the "Page N" label that precedes each image
+- When a PDF document is sent, count pages from the first page of that document
+- Use null if you cannot tell which page the contact came from`
+
+// Appended to every prompt so pooling exhibits yield one record per interest, not one percentage per owner
+const INTEREST_INSTRUCTIONS = `
+
+INTERESTS:
+For EVERY contact also return "interests": one entry per interest the owner holds in a tract or in the whole unit,
+as listed in ownership / recapitulation / parties to pool exhibits. Use [] when the document lists no interests.
+{
+  "interest_type": "WI, UMI, ORRI or RI",
+  "tract": "Tract number or name as listed, null for a unit-level interest",
+  "unit_level": true/false,
+  "decimal_interest": "Interest as a decimal exactly as shown (e.g. 0.03125000), or the fraction / percentage as written",
+  "net_revenue_interest": "Net revenue interest decimal if listed, else null",
+  "net_acres": "Net acres if listed, else null",
+  "interest_text": "The interest as written in the document",
+  "source_page": "1-based page the interest was read from, or null"
+}
+- An owner listed in several tracts, or with several interest types, gets one entry for each
+- Keep every decimal place the document shows`
+
 
 class ClaudeContactExtractor {
   constructor(config) {
-    this.anthropic = new Anthropic({
-      apiKey: config.anthropicApiKey
-    });
+    // config.anthropicClient replaces the transport (e.g. an LlmTransport replaying an eval run's recordings);
+    // otherwise LLM_TRANSPORT_MODE picks live, record or replay
+    this.anthropic = config.anthropicClient || (config.llmTransportMode
+      ? new LlmTransport({ mode: config.llmTransportMode, apiKey: config.anthropicApiKey })
+      : LlmTransport.fromEnv(config.anthropicApiKey));
 
     this.s3Client = new S3Client({
       region: config.awsRegion || 'us-east-1',
@@ -80,6 +110,16 @@ class ClaudeContactExtractor {
    * @returns {Promise<string>} - The prompt text
    */
   async getPrompt(mode) {
+    const prompt = await this.loadPrompt(mode) + INTEREST_INSTRUCTIONS
+    return mode === 'native' ? prompt + PAGE_REFERENCE_INSTRUCTIONS : prompt
+  }
+
+  /**
+   * Load the prompt text for a mode from custom prompts, the database or the JS library
+   * @param {string} mode - 'native' or 'text'
+   * @returns {Promise<string>} - The prompt text
+   */
+  async loadPrompt(mode) {
     // If custom prompts provided, use those
     if (this.customPrompts && this.customPrompts[mode]) {
       return this.substitutePromptVariables(this.customPrompts[mode])
@@ -308,6 +348,7 @@ class ClaudeContactExtractor {
         textLength: extractedText.length,
         tables,
         forms,
+        lines: this.collectTextractLines(response.Blocks, 0),
         confidence: 'high',
         method: 'textract',
         uploadedToS3: true
@@ -807,6 +848,7 @@ class ClaudeContactExtractor {
     const tempPrefix = process.env.HYBRID_TEMP_PREFIX || 'temp/'
 
     let allExtractedTables = []
+    let allTextractLines = [] // LINE blocks with page + bounding box, used for contact provenance
     let tableSummary = ''
 
     try {
@@ -898,6 +940,7 @@ class ClaudeContactExtractor {
             // Parse tables from Textract response
             if (textractSuccess && textractResponse) {
               const parsedTables = this.parseTextractTables(textractResponse.Blocks || [])
+              allTextractLines.push(...this.collectTextractLines(textractResponse.Blocks || [], i * chunkSize))
 
               if (parsedTables.tables.length > 0) {
                 this.logger.info(`📊 Found ${parsedTables.tables.length} tables in chunk ${i + 1}`)
@@ -952,6 +995,7 @@ class ClaudeContactExtractor {
 
         try {
           const textractResult = await this.extractTextWithTextract(tempFilePath, tempKey)
+          allTextractLines = textractResult.lines || []
 
           if (textractResult.extractedText) {
             // Parse tables from Textract blocks (need to call AnalyzeDocument again to get blocks)
@@ -1067,7 +1111,7 @@ class ClaudeContactExtractor {
 
             if (jsonMatch) {
               const chunkContacts = JSON.parse(jsonMatch[0])
-              const validChunkContacts = Array.isArray(chunkContacts) ? chunkContacts : []
+              const validChunkContacts = this.offsetSourcePages(Array.isArray(chunkContacts) ? chunkContacts : [], i * claudeChunkSize)
               allClaudeContacts = allClaudeContacts.concat(validChunkContacts)
               this.logger.info(`✅ Chunk ${i + 1}: extracted ${validChunkContacts.length} contacts`)
             } else {
@@ -1128,6 +1172,8 @@ class ClaudeContactExtractor {
         }
       }
 
+      this.attachTextractRegions(allClaudeContacts, allTextractLines)
+
       // Return combined results
       if (allClaudeContacts.length > 0) {
         this.logger.info(`✅ Hybrid processing successful: extracted ${allClaudeContacts.length} contacts`)
@@ -1227,7 +1273,7 @@ class ClaudeContactExtractor {
           for (let i = 0; i < chunks.length; i++) {
             this.logger.info(`🔄 Processing chunk ${i + 1}/${chunks.length}...`)
             const chunkContacts = await this.extractContactsFromPDFNative(chunks[i], `${filename} (chunk ${i + 1})`, 0)
-            allContacts = allContacts.concat(chunkContacts)
+            allContacts = allContacts.concat(this.offsetSourcePages(chunkContacts, i * 100))
 
             // Delay between chunks to avoid rate limits
             if (i < chunks.length - 1) {
@@ -1309,6 +1355,9 @@ class ClaudeContactExtractor {
     // Get dynamic prompt based on document type
     const prompt = await this.getPrompt('native')
 
+    // Images are pages in order unless the caller numbered them
+    imageData = imageData.map((image, idx) => ({ page: idx + 1, ...image }))
+
     try {
       this.logger.info(`🚀 Processing ${imageData.length} images for ${filename}...`)
 
@@ -1405,6 +1454,7 @@ class ClaudeContactExtractor {
 
       // Add all images first
       for (const image of imageData) {
+        content.push({ type: "text", text: `Page ${image.page}` })
         content.push({
           type: "image",
           source: {
@@ -1493,6 +1543,7 @@ class ClaudeContactExtractor {
         try {
           const content = []
           for (const image of imageData) {
+            content.push({ type: "text", text: `Page ${image.page}` })
             content.push({
               type: "image",
               source: {
@@ -1707,6 +1758,102 @@ class ClaudeContactExtractor {
     }
   }
 
+  /**
+   * Shift source_page of contacts from a split-off chunk to whole-document page numbers
+   */
+  offsetSourcePages(contacts, pageOffset) {
+    if (pageOffset > 0) {
+      contacts.forEach(contact => {
+        if (Number.isInteger(contact.source_page)) {
+          contact.source_page += pageOffset
+        }
+      })
+    }
+    return contacts
+  }
+
+  /**
+   * Keep the LINE blocks of a Textract response with their page and bounding box
+   * @param {Array} blocks - Textract response blocks
+   * @param {number} pageOffset - Pages before the analyzed chunk
+   * @returns {Array} - [{ page, text, box: { left, top, width, height } }]
+   */
+  collectTextractLines(blocks, pageOffset = 0) {
+    return (blocks || [])
+      .filter(block => block.BlockType === 'LINE' && block.Text && block.Geometry && block.Geometry.BoundingBox)
+      .map(block => ({
+        page: pageOffset + (block.Page || 1),
+        text: block.Text,
+        box: {
+          left: block.Geometry.BoundingBox.Left,
+          top: block.Geometry.BoundingBox.Top,
+          width: block.Geometry.BoundingBox.Width,
+          height: block.Geometry.BoundingBox.Height
+        }
+      }))
+  }
+
+  /**
+   * Locate each contact on the page using Textract lines: the line holding the
+   * name (or company), grown to cover the address line below it when found.
+   * Sets source_region (fractions of page size) and fills source_page if missing.
+   * @param {Array} contacts - Contacts from Claude
+   * @param {Array} lines - Lines from collectTextractLines
+   */
+  attachTextractRegions(contacts, lines) {
+    if (!lines.length) {
+      return
+    }
+
+    const normalize = text => (text || '').toString().toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+    const normalizedLines = lines.map(line => ({ ...line, normalized: normalize(line.text) }))
+    let located = 0
+
+    for (const contact of contacts) {
+      const needles = [contact.name, contact.company].map(normalize).filter(needle => needle.length >= 4)
+      if (!needles.length) {
+        continue
+      }
+
+      const candidates = Number.isInteger(contact.source_page)
+        ? normalizedLines.filter(line => line.page === contact.source_page)
+        : normalizedLines
+      const nameLine = candidates.find(line => needles.some(needle => line.normalized.includes(needle)))
+
+      if (!nameLine) {
+        continue
+      }
+
+      let box = { ...nameLine.box }
+      const address = normalize(contact.address).slice(0, 15)
+
+      if (address.length >= 5) {
+        const addressLine = normalizedLines.find(line =>
+          line.page === nameLine.page &&
+          line.box.top >= nameLine.box.top &&
+          line.box.top - nameLine.box.top < 0.1 &&
+          line.normalized.includes(address)
+        )
+
+        if (addressLine) {
+          const right = Math.max(box.left + box.width, addressLine.box.left + addressLine.box.width)
+          const bottom = Math.max(box.top + box.height, addressLine.box.top + addressLine.box.height)
+          box.left = Math.min(box.left, addressLine.box.left)
+          box.top = Math.min(box.top, addressLine.box.top)
+          box.width = right - box.left
+          box.height = bottom - box.top
+        }
+      }
+
+      contact.source_page = contact.source_page || nameLine.page
+      contact.source_region = box
+      contact.source_region_source = 'textract'
+      located++
+    }
+
+    this.logger.info(`📍 Located ${located}/${contacts.length} contacts on the page with Textract`)
+  }
+
   /**
    * Convert contact data to CSV format
    */
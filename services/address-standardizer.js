@@ -0,0 +1,382 @@
+const statesData = require('../config/states.data.json');
+
+// USPS secondary unit designators -> standard abbreviation
+const UNIT_DESIGNATORS = {
+  apartment: 'Apt', apt: 'Apt',
+  building: 'Bldg', bldg: 'Bldg',
+  department: 'Dept', dept: 'Dept',
+  floor: 'Fl', fl: 'Fl',
+  lot: 'Lot',
+  room: 'Rm', rm: 'Rm',
+  space: 'Spc', spc: 'Spc',
+  suite: 'Ste', ste: 'Ste',
+  trailer: 'Trlr', trlr: 'Trlr',
+  unit: 'Unit'
+};
+
+// USPS street suffixes -> standard abbreviation (abbreviations map to themselves)
+const STREET_SUFFIXES = {
+  avenue: 'Ave', ave: 'Ave', av: 'Ave',
+  boulevard: 'Blvd', blvd: 'Blvd',
+  circle: 'Cir', cir: 'Cir',
+  court: 'Ct', ct: 'Ct',
+  crossing: 'Xing', xing: 'Xing',
+  drive: 'Dr', dr: 'Dr',
+  expressway: 'Expy', expy: 'Expy',
+  freeway: 'Fwy', fwy: 'Fwy',
+  highway: 'Hwy', hwy: 'Hwy',
+  lane: 'Ln', ln: 'Ln',
+  loop: 'Loop',
+  parkway: 'Pkwy', pkwy: 'Pkwy',
+  place: 'Pl', pl: 'Pl',
+  plaza: 'Plz', plz: 'Plz',
+  road: 'Rd', rd: 'Rd',
+  square: 'Sq', sq: 'Sq',
+  street: 'St', st: 'St',
+  terrace: 'Ter', ter: 'Ter',
+  trail: 'Trl', trl: 'Trl',
+  way: 'Way'
+};
+
+const DIRECTIONALS = {
+  north: 'N', south: 'S', east: 'E', west: 'W',
+  northeast: 'NE', northwest: 'NW', southeast: 'SE', southwest: 'SW',
+  n: 'N', s: 'S', e: 'E', w: 'W', ne: 'NE', nw: 'NW', se: 'SE', sw: 'SW'
+};
+
+const STATE_CODES = new Set(statesData.abbreviations);
+const STATE_BY_NAME = new Map(Object.entries(statesData.states).map(([code, name]) => [name.toLowerCase(), code]));
+// Longest first so "West Virginia" wins over "Virginia"
+const STATE_NAME_PATTERN = [...STATE_BY_NAME.keys()].sort((a, b) => b.length - a.length).map(name => name.replace(/\s+/g, '\\s+')).join('|');
+
+const CARE_OF_PATTERN = /^(?:c\s*\/\s*o|c\.\s*o\.|care\s+of|attn|attention)\b[:.\s]*/i;
+const PO_BOX_PATTERN = /^(?:p\.?\s*o\.?\s*box|post\s+office\s+box|pob|box)\s*#?\s*([a-z0-9-]+)\b\s*(.*)$/i;
+const RURAL_ROUTE_PATTERN = /^(?:(r\.?\s*r\.?|rural\s+route)|(h\.?\s*c\.?|highway\s+contract)(?:\s+route)?)\s*#?\s*(\d+)\s*,?\s*(?:box\s*#?\s*([a-z0-9-]+))?\s*(.*)$/i;
+const UNIT_PATTERN = new RegExp(`^(?:(${Object.keys(UNIT_DESIGNATORS).join('|')})\\.?\\s*#?\\s*|#\\s*)([a-z0-9-]+)$`, 'i');
+const TRAILING_UNIT_PATTERN = new RegExp(`\\s+((?:(?:${Object.keys(UNIT_DESIGNATORS).join('|')})\\.?\\s*#?\\s*|#\\s*)[a-z0-9-]+)$`, 'i');
+const ZIP_PATTERN = /(?:^|\s)(\d{5})(?:\s*-\s*|\s+)?(\d{4})?$/;
+
+/**
+ * Address Standardizer
+ *
+ * Splits and standardizes US addresses from extracted contacts: street line,
+ * unit, c/o line, city, 2-letter state and ZIP / ZIP+4. Handles PO boxes,
+ * rural and highway contract routes, full state names and "State ZIP" values
+ * in the state field (see docs/state-zip-parsing-rules.md).
+ */
+class AddressStandardizer {
+  /**
+   * Standardize an address. Separate city / state / zip / unit values win over
+   * ones parsed out of the address line.
+   * @param {Object} input - { address, unit, city, state, zip }
+   * @returns {Object} { address, unit, care_of, city, state, zip, address_type, issues }
+   */
+  standardize({ address = null, unit = null, city = null, state = null, zip = null } = {}) {
+    const issues = [];
+    const parsed = this.parseAddressLine(address);
+
+    // The state field often carries the ZIP ("Texas 76092") or only a ZIP ("88203")
+    const stateField = this.splitTrailingStateZip(this.clean(state));
+    let explicitCity = this.clean(city);
+
+    // ...and the city field the state and ZIP ("Houston, TX 77024")
+    if (explicitCity && (explicitCity.includes(',') || /\d/.test(explicitCity))) {
+      const cityField = this.splitTrailingStateZip(explicitCity.replace(/,\s*$/, ''));
+      if (cityField.state || cityField.zip) {
+        explicitCity = cityField.rest.replace(/,\s*$/, '').trim() || null;
+        stateField.state = stateField.state || cityField.state;
+        stateField.zip = stateField.zip || cityField.zip;
+      }
+    }
+
+    if (stateField.rest && !stateField.state) {
+      issues.push(`Unrecognized state "${state}"`);
+    }
+
+    const zipValue = this.clean(zip);
+    const explicitZip = this.normalizeZip(zipValue);
+    if (zipValue && !explicitZip) {
+      issues.push(`Invalid ZIP "${zip}"`);
+    }
+
+    return {
+      address: parsed.street,
+      unit: this.standardizeUnit(this.clean(unit)) || parsed.unit,
+      care_of: parsed.careOf,
+      city: explicitCity || parsed.city,
+      state: stateField.state || parsed.state,
+      zip: explicitZip || stateField.zip || parsed.zip,
+      address_type: parsed.type,
+      issues
+    };
+  }
+
+  /**
+   * Split a free-text address line ("c/o Jane Doe, 123 Main Street Ste 200, Houston, Texas 77024-1234")
+   * @returns {Object} { street, unit, careOf, city, state, zip, type }
+   */
+  parseAddressLine(address) {
+    const result = { street: null, unit: null, careOf: null, city: null, state: null, zip: null, type: null };
+    const text = this.clean(address);
+    if (!text) {
+      return result;
+    }
+
+    let parts = text.split(/\s*[\n,;]\s*/).map(part => part.trim()).filter(Boolean);
+
+    // c/o and attention lines
+    parts = parts.flatMap(part => {
+      if (!CARE_OF_PATTERN.test(part)) {
+        return [part];
+      }
+      const rest = part.replace(CARE_OF_PATTERN, '');
+      // "c/o Jane Doe 123 Main St" - the street starts at the first house number
+      const streetStart = rest.search(/\s\d+\s+\S/);
+      result.careOf = (streetStart > 0 ? rest.substring(0, streetStart) : rest).trim() || null;
+      return streetStart > 0 ? [rest.substring(streetStart + 1).trim()] : [];
+    });
+
+    // State and ZIP from the end ("TX 77024", "77024", "Houston TX 77024")
+    if (parts.length) {
+      const tail = this.splitTrailingStateZip(parts[parts.length - 1]);
+      if (tail.state || tail.zip) {
+        parts.pop();
+        result.state = tail.state;
+        result.zip = tail.zip;
+        if (tail.rest) {
+          parts.push(tail.rest);
+        }
+        // With state or ZIP found, the part before them is the city - unless it is the only part left
+        if (parts.length >= 2 && !this.isStreetOrUnit(parts[parts.length - 1])) {
+          result.city = parts.pop();
+        }
+      } else if (parts.length >= 2 && !this.isStreetOrUnit(parts[parts.length - 1])) {
+        result.city = parts.pop();
+      }
+    }
+
+    // Units given as their own part ("123 Main St, Suite 200")
+    const streetParts = [];
+    for (const part of parts) {
+      const unit = this.standardizeUnit(part);
+      if (unit && !result.unit) {
+        result.unit = unit;
+      } else {
+        streetParts.push(part);
+      }
+    }
+
+    const street = this.standardizeStreet(streetParts.join(' '), !result.city && !!(result.state || result.zip));
+    result.street = street.street;
+    result.type = street.street ? street.type : null;
+    result.unit = result.unit || street.unit;
+    result.city = result.city || street.city;
+
+    return result;
+  }
+
+  /**
+   * Standardize the street line: PO boxes, rural routes, trailing units, suffixes and directionals
+   * @param {string} line - Street line
+   * @param {boolean} mayHoldCity - No city was found elsewhere, so words after the street suffix are the city
+   * @returns {Object} { street, unit, city, type }
+   */
+  standardizeStreet(line, mayHoldCity = false) {
+    const text = this.clean(line);
+    if (!text) {
+      return { street: null, unit: null, city: null, type: null };
+    }
+
+    const poBox = text.match(PO_BOX_PATTERN);
+    if (poBox) {
+      return {
+        street: `PO Box ${poBox[1].toUpperCase()}`,
+        unit: null,
+        city: mayHoldCity ? this.clean(poBox[2]) : null,
+        type: 'po_box'
+      };
+    }
+
+    const route = text.match(RURAL_ROUTE_PATTERN);
+    if (route) {
+      const prefix = route[1] ? 'RR' : 'HC';
+      return {
+        street: `${prefix} ${route[3]}${route[4] ? ` Box ${route[4].toUpperCase()}` : ''}`,
+        unit: null,
+        city: mayHoldCity ? this.clean(route[5]) : null,
+        type: 'rural_route'
+      };
+    }
+
+    let street = text;
+    let unit = null;
+    let city = null;
+
+    const trailingUnit = street.match(TRAILING_UNIT_PATTERN);
+    if (trailingUnit) {
+      unit = this.standardizeUnit(trailingUnit[1]);
+      street = street.substring(0, trailingUnit.index).trim();
+    }
+
+    let words = street.split(/\s+/);
+
+    // "123 Main St Houston" - whatever follows the last street suffix is the city
+    if (mayHoldCity) {
+      const suffixIndex = this.lastSuffixIndex(words);
+      if (suffixIndex > 0 && suffixIndex < words.length - 1) {
+        let streetEnd = suffixIndex + 1;
+        // A directional right after the suffix belongs to the street ("Main St NW Houston")
+        if (streetEnd < words.length - 1 && DIRECTIONALS[words[streetEnd].toLowerCase().replace(/\./g, '')]) {
+          streetEnd++;
+        }
+
+        let cityWords = words.slice(streetEnd);
+        // ...and so does a unit ("Main St Ste 200 Houston")
+        const unitWords = cityWords[0].startsWith('#') && cityWords[0].length > 1 ? 1 : 2;
+        const cityUnit = cityWords.length > unitWords ? this.standardizeUnit(cityWords.slice(0, unitWords).join(' ')) : null;
+        if (cityUnit && !unit) {
+          unit = cityUnit;
+          cityWords = cityWords.slice(unitWords);
+        }
+
+        city = cityWords.join(' ');
+        words = words.slice(0, streetEnd);
+      }
+    }
+
+    return {
+      street: this.standardizeStreetWords(words),
+      unit,
+      city,
+      type: 'street'
+    };
+  }
+
+  // "123 north main street" -> "123 N main St"; only the leading directional and the last suffix are changed
+  standardizeStreetWords(words) {
+    const result = [...words];
+    const key = word => word.toLowerCase().replace(/\.$/, '');
+
+    const lastIndex = result.length - 1;
+    const trailingDirectional = lastIndex > 1 && DIRECTIONALS[key(result[lastIndex])];
+    const suffixIndex = trailingDirectional ? lastIndex - 1 : lastIndex;
+
+    if (suffixIndex > 0 && STREET_SUFFIXES[key(result[suffixIndex])]) {
+      result[suffixIndex] = STREET_SUFFIXES[key(result[suffixIndex])];
+    }
+    if (trailingDirectional) {
+      result[lastIndex] = trailingDirectional;
+    }
+
+    // Directional after the house number, when a street name follows it
+    const directionalIndex = /^\d/.test(result[0]) ? 1 : 0;
+    if (result.length > directionalIndex + 2 && DIRECTIONALS[key(result[directionalIndex])]) {
+      result[directionalIndex] = DIRECTIONALS[key(result[directionalIndex])];
+    }
+
+    return result.join(' ');
+  }
+
+  lastSuffixIndex(words) {
+    for (let idx = words.length - 1; idx > 0; idx--) {
+      if (STREET_SUFFIXES[words[idx].toLowerCase().replace(/\.$/, '')]) {
+        return idx;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Take a state and/or ZIP off the end of a value
+   * ("Texas 76092", "NM 88203", "88203", "Houston TX 77024-1234", "New Mexico")
+   * @returns {Object} { rest, state, zip } - rest is what precedes them
+   */
+  splitTrailingStateZip(value) {
+    const result = { rest: value || '', state: null, zip: null };
+    if (!value) {
+      return result;
+    }
+
+    let rest = value.trim().replace(/[.,]+$/, '');
+
+    const zipMatch = rest.match(ZIP_PATTERN);
+    if (zipMatch) {
+      result.zip = zipMatch[2] ? `${zipMatch[1]}-${zipMatch[2]}` : zipMatch[1];
+      rest = rest.substring(0, zipMatch.index).trim().replace(/,$/, '').trim();
+    }
+
+    const nameMatch = rest.match(new RegExp(`(?:^|[\\s,])(${STATE_NAME_PATTERN})\\.?$`, 'i'));
+    if (nameMatch) {
+      result.state = STATE_BY_NAME.get(nameMatch[1].toLowerCase().replace(/\s+/g, ' '));
+      rest = rest.substring(0, nameMatch.index).trim();
+    } else {
+      // Lowercase codes ("tx") only count when nothing else is left or a ZIP follows - "in", "or" and "me" are words
+      const codeMatch = rest.match(/(?:^|[\s,])([A-Za-z]{2})\.?$/);
+      if (codeMatch) {
+        const code = codeMatch[1].toUpperCase();
+        const trusted = codeMatch[1] === code || result.zip || codeMatch.index === 0;
+        if (STATE_CODES.has(code) && trusted) {
+          result.state = code;
+          rest = rest.substring(0, codeMatch.index).trim();
+        }
+      }
+    }
+
+    result.rest = rest.replace(/,$/, '').trim();
+    return result;
+  }
+
+  /**
+   * 12345, 12345-6789, 123456789 and "12345 6789"; 3-4 digit values lost their leading zeros in a spreadsheet
+   * @returns {string|null} ZIP or ZIP+4, or null if invalid
+   */
+  normalizeZip(zip) {
+    if (!zip) return null;
+
+    const digits = zip.toString().trim();
+    const match = digits.match(/^(\d{3,5})(?:\s*-\s*|\s+)?(\d{4})?$/);
+    if (!match) {
+      return null;
+    }
+
+    const zip5 = match[1].padStart(5, '0');
+    return match[2] ? `${zip5}-${match[2]}` : zip5;
+  }
+
+  /**
+   * "suite 200" / "STE. 200" / "# 12" -> "Ste 200" / "#12"
+   * @returns {string|null} Standardized unit, or null when the value isn't a unit
+   */
+  standardizeUnit(value) {
+    if (!value) return null;
+
+    const match = value.trim().match(UNIT_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    return match[1]
+      ? `${UNIT_DESIGNATORS[match[1].toLowerCase()]} ${match[2].toUpperCase()}`
+      : `#${match[2].toUpperCase()}`;
+  }
+
+  /**
+   * 2-letter code for a state value ("Texas", "tx", "New Mexico 88203")
+   * @returns {string|null}
+   */
+  normalizeState(value) {
+    return this.splitTrailingStateZip(this.clean(value)).state;
+  }
+
+  isStreetOrUnit(part) {
+    return /^\d/.test(part) || PO_BOX_PATTERN.test(part) || RURAL_ROUTE_PATTERN.test(part) || !!this.standardizeUnit(part);
+  }
+
+  clean(value) {
+    if (value === null || value === undefined) return null;
+    const text = value.toString().replace(/\s+/g, ' ').trim();
+    return text || null;
+  }
+}
+
+module.exports = AddressStandardizer;
@@ -0,0 +1,76 @@
+const { Op } = require('sequelize');
+const { AuditLog } = require('../config/pddbclient.cjs');
+
+/**
+ * Reads the audit log (audit_log). Entries are written by the model hooks
+ * AuditLog.track installs, never through this service.
+ */
+class AuditService {
+  /**
+   * Audit entries, newest first
+   * @param {Object} filters
+   * @param {string} filters.entity - contact, contact_ready, business_entity or dynamo_contact
+   * @param {string} filters.id - Entity ID (requires entity)
+   * @param {string} filters.field - Changed field
+   * @param {string} filters.action - create, update or delete
+   * @param {string} filters.actor - Acting user
+   * @param {string} filters.requestId - Request that made the changes
+   * @param {string} filters.from - Earliest created_at (ISO date)
+   * @param {string} filters.to - Latest created_at (ISO date)
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { rows, pagination }
+   * @throws {Error} error.code INVALID_FILTER for an unknown entity or an id without an entity
+   */
+  async getEntries(filters = {}, { limit, offset } = {}) {
+    const cappedLimit = Math.min(parseInt(limit) || 100, 1000);
+    const cappedOffset = parseInt(offset) || 0;
+    const where = {};
+
+    if (filters.entity) {
+      if (!AuditLog.ENTITIES.includes(filters.entity)) {
+        throw this.error('INVALID_FILTER', `Unknown entity "${filters.entity}". Must be one of: ${AuditLog.ENTITIES.join(', ')}`);
+      }
+      where.entity = filters.entity;
+    }
+    if (filters.id !== undefined && filters.id !== '') {
+      if (!filters.entity) {
+        throw this.error('INVALID_FILTER', 'id requires entity');
+      }
+      where.entity_id = String(filters.id);
+    }
+    if (filters.field) where.field = filters.field;
+    if (filters.action) where.action = filters.action;
+    if (filters.actor) where.actor = filters.actor;
+    if (filters.requestId) where.request_id = filters.requestId;
+    if (filters.from || filters.to) {
+      where.created_at = {};
+      if (filters.from) where.created_at[Op.gte] = new Date(filters.from);
+      if (filters.to) where.created_at[Op.lte] = new Date(filters.to);
+    }
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: cappedLimit,
+      offset: cappedOffset
+    });
+
+    return {
+      rows,
+      pagination: {
+        total: count,
+        limit: cappedLimit,
+        offset: cappedOffset,
+        hasMore: cappedOffset + cappedLimit < count
+      }
+    };
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = AuditService;
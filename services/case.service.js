@@ -0,0 +1,345 @@
+const { Op } = require('sequelize');
+const { pgdbconnect, Case, CaseDocument, Contact, Interest } = require('../config/pddbclient.cjs');
+
+// Search Item fields that may hold each case attribute; the county search (CBT, OLM, PLC)
+// and the applicant search (OCD imaging) don't name them the same way
+const ITEM_FIELDS = {
+  applicant: ['ApplicantName', 'Applicant'],
+  operator: ['OperatorName', 'Operator'],
+  county: ['CountyName', 'County'],
+  category: ['ApplicationCategory', 'CategoryName', 'Category', 'CaseType'],
+  hearingDate: ['HearingDate', 'HearingDt', 'DocketDate']
+};
+
+/**
+ * OCD cases and their imaging files, recorded from the EMNRD search Items the
+ * document flows fetch, with the contacts noticed in them linked by case_id
+ */
+class CaseService {
+  /**
+   * Upsert the cases and imaging files of a search result, then link contacts
+   * already saved with those case numbers
+   * @param {Array} items - EMNRD search Items
+   * @param {Object} options
+   * @param {string} options.sourceKey - Flow that ran the search (OCD_IMAGING, OCD_CBT, OLM, PLC)
+   * @param {Function} options.numbersOf - item -> { AppNumber, OrderNumber, CaseNumber }, as the flow maps them
+   * @param {string} options.county - County searched, if the search was by county
+   * @param {string} options.applicant - Applicant searched, if the search was by applicant
+   * @param {string} options.category - Application category searched
+   * @returns {Promise<Object>} { cases, documents, skipped, linkedContacts }
+   */
+  async recordSearchItems(items, { sourceKey, numbersOf, county = null, applicant = null, category = null }) {
+    const stats = { cases: 0, documents: 0, skipped: 0, linkedContacts: 0 };
+    const caseIds = [];
+
+    for (const item of items) {
+      const numbers = numbersOf(item);
+      const caseNumber = this.clean(numbers.CaseNumber, 100);
+
+      // Contacts only carry the case number, so a case without one can't be linked to
+      if (!caseNumber) {
+        stats.skipped++;
+        continue;
+      }
+
+      const files = Array.isArray(item.ImagingFiles) ? item.ImagingFiles : [];
+      const { ImagingFiles, ...searchItem } = item;
+
+      const values = {
+        app_number: this.clean(numbers.AppNumber, 100),
+        order_number: this.clean(numbers.OrderNumber, 100),
+        applicant: this.clean(this.pick(item, ITEM_FIELDS.applicant) || applicant, 255),
+        operator: this.clean(this.pick(item, ITEM_FIELDS.operator), 255),
+        county: this.clean(this.pick(item, ITEM_FIELDS.county) || county, 100),
+        category: this.clean(this.pick(item, ITEM_FIELDS.category) || category, 100),
+        scan_date: this.latestDate([item.ScanDate, ...files.map(file => file.ScanDate)]),
+        hearing_date: this.toDate(this.pick(item, ITEM_FIELDS.hearingDate)),
+        search_item: searchItem,
+        last_seen_at: new Date()
+      };
+
+      const [record, created] = await Case.findOrCreate({
+        where: { case_number: caseNumber },
+        defaults: { ...values, case_number: caseNumber, source_key: sourceKey }
+      });
+
+      if (!created) {
+        // A later search missing a field doesn't blank what an earlier one found
+        const updates = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null));
+        await record.update(updates);
+      }
+
+      for (const file of files) {
+        if (await this.recordDocument(record.id, file)) {
+          stats.documents++;
+        }
+      }
+
+      caseIds.push(record.id);
+      stats.cases++;
+    }
+
+    if (caseIds.length) {
+      stats.linkedContacts = await this.linkContacts(caseIds);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Upsert one ImagingFiles entry of a case
+   * @returns {Promise<boolean>} Whether the file had a name and was recorded
+   */
+  async recordDocument(caseId, file) {
+    const fileName = this.clean(file.FileName, 500);
+    if (!fileName) {
+      return false;
+    }
+
+    const values = {
+      url: file.Url || null,
+      file_size: parseInt(file.FileSize) || null,
+      scan_date: this.toDate(file.ScanDate),
+      search_file: file
+    };
+
+    const [document, created] = await CaseDocument.findOrCreate({
+      where: { case_id: caseId, file_name: fileName },
+      defaults: values
+    });
+
+    if (!created) {
+      await document.update(values);
+    }
+    return true;
+  }
+
+  /**
+   * Set case_id on contacts saved with the case number before the case was recorded
+   * @param {Array<number>} caseIds - Cases to link
+   * @returns {Promise<number>} Contacts linked
+   */
+  async linkContacts(caseIds) {
+    const [, metadata] = await pgdbconnect.query(
+      `UPDATE contacts SET case_id = cases.id
+       FROM cases
+       WHERE contacts.case_id IS NULL
+         AND contacts.case_number = cases.case_number
+         AND cases.id IN (:caseIds)`,
+      { replacements: { caseIds } }
+    );
+    return metadata && metadata.rowCount ? metadata.rowCount : 0;
+  }
+
+  /**
+   * Case IDs of recorded case numbers, for linking contacts as they are saved
+   * @param {Array<string>} caseNumbers - Case numbers (blanks and duplicates are ignored)
+   * @returns {Promise<Map>} case_number -> case id
+   */
+  async findCaseIds(caseNumbers) {
+    const unique = [...new Set(caseNumbers.filter(Boolean))];
+    if (!unique.length) {
+      return new Map();
+    }
+
+    const cases = await Case.findAll({
+      where: { case_number: unique },
+      attributes: ['id', 'case_number']
+    });
+    return new Map(cases.map(record => [record.case_number, record.id]));
+  }
+
+  /**
+   * Note that the pipeline extracted a case's imaging file
+   * @param {Object} document
+   * @param {string} document.caseNumber - Case the file was listed under
+   * @param {string} document.fileName - File name
+   * @param {string} document.s3Key - S3 key the file was archived under
+   * @param {number} document.contactCount - Contacts saved
+   * @param {string} document.jobId - Job that processed the file
+   * @returns {Promise<CaseDocument|null>} The document, or null when the case isn't recorded
+   */
+  async markDocumentProcessed({ caseNumber, fileName, s3Key = null, contactCount = null, jobId = null }) {
+    if (!caseNumber || !fileName) {
+      return null;
+    }
+
+    const record = await Case.findOne({ where: { case_number: caseNumber }, attributes: ['id'] });
+    if (!record) {
+      return null;
+    }
+
+    const values = {
+      s3_key: s3Key,
+      processed_at: new Date(),
+      contact_count: contactCount,
+      last_job_id: jobId
+    };
+
+    const [document, created] = await CaseDocument.findOrCreate({
+      where: { case_id: record.id, file_name: fileName },
+      defaults: values
+    });
+
+    return created ? document : document.update(values);
+  }
+
+  /**
+   * A case with all of its documents and noticed parties. Parties include contacts
+   * saved with the case number that aren't linked yet, and each party's interests
+   * in the case.
+   * @param {string} caseNumber - Case number
+   * @returns {Promise<Object|null>} { case, documents, parties, totals } or null when the case isn't recorded
+   */
+  async getCase(caseNumber) {
+    const record = await Case.findOne({
+      where: { case_number: caseNumber },
+      include: [{ model: CaseDocument, as: 'documents', separate: true, order: [['scan_date', 'ASC'], ['file_name', 'ASC']] }]
+    });
+
+    if (!record) {
+      return null;
+    }
+
+    const parties = await Contact.findAll({
+      where: {
+        [Op.or]: [
+          { case_id: record.id },
+          { case_id: null, case_number: record.case_number }
+        ]
+      },
+      include: [
+        { association: 'phones', separate: true, order: [['position', 'ASC']] },
+        { association: 'emails', separate: true, order: [['position', 'ASC']] }
+      ],
+      order: [['name', 'ASC'], ['id', 'ASC']]
+    });
+
+    const interests = parties.length
+      ? await Interest.findAll({
+        where: {
+          owner_type: 'contact',
+          owner_id: parties.map(party => party.id),
+          case_number: record.case_number
+        },
+        order: [['tract', 'ASC'], ['interest_type', 'ASC']]
+      })
+      : [];
+
+    const interestsByOwner = new Map();
+    for (const interest of interests) {
+      const list = interestsByOwner.get(interest.owner_id) || [];
+      list.push(interest.get({ plain: true }));
+      interestsByOwner.set(interest.owner_id, list);
+    }
+
+    const { documents, ...caseValues } = record.get({ plain: true });
+
+    return {
+      case: caseValues,
+      documents,
+      parties: parties.map(party => ({
+        ...party.get({ plain: true }),
+        interests: interestsByOwner.get(party.id) || []
+      })),
+      totals: {
+        documents: documents.length,
+        processedDocuments: documents.filter(document => document.processed_at).length,
+        parties: parties.length,
+        mergedParties: parties.filter(party => party.merged_into_id).length
+      }
+    };
+  }
+
+  /**
+   * Recorded cases, newest scan first, with document and party counts
+   * @param {Object} filters - { search, county, applicant, category, sourceKey }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { rows, pagination }
+   */
+  async listCases(filters = {}, { limit, offset } = {}) {
+    const cappedLimit = Math.min(parseInt(limit) || 50, 500);
+    const cappedOffset = parseInt(offset) || 0;
+    const where = {};
+
+    if (filters.search) {
+      where[Op.or] = [
+        { case_number: { [Op.iLike]: `%${filters.search}%` } },
+        { app_number: { [Op.iLike]: `%${filters.search}%` } },
+        { order_number: { [Op.iLike]: `%${filters.search}%` } },
+        { applicant: { [Op.iLike]: `%${filters.search}%` } },
+        { operator: { [Op.iLike]: `%${filters.search}%` } }
+      ];
+    }
+    if (filters.county) {
+      where.county = { [Op.iLike]: filters.county };
+    }
+    if (filters.applicant) {
+      where.applicant = { [Op.iLike]: `%${filters.applicant}%` };
+    }
+    if (filters.category) {
+      where.category = filters.category;
+    }
+    if (filters.sourceKey) {
+      where.source_key = filters.sourceKey;
+    }
+
+    const { count, rows } = await Case.findAndCountAll({
+      where,
+      attributes: {
+        include: [
+          [pgdbconnect.literal('(SELECT COUNT(*) FROM case_documents WHERE case_documents.case_id = "Case"."id")'), 'document_count'],
+          [pgdbconnect.literal('(SELECT COUNT(*) FROM contacts WHERE contacts.case_id = "Case"."id")'), 'party_count']
+        ],
+        exclude: ['search_item']
+      },
+      order: [[pgdbconnect.literal('scan_date IS NULL'), 'ASC'], ['scan_date', 'DESC'], ['id', 'DESC']],
+      limit: cappedLimit,
+      offset: cappedOffset
+    });
+
+    return {
+      rows: rows.map(row => {
+        const plain = row.get({ plain: true });
+        return { ...plain, document_count: parseInt(plain.document_count), party_count: parseInt(plain.party_count) };
+      }),
+      pagination: {
+        total: count,
+        limit: cappedLimit,
+        offset: cappedOffset,
+        hasMore: cappedOffset + cappedLimit < count
+      }
+    };
+  }
+
+  // First of the candidate fields the item has a value for
+  pick(item, fields) {
+    for (const field of fields) {
+      if (item[field] !== undefined && item[field] !== null && item[field] !== '') {
+        return item[field];
+      }
+    }
+    return null;
+  }
+
+  clean(value, maxLength) {
+    if (value === undefined || value === null) return null;
+    const text = value.toString().trim();
+    return text ? text.substring(0, maxLength) : null;
+  }
+
+  toDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  latestDate(values) {
+    const dates = values.map(value => this.toDate(value)).filter(Boolean);
+    return dates.length ? new Date(Math.max(...dates.map(date => date.getTime()))) : null;
+  }
+}
+
+CaseService.ITEM_FIELDS = ITEM_FIELDS;
+
+module.exports = CaseService;
@@ -0,0 +1,346 @@
+const { Op, QueryTypes } = require('sequelize');
+const { pgdbconnect, Contact, ContactMatchCandidate } = require('../config/pddbclient.cjs');
+
+/**
+ * Thresholds for fuzzy matches. Name and company similarities are pg_trgm
+ * similarity() values (0-1). A pair matches when any rule below holds:
+ * - name >= name, company (when both have one) >= company
+ * - name >= nameWithSharedPoint and a shared phone or email
+ * - name >= nameWithSameZip in the same zip
+ * - name >= nameWithPhonetic, same phonetic code and same zip
+ * Only the first rule ignores companyFloor.
+ */
+const MATCH_THRESHOLDS = {
+  name: 0.9,
+  company: 0.9,
+  nameWithSharedPoint: 0.6,
+  nameWithSameZip: 0.75,
+  nameWithPhonetic: 0.5,
+  companyFloor: 0.6
+};
+
+// Older contacts looked at per contact, best name similarity first
+const CANDIDATE_LIMIT = 25;
+
+/**
+ * Contact Matching Service
+ *
+ * Finds likely duplicate contacts without loading the table: candidates come
+ * from Postgres through blocking keys (trigram-indexed name key, last name + zip,
+ * phonetic code + zip, shared phone or email) and are scored in small batches.
+ * New contacts are scored at insert time; scoreUnscoredContacts catches up the rest.
+ */
+class ContactMatchingService {
+  /**
+   * Score contacts against the live contacts older than them and save the
+   * pairs that match as pending candidates
+   * @param {Array<number>} contactIds - Contacts to score
+   * @returns {Promise<Object>} { scored, candidates } - contacts scored, matching pairs saved
+   */
+  async scoreContacts(contactIds, { transaction = null } = {}) {
+    const ids = contactIds.filter(Boolean);
+    if (!ids.length) {
+      return { scored: 0, candidates: 0 };
+    }
+
+    await this.backfillBlockingKeys(ids, transaction);
+
+    const rows = await pgdbconnect.query(`
+      SELECT c.id AS contact_id, m.*
+      FROM contacts c
+      CROSS JOIN LATERAL (
+        SELECT o.id AS match_id,
+          similarity(o.name_key, c.name_key) AS name_similarity,
+          CASE WHEN COALESCE(o.llc_owner, '') <> '' AND COALESCE(c.llc_owner, '') <> ''
+            THEN similarity(LOWER(o.llc_owner), LOWER(c.llc_owner)) END AS company_similarity,
+          (o.zip5 = c.zip5) IS TRUE AS same_zip,
+          (o.name_phonetic = c.name_phonetic) IS TRUE AS same_phonetic,
+          EXISTS (
+            SELECT 1 FROM contact_phones op
+            JOIN contact_phones cp ON cp.phone_normalized = op.phone_normalized AND cp.owner_type = 'contact' AND cp.owner_id = c.id
+            WHERE op.owner_type = 'contact' AND op.owner_id = o.id
+          ) AS shared_phone,
+          EXISTS (
+            SELECT 1 FROM contact_emails oe
+            JOIN contact_emails ce ON ce.email = oe.email AND ce.owner_type = 'contact' AND ce.owner_id = c.id
+            WHERE oe.owner_type = 'contact' AND oe.owner_id = o.id
+          ) AS shared_email
+        FROM contacts o
+        WHERE o.id < c.id
+          AND o.merged_into_id IS NULL
+          AND (
+            o.name_key % c.name_key
+            OR (o.last_name_key = c.last_name_key AND o.zip5 = c.zip5)
+            OR (o.name_phonetic = c.name_phonetic AND o.zip5 = c.zip5)
+            OR o.id IN (
+              SELECT p2.owner_id FROM contact_phones p1
+              JOIN contact_phones p2 ON p2.phone_normalized = p1.phone_normalized AND p2.owner_type = 'contact'
+              WHERE p1.owner_type = 'contact' AND p1.owner_id = c.id
+            )
+            OR o.id IN (
+              SELECT e2.owner_id FROM contact_emails e1
+              JOIN contact_emails e2 ON e2.email = e1.email AND e2.owner_type = 'contact'
+              WHERE e1.owner_type = 'contact' AND e1.owner_id = c.id
+            )
+          )
+        ORDER BY similarity(o.name_key, c.name_key) DESC
+        LIMIT :candidateLimit
+      ) m
+      WHERE c.id IN (:ids)
+        AND c.name_key IS NOT NULL
+        AND c.merged_into_id IS NULL
+    `, {
+      replacements: { ids, candidateLimit: CANDIDATE_LIMIT },
+      type: QueryTypes.SELECT,
+      transaction
+    });
+
+    const candidates = rows
+      .map(row => ({ row, result: this.evaluatePair(row) }))
+      .filter(({ result }) => result.isMatch)
+      .map(({ row, result }) => ({
+        contact_id: row.contact_id,
+        match_id: row.match_id,
+        score: result.score,
+        name_similarity: this.round(row.name_similarity),
+        company_similarity: row.company_similarity === null ? null : this.round(row.company_similarity),
+        signals: {
+          sameZip: row.same_zip,
+          samePhonetic: row.same_phonetic,
+          sharedPhone: row.shared_phone,
+          sharedEmail: row.shared_email
+        },
+        match_reason: result.reason,
+        status: 'pending'
+      }));
+
+    if (candidates.length) {
+      await ContactMatchCandidate.bulkCreate(candidates, { ignoreDuplicates: true, transaction });
+    }
+
+    await Contact.update({ match_scored_at: new Date() }, { where: { id: ids }, transaction });
+
+    return { scored: ids.length, candidates: candidates.length };
+  }
+
+  /**
+   * Score every live contact that hasn't been scored yet (existing data, or
+   * contacts whose name changed), oldest first
+   * @param {Object} options - { batchSize }
+   * @returns {Promise<Object>} { scored, candidates }
+   */
+  async scoreUnscoredContacts({ batchSize = 500 } = {}) {
+    const totals = { scored: 0, candidates: 0 };
+    let lastId = 0;
+
+    while (true) {
+      const batch = await Contact.findAll({
+        where: {
+          id: { [Op.gt]: lastId },
+          merged_into_id: null,
+          match_scored_at: null
+        },
+        attributes: ['id'],
+        order: [['id', 'ASC']],
+        limit: batchSize,
+        raw: true
+      });
+
+      if (batch.length === 0) {
+        break;
+      }
+
+      lastId = batch[batch.length - 1].id;
+      const result = await this.scoreContacts(batch.map(row => row.id));
+      totals.scored += result.scored;
+      totals.candidates += result.candidates;
+
+      console.log(`🔎 Scored contacts up to ID ${lastId}: ${totals.candidates} match candidates so far`);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Pending candidate pairs between live contacts, grouped into duplicate sets.
+   * Pairs chain (A~B and B~C put A, B and C in one set); each set is kept
+   * under its oldest contact.
+   * @returns {Promise<Array<Object>>} Duplicates as { id, name, ..., originalId, matchReason, score }
+   */
+  async getPendingDuplicates() {
+    const pairs = await ContactMatchCandidate.findAll({
+      where: { status: 'pending' },
+      order: [['score', 'DESC']],
+      raw: true
+    });
+
+    if (!pairs.length) {
+      return [];
+    }
+
+    const contactIds = [...new Set(pairs.flatMap(pair => [pair.contact_id, pair.match_id]))];
+    const contacts = await Contact.findAll({
+      where: { id: contactIds, merged_into_id: null },
+      include: [
+        { association: 'phones', separate: true, order: [['position', 'ASC']] },
+        { association: 'emails', separate: true, order: [['position', 'ASC']] }
+      ],
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    const byId = new Map(contacts.map(contact => [contact.id, contact]));
+    const order = new Map(contacts.map((contact, idx) => [contact.id, idx]));
+    const parent = new Map();
+    const find = id => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+
+    // Best pair per contact, for its match reason
+    const bestPair = new Map();
+    for (const pair of pairs) {
+      if (!byId.has(pair.contact_id) || !byId.has(pair.match_id)) {
+        continue;
+      }
+
+      [pair.contact_id, pair.match_id].forEach(id => {
+        if (!parent.has(id)) parent.set(id, id);
+      });
+
+      const rootA = find(pair.contact_id);
+      const rootB = find(pair.match_id);
+      if (rootA !== rootB) {
+        // The older contact stays the root
+        if (order.get(rootA) < order.get(rootB)) {
+          parent.set(rootB, rootA);
+        } else {
+          parent.set(rootA, rootB);
+        }
+      }
+
+      [pair.contact_id, pair.match_id].forEach(id => {
+        if (!bestPair.has(id)) bestPair.set(id, pair);
+      });
+    }
+
+    return [...parent.keys()]
+      .filter(id => find(id) !== id)
+      .sort((a, b) => order.get(a) - order.get(b))
+      .map(id => {
+        const contact = byId.get(id);
+        const pair = bestPair.get(id);
+        return {
+          id: contact.id,
+          name: contact.name,
+          first_name: contact.first_name,
+          last_name: contact.last_name,
+          company: contact.llc_owner,
+          phone: contact.phones.length ? contact.phones[0].phone : null,
+          email: contact.emails.length ? contact.emails[0].email : null,
+          source_file: contact.source_file,
+          created_at: contact.created_at,
+          originalId: find(id),
+          matchReason: pair.match_reason,
+          score: parseFloat(pair.score)
+        };
+      });
+  }
+
+  /**
+   * Close the pending pairs of contacts that were merged
+   */
+  async markMerged(contactIds, { transaction = null } = {}) {
+    return this.setStatus(contactIds, 'merged', transaction);
+  }
+
+  /**
+   * Stop pairs of contacts from being merged again (e.g. after they were split out of a cluster)
+   */
+  async dismiss(contactIds, { transaction = null } = {}) {
+    return this.setStatus(contactIds, 'dismissed', transaction);
+  }
+
+  async setStatus(contactIds, status, transaction = null) {
+    if (!contactIds.length) {
+      return 0;
+    }
+
+    const [updated] = await ContactMatchCandidate.update({ status }, {
+      where: {
+        status: 'pending',
+        [Op.or]: [{ contact_id: contactIds }, { match_id: contactIds }]
+      },
+      transaction
+    });
+    return updated;
+  }
+
+  /**
+   * Apply the MATCH_THRESHOLDS rules to a candidate row
+   * @returns {Object} { isMatch, score, reason }
+   */
+  evaluatePair(row) {
+    const name = parseFloat(row.name_similarity) || 0;
+    const company = row.company_similarity === null || row.company_similarity === undefined
+      ? null
+      : parseFloat(row.company_similarity);
+    const sharedPoint = row.shared_phone || row.shared_email;
+    const companyOk = company === null || company >= MATCH_THRESHOLDS.companyFloor;
+    const pct = value => `${Math.round(value * 100)}%`;
+
+    let reason = null;
+    if (name >= MATCH_THRESHOLDS.name && (company === null || company >= MATCH_THRESHOLDS.company)) {
+      reason = `Fuzzy match (name: ${pct(name)}, company: ${company === null ? 'n/a' : pct(company)})`;
+    } else if (companyOk && sharedPoint && name >= MATCH_THRESHOLDS.nameWithSharedPoint) {
+      reason = `Similar name (${pct(name)}) with shared ${row.shared_phone ? 'phone' : 'email'}`;
+    } else if (companyOk && row.same_zip && name >= MATCH_THRESHOLDS.nameWithSameZip) {
+      reason = `Similar name (${pct(name)}) in same zip`;
+    } else if (companyOk && row.same_zip && row.same_phonetic && name >= MATCH_THRESHOLDS.nameWithPhonetic) {
+      reason = `Sound-alike name (${pct(name)}) in same zip`;
+    }
+
+    // Ranks candidates - name similarity plus a little per corroborating signal
+    const score = Math.min(1, name + (sharedPoint ? 0.1 : 0) + (row.same_zip ? 0.05 : 0));
+
+    return { isMatch: !!reason, score: this.round(score), reason };
+  }
+
+  // Contacts written before the blocking-key columns existed get their keys on first scoring
+  async backfillBlockingKeys(ids, transaction = null) {
+    const missing = await Contact.findAll({
+      where: { id: ids, name_key: null },
+      attributes: ['id', 'name', 'first_name', 'last_name', 'zip'],
+      raw: true,
+      transaction
+    });
+
+    const rows = missing
+      .map(contact => ({ id: contact.id, ...Contact.blockingKeys(contact) }))
+      .filter(row => row.name_key);
+
+    if (!rows.length) {
+      return 0;
+    }
+
+    const values = rows.map(row => `(${[row.id, row.name_key, row.last_name_key, row.name_phonetic, row.zip5].map(value => pgdbconnect.escape(value)).join(', ')})`);
+    await pgdbconnect.query(`
+      UPDATE contacts AS c
+      SET name_key = v.name_key, last_name_key = v.last_name_key, name_phonetic = v.name_phonetic, zip5 = v.zip5
+      FROM (VALUES ${values.join(', ')}) AS v (id, name_key, last_name_key, name_phonetic, zip5)
+      WHERE c.id = v.id::integer
+    `, { transaction });
+
+    return rows.length;
+  }
+
+  round(value) {
+    return Math.round(parseFloat(value) * 1000) / 1000;
+  }
+}
+
+ContactMatchingService.MATCH_THRESHOLDS = MATCH_THRESHOLDS;
+
+module.exports = ContactMatchingService;
@@ -0,0 +1,268 @@
+const { pgdbconnect, ContactPhone, ContactEmail } = require('../config/pddbclient.cjs');
+
+const LEGACY_PHONE_COLUMNS = ['phone1', 'phone2', 'phone3', 'phone4', 'phone5', 'phone6', 'phone7', 'phone8'];
+const LEGACY_EMAIL_COLUMNS = ['email1', 'email2'];
+
+/**
+ * Contact points - the phones and emails of contacts, contactsready rows and
+ * business entities, stored in contact_phones / contact_emails
+ */
+class ContactPointService {
+  /**
+   * Save phones and emails for many owners at once (e.g. a bulk contact insert)
+   * @param {string} ownerType - contact, contact_ready or business_entity
+   * @param {Array<Object>} entries - [{ ownerId, jobId, phones: [{ phone, phone_type, confidence }], emails: [{ email, email_type, confidence }] }]
+   * @param {Object} options - { source, jobId, transaction } - jobId applies to entries without their own
+   * @returns {Promise<Object>} { phones, emails, phoneIds, emailIds } - rows created and their IDs
+   */
+  async addPointsForMany(ownerType, entries, { source = 'extraction', jobId = null, transaction = null } = {}) {
+    const owners = entries.filter(entry => entry.ownerId);
+    const positions = await this.getNextPositions(ownerType, owners.map(entry => entry.ownerId), transaction);
+
+    const phoneRows = [];
+    const emailRows = [];
+
+    for (const entry of owners) {
+      const next = positions.get(entry.ownerId) || { phone: 0, email: 0 };
+
+      this.uniquePhones(entry.phones).forEach((phone, idx) => {
+        phoneRows.push({
+          owner_type: ownerType,
+          owner_id: entry.ownerId,
+          phone: phone.phone,
+          phone_normalized: phone.phone_normalized,
+          phone_type: phone.phone_type,
+          source: phone.source || source,
+          confidence: phone.confidence,
+          is_verified: !!phone.is_verified,
+          first_seen_job_id: phone.first_seen_job_id || entry.jobId || jobId,
+          position: next.phone + idx
+        });
+      });
+
+      this.uniqueEmails(entry.emails).forEach((email, idx) => {
+        emailRows.push({
+          owner_type: ownerType,
+          owner_id: entry.ownerId,
+          email: email.email,
+          email_type: email.email_type,
+          source: email.source || source,
+          confidence: email.confidence,
+          is_verified: !!email.is_verified,
+          first_seen_job_id: email.first_seen_job_id || entry.jobId || jobId,
+          position: next.email + idx
+        });
+      });
+    }
+
+    // Numbers / addresses an owner already has are skipped by the unique indexes;
+    // ON CONFLICT DO NOTHING ... RETURNING id only returns the rows it inserted
+    const [phones, emails] = await Promise.all([
+      phoneRows.length ? ContactPhone.bulkCreate(phoneRows, { ignoreDuplicates: true, returning: ['id'], transaction }) : [],
+      emailRows.length ? ContactEmail.bulkCreate(emailRows, { ignoreDuplicates: true, returning: ['id'], transaction }) : []
+    ]);
+    const phoneIds = phones.filter(phone => phone.id).map(phone => phone.id);
+    const emailIds = emails.filter(email => email.id).map(email => email.id);
+
+    return { phones: phoneIds.length, emails: emailIds.length, phoneIds, emailIds };
+  }
+
+  /**
+   * Save phones and emails for one owner
+   * @param {string} ownerType - contact, contact_ready or business_entity
+   * @param {number} ownerId - Owner row ID
+   * @param {Object} points - { phones, emails } as in addPointsForMany
+   * @param {Object} options - { source, jobId, transaction }
+   */
+  async addPoints(ownerType, ownerId, { phones = [], emails = [] }, options = {}) {
+    return this.addPointsForMany(ownerType, [{ ownerId, phones, emails }], options);
+  }
+
+  /**
+   * Copy every phone and email of one owner to another, keeping source,
+   * confidence, verification and first-seen job (e.g. contacts -> contactsready)
+   * @returns {Promise<Object>} { phones, emails, phoneIds, emailIds } as in addPointsForMany
+   */
+  async copyPoints(fromType, fromId, toType, toId, { transaction = null } = {}) {
+    const [phones, emails] = await Promise.all([
+      ContactPhone.findAll({ where: { owner_type: fromType, owner_id: fromId }, order: [['position', 'ASC']], transaction }),
+      ContactEmail.findAll({ where: { owner_type: fromType, owner_id: fromId }, order: [['position', 'ASC']], transaction })
+    ]);
+
+    if (!phones.length && !emails.length) {
+      return { phones: 0, emails: 0, phoneIds: [], emailIds: [] };
+    }
+
+    return this.addPoints(toType, toId, {
+      phones: phones.map(phone => phone.get({ plain: true })),
+      emails: emails.map(email => email.get({ plain: true }))
+    }, { transaction });
+  }
+
+  /**
+   * Delete the phones and emails of removed owners (there are no FK cascades -
+   * owner_id points into several tables)
+   * @param {string} ownerType - contact, contact_ready or business_entity
+   * @param {Array<number>} ownerIds - Deleted owner IDs
+   */
+  async removePoints(ownerType, ownerIds, { transaction = null } = {}) {
+    if (!ownerIds.length) {
+      return { phones: 0, emails: 0 };
+    }
+
+    const [phones, emails] = await Promise.all([
+      ContactPhone.destroy({ where: { owner_type: ownerType, owner_id: ownerIds }, transaction }),
+      ContactEmail.destroy({ where: { owner_type: ownerType, owner_id: ownerIds }, transaction })
+    ]);
+
+    return { phones, emails };
+  }
+
+  /**
+   * Owner IDs whose phones or emails contain a search term, as a subquery for
+   * `id: { [Op.in]: ... }` in a search across contact fields
+   * @param {string} ownerType - contact, contact_ready or business_entity
+   * @param {string} search - Free-text search term
+   * @returns {Object} Sequelize literal
+   */
+  ownerIdsMatching(ownerType, search) {
+    const owner = pgdbconnect.escape(ownerType);
+    const term = pgdbconnect.escape(`%${search}%`);
+    const digits = search.replace(/\D/g, '');
+
+    // Phone-like terms also match regardless of formatting ("5754207918" finds "(575) 420-7918")
+    const phoneConditions = [`phone ILIKE ${term}`];
+    if (digits.length >= 3 && /^[\d\s\-\(\)\+\.]+$/.test(search)) {
+      phoneConditions.push(`phone_normalized LIKE ${pgdbconnect.escape(`%${digits}%`)}`);
+    }
+
+    return pgdbconnect.literal(`(
+      SELECT owner_id FROM contact_phones WHERE owner_type = ${owner} AND (${phoneConditions.join(' OR ')})
+      UNION
+      SELECT owner_id FROM contact_emails WHERE owner_type = ${owner} AND email ILIKE ${term}
+    )`);
+  }
+
+  /**
+   * Phones and emails held in the legacy phone1-phone8 / email1-email2 columns of a row
+   * @param {Object} row - Plain contact / contactsready row
+   * @returns {Object} { phones, emails } for addPoints
+   */
+  fromLegacyColumns(row) {
+    return {
+      phones: LEGACY_PHONE_COLUMNS
+        .map(column => row[column])
+        .filter(Boolean)
+        .map(phone => ({ phone, phone_type: 'unknown' })),
+      emails: LEGACY_EMAIL_COLUMNS
+        .map(column => row[column])
+        .filter(Boolean)
+        .map(email => ({ email }))
+    };
+  }
+
+  /**
+   * "(575) 420-7918 (mobile); ..." for CSV exports
+   */
+  formatPhones(phones = []) {
+    return phones
+      .map(phone => (phone.phone_type && phone.phone_type !== 'unknown' ? `${phone.phone} (${phone.phone_type})` : phone.phone))
+      .join('; ');
+  }
+
+  formatEmails(emails = []) {
+    return emails.map(email => email.email).join('; ');
+  }
+
+  // Normalize and drop invalid / repeated numbers
+  uniquePhones(phones = []) {
+    const seen = new Set();
+    const unique = [];
+
+    for (const phone of phones) {
+      const value = (phone.phone || '').toString().replace(/[^\d\s\-\(\)\+\.]/g, '').trim().substring(0, 30);
+      const normalized = ContactPhone.normalize(value);
+
+      if (normalized && !seen.has(normalized)) {
+        seen.add(normalized);
+        unique.push({
+          ...phone,
+          phone: value,
+          phone_normalized: normalized,
+          phone_type: ContactPhone.PHONE_TYPES.includes(phone.phone_type) ? phone.phone_type : 'unknown',
+          confidence: this.clampConfidence(phone.confidence)
+        });
+      }
+    }
+
+    return unique;
+  }
+
+  // Lowercase and drop malformed / repeated addresses
+  uniqueEmails(emails = []) {
+    const seen = new Set();
+    const unique = [];
+
+    for (const email of emails) {
+      const value = (email.email || '').toString().trim().toLowerCase().substring(0, 255);
+
+      if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) && !seen.has(value)) {
+        seen.add(value);
+        unique.push({
+          ...email,
+          email: value,
+          email_type: ContactEmail.EMAIL_TYPES.includes(email.email_type) ? email.email_type : 'unknown',
+          confidence: this.clampConfidence(email.confidence)
+        });
+      }
+    }
+
+    return unique;
+  }
+
+  clampConfidence(confidence) {
+    const value = parseFloat(confidence);
+    return isNaN(value) ? null : Math.min(1, Math.max(0, value));
+  }
+
+  // Next free position per owner, so added points go after the existing ones
+  async getNextPositions(ownerType, ownerIds, transaction = null) {
+    const positions = new Map();
+    if (!ownerIds.length) {
+      return positions;
+    }
+
+    const [phoneRows, emailRows] = await Promise.all([
+      ContactPhone.findAll({
+        where: { owner_type: ownerType, owner_id: ownerIds },
+        attributes: ['owner_id', [pgdbconnect.fn('MAX', pgdbconnect.col('position')), 'max_position']],
+        group: ['owner_id'],
+        raw: true,
+        transaction
+      }),
+      ContactEmail.findAll({
+        where: { owner_type: ownerType, owner_id: ownerIds },
+        attributes: ['owner_id', [pgdbconnect.fn('MAX', pgdbconnect.col('position')), 'max_position']],
+        group: ['owner_id'],
+        raw: true,
+        transaction
+      })
+    ]);
+
+    for (const row of phoneRows) {
+      positions.set(row.owner_id, { phone: parseInt(row.max_position) + 1, email: 0 });
+    }
+    for (const row of emailRows) {
+      const next = positions.get(row.owner_id) || { phone: 0, email: 0 };
+      next.email = parseInt(row.max_position) + 1;
+      positions.set(row.owner_id, next);
+    }
+
+    return positions;
+  }
+}
+
+ContactPointService.LEGACY_PHONE_COLUMNS = LEGACY_PHONE_COLUMNS;
+ContactPointService.LEGACY_EMAIL_COLUMNS = LEGACY_EMAIL_COLUMNS;
+
+module.exports = ContactPointService;
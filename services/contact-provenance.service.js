@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { ContactProvenance, Contact } = require('../config/pddbclient.cjs');
+
+/**
+ * Contact provenance - records where each extracted contact was read and renders
+ * that part of the original page for review
+ */
+class ContactProvenanceService {
+  /**
+   * @param {S3Service} s3Service - Used to fetch archived PDFs when rendering
+   */
+  constructor(s3Service = null) {
+    this.s3Service = s3Service;
+    this.imageMagickCommand = null;
+
+    this.config = {
+      tempDir: process.env.UPLOAD_TEMP_DIR || './temp/uploads',
+      renderDpi: parseInt(process.env.PROVENANCE_RENDER_DPI) || 150,
+      cropPadding: parseFloat(process.env.PROVENANCE_CROP_PADDING) || 0.02 // Fraction of the page added around the region
+    };
+  }
+
+  /**
+   * Save provenance for newly inserted contacts
+   * @param {Array<Object>} insertedContacts - [{ id, sourceIndex }] from PostgresContactService.bulkInsertContacts
+   * @param {Array<Object>} sourceContacts - The contacts that were inserted (source_page, source_region, ...)
+   * @param {Object} document - { jobId, sourceFile, s3Key, contentHash, extractionMethod }
+   * @returns {Promise<number>} Records created
+   */
+  async recordForContacts(insertedContacts, sourceContacts, { jobId, sourceFile, s3Key, contentHash, extractionMethod }) {
+    try {
+      const rows = insertedContacts
+        .filter(inserted => sourceContacts[inserted.sourceIndex])
+        .map(inserted => {
+          const contact = sourceContacts[inserted.sourceIndex];
+          const page = parseInt(contact.source_page);
+          const region = this.normalizeRegion(contact.source_region);
+
+          return {
+            contact_id: inserted.id,
+            job_id: jobId || null,
+            source_file: sourceFile || null,
+            s3_key: s3Key || null,
+            content_hash: contentHash || null,
+            page_number: page >= 1 ? page : null,
+            region,
+            region_source: region ? contact.source_region_source || null : null,
+            extraction_method: extractionMethod || null,
+            document_section: contact.document_section ? contact.document_section.toString().substring(0, 255) : null
+          };
+        });
+
+      if (!rows.length) {
+        return 0;
+      }
+
+      await ContactProvenance.bulkCreate(rows);
+      console.log(`📍 Saved provenance for ${rows.length} contacts (${rows.filter(row => row.page_number).length} with page numbers)`);
+      return rows.length;
+    } catch (error) {
+      console.error(`❌ Failed to save contact provenance for ${sourceFile}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Provenance of a contact, optionally with a rendered crop of the page
+   * @param {number} contactId - Contact ID
+   * @param {Object} options - { renderImage: true }
+   * @returns {Promise<Object|null>} { contact, provenance: [...] }, or null when the contact doesn't exist
+   */
+  async getProvenance(contactId, { renderImage = true } = {}) {
+    const contact = await Contact.findByPk(contactId, {
+      attributes: ['id', 'name', 'llc_owner', 'address', 'city', 'state', 'zip', 'source_file', 'document_section', 'jobid']
+    });
+
+    if (!contact) {
+      return null;
+    }
+
+    const records = await ContactProvenance.findByContactId(contactId);
+    const provenance = [];
+
+    for (const record of records) {
+      const entry = {
+        id: record.id,
+        jobId: record.job_id,
+        sourceFile: record.source_file,
+        s3Key: record.s3_key,
+        contentHash: record.content_hash,
+        page: record.page_number,
+        region: record.region,
+        regionSource: record.region_source,
+        extractionMethod: record.extraction_method,
+        documentSection: record.document_section,
+        image: null
+      };
+
+      if (renderImage && record.s3_key && record.page_number) {
+        try {
+          const png = await this.renderRegion(record);
+          entry.image = {
+            mediaType: 'image/png',
+            cropped: !!record.region,
+            dpi: this.config.renderDpi,
+            data: png.toString('base64')
+          };
+        } catch (renderErr) {
+          console.error(`⚠️ Failed to render provenance ${record.id}: ${renderErr.message}`);
+          entry.imageError = renderErr.message;
+        }
+      }
+
+      provenance.push(entry);
+    }
+
+    return { contact, provenance };
+  }
+
+  /**
+   * Render the provenance page with Ghostscript and crop it to the region (if any)
+   * @param {ContactProvenance} record - Provenance record with s3_key and page_number
+   * @returns {Promise<Buffer>} PNG
+   */
+  async renderRegion(record) {
+    if (!this.s3Service) {
+      throw new Error('ContactProvenanceService needs an S3Service to render pages');
+    }
+
+    const pdfBuffer = await this.s3Service.fetchFromS3(record.s3_key);
+
+    const workDir = path.join(this.config.tempDir, `provenance_${Date.now()}_${Math.round(Math.random() * 1E6)}`);
+    fs.mkdirSync(workDir, { recursive: true });
+
+    try {
+      const pdfPath = path.join(workDir, 'source.pdf');
+      const pagePath = path.join(workDir, 'page.png');
+      const cropPath = path.join(workDir, 'crop.png');
+      fs.writeFileSync(pdfPath, pdfBuffer);
+
+      execSync([
+        'gs',
+        '-dSAFER',
+        '-dBATCH',
+        '-dNOPAUSE',
+        '-dQUIET',
+        '-sDEVICE=png16m',
+        `-r${this.config.renderDpi}`,
+        `-dFirstPage=${record.page_number}`,
+        `-dLastPage=${record.page_number}`,
+        `-sOutputFile="${pagePath}"`,
+        `"${pdfPath}"`
+      ].join(' '), { stdio: 'pipe' });
+
+      if (!fs.existsSync(pagePath)) {
+        throw new Error(`Ghostscript produced no image for page ${record.page_number}`);
+      }
+
+      if (!record.region) {
+        return fs.readFileSync(pagePath);
+      }
+
+      const convertCommand = this.getImageMagickCommand();
+      const identifyCommand = convertCommand === 'magick' ? 'magick identify' : 'identify';
+      const [pageWidth, pageHeight] = execSync(`${identifyCommand} -format "%w %h" "${pagePath}"`, { stdio: 'pipe' })
+        .toString()
+        .trim()
+        .split(' ')
+        .map(Number);
+
+      const crop = this.toPixelCrop(record.region, pageWidth, pageHeight);
+      execSync(`${convertCommand} "${pagePath}" -crop ${crop.width}x${crop.height}+${crop.x}+${crop.y} +repage "${cropPath}"`, { stdio: 'pipe' });
+
+      return fs.readFileSync(cropPath);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Convert a fractional region to a padded pixel crop that stays on the page
+   * @param {Object} region - { left, top, width, height } as fractions of the page
+   * @param {number} pageWidth - Rendered page width in px
+   * @param {number} pageHeight - Rendered page height in px
+   * @returns {Object} { x, y, width, height } in px
+   */
+  toPixelCrop(region, pageWidth, pageHeight) {
+    const pad = this.config.cropPadding;
+    const left = Math.max(0, region.left - pad);
+    const top = Math.max(0, region.top - pad);
+    const right = Math.min(1, region.left + region.width + pad);
+    const bottom = Math.min(1, region.top + region.height + pad);
+
+    return {
+      x: Math.floor(left * pageWidth),
+      y: Math.floor(top * pageHeight),
+      width: Math.max(1, Math.ceil((right - left) * pageWidth)),
+      height: Math.max(1, Math.ceil((bottom - top) * pageHeight))
+    };
+  }
+
+  /**
+   * @returns {Object|null} Region with numeric fractions in 0..1, or null when unusable
+   */
+  normalizeRegion(region) {
+    if (!region || typeof region !== 'object') {
+      return null;
+    }
+
+    const normalized = {};
+    for (const key of ['left', 'top', 'width', 'height']) {
+      const value = Number(region[key]);
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        return null;
+      }
+      normalized[key] = value;
+    }
+
+    return normalized.width > 0 && normalized.height > 0 ? normalized : null;
+  }
+
+  // ImageMagick binary - magick (v7) when available, convert (v6) otherwise
+  getImageMagickCommand() {
+    if (!this.imageMagickCommand) {
+      try {
+        execSync('magick --version', { stdio: 'pipe' });
+        this.imageMagickCommand = 'magick';
+      } catch (e) {
+        this.imageMagickCommand = 'convert';
+      }
+    }
+    return this.imageMagickCommand;
+  }
+}
+
+module.exports = ContactProvenanceService;
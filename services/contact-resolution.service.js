@@ -0,0 +1,498 @@
+const { Op } = require('sequelize');
+const { pgdbconnect, Contact, ContactPhone, ContactEmail, Interest, ContactCluster, ContactClusterMember } = require('../config/pddbclient.cjs');
+const ContactPointService = require('./contact-point.service.js');
+const InterestService = require('./interest.service.js');
+const ContactMatchingService = require('./contact-matching.service.js');
+
+/**
+ * Field-level survivorship rules for golden contacts
+ * - longest: most complete value (ties go to the oldest contact)
+ * - oldest / newest: first non-empty value by created_at
+ * - address: address, unit, care_of, city, state and zip all come from the newest contact with the most complete address
+ * - combine: distinct values joined (notes)
+ * - any: true when any member is true
+ * Fields not listed keep the golden contact's own value.
+ */
+const SURVIVORSHIP_RULES = {
+  name: 'longest',
+  first_name: 'longest',
+  last_name: 'longest',
+  llc_owner: 'longest',
+  possible_relative: 'oldest',
+  deceased_relative: 'oldest',
+  address: 'address',
+  unit: 'address',
+  care_of: 'address',
+  city: 'address',
+  state: 'address',
+  zip: 'address',
+  mineral_rights_percentage: 'newest',
+  ownership_type: 'newest',
+  app_number: 'newest',
+  order_number: 'newest',
+  case_number: 'newest',
+  notes: 'combine',
+  islegal: 'any',
+  deceased: 'any',
+  acknowledged: 'any'
+};
+
+const ADDRESS_FIELDS = ['address', 'unit', 'care_of', 'city', 'state', 'zip'];
+
+/**
+ * Contact Resolution Service
+ *
+ * Merges duplicate contacts into a golden contact instead of deleting them.
+ * Every source contact stays linked to its cluster, and merges can be undone or split.
+ */
+class ContactResolutionService {
+  constructor() {
+    this.contactPointService = new ContactPointService();
+    this.interestService = new InterestService();
+    this.contactMatchingService = new ContactMatchingService();
+  }
+
+  /**
+   * Merge contacts into the oldest one
+   * @param {Array<number>} contactIds - Contacts to merge (at least two, none already merged)
+   * @param {Object} options - { matchMode, matchReason, memberReasons: { contactId: reason }, createdBy, transaction }
+   * @returns {Promise<ContactCluster>} The new cluster
+   */
+  async mergeContacts(contactIds, { matchMode = 'manual', matchReason = null, memberReasons = {}, createdBy = 'system', transaction: outerTransaction = null } = {}) {
+    const ids = [...new Set(contactIds.map(id => parseInt(id)).filter(Boolean))];
+
+    const merge = async transaction => {
+      const contacts = await Contact.findAll({
+        where: { id: ids },
+        include: this.pointIncludes(),
+        order: [['created_at', 'ASC'], ['id', 'ASC']],
+        transaction
+      });
+
+      if (contacts.length !== ids.length) {
+        const found = contacts.map(contact => contact.id);
+        throw this.error('CONTACT_NOT_FOUND', `Contacts not found: ${ids.filter(id => !found.includes(id)).join(', ')}`);
+      }
+
+      const alreadyMerged = contacts.filter(contact => contact.merged_into_id);
+      if (alreadyMerged.length) {
+        throw this.error('INVALID_MERGE', `Contacts already merged into another contact: ${alreadyMerged.map(c => c.id).join(', ')}`);
+      }
+
+      if (contacts.length < 2) {
+        throw this.error('INVALID_MERGE', 'At least two contacts are needed for a merge');
+      }
+
+      const golden = contacts[0];
+      const members = contacts.slice(1);
+      const memberIds = members.map(member => member.id);
+
+      const snapshot = {
+        fields: this.pickSurvivorFields(golden),
+        merged_fields: {},
+        added: { phones: [], emails: [], interests: [] },
+        absorbed: []
+      };
+
+      // Members that were themselves golden contacts hand their merged duplicates over
+      for (const member of members) {
+        const absorbed = await Contact.findAll({ where: { merged_into_id: member.id }, attributes: ['id'], transaction });
+        if (absorbed.length) {
+          const absorbedIds = absorbed.map(contact => contact.id);
+          snapshot.absorbed.push({ contactId: member.id, memberIds: absorbedIds });
+          await Contact.update({ merged_into_id: golden.id }, { where: { id: absorbedIds }, transaction });
+        }
+      }
+
+      const { values, sources } = this.applySurvivorship(contacts);
+      await golden.update(values, { transaction });
+      snapshot.merged_fields = this.pickSurvivorFields(golden);
+
+      // Interests go with the phones and emails, so the golden contact carries them into contactsready.
+      // Only the rows created here are recorded, so undo leaves everything else on the golden contact alone
+      for (const member of members) {
+        const points = await this.contactPointService.copyPoints('contact', member.id, 'contact', golden.id, { transaction });
+        const interestIds = await this.interestService.copyInterests('contact', member.id, 'contact', golden.id, { transaction });
+        snapshot.added.phones.push(...points.phoneIds);
+        snapshot.added.emails.push(...points.emailIds);
+        snapshot.added.interests.push(...interestIds);
+      }
+
+      await Contact.update({ merged_into_id: golden.id }, { where: { id: memberIds }, transaction });
+
+      const cluster = await ContactCluster.create({
+        golden_contact_id: golden.id,
+        match_mode: matchMode,
+        match_reason: matchReason,
+        member_count: contacts.length,
+        field_sources: sources,
+        golden_snapshot: snapshot,
+        created_by: createdBy
+      }, { transaction });
+
+      await ContactClusterMember.bulkCreate(contacts.map(contact => ({
+        cluster_id: cluster.id,
+        contact_id: contact.id,
+        role: contact.id === golden.id ? 'golden' : 'member',
+        match_reason: contact.id === golden.id ? null : memberReasons[contact.id] || matchReason
+      })), { transaction });
+
+      console.log(`🔗 Merged contacts ${memberIds.join(', ')} into golden contact ${golden.id} (cluster ${cluster.id})`);
+      return cluster;
+    };
+
+    return outerTransaction ? merge(outerTransaction) : pgdbconnect.transaction(merge);
+  }
+
+  /**
+   * Undo a merge: remove the phones/emails/interests the merge added, restore the golden
+   * contact's fields and bring the duplicates back as live contacts. Fields edited since
+   * the merge are left alone and reported as conflicts.
+   * @param {number} clusterId - Cluster to undo
+   * @param {Object} options - { undoneBy, transaction }
+   * @returns {Promise<ContactCluster>} The undone cluster, with undo_conflicts
+   */
+  async undoCluster(clusterId, { undoneBy = 'system', transaction: outerTransaction = null } = {}) {
+    const undo = async transaction => {
+      const cluster = await ContactCluster.findByPk(clusterId, {
+        include: [{ association: 'members' }],
+        transaction
+      });
+
+      if (!cluster) {
+        throw this.error('CLUSTER_NOT_FOUND', `Cluster not found: ${clusterId}`);
+      }
+
+      if (cluster.status !== 'merged') {
+        throw this.error('CLUSTER_NOT_MERGED', `Cluster ${clusterId} is already ${cluster.status}`);
+      }
+
+      // A later merge built on this golden contact's merged values - it has to be undone first
+      const later = await ContactCluster.findOne({
+        where: { status: 'merged', id: { [Op.gt]: cluster.id } },
+        include: [{ association: 'members', where: { contact_id: cluster.golden_contact_id }, required: true }],
+        transaction
+      });
+      if (later) {
+        throw this.error('CLUSTER_UNDO_BLOCKED', `Contact ${cluster.golden_contact_id} was merged again in cluster ${later.id} - undo that cluster first`);
+      }
+
+      const snapshot = cluster.golden_snapshot || { fields: {}, absorbed: [] };
+      const golden = await Contact.findByPk(cluster.golden_contact_id, { transaction });
+      const conflicts = {};
+
+      if (golden) {
+        await this.removeAddedPoints(cluster, golden.id, transaction);
+
+        // Clusters merged before the merged values were recorded can't tell a later edit
+        // from the merge, so every changed field is kept and reported
+        const merged = snapshot.merged_fields || {};
+        const values = {};
+        for (const [field, previous] of Object.entries(snapshot.fields || {})) {
+          if (this.sameValue(golden[field], previous)) {
+            continue;
+          }
+          if (field in merged && this.sameValue(golden[field], merged[field])) {
+            values[field] = previous;
+          } else {
+            conflicts[field] = golden[field] === undefined ? null : golden[field];
+          }
+        }
+
+        if (Object.keys(values).length) {
+          await golden.update(values, { transaction });
+        }
+      }
+
+      const memberIds = cluster.members.filter(member => member.role === 'member').map(member => member.contact_id);
+      await Contact.update({ merged_into_id: null }, { where: { id: memberIds }, transaction });
+
+      for (const absorbed of snapshot.absorbed || []) {
+        await Contact.update({ merged_into_id: absorbed.contactId }, { where: { id: absorbed.memberIds }, transaction });
+      }
+
+      await cluster.update({
+        status: 'undone',
+        undone_at: new Date(),
+        undone_by: undoneBy,
+        undo_conflicts: Object.keys(conflicts).length ? conflicts : null
+      }, { transaction });
+
+      console.log(`↩️ Undid cluster ${cluster.id}: contacts ${memberIds.join(', ')} restored`);
+      return cluster;
+    };
+
+    return outerTransaction ? undo(outerTransaction) : pgdbconnect.transaction(undo);
+  }
+
+  /**
+   * Delete the phones, emails and interests a merge copied onto the golden contact.
+   * Clusters merged before those IDs were recorded only have the golden contact's own
+   * IDs; for them, rows added after the merge are kept.
+   */
+  async removeAddedPoints(cluster, goldenId, transaction) {
+    const snapshot = cluster.golden_snapshot || {};
+    const owner = { owner_type: 'contact', owner_id: goldenId };
+
+    if (snapshot.added) {
+      const { phones, emails, interests } = snapshot.added;
+      await Promise.all([
+        phones.length ? ContactPhone.destroy({ where: { ...owner, id: phones }, transaction }) : 0,
+        emails.length ? ContactEmail.destroy({ where: { ...owner, id: emails }, transaction }) : 0,
+        interests.length ? Interest.destroy({ where: { ...owner, id: interests }, transaction }) : 0
+      ]);
+      return;
+    }
+
+    const pointIds = snapshot.point_ids || {};
+    const copiedBy = ids => ({
+      ...owner,
+      id: { [Op.notIn]: ids && ids.length ? ids : [0] },
+      created_at: { [Op.lte]: cluster.created_at }
+    });
+    await ContactPhone.destroy({ where: copiedBy(pointIds.phones), transaction });
+    await ContactEmail.destroy({ where: copiedBy(pointIds.emails), transaction });
+    // Clusters merged before interests were copied have no interest snapshot
+    if (pointIds.interests) {
+      await Interest.destroy({ where: copiedBy(pointIds.interests), transaction });
+    }
+  }
+
+  /**
+   * Take contacts out of a cluster. The merge is undone and the remaining
+   * contacts (if two or more) are merged again into a new cluster, all in one transaction.
+   * @param {number} clusterId - Cluster to split
+   * @param {Array<number>} contactIds - Contacts to take out
+   * @param {Object} options - { splitBy }
+   * @returns {Promise<Object>} { undoneCluster, cluster } - cluster is null when fewer than two contacts remain
+   */
+  async splitCluster(clusterId, contactIds, { splitBy = 'system' } = {}) {
+    return pgdbconnect.transaction(async transaction => {
+      const cluster = await ContactCluster.findByPk(clusterId, { include: [{ association: 'members' }], transaction });
+
+      if (!cluster) {
+        throw this.error('CLUSTER_NOT_FOUND', `Cluster not found: ${clusterId}`);
+      }
+
+      const removeIds = (contactIds || []).map(id => parseInt(id));
+      const memberIds = cluster.members.map(member => member.contact_id);
+      const unknown = removeIds.filter(id => !memberIds.includes(id));
+
+      if (!removeIds.length || unknown.length) {
+        throw this.error('INVALID_SPLIT', unknown.length
+          ? `Contacts not in cluster ${clusterId}: ${unknown.join(', ')}`
+          : 'contact_ids must list the contacts to take out of the cluster');
+      }
+
+      const remaining = memberIds.filter(id => !removeIds.includes(id));
+      const memberReasons = {};
+      cluster.members.forEach(member => {
+        memberReasons[member.contact_id] = member.match_reason;
+      });
+
+      const undoneCluster = await this.undoCluster(clusterId, { undoneBy: splitBy, transaction });
+
+      // Keep fuzzy deduplication from merging the split-out contacts back in
+      await this.contactMatchingService.dismiss(removeIds, { transaction });
+
+      let newCluster = null;
+      if (remaining.length >= 2) {
+        newCluster = await this.mergeContacts(remaining, {
+          matchMode: cluster.match_mode,
+          matchReason: cluster.match_reason ? `${cluster.match_reason} (split from cluster ${cluster.id})` : `Split from cluster ${cluster.id}`,
+          memberReasons,
+          createdBy: splitBy,
+          transaction
+        });
+      }
+
+      return { undoneCluster, cluster: newCluster };
+    });
+  }
+
+  /**
+   * Cluster with its golden contact, every source contact and the distinct values
+   * each field had across the sources
+   */
+  async getCluster(clusterId) {
+    const cluster = await ContactCluster.findByPk(clusterId, {
+      include: [{ association: 'members' }]
+    });
+
+    if (!cluster) {
+      return null;
+    }
+
+    const contacts = await Contact.findAll({
+      where: { id: cluster.members.map(member => member.contact_id) },
+      include: this.pointIncludes(),
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    const golden = contacts.find(contact => contact.id === cluster.golden_contact_id) || null;
+    const sources = cluster.members.map(member => ({
+      role: member.role,
+      matchReason: member.match_reason,
+      contact: contacts.find(contact => contact.id === member.contact_id) || null
+    }));
+
+    // The golden contact's own fields before the merge stand in for it as a source
+    const sourceValues = contacts.map(contact => (
+      contact.id === cluster.golden_contact_id && cluster.golden_snapshot
+        ? { id: contact.id, ...cluster.golden_snapshot.fields }
+        : contact.get({ plain: true })
+    ));
+
+    return {
+      cluster,
+      golden,
+      sources,
+      fieldValues: this.collectFieldValues(sourceValues)
+    };
+  }
+
+  /**
+   * List clusters, newest first
+   * @param {Object} filters - { status, contact_id, limit, offset }
+   */
+  async getClusters({ status, contact_id, limit = 50, offset = 0 } = {}) {
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+
+    const include = [];
+    if (contact_id) {
+      include.push({ association: 'members', where: { contact_id: parseInt(contact_id) }, required: true, attributes: [] });
+    }
+
+    return ContactCluster.findAndCountAll({
+      where,
+      include,
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      distinct: true
+    });
+  }
+
+  /**
+   * Golden values for a set of duplicates (oldest first)
+   * @param {Array<Contact>} contacts - Members, ordered by created_at
+   * @returns {Object} { values, sources } - field values and the contact ID each came from
+   */
+  applySurvivorship(contacts) {
+    const values = {};
+    const sources = {};
+    const newestFirst = [...contacts].reverse();
+    const hasValue = value => value !== null && value !== undefined && value.toString().trim() !== '';
+
+    // The address block comes from a single contact so street, city and zip stay consistent
+    const addressSource = newestFirst
+      .filter(contact => hasValue(contact.address))
+      .sort((a, b) => this.addressCompleteness(b) - this.addressCompleteness(a))[0];
+
+    for (const [field, rule] of Object.entries(SURVIVORSHIP_RULES)) {
+      let source = null;
+
+      switch (rule) {
+        case 'longest':
+          source = contacts
+            .filter(contact => hasValue(contact[field]))
+            .reduce((best, contact) => (!best || contact[field].toString().length > best[field].toString().length ? contact : best), null);
+          break;
+        case 'oldest':
+          source = contacts.find(contact => hasValue(contact[field])) || null;
+          break;
+        case 'newest':
+          source = newestFirst.find(contact => hasValue(contact[field])) || null;
+          break;
+        case 'address':
+          // Take the whole block, empty unit included, so no part of an older address is left behind
+          if (addressSource) {
+            values[field] = hasValue(addressSource[field]) ? addressSource[field] : null;
+            sources[field] = addressSource.id;
+          }
+          continue;
+        case 'combine': {
+          const distinct = [...new Set(contacts.map(contact => contact[field]).filter(hasValue).map(value => value.toString().trim()))];
+          if (distinct.length) {
+            values[field] = distinct.join('\n');
+            sources[field] = contacts.filter(contact => hasValue(contact[field])).map(contact => contact.id);
+          }
+          continue;
+        }
+        case 'any':
+          source = contacts.find(contact => contact[field] === true) || null;
+          values[field] = !!source;
+          if (source) {
+            sources[field] = source.id;
+          }
+          continue;
+      }
+
+      if (source) {
+        values[field] = source[field];
+        sources[field] = source.id;
+      }
+    }
+
+    return { values, sources };
+  }
+
+  addressCompleteness(contact) {
+    return ADDRESS_FIELDS.filter(field => contact[field]).length;
+  }
+
+  // Distinct non-empty values per survivorship field, with the contacts that hold them
+  collectFieldValues(contacts) {
+    const fieldValues = {};
+
+    for (const field of Object.keys(SURVIVORSHIP_RULES)) {
+      const byValue = new Map();
+      for (const contact of contacts) {
+        const value = contact[field];
+        if (value === null || value === undefined || value === '') continue;
+        const key = value.toString();
+        if (!byValue.has(key)) {
+          byValue.set(key, { value, contactIds: [] });
+        }
+        byValue.get(key).contactIds.push(contact.id);
+      }
+      fieldValues[field] = [...byValue.values()];
+    }
+
+    return fieldValues;
+  }
+
+  // Field values as they come back from Postgres and from the JSONB snapshot (e.g. DECIMAL strings vs numbers)
+  sameValue(a, b) {
+    const normalize = value => (value === null || value === undefined || value === '' ? null : value.toString());
+    return normalize(a) === normalize(b);
+  }
+
+  pickSurvivorFields(contact) {
+    const fields = {};
+    Object.keys(SURVIVORSHIP_RULES).forEach(field => {
+      fields[field] = contact[field] === undefined ? null : contact[field];
+    });
+    return fields;
+  }
+
+  pointIncludes() {
+    return [
+      { association: 'phones', separate: true, order: [['position', 'ASC']] },
+      { association: 'emails', separate: true, order: [['position', 'ASC']] }
+    ];
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+ContactResolutionService.SURVIVORSHIP_RULES = SURVIVORSHIP_RULES;
+
+module.exports = ContactResolutionService;
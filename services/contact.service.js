@@ -8,6 +8,7 @@ const {
   UpdateCommand
 } = require('@aws-sdk/lib-dynamodb');
 const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb')
+const { AuditLog } = require('../config/pddbclient.cjs')
 
 class ContactService {
   constructor(authService, s3Service) {
@@ -411,16 +412,29 @@ class ContactService {
         UpdateExpression: `SET ${updateExpressions.join(', ')}`,
         ExpressionAttributeNames: expressionAttributeNames,
         ExpressionAttributeValues: marshall(expressionAttributeValues),
-        ReturnValues: 'ALL_NEW'
+        ReturnValues: 'ALL_OLD' // The old values go to the audit log; the new item is the old one plus the updates
       }
 
       const command = new UpdateCommand(updateParams)
       const response = await DynamoClient.dynamoClient.send(command)
+      const oldItem = response.Attributes ? unmarshall(response.Attributes) : null
+
+      const written = {}
+      for (const [name, attribute] of Object.entries(expressionAttributeNames)) {
+        written[attribute] = expressionAttributeValues[name.replace('#', ':')]
+      }
+
+      try {
+        await AuditLog.recordChanges('dynamo_contact', `${pkey}|${skey}`, oldItem, written)
+      } catch (auditError) {
+        // The update is already written to DynamoDB
+        console.warn(`⚠️ Failed to audit update of contact ${pkey}|${skey}: ${auditError.message}`)
+      }
 
       return {
         success: true,
         message: 'Contact updated successfully',
-        updatedItem: response.Attributes ? unmarshall(response.Attributes) : null
+        updatedItem: { ...(oldItem || { pkey, skey }), ...written }
       }
 
     } catch (error) {
@@ -1,75 +1,203 @@
 require('dotenv').config()
 const axios = require('axios')
+const SearchTargetService = require('./search-target.service.js')
+
+const EMNRD_API_ROOT = 'https://api.emnrd.nm.gov/wda/v1/'
+const DAY_MS = 24 * 60 * 60 * 1000
 
 class DataService {
   constructor(authService, loggingService) {
     this.authService = authService
     this.loggingService = loggingService
+    this.searchTargetService = new SearchTargetService()
+
+    // Defaults used until search targets are configured in the search_targets table
     this.applicantNames = ['Cimarex', 'Mewbourne', 'Tap Rock', 'Permian Resources', 'Marathon', 'Devon', 'Matador']
     this.countyNames = ['Eddy', 'Lea']
+
+    this.config = {
+      windowDays: parseInt(process.env.EMNRD_SEARCH_WINDOW_DAYS) || 7,
+      pageSize: parseInt(process.env.EMNRD_PAGE_SIZE) || 25,
+      maxPages: parseInt(process.env.EMNRD_MAX_PAGES) || 200
+    }
   }
 
-  async callForData(applicantName) {
-    const now = new Date();
-    // 7 days in milliseconds
-    const sevenDays = 7 * 24 * 60 * 60 * 1000;
-    // Date from 7 days ago
-    const sevenDaysAgo = new Date(Date.now() - sevenDays);
-    // Extract month & day from 7 days ago
-    const month = sevenDaysAgo.getMonth() + 1; // months are 0-based
-    const day = sevenDaysAgo.getDate();
-    // Use the current year
-    const year = now.getFullYear();
-    
-    let url = `OCD/Imaging/Case/Files/Search/25/1?ApplicantName=${applicantName}&ApplicantNameFilterExpression=Contains&ScanDate=${month}%2F${day}%2F${year}&ScanDateFilterExpression=GreaterThan`
-    
-    const token = this.authService.getToken()
-    if (!token) {
-      console.warn('No token. Attempting login...')
-      await this.authService.login()
+  /**
+   * Search OCD case files by applicant
+   * @param {string} applicantName - Applicant (operator) name, matched with Contains
+   * @param {Object} options - See resolveWindow / fetchAllPages
+   * @param {Date|string} options.from - Only files scanned after this date (default: EMNRD_SEARCH_WINDOW_DAYS ago)
+   * @param {Date|string} options.to - Only files scanned on or before this date (default: now)
+   * @returns {Promise<Object|undefined>} Axios-style response whose data.Items holds every page
+   */
+  async callForData(applicantName, options = {}) {
+    const { from, to } = this.resolveWindow(options)
+
+    const buildUrl = (pageSize, page) =>
+      `OCD/Imaging/Case/Files/Search/${pageSize}/${page}?ApplicantName=${encodeURIComponent(applicantName)}&ApplicantNameFilterExpression=Contains&ScanDate=${this.formatScanDate(this.dayBefore(from))}&ScanDateFilterExpression=GreaterThan`
+
+    return this.fetchAllPages(buildUrl, { ...options, from, to, label: `applicant ${applicantName}` })
+  }
+
+  /**
+   * Enabled applicant search targets
+   * @returns {Promise<Array<string>>} Applicant names
+   */
+  async getApplicantNames() {
+    return this.searchTargetService.getTargetNames('applicant', '', this.applicantNames)
+  }
+
+  /**
+   * Search OCD administrative order files by county and application category
+   * @param {string} countyName - County name
+   * @param {string} appCatId - ApplicationCategoryId (CTB, OLM, PLC, ...)
+   * @param {Object} options - Same as callForData
+   * @returns {Promise<Object|undefined>} Axios-style response whose data.Items holds every page
+   */
+  async callForDataByCounty(countyName, appCatId = 'CTB', options = {}) {
+    const { from, to } = this.resolveWindow(options)
+
+    const buildUrl = (pageSize, page) =>
+      `OCD/Imaging/AdministrativeOrder/Files/Search/${pageSize}/${page}?CountyName=${encodeURIComponent(countyName)}&ScanDate=${this.formatScanDate(this.dayBefore(from))}&ScanDateFilterExpression=GreaterThan&ApplicationCategoryId=${appCatId}`
+
+    return this.fetchAllPages(buildUrl, { ...options, from, to, label: `county ${countyName} (${appCatId})` })
+  }
+
+  /**
+   * Enabled county search targets of an application category
+   * @param {string} appCatId - ApplicationCategoryId (CTB, OLM, PLC, ...)
+   * @returns {Promise<Array<string>>} County names
+   */
+  async getCountyNames(appCatId) {
+    return this.searchTargetService.getTargetNames('county', appCatId, this.countyNames)
+  }
+
+  /**
+   * Resolve the ScanDate window of a search
+   * @param {Object} options - { from, to }
+   * @returns {Object} { from: Date, to: Date }
+   */
+  resolveWindow({ from, to } = {}) {
+    const toDate = to ? new Date(to) : new Date()
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - this.config.windowDays * DAY_MS)
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+      throw new Error(`Invalid date window: from=${from} to=${to}`)
     }
-    
-    try {
-      const response = await axios.get(`https://api.emnrd.nm.gov/wda/v1/${url}`, {
-        headers: {
-          Authorization: `Bearer ${this.authService.getToken()}`
-        }
-      })
-      return response
-    } catch (error) {
-      if (error.response?.status === 401) {
-        console.warn('Token expired. Logging in again...')
-        await this.authService.login()
-        return await this.callForData(applicantName)
-      }
-      console.error('Data fetch failed:', error.message)
-      await this.loggingService.writeMessage('dataError', error.message)
+
+    if (fromDate > toDate) {
+      throw new Error(`Invalid date window: from (${fromDate.toISOString()}) is after to (${toDate.toISOString()})`)
+    }
+
+    return { from: fromDate, to: toDate }
+  }
+
+  /**
+   * Split a date range into contiguous windows: each window starts where the previous
+   * one ended and the last ends at `to`. Backfills use the number of windows to size
+   * their page budget (EMNRD_MAX_PAGES per window).
+   * @param {Date|string} from - Range start
+   * @param {Date|string} to - Range end (defaults to now)
+   * @param {number} chunkDays - Window length in days (default 30, roughly month by month)
+   * @returns {Array} [{ from: Date, to: Date }]
+   */
+  buildDateChunks(from, to, chunkDays = 30) {
+    const window = this.resolveWindow({ from, to })
+    const stepMs = Math.max(1, parseInt(chunkDays) || 30) * DAY_MS
+    const chunks = []
+    for (let start = window.from.getTime(); start < window.to.getTime(); start += stepMs) {
+      chunks.push({ from: new Date(start), to: new Date(Math.min(start + stepMs, window.to.getTime())) })
     }
+    return chunks.length ? chunks : [window]
   }
 
-  getApplicantNames() {
-    return this.applicantNames
+  // ScanDate filters are by day and GreaterThan leaves the given day out, so searches
+  // send the day before `from` and filterItemsByScanDate trims to the window
+  dayBefore(date) {
+    return new Date(date.getTime() - DAY_MS)
   }
 
-  async callForDataByCounty(countyName, appCatId = 'CTB') {
-    const now = new Date();
-    // 7 days in milliseconds
-    const sevenDays = 7 * 24 * 60 * 60 * 1000;
-    // Date from 7 days ago
-    const sevenDaysAgo = new Date(Date.now() - sevenDays);
-    // Extract month & day from 7 days ago
-    const month = sevenDaysAgo.getMonth() + 1; // months are 0-based
-    const day = sevenDaysAgo.getDate();
-    // Use the current year
-    const year = now.getFullYear();
-
-    let url =`OCD/Imaging/AdministrativeOrder/Files/Search/25/1?CountyName=${countyName}&ScanDate=${month}%2F${day}%2F${year}&ScanDateFilterExpression=GreaterThan&ApplicationCategoryId=${appCatId}`
-
-    console.log(`URL being called: ${url} <----------`)
-    /*
-    let url = `OCD/Imaging/Case/Files/Search/25/1?County=${countyName}&CountyFilterExpression=Contains&ScanDate=${month}%2F${day}%2F${year}&ScanDateFilterExpression=GreaterThan`
-    */
+  // EMNRD expects ScanDate as m/d/yyyy (URL encoded), in UTC like the rest of the window
+  formatScanDate(date) {
+    return `${date.getUTCMonth() + 1}%2F${date.getUTCDate()}%2F${date.getUTCFullYear()}`
+  }
+
+  /**
+   * Request every result page of a search. Pages are requested until one comes back
+   * short (fewer than pageSize items). A search only takes a lower ScanDate bound and
+   * the results have no guaranteed order, so every page is read and files outside
+   * `from`..`to` are dropped here.
+   * @param {Function} buildUrl - (pageSize, page) => relative URL
+   * @param {Object} options
+   * @param {Date} options.from - Drop files scanned before this date's (UTC) day
+   * @param {Date} options.to - Drop files scanned after this date
+   * @param {number} options.pageSize - Results per page (EMNRD_PAGE_SIZE, default 25)
+   * @param {number} options.maxPages - Safety limit (EMNRD_MAX_PAGES, default 200)
+   * @param {string} options.label - Description used in logs
+   * @returns {Promise<Object|undefined>} First page response with data.Items replaced by all items,
+   *                                      or undefined if the first page could not be fetched
+   * @throws {Error} When maxPages full pages did not reach the end of the window
+   *                 (error.code = 'PAGE_LIMIT_REACHED'), or when a later page could not be
+   *                 fetched (error.code = 'PAGE_FETCH_FAILED')
+   */
+  async fetchAllPages(buildUrl, { from, to, pageSize = this.config.pageSize, maxPages = this.config.maxPages, label = 'search' } = {}) {
+    let firstResponse = null
+    const items = []
+    let page = 1
+
+    for (; page <= maxPages; page++) {
+      const url = buildUrl(pageSize, page)
+      console.log(`URL being called: ${url} <----------`)
+
+      const response = await this.requestPage(url)
+
+      if (!response) {
+        if (!firstResponse) {
+          return undefined
+        }
+        // Returning the earlier pages would pass a partial window off as the whole one
+        await this.loggingService.writeMessage('dataPageError', `${label}: page ${page} failed after ${items.length} items`)
+        const error = new Error(`${label}: page ${page} could not be fetched - the search window was not read completely`)
+        error.code = 'PAGE_FETCH_FAILED'
+        throw error
+      }
 
+      if (!firstResponse) {
+        firstResponse = response
+      }
+
+      const pageItems = (response.data && Array.isArray(response.data.Items)) ? response.data.Items : []
+      items.push(...pageItems)
+
+      if (pageItems.length < pageSize) {
+        break
+      }
+    }
+
+    // Every page was full: the rest of the results were never fetched
+    if (page > maxPages) {
+      await this.loggingService.writeMessage('dataPageLimit', `${label}: stopped at ${maxPages} pages`)
+      const error = new Error(`${label}: more than ${maxPages} pages of results - narrow the ScanDate window or raise EMNRD_MAX_PAGES`)
+      error.code = 'PAGE_LIMIT_REACHED'
+      throw error
+    }
+
+    const windowed = this.filterItemsByScanDate(items, { from, to })
+    console.log(`📚 ${label}: ${windowed.length} items across ${page} page(s)`)
+
+    return {
+      ...firstResponse,
+      data: { ...firstResponse.data, Items: windowed },
+      pages: page
+    }
+  }
+
+  /**
+   * Request a single page, logging in again once on a 401
+   * @param {string} url - Relative URL
+   * @returns {Promise<Object|undefined>} Axios response, or undefined on failure
+   */
+  async requestPage(url, isRetry = false) {
     const token = this.authService.getToken()
     if (!token) {
       console.warn('No token. Attempting login...')
@@ -77,26 +205,45 @@ class DataService {
     }
 
     try {
-      const response = await axios.get(`https://api.emnrd.nm.gov/wda/v1/${url}`, {
+      return await axios.get(`${EMNRD_API_ROOT}${url}`, {
         headers: {
           Authorization: `Bearer ${this.authService.getToken()}`
         }
       })
-      return response
     } catch (error) {
-      if (error.response?.status === 401) {
+      if (error.response?.status === 401 && !isRetry) {
         console.warn('Token expired. Logging in again...')
         await this.authService.login()
-        return await this.callForDataByCounty(countyName, appCatId)
+        return await this.requestPage(url, true)
       }
       console.error('Data fetch failed:', error.message)
       await this.loggingService.writeMessage('dataError', error.message)
     }
   }
 
-  getCountyNames() {
-    return this.countyNames
+  /**
+   * The search API only takes a lower ScanDate bound (sent a day early, see dayBefore),
+   * so the window is applied here: files scanned on `from`'s day (UTC) through `to`
+   * are kept. Files without a ScanDate are kept.
+   * @param {Array} items - Search result items
+   * @param {Object} window - { from, to } - either may be omitted
+   * @returns {Array} Items with out-of-window ImagingFiles removed
+   */
+  filterItemsByScanDate(items, { from, to } = {}) {
+    const start = from ? Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()) : null
+    const inWindow = (record) => {
+      if (!record || !record.ScanDate) return true
+      const scanDate = new Date(record.ScanDate)
+      if (isNaN(scanDate.getTime())) return true
+      return (start === null || scanDate.getTime() >= start) && (!to || scanDate <= to)
+    }
+
+    return items
+      .map(item => Array.isArray(item.ImagingFiles)
+        ? { ...item, ImagingFiles: item.ImagingFiles.filter(inWindow) }
+        : item)
+      .filter(item => inWindow(item) && (!Array.isArray(item.ImagingFiles) || item.ImagingFiles.length > 0))
   }
 }
 
-module.exports = DataService
\ No newline at end of file
+module.exports = DataService
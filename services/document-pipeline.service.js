@@ -0,0 +1,1247 @@
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const cron = require('node-cron');
+const ClaudeContactExtractor = require('./ClaudeContactExtractor.cjs');
+const jobIdService = require('./job-id.service');
+const JobRunService = require('./job-run.service.js');
+const JobQueueService = require('./job-queue.service.js');
+const SearchTargetService = require('./search-target.service.js');
+const ProcessedDocumentService = require('./processed-document.service.js');
+const ContactProvenanceService = require('./contact-provenance.service.js');
+const CaseService = require('./case.service.js');
+
+/**
+ * Document Ingestion Pipeline
+ *
+ * Runs EMNRD administrative order PDFs through a list of named stages:
+ *   acquire (download | s3-relay + s3-fetch) -> validate -> rasterize -> resize
+ *   -> extract -> enrich -> persist -> archive
+ *
+ * The behaviour that differs between OCD categories lives in a source
+ * descriptor (config/document-sources.cjs). Stages are looked up by name in
+ * this.stages, so a source can override its stage list or a caller can
+ * register an additional stage with registerStage().
+ */
+class DocumentPipelineService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.source - Source descriptor from config/document-sources.cjs
+   * @param {AuthService} options.authService
+   * @param {S3Service} options.s3Service
+   * @param {DataService} options.dataService
+   * @param {LoggingService} options.loggingService
+   * @param {PostgresContactService} options.postgresContactService
+   * @param {Object} options.pdfDownloader - Object exposing downloadPdfLocally(url, filename, folder)
+   */
+  constructor({ source, authService, s3Service, dataService, loggingService, postgresContactService, pdfDownloader }) {
+    this.source = source;
+    this.authService = authService;
+    this.s3Service = s3Service;
+    this.dataService = dataService;
+    this.loggingService = loggingService;
+    this.postgresContactService = postgresContactService;
+    this.pdfDownloader = pdfDownloader;
+    this.jobRunService = new JobRunService();
+    this.jobQueueService = new JobQueueService();
+    this.searchTargetService = new SearchTargetService();
+    this.processedDocumentService = new ProcessedDocumentService();
+    this.contactProvenanceService = new ContactProvenanceService(s3Service);
+    this.caseService = new CaseService();
+
+    // Cron tasks of search targets with their own schedule (see refreshTargetSchedules)
+    this.targetCronTasks = [];
+
+    this.config = {
+      maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 500000,
+      minPdfSize: 1024,
+      tempDir: process.env.UPLOAD_TEMP_DIR || './temp/uploads',
+      resolution: process.env.GS_IMAGE_RESOLUTION || '300',
+      maxImageDimension: source.maxImageDimension || 2000,
+      interFileDelayMs: 3000,
+      // Scheduled runs that find another job running wait for it (see runJobWhenIdle)
+      busyRetryMs: parseInt(process.env.SCHEDULED_RUN_RETRY_MS) || 5 * 60 * 1000,
+      busyMaxWaitMs: parseInt(process.env.SCHEDULED_RUN_MAX_WAIT_MS) || 12 * 60 * 60 * 1000,
+      keepLocalFiles: !!process.env.KEEP_LOCAL_FILES,
+      processLocally: true // Always process locally for vision
+    };
+
+    this.imageMagickCommand = null;
+
+    // Stage registry - failure.metric is the metrics counter bumped when the stage throws,
+    // failure.retryable: false stops the job queue from retrying the file
+    this.stages = {
+      'download': {
+        run: ctx => this.stageDownload(ctx),
+        failure: { metric: 'downloadFailed', reason: 'Download failed', logKey: 'visionDownloadFailed' }
+      },
+      's3-relay': {
+        run: ctx => this.stageS3Relay(ctx),
+        failure: { metric: 'uploadFailed', reason: 'Upload to S3 failed', logKey: 'visionUploadFailed' }
+      },
+      's3-fetch': {
+        run: ctx => this.stageS3Fetch(ctx),
+        failure: { metric: 'downloadFailed', reason: 'Download failed', logKey: 'visionDownloadFailed' }
+      },
+      'validate': {
+        run: ctx => this.stageValidate(ctx),
+        failure: { metric: 'validationFailed', reason: 'Validation failed', logKey: 'visionValidationFailed', retryable: false }
+      },
+      'dedupe': { run: ctx => this.stageDedupe(ctx) },
+      'rasterize': { run: ctx => this.stageRasterize(ctx) },
+      'resize': { run: ctx => this.stageResize(ctx) },
+      'extract': { run: ctx => this.stageExtract(ctx) },
+      'enrich': { run: ctx => this.stageEnrich(ctx) },
+      'persist': { run: ctx => this.stagePersist(ctx) },
+      'archive': { run: ctx => this.stageArchive(ctx) },
+      'register': { run: ctx => this.stageRegister(ctx) }
+    };
+  }
+
+  /**
+   * Register (or replace) a pipeline stage
+   * @param {string} name - Stage name referenced from stage lists
+   * @param {Object} stage - { run: async (ctx) => {}, failure?: { metric, reason, logKey, retryable } }
+   */
+  registerStage(name, stage) {
+    if (!stage || typeof stage.run !== 'function') {
+      throw new Error(`Stage "${name}" must provide a run(ctx) function`);
+    }
+    this.stages[name] = stage;
+  }
+
+  /**
+   * Resolve the ordered stage names for a processing mode
+   * @param {string} mode - 'batch' (EMNRD county run) or 'upload' (manual file upload)
+   * @returns {Array<string>} Stage names
+   */
+  getStageNames(mode) {
+    if (this.source.stages && this.source.stages[mode]) {
+      return this.source.stages[mode];
+    }
+
+    const processing = ['validate', 'dedupe', 'rasterize', 'resize', 'extract', 'enrich', 'persist'];
+
+    if (mode === 'upload') {
+      return [...processing, 'archive', 'register'];
+    }
+
+    if (this.source.acquisition === 's3-relay') {
+      return ['s3-relay', 's3-fetch', ...processing, 'register'];
+    }
+
+    return ['download', ...processing, 'archive', 'register'];
+  }
+
+  // Helper method to detect file type from buffer
+  detectFileType(buffer) {
+    const header = buffer.toString('hex', 0, Math.min(20, buffer.length));
+    const text = buffer.toString('utf8', 0, Math.min(100, buffer.length));
+
+    // Common file signatures
+    if (header.startsWith('25504446')) return 'PDF';
+    if (header.startsWith('ffd8ff')) return 'JPEG image';
+    if (header.startsWith('89504e47')) return 'PNG image';
+    if (header.startsWith('474946')) return 'GIF image';
+    if (text.startsWith('<!DOCTYPE') || text.startsWith('<html')) return 'HTML document';
+    if (text.startsWith('<?xml')) return 'XML document';
+    if (text.startsWith('{') || text.startsWith('[')) return 'JSON document';
+    if (header.startsWith('504b0304')) return 'ZIP/Office document';
+
+    return 'Unknown file type';
+  }
+
+  /**
+   * Fetch the imaging files of one search group from EMNRD - a county, or an
+   * applicant for sources searched by applicant (source.searchBy)
+   * @param {string} group - County or applicant name
+   * @param {Object} window - { from, to, maxPages } ScanDate window (defaults to DataService's rolling window)
+   *                          and page limit (defaults to EMNRD_MAX_PAGES)
+   * @returns {Promise<Array>} PDFs with AppNumber/OrderNumber/CaseNumber attached
+   */
+  async fetchGroupDocuments(group, window = {}) {
+    if (!this.authService.getToken()) {
+      await this.authService.login();
+    }
+
+    const byApplicant = this.source.searchBy === 'applicant';
+    const response = byApplicant
+      ? await this.dataService.callForData(group, window)
+      : await this.dataService.callForDataByCounty(group, this.source.applicationCategoryId, window);
+
+    if (!response || !response.data || !Array.isArray(response.data.Items)) {
+      console.warn(`⚠️ No valid data returned for ${byApplicant ? 'applicant' : 'county'} "${group}". Skipping...`);
+      await this.loggingService.writeMessage('missingItems', `No Items for ${group}`);
+      return [];
+    }
+
+    const items = response.data.Items;
+    console.log(`✅ Retrieved ${items.length} items for ${group}`);
+
+    try {
+      const recorded = await this.caseService.recordSearchItems(items, {
+        sourceKey: this.source.key,
+        numbersOf: item => this.itemNumbers(item),
+        ...(byApplicant
+          ? { applicant: group }
+          : { county: group, category: this.source.applicationCategoryId })
+      });
+      console.log(`📁 Recorded ${recorded.cases} cases (${recorded.documents} documents) for ${group}, linked ${recorded.linkedContacts} contacts`);
+    } catch (caseErr) {
+      // The documents can still be processed - their contacts keep the loose case number
+      console.warn(`⚠️ Failed to record cases for ${group}: ${caseErr.message}`);
+    }
+
+    // Keep track of which PDF belongs to which item (for App/Order/Case numbers)
+    return items.flatMap(item =>
+      (item.ImagingFiles || []).map(pdf => ({
+        ...pdf,
+        ...this.itemNumbers(item)
+      }))
+    );
+  }
+
+  /**
+   * App/Order/Case numbers of a search Item
+   * @param {Object} item - EMNRD search Item
+   * @returns {Object} { AppNumber, OrderNumber, CaseNumber }
+   */
+  itemNumbers(item) {
+    // Case file searches (by applicant) name the fields differently from administrative order searches
+    if (this.source.searchBy === 'applicant') {
+      return {
+        AppNumber: item.RecordNo || null,
+        OrderNumber: item.HearingOrderNumber || null,
+        CaseNumber: item.CaseNumber || null
+      };
+    }
+
+    return {
+      AppNumber: item.ApplicationNo || null,
+      OrderNumber: item.OrderNo || null,
+      CaseNumber: item.AdminOrderNo || null // Using AdminOrderNo as case number
+    };
+  }
+
+  /**
+   * Run a full job for this source: queue every county's PDFs, then work the queue
+   * @param {Object} options - See startJob
+   * @returns {Promise<Object>} Job metrics
+   * @throws {Error} When a job for this source is already running (error.code = 'JOB_ALREADY_RUNNING')
+   *                 or on fatal errors (error.metrics holds the partial metrics)
+   */
+  async runJob(options = {}) {
+    const { completion } = await this.startJob(options);
+    return completion;
+  }
+
+  /**
+   * runJob for scheduled runs: while another job of this source is running, wait and
+   * try again rather than dropping the run. Gives up after busyMaxWaitMs.
+   * @param {Object} options - See startJob
+   * @returns {Promise<Object>} Job metrics
+   * @throws {Error} Same as runJob; JOB_ALREADY_RUNNING only once the wait runs out
+   */
+  async runJobWhenIdle(options = {}) {
+    const { busyRetryMs, busyMaxWaitMs } = this.config;
+    const deadline = Date.now() + busyMaxWaitMs;
+
+    while (true) {
+      try {
+        return await this.runJob(options);
+      } catch (error) {
+        if (error.code !== 'JOB_ALREADY_RUNNING' || Date.now() + busyRetryMs > deadline) {
+          throw error;
+        }
+
+        console.log(`⏳ ${this.source.key} job ${error.jobId} is running - trying again in ${Math.round(busyRetryMs / 1000)}s`);
+        await new Promise(resolve => setTimeout(resolve, busyRetryMs));
+      }
+    }
+  }
+
+  /**
+   * Start a job and return as soon as its job run exists
+   * @param {Object} options
+   * @param {string} options.triggerType - cron, manual or api
+   * @param {boolean} options.force - Re-extract documents already in the processed-document registry
+   * @param {Object} options.window - Search window: { from, to, chunkDays, counties } - all optional.
+   *                                  chunkDays (backfills) allows EMNRD_MAX_PAGES per chunkDays of
+   *                                  from..to, so a long range isn't cut off by the page limit,
+   *                                  counties overrides the regular-run counties - or applicants, for
+   *                                  sources searched by applicant (see getRegularGroups)
+   * @returns {Promise<Object>} { jobId, completion } - completion resolves with the job metrics
+   * @throws {Error} When a job for this source is already running (error.code = 'JOB_ALREADY_RUNNING'),
+   *                 or when its job run could not be created
+   */
+  async startJob({ triggerType = 'cron', window = {}, force = false } = {}) {
+    const source = this.source;
+
+    // Generate unique job ID for this processing run
+    const jobId = jobIdService.generateJobId(source.key);
+    console.log(`🆔 Generated Job ID for this run: ${jobId}`);
+
+    // The running job run is what keeps two starts of a source apart - without it
+    // the job could not be found, resumed or excluded, so it doesn't start
+    await this.jobRunService.startExclusiveJobRun({
+      job_id: jobId,
+      job_type: source.key,
+      trigger_type: triggerType
+    });
+
+    const completion = this.drainJob(jobId, () => this.enqueueSourceDocuments(jobId, window, { force }));
+    return { jobId, completion };
+  }
+
+  /**
+   * Resume a job whose process died mid-run, starting from its first unfinished file
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Job metrics
+   */
+  async resumeJob(jobId) {
+    console.log(`▶️ Resuming ${this.source.key} job ${jobId} from the queue`);
+    return this.drainJob(jobId);
+  }
+
+  /**
+   * Reprocess failed files of a finished job under the original job ID. The files
+   * keep their queued metadata (county, URL, app/order/case numbers) and the JobRun
+   * counters are recalculated when the queue drains.
+   * @param {string} jobId - Job ID
+   * @param {Object} filters - { reason, files } - see JobQueueService.requeueFailedItems
+   * @returns {Promise<Object>} { requeued, files, completion } - completion resolves with the job metrics
+   * @throws {Error} When a job for this source is already running (error.code = 'JOB_ALREADY_RUNNING')
+   */
+  async retryJobFiles(jobId, filters = {}) {
+    const activeJob = await this.jobQueueService.findActiveJob(this.source.key);
+    if (activeJob) {
+      const error = new Error(`${this.source.key} job ${activeJob.job_id} is already running`);
+      error.code = 'JOB_ALREADY_RUNNING';
+      error.jobId = activeJob.job_id;
+      throw error;
+    }
+
+    const items = await this.jobQueueService.requeueFailedItems(jobId, filters);
+
+    if (!items.length) {
+      return { requeued: 0, files: [], completion: null };
+    }
+
+    await this.jobRunService.reopenJobRun(jobId);
+    console.log(`🔁 Retrying ${items.length} files of ${this.source.key} job ${jobId}`);
+
+    const completion = this.drainJob(jobId);
+    completion.catch(error => console.error(`❌ Retry of job ${jobId} failed:`, error.message));
+
+    return {
+      requeued: items.length,
+      files: items.map(item => item.payload.fileName),
+      completion
+    };
+  }
+
+  /**
+   * Resume every running job of this source. Jobs that died before any file was
+   * queued cannot be resumed and are marked failed.
+   * @returns {Promise<number>} Number of jobs resumed
+   */
+  async resumeInterruptedJobs() {
+    const jobRuns = await this.jobQueueService.findInterruptedJobs(this.source.key);
+    const resumable = [];
+
+    for (const jobRun of jobRuns) {
+      const summary = await this.jobQueueService.getQueueSummary(jobRun.job_id);
+
+      if (summary.total === 0) {
+        console.warn(`⚠️ ${this.source.key} job ${jobRun.job_id} was interrupted before any files were queued`);
+        await this.jobRunService.markJobFailed(jobRun.job_id, 'Interrupted before any files were queued', null, {});
+        continue;
+      }
+
+      resumable.push(jobRun.job_id);
+    }
+
+    // Work through resumable jobs one after another in the background
+    if (resumable.length) {
+      (async () => {
+        for (const jobId of resumable) {
+          try {
+            await this.resumeJob(jobId);
+          } catch (error) {
+            console.error(`❌ Failed to resume ${this.source.key} job ${jobId}:`, error.message);
+          }
+        }
+      })();
+    }
+
+    return resumable.length;
+  }
+
+  /**
+   * Fetch every county's (or applicant's) imaging files and add them to the job queue
+   * @param {string} jobId - Job ID
+   * @param {Object} window - { from, to, chunkDays, counties } - see startJob
+   * @param {Object} options - { force } - see startJob
+   * @returns {Promise<number>} Number of queued items
+   */
+  async enqueueSourceDocuments(jobId, window = {}, options = {}) {
+    const { from, to, chunkDays, counties } = window;
+    const groups = counties && counties.length ? counties : await this.getRegularGroups();
+    const search = this.dataService.resolveWindow({ from, to });
+
+    // EMNRD searches only take a lower ScanDate bound, so searching window by window
+    // would fetch everything from each window's start to today again. A backfill is
+    // one search per group instead, with EMNRD_MAX_PAGES for each chunkDays window.
+    if (chunkDays) {
+      const chunks = this.dataService.buildDateChunks(search.from, search.to, chunkDays);
+      search.maxPages = this.dataService.config.maxPages * chunks.length;
+      console.log(`📅 Searching ${search.from.toISOString().slice(0, 10)} → ${search.to.toISOString().slice(0, 10)} (${chunks.length} windows, up to ${search.maxPages} pages)`);
+    }
+
+    let queued = 0;
+    for (const group of groups) {
+      queued += await this.enqueueGroupDocuments(jobId, group, search, options);
+    }
+
+    return queued;
+  }
+
+  /**
+   * Groups searched by a regular (cron / force-process) run: the enabled county
+   * targets of this source - or the enabled applicant targets for sources searched
+   * by applicant - minus those with a schedule of their own
+   * @returns {Promise<Array<string>>} County or applicant names
+   */
+  async getRegularGroups() {
+    const byApplicant = this.source.searchBy === 'applicant';
+    const names = byApplicant
+      ? await this.dataService.getApplicantNames()
+      : await this.dataService.getCountyNames(this.source.applicationCategoryId);
+
+    try {
+      const scheduledNames = (await this.getScheduledTargets()).map(target => target.name);
+      return names.filter(name => !scheduledNames.includes(name));
+    } catch (error) {
+      console.error(`❌ Failed to load scheduled ${this.source.key} ${byApplicant ? 'applicants' : 'counties'}:`, error.message);
+      return names;
+    }
+  }
+
+  /**
+   * Enabled search targets of this source that have their own cron schedule
+   * @returns {Promise<Array<SearchTarget>>} Applicant targets for sources searched by applicant, county targets otherwise
+   */
+  async getScheduledTargets() {
+    return this.source.searchBy === 'applicant'
+      ? this.searchTargetService.getScheduledTargets('applicant')
+      : this.searchTargetService.getScheduledTargets('county', this.source.applicationCategoryId);
+  }
+
+  /**
+   * (Re)create the cron tasks of search targets that have their own schedule.
+   * Each task runs a job limited to its county (or applicant); those targets are
+   * left out of the regular run. A run that finds another job going waits for it
+   * rather than being dropped. Called on startup and whenever search targets change.
+   * @returns {Promise<number>} Number of scheduled targets
+   */
+  async refreshTargetSchedules() {
+    const { key, logKey, cron: cronConfig } = this.source;
+
+    this.targetCronTasks.forEach(task => task.stop());
+    this.targetCronTasks = [];
+
+    if (process.env[cronConfig.enabledEnv] !== 'true') {
+      return 0;
+    }
+
+    const targets = await this.getScheduledTargets();
+
+    targets.forEach(target => {
+      console.log(`📅 Scheduling ${key} run for ${target.name}: ${target.schedule}`);
+
+      const task = cron.schedule(target.schedule, async () => {
+        try {
+          console.log(`[${new Date().toISOString()}] 🎨 Starting scheduled ${key} run for ${target.name}`);
+          const metrics = await this.runJobWhenIdle({
+            triggerType: 'cron',
+            window: { counties: [target.name] }
+          });
+          console.log(`[${new Date().toISOString()}] ✅ ${key} run for ${target.name} complete - ${metrics.totalFiles} files processed`);
+        } catch (e) {
+          console.error(`[${new Date().toISOString()}] ❌ ${key} run for ${target.name} failed:`, e.message);
+          await this.loggingService.writeMessage(`${logKey}ScheduleFailed`, `${target.name}: ${e.message}`);
+        }
+      });
+
+      this.targetCronTasks.push(task);
+    });
+
+    return targets.length;
+  }
+
+  /**
+   * Queue one county's (or applicant's) imaging files for a search window
+   * @param {string} jobId - Job ID
+   * @param {string} group - County or applicant name
+   * @param {Object} search - { from, to, maxPages? }
+   * @param {Object} options - { force } - stored on each item so a resumed job keeps it
+   * @returns {Promise<number>} Number of queued items
+   */
+  async enqueueGroupDocuments(jobId, group, search, { force = false } = {}) {
+    console.log(`🔍 Queueing ${this.source.searchBy === 'applicant' ? 'applicant' : 'county'} for Vision processing: ${group}`);
+
+    const allPdfs = await this.fetchGroupDocuments(group, search);
+
+    if (!allPdfs.length) {
+      console.log(`📭 No ImagingFiles found for "${group}".`);
+      return 0;
+    }
+
+    const items = allPdfs.map(pdf => {
+      const item = {
+        item_key: `${this.source.s3Prefix}/${group}/${pdf.FileName}`,
+        payload: {
+          fileName: pdf.FileName,
+          fileSize: pdf.FileSize,
+          group,
+          url: pdf.Url,
+          appNumber: pdf.AppNumber,
+          orderNumber: pdf.OrderNumber,
+          caseNumber: pdf.CaseNumber,
+          force
+        }
+      };
+
+      if (pdf.FileSize > this.config.maxFileSize) {
+        console.log(`⏭️ Skipping ${pdf.FileName}: exceeds size limit (${pdf.FileSize} > ${this.config.maxFileSize})`);
+        item.status = 'skipped';
+        item.failure_reason = 'File size exceeds limit';
+        item.last_error = `${pdf.FileSize} bytes > ${this.config.maxFileSize} bytes`;
+      }
+
+      return item;
+    });
+
+    // Items already queued for the job (e.g. a file listed under two cases) keep their
+    // first ledger entry
+    const inserted = new Set(await this.jobQueueService.insertItems(jobId, this.source.key, items));
+    const queued = inserted.size;
+
+    for (const item of items.filter(queuedItem => queuedItem.status === 'skipped')) {
+      if (!inserted.delete(item.item_key)) continue;
+
+      const { fileName, group, appNumber, orderNumber, caseNumber } = item.payload;
+      const ctx = this.createContext({ jobId, fileName, group, appNumber, orderNumber, caseNumber });
+      await this.recordFileOutcome(ctx, item, {
+        status: 'skipped',
+        error_reason: item.failure_reason,
+        error_message: item.last_error,
+        duration_ms: 0
+      });
+    }
+
+    return queued;
+  }
+
+  /**
+   * Work a job's queue until every item is finished, then close the job run
+   * @param {string} jobId - Job ID
+   * @param {Function} [prepare] - Optional async step run first (queueing the files)
+   * @returns {Promise<Object>} Job metrics
+   */
+  async drainJob(jobId, prepare = null) {
+    try {
+      if (prepare) {
+        await prepare();
+      }
+
+      await this.jobQueueService.drainQueue(jobId, item => this.processQueueItem(item), {
+        delayMs: this.config.interFileDelayMs
+      });
+
+      const metrics = await this.jobQueueService.getJobMetrics(jobId);
+      this.logSummary(metrics);
+
+      // Mark job as completed
+      try {
+        await this.jobRunService.markJobCompleted(jobId, metrics);
+      } catch (trackingErr) {
+        console.error('Failed to mark job as completed:', trackingErr.message);
+      }
+
+      return metrics;
+
+    } catch (err) {
+      console.error(`💥 Fatal error in ${this.source.key} pipeline: ${err.message}`);
+      await this.loggingService.writeMessage(`${this.source.logKey}VisionFatal`, err.message);
+
+      let metrics = {};
+      try {
+        metrics = await this.jobQueueService.getJobMetrics(jobId);
+      } catch (metricsErr) {
+        console.error('Failed to collect job metrics:', metricsErr.message);
+      }
+
+      // Mark job as failed
+      try {
+        await this.jobRunService.markJobFailed(jobId, err.message, err.stack, metrics);
+      } catch (trackingErr) {
+        console.error('Failed to mark job as failed:', trackingErr.message);
+      }
+
+      err.metrics = metrics;
+      throw err;
+    }
+  }
+
+  /**
+   * Run one leased queue item through the batch stages and record the outcome
+   * @param {JobQueueItem} item - Leased item
+   * @returns {Promise<Object>} Pipeline context
+   */
+  async processQueueItem(item) {
+    const { fileName, fileSize, group, url, appNumber, orderNumber, caseNumber, force } = item.payload;
+    console.log(`\n📄 [${item.sequence}] Processing: ${fileName} (${fileSize} bytes, attempt ${item.attempts}/${item.max_attempts})`);
+
+    const ctx = this.createContext({ jobId: item.job_id, fileName, group, url, appNumber, orderNumber, caseNumber, force });
+    const stopHeartbeat = this.jobQueueService.startHeartbeat(item);
+
+    try {
+      await this.processDocument(ctx, 'batch');
+
+      if (ctx.duplicateOf) {
+        const skip = this.describeDuplicate(ctx);
+        await this.jobQueueService.skipItem(item, skip);
+        await this.recordFileOutcome(ctx, item, {
+          status: 'skipped',
+          error_reason: skip.reason,
+          error_message: skip.message
+        });
+      } else {
+        await this.jobQueueService.completeItem(item, { contactCount: ctx.insertedCount });
+        await this.recordFileOutcome(ctx, item, { status: 'completed' });
+      }
+    } catch (stageError) {
+      const failure = (this.stages[ctx.stage] && this.stages[ctx.stage].failure) || {};
+      const reason = failure.reason || 'Processing failed';
+      const willRetry = await this.jobQueueService.failItem(item, stageError, {
+        metric: failure.metric || 'processingFailed',
+        reason,
+        retryable: failure.retryable !== false
+      });
+      await this.recordFileOutcome(ctx, item, {
+        status: willRetry ? 'retrying' : 'failed',
+        error_reason: reason,
+        error_message: stageError.message
+      });
+      await this.loggingService.writeMessage(failure.logKey || 'visionProcessingFail', `${fileName}: ${stageError.message}`);
+    } finally {
+      stopHeartbeat();
+    }
+
+    return ctx;
+  }
+
+  /**
+   * Write a file's outcome to the job_run_files ledger. Ledger failures are
+   * logged and never stop the job.
+   * @param {Object} ctx - Pipeline context
+   * @param {JobQueueItem|Object} item - Leased queue item, or the skipped item as queued
+   * @param {Object} outcome - { status, error_reason?, error_message? }
+   */
+  async recordFileOutcome(ctx, item, outcome) {
+    try {
+      await this.jobRunService.recordJobFile(ctx.jobId, {
+        file_name: ctx.fileName,
+        s3_key: ctx.s3Key,
+        record_type: ctx.group,
+        app_number: ctx.appNumber,
+        order_number: ctx.orderNumber,
+        case_number: ctx.caseNumber,
+        file_size: item ? item.payload.fileSize || null : null,
+        stage_reached: ctx.stage,
+        extraction_method: ctx.extractionMethod,
+        images_generated: ctx.imageFiles.length,
+        contact_count: ctx.insertedCount,
+        duration_ms: Date.now() - ctx.startedAt,
+        attempts: (item && item.attempts) || 0,
+        error_reason: null,
+        error_message: null,
+        ...outcome
+      });
+    } catch (ledgerErr) {
+      console.error(`Failed to record ledger entry for ${ctx.fileName}:`, ledgerErr.message);
+    }
+  }
+
+  /**
+   * Process a single manually uploaded PDF
+   * @param {Object} upload
+   * @param {string} upload.filePath - Path of the uploaded temp file
+   * @param {string} upload.originalName - Original file name
+   * @param {string} upload.group - County / applicant the upload is filed under
+   * @param {boolean} upload.force - Re-extract even if the document was processed before
+   * @returns {Promise<Object>} Completed pipeline context (ctx.duplicateOf is set when skipped)
+   */
+  async processUpload({ filePath, originalName, group, force = false }) {
+    // Generate unique job ID for this upload
+    const jobId = jobIdService.generateJobId(this.source.key);
+    console.log(`🆔 Generated Job ID for upload: ${jobId}`);
+
+    // Manual uploads won't have App/Order/Case numbers
+    const ctx = this.createContext({
+      jobId,
+      fileName: originalName,
+      group,
+      localPath: filePath,
+      force
+    });
+
+    await this.processDocument(ctx, 'upload');
+    return ctx;
+  }
+
+  /**
+   * Render a PDF to the page images the extract stage sends to Claude (rasterize + resize),
+   * without extracting or persisting anything. Used by the extraction eval.
+   * @param {Buffer} pdfBuffer - PDF content
+   * @param {string} fileName - File name, for logging
+   * @returns {Promise<Object>} { useNativePdf, imageData } - useNativePdf when Ghostscript
+   *                            failed and the extract stage would fall back to native PDF
+   */
+  async renderPages(pdfBuffer, fileName) {
+    fs.mkdirSync(this.config.tempDir, { recursive: true });
+    const localPath = path.join(this.config.tempDir, `render_${Date.now()}_${Math.round(Math.random() * 1E6)}.pdf`);
+    fs.writeFileSync(localPath, pdfBuffer);
+
+    const ctx = this.createContext({ jobId: null, fileName, group: 'render', localPath });
+
+    try {
+      await this.stageRasterize(ctx);
+      await this.stageResize(ctx);
+      return {
+        useNativePdf: ctx.useNativePdf,
+        imageData: ctx.useNativePdf ? [] : this.readPageImages(ctx)
+      };
+    } finally {
+      this.cleanup(ctx, 'upload');
+    }
+  }
+
+  /**
+   * Build the per-file context passed through every stage
+   * @param {Object} file - File details
+   * @returns {Object} Pipeline context
+   */
+  createContext({ jobId, fileName, group, url = null, localPath = null, appNumber = null, orderNumber = null, caseNumber = null, force = false }) {
+    return {
+      jobId,
+      fileName,
+      group,
+      url,
+      s3Key: `${this.source.s3Prefix}/${group}/${fileName}`,
+      appNumber,
+      orderNumber,
+      caseNumber,
+      localPath,
+      pdfBuffer: null,
+      contentHash: null,
+      force: !!force,
+      duplicateOf: null,
+      outputDir: null,
+      optimizedPdfPath: null,
+      imageFiles: [],
+      resizedImageFiles: [],
+      useNativePdf: false,
+      extractionMethod: null,
+      contacts: [],
+      enrichedContacts: [],
+      insertedCount: 0,
+      timings: { gs: 0, claude: 0 },
+      stage: null,
+      startedAt: Date.now()
+    };
+  }
+
+  /**
+   * Run a context through the stages for the given mode, cleaning up afterwards
+   * @param {Object} ctx - Pipeline context
+   * @param {string} mode - 'batch' or 'upload'
+   * @returns {Promise<Object>} Completed context (ctx.stage is the failing stage on error,
+   *                            ctx.duplicateOf is set when the document was skipped as a duplicate)
+   */
+  async processDocument(ctx, mode) {
+    try {
+      for (const name of this.getStageNames(mode)) {
+        const stage = this.stages[name];
+        if (!stage) {
+          throw new Error(`Unknown pipeline stage: ${name}`);
+        }
+
+        ctx.stage = name;
+        await stage.run(ctx);
+
+        // Already processed by an earlier run - nothing left to do
+        if (ctx.duplicateOf) {
+          return ctx;
+        }
+      }
+
+      console.log(`📊 Vision processing summary for ${ctx.fileName}:`);
+      console.log(`   - Method: ${ctx.extractionMethod}`);
+      console.log(`   - Images generated: ${ctx.imageFiles.length}`);
+      console.log(`   - Processing time: ${ctx.timings.gs + ctx.timings.claude}ms`);
+      console.log(`   - Contacts extracted: ${ctx.contacts.length}`);
+      console.log(`✅ Completed Vision processing: ${ctx.fileName}`);
+
+      return ctx;
+
+    } catch (error) {
+      console.error(`❌ ${ctx.stage} stage failed for ${ctx.fileName}: ${error.message}`);
+      throw error;
+
+    } finally {
+      this.cleanup(ctx, mode);
+    }
+  }
+
+  // Stage: download the PDF from EMNRD to the local download folder
+  async stageDownload(ctx) {
+    console.log(`⬇️ Downloading ${ctx.fileName} locally for Vision processing...`);
+    ctx.localPath = await this.pdfDownloader.downloadPdfLocally(ctx.url, ctx.fileName, ctx.group);
+  }
+
+  // Stage: stream the PDF from EMNRD straight into S3
+  async stageS3Relay(ctx) {
+    console.log(`☁️ Uploading ${ctx.fileName} to S3: ${ctx.s3Key}`);
+    await this.s3Service.uploadToS3(ctx.url, ctx.s3Key);
+    console.log(`✅ Uploaded to S3: ${ctx.s3Key}`);
+  }
+
+  // Stage: pull the relayed PDF back from S3 into the source's local folder
+  async stageS3Fetch(ctx) {
+    console.log(`⬇️ Downloading PDF from S3: ${ctx.s3Key}`);
+    const pdfBuffer = await this.s3Service.fetchFromS3(ctx.s3Key);
+
+    if (!pdfBuffer || pdfBuffer.length === 0) {
+      throw new Error(`Downloaded file is empty or invalid: ${ctx.s3Key}`);
+    }
+
+    ctx.localPath = path.join(this.source.localPdfPath, ctx.group, ctx.fileName);
+    fs.mkdirSync(path.dirname(ctx.localPath), { recursive: true });
+    fs.writeFileSync(ctx.localPath, pdfBuffer);
+    ctx.pdfBuffer = pdfBuffer;
+    console.log(`✅ Downloaded to: ${ctx.localPath}`);
+  }
+
+  // Stage: make sure the local file is a real PDF and not an error page
+  async stageValidate(ctx) {
+    if (!ctx.localPath || !fs.existsSync(ctx.localPath)) {
+      throw new Error('Downloaded file does not exist on disk');
+    }
+
+    const fileBuffer = ctx.pdfBuffer || fs.readFileSync(ctx.localPath);
+
+    if (fileBuffer.length === 0) {
+      throw new Error('Downloaded file is empty (0 bytes)');
+    }
+
+    // Check minimum size (PDFs are typically > 1KB)
+    if (fileBuffer.length < this.config.minPdfSize) {
+      throw new Error(`File too small (${fileBuffer.length} bytes) - likely corrupt or error page`);
+    }
+
+    const header = fileBuffer.toString('ascii', 0, 5);
+
+    if (header !== '%PDF-') {
+      const textPreview = fileBuffer.toString('utf8', 0, Math.min(500, fileBuffer.length));
+      const hexPreview = fileBuffer.toString('hex', 0, Math.min(100, fileBuffer.length));
+
+      console.error(`\n🔍 FILE DIAGNOSTIC FOR ${ctx.fileName}:`);
+      console.error(`   File size: ${fileBuffer.length} bytes`);
+      console.error(`   Header (first 5 bytes): "${header}"`);
+      console.error(`   Hex dump (first 100 bytes): ${hexPreview}`);
+      console.error(`   Text preview (first 500 chars):\n${textPreview}`);
+
+      throw new Error(`Invalid PDF header: "${header}". File appears to be: ${this.detectFileType(fileBuffer)}`);
+    }
+
+    ctx.pdfBuffer = fileBuffer;
+    const pdfVersion = fileBuffer.toString('ascii', 0, 8);
+    console.log(`✅ PDF validation passed (${(fileBuffer.length / 1024).toFixed(1)} KB, ${pdfVersion})`);
+  }
+
+  // Stage: skip documents whose content was already extracted, unless forced
+  async stageDedupe(ctx) {
+    ctx.contentHash = this.processedDocumentService.hashContent(ctx.pdfBuffer);
+
+    let existing;
+    try {
+      existing = await this.processedDocumentService.findByHash(ctx.contentHash);
+    } catch (registryErr) {
+      // A registry outage shouldn't stop extraction
+      console.warn(`⚠️ Processed-document lookup failed, processing ${ctx.fileName} anyway: ${registryErr.message}`);
+      return;
+    }
+
+    if (!existing) {
+      return;
+    }
+
+    if (ctx.force) {
+      console.log(`🔁 ${ctx.fileName} was processed in job ${existing.first_job_id} - reprocessing (force)`);
+      return;
+    }
+
+    console.log(`⏭️ Skipping ${ctx.fileName}: same content as ${existing.file_name}, first processed in job ${existing.first_job_id}`);
+    ctx.duplicateOf = existing;
+
+    try {
+      await this.processedDocumentService.markSeen(existing, ctx.jobId);
+    } catch (registryErr) {
+      console.warn(`⚠️ Failed to update processed-document registry: ${registryErr.message}`);
+    }
+  }
+
+  // Stage: optimize the PDF and render every page to PNG with Ghostscript
+  async stageRasterize(ctx) {
+    const tempDir = this.config.tempDir;
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    const stamp = `${Date.now()}_${Math.round(Math.random() * 1E6)}`;
+    ctx.outputDir = path.join(tempDir, `gs_images_${stamp}`);
+    fs.mkdirSync(ctx.outputDir, { recursive: true });
+
+    // First, try to optimize/flatten the PDF with Ghostscript
+    ctx.optimizedPdfPath = path.join(tempDir, `gs_resized_${stamp}.pdf`);
+    let pdfToConvert = ctx.localPath;
+
+    try {
+      console.log(`🔧 Optimizing PDF with Ghostscript...`);
+      const gsOptimizeCommand = [
+        'gs',
+        '-sDEVICE=pdfwrite',
+        '-dCompatibilityLevel=1.4',
+        '-dPDFSETTINGS=/ebook',
+        '-dNOPAUSE',
+        '-dQUIET',
+        '-dBATCH',
+        `-sOutputFile="${ctx.optimizedPdfPath}"`,
+        `"${ctx.localPath}"`
+      ].join(' ');
+
+      execSync(gsOptimizeCommand, { stdio: 'pipe' });
+      console.log(`✅ PDF optimized`);
+      pdfToConvert = ctx.optimizedPdfPath;
+    } catch (gsOptimizeError) {
+      console.warn(`⚠️ PDF optimization failed, will try converting original file directly: ${gsOptimizeError.message}`);
+    }
+
+    // Convert PDF to PNG images using Ghostscript
+    const startGsTime = Date.now();
+    const resolution = this.config.resolution;
+    const outputPattern = path.join(ctx.outputDir, 'output_%03d.png');
+
+    console.log(`🖼️ Converting PDF to PNG images at ${resolution} DPI...`);
+
+    try {
+      execSync(['gs', '-o', `"${outputPattern}"`, '-sDEVICE=png16m', `-r${resolution}`, `"${pdfToConvert}"`].join(' '), { stdio: 'pipe' });
+      ctx.timings.gs = Date.now() - startGsTime;
+      console.log(`✅ Ghostscript image conversion completed in ${ctx.timings.gs}ms`);
+    } catch (gsConvertError) {
+      // If conversion fails completely, try with error recovery flags
+      console.warn(`⚠️ First conversion attempt failed, trying with error recovery...`);
+
+      try {
+        const gsRecoveryCommand = [
+          'gs',
+          '-o', `"${outputPattern}"`,
+          '-sDEVICE=png16m',
+          `-r${resolution}`,
+          '-dPDFSTOPONERROR=false', // Don't stop on errors
+          '-dNOSAFER', // Allow more operations
+          `"${pdfToConvert}"`
+        ].join(' ');
+
+        execSync(gsRecoveryCommand, { stdio: 'pipe' });
+        ctx.timings.gs = Date.now() - startGsTime;
+        console.log(`✅ Ghostscript conversion succeeded with recovery mode in ${ctx.timings.gs}ms`);
+      } catch (gsRecoveryError) {
+        // Ghostscript completely failed - the extract stage falls back to Claude Native PDF processing
+        console.warn(`⚠️ Ghostscript failed completely, falling back to Claude Native PDF processing...`);
+        ctx.useNativePdf = true;
+        return;
+      }
+    }
+
+    ctx.imageFiles = fs.readdirSync(ctx.outputDir)
+      .filter(file => file.endsWith('.png'))
+      .sort()
+      .map(file => path.join(ctx.outputDir, file));
+
+    if (ctx.imageFiles.length === 0) {
+      throw new Error('No images generated from PDF');
+    }
+
+    console.log(`📸 Generated ${ctx.imageFiles.length} images from PDF`);
+  }
+
+  // Stage: shrink page images to fit Claude's dimension limit
+  async stageResize(ctx) {
+    if (ctx.useNativePdf) {
+      return;
+    }
+
+    const maxDimension = this.config.maxImageDimension;
+    const convertCommand = this.getImageMagickCommand();
+    console.log(`📐 Resizing images to meet Claude's dimension requirements (max ${maxDimension}px)...`);
+
+    for (const imagePath of ctx.imageFiles) {
+      const resizedPath = imagePath.replace('.png', '_resized.png');
+
+      try {
+        // Without date chunks the same page always resizes to the same bytes (recorded LLM responses are keyed by image hash)
+        execSync(`${convertCommand} "${imagePath}" -resize "${maxDimension}x${maxDimension}>" -define png:exclude-chunk=date,time "${resizedPath}"`, { stdio: 'pipe', shell: true });
+        ctx.resizedImageFiles.push(resizedPath);
+
+        const originalSize = fs.statSync(imagePath).size;
+        const resizedSize = fs.statSync(resizedPath).size;
+        console.log(`  ✓ ${path.basename(imagePath)}: ${(originalSize / 1024).toFixed(0)}KB → ${(resizedSize / 1024).toFixed(0)}KB`);
+      } catch (resizeError) {
+        console.warn(`⚠️ Failed to resize ${path.basename(imagePath)}, using original: ${resizeError.message}`);
+        ctx.resizedImageFiles.push(imagePath);
+      }
+    }
+
+    console.log(`✅ Resized ${ctx.resizedImageFiles.length} images`);
+  }
+
+  // Stage: extract contacts with Claude Vision (or Claude native PDF when Ghostscript failed)
+  async stageExtract(ctx) {
+    const extractor = new ClaudeContactExtractor({
+      anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+      awsRegion: process.env.AWS_REGION,
+      awsAccessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      awsSecretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      documentType: this.source.documentType
+    });
+
+    const startClaudeTime = Date.now();
+
+    if (ctx.useNativePdf) {
+      const pdfBuffer = ctx.pdfBuffer || fs.readFileSync(ctx.localPath);
+      ctx.contacts = await extractor.extractContactsFromPDFNative(pdfBuffer, ctx.fileName);
+      ctx.extractionMethod = 'claude-native-pdf-fallback';
+      ctx.timings.claude = Date.now() - startClaudeTime;
+      console.log(`✅ Claude Native PDF processing succeeded in ${ctx.timings.claude}ms: ${ctx.contacts.length} contacts`);
+      return;
+    }
+
+    console.log(`🤖 Sending images to Claude for analysis...`);
+
+    const imageData = this.readPageImages(ctx);
+    ctx.contacts = await extractor.extractContactsFromImages(imageData, ctx.fileName);
+    ctx.extractionMethod = 'ghostscript-claude-vision';
+    ctx.timings.claude = Date.now() - startClaudeTime;
+    console.log(`✅ Claude analyzed ${imageData.length} images and extracted ${ctx.contacts.length} contacts in ${ctx.timings.claude}ms`);
+  }
+
+  /**
+   * Load the resized page images of a context in the shape extractContactsFromImages expects
+   * @param {Object} ctx - Pipeline context after the resize stage
+   * @returns {Array<Object>} [{ page, path, base64, size }]
+   */
+  readPageImages(ctx) {
+    // Ghostscript writes one image per page, in page order
+    return ctx.resizedImageFiles.map((imagePath, idx) => {
+      const imageBuffer = fs.readFileSync(imagePath);
+      return {
+        page: idx + 1,
+        path: path.basename(imagePath),
+        base64: imageBuffer.toString('base64'),
+        size: imageBuffer.length
+      };
+    });
+  }
+
+  // Stage: attach source metadata to each extracted contact
+  async stageEnrich(ctx) {
+    ctx.enrichedContacts = ctx.contacts.map(c => ({
+      ...c,
+      source_file: ctx.fileName,
+      record_type: ctx.group,
+      extraction_method: ctx.extractionMethod,
+      project_origin: this.source.projectOrigin,
+      jobid: ctx.jobId,
+      app_number: ctx.appNumber,
+      order_number: ctx.orderNumber,
+      case_number: ctx.caseNumber
+    }));
+  }
+
+  // Stage: save enriched contacts (and where each was read) to PostgreSQL.
+  // A file retried after a later stage failed (or its lease ran out) already has its
+  // contacts from this job - they are not inserted a second time.
+  async stagePersist(ctx) {
+    if (ctx.enrichedContacts.length === 0) {
+      return;
+    }
+
+    const saved = await this.postgresContactService.countFileContacts(ctx.jobId, ctx.fileName, ctx.group);
+    if (saved > 0) {
+      ctx.insertedCount = saved;
+      console.log(`⏭️ ${saved} contacts from ${ctx.fileName} were already saved by job ${ctx.jobId}`);
+      return;
+    }
+
+    console.log(`💾 Saving ${ctx.enrichedContacts.length} contacts to PostgreSQL...`);
+    const insertResult = await this.postgresContactService.bulkInsertContacts(ctx.enrichedContacts);
+
+    if (!insertResult.success) {
+      throw new Error(`Failed to save contacts: ${insertResult.error}`);
+    }
+
+    ctx.insertedCount = insertResult.insertedCount;
+    console.log(`✅ Saved ${insertResult.insertedCount} contacts to PostgreSQL`);
+
+    try {
+      await this.contactProvenanceService.recordForContacts(insertResult.insertedContacts || [], ctx.enrichedContacts, {
+        jobId: ctx.jobId,
+        sourceFile: ctx.fileName,
+        s3Key: ctx.s3Key,
+        contentHash: ctx.contentHash,
+        extractionMethod: ctx.extractionMethod
+      });
+    } catch (provenanceErr) {
+      // Contacts are saved - missing provenance shouldn't fail the file
+      console.warn(`⚠️ Failed to save provenance for ${ctx.fileName}: ${provenanceErr.message}`);
+    }
+  }
+
+  // Stage: archive the original PDF to S3
+  async stageArchive(ctx) {
+    const pdfBuffer = ctx.pdfBuffer || fs.readFileSync(ctx.localPath);
+    console.log(`☁️ Uploading PDF to S3: ${ctx.s3Key}`);
+    await this.s3Service.uploadBufferToS3(pdfBuffer, ctx.s3Key);
+    console.log(`✅ Uploaded to S3`);
+  }
+
+  // Stage: add the document to the processed-document registry
+  async stageRegister(ctx) {
+    try {
+      await this.processedDocumentService.recordProcessed({
+        contentHash: ctx.contentHash,
+        jobId: ctx.jobId,
+        jobType: this.source.key,
+        fileName: ctx.fileName,
+        sourceUrl: ctx.url,
+        s3Key: ctx.s3Key,
+        recordType: ctx.group,
+        fileSize: ctx.pdfBuffer ? ctx.pdfBuffer.length : null,
+        contactCount: ctx.insertedCount,
+        extractionMethod: ctx.extractionMethod
+      });
+    } catch (registryErr) {
+      // Contacts are already saved - a missed registration only means the file is extracted again next time
+      console.warn(`⚠️ Failed to register ${ctx.fileName} as processed: ${registryErr.message}`);
+    }
+
+    try {
+      await this.caseService.markDocumentProcessed({
+        caseNumber: ctx.caseNumber,
+        fileName: ctx.fileName,
+        s3Key: ctx.s3Key,
+        contactCount: ctx.insertedCount,
+        jobId: ctx.jobId
+      });
+    } catch (caseErr) {
+      console.warn(`⚠️ Failed to mark ${ctx.fileName} processed on case ${ctx.caseNumber}: ${caseErr.message}`);
+    }
+  }
+
+  /**
+   * Skip reason recorded for a duplicate document
+   * @param {Object} ctx - Pipeline context with duplicateOf set
+   * @returns {Object} { reason, message }
+   */
+  describeDuplicate(ctx) {
+    const original = ctx.duplicateOf;
+    return {
+      reason: 'Duplicate document',
+      message: `Same content as ${original.file_name} (${original.job_type}), first processed in job ${original.first_job_id}`
+    };
+  }
+
+  /**
+   * Pick the ImageMagick binary - magick (v7) when available, convert (v6) otherwise
+   * @returns {string} Command name
+   */
+  getImageMagickCommand() {
+    if (!this.imageMagickCommand) {
+      try {
+        execSync('magick --version', { stdio: 'pipe' });
+        this.imageMagickCommand = 'magick';
+      } catch (e) {
+        this.imageMagickCommand = 'convert';
+      }
+    }
+    return this.imageMagickCommand;
+  }
+
+  /**
+   * Remove local working files for a context. With KEEP_LOCAL_FILES set, the
+   * downloaded PDF and generated images are kept; uploaded temp files never are.
+   * @param {Object} ctx - Pipeline context
+   * @param {string} mode - 'batch' or 'upload'
+   */
+  cleanup(ctx, mode) {
+    const keep = this.config.keepLocalFiles;
+
+    try {
+      if (!keep && ctx.outputDir && fs.existsSync(ctx.outputDir)) {
+        fs.rmSync(ctx.outputDir, { recursive: true, force: true });
+      }
+      if (!keep && ctx.optimizedPdfPath && fs.existsSync(ctx.optimizedPdfPath)) {
+        fs.unlinkSync(ctx.optimizedPdfPath);
+      }
+      if (ctx.localPath && fs.existsSync(ctx.localPath) && (mode === 'upload' || !keep)) {
+        fs.unlinkSync(ctx.localPath);
+        console.log(`🗑️ Removed local file: ${ctx.localPath}`);
+      }
+    } catch (cleanupErr) {
+      console.error(`⚠️ Cleanup failed: ${cleanupErr.message}`);
+    }
+  }
+
+  /**
+   * Print the end-of-job summary
+   * @param {Object} metrics - Job metrics
+   */
+  logSummary(metrics) {
+    console.log('\n═══════════════════════════════════════════════════════════');
+    console.log(`📊 ${this.source.key} VISION PROCESSING JOB SUMMARY`);
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log(`Job ID:                     ${metrics.jobId}`);
+    console.log(`Total files attempted:      ${metrics.totalFiles}`);
+    console.log(`✅ Successfully processed:   ${metrics.successfullyProcessed}`);
+    console.log(`❌ Upload failed:            ${metrics.uploadFailed}`);
+    console.log(`❌ Download failed:          ${metrics.downloadFailed}`);
+    console.log(`❌ Validation failed:        ${metrics.validationFailed}`);
+    console.log(`❌ Processing failed:        ${metrics.processingFailed}`);
+    console.log(`📇 Total contacts extracted: ${metrics.totalContacts}`);
+    console.log('───────────────────────────────────────────────────────────');
+
+    if (metrics.skippedFiles.length > 0) {
+      console.log(`\n⚠️ SKIPPED FILES (${metrics.skippedFiles.length}):`);
+      metrics.skippedFiles.forEach((skip, idx) => {
+        console.log(`${idx + 1}. ${skip.file}`);
+        console.log(`   Reason: ${skip.reason}`);
+        console.log(`   Error: ${skip.error}`);
+      });
+    }
+
+    console.log('═══════════════════════════════════════════════════════════\n');
+  }
+}
+
+module.exports = DocumentPipelineService;
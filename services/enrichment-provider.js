@@ -0,0 +1,143 @@
+const RateLimiter = require('./rate-limiter.js');
+const EnrichmentTransport = require('./enrichment-transport.js');
+
+/**
+ * Enrichment Provider
+ *
+ * Base class of the skip-trace / people-search adapters EnrichmentService runs.
+ * An adapter implements search() (the vendor request) and normalize() (the vendor
+ * response as a normalized result). The base class adds rate limiting, cost
+ * accounting and error handling.
+ *
+ * Normalized result:
+ * {
+ *   person:     { provider_person_id, name, first_name, last_name, aliases: [], date_of_birth,
+ *                 company_name, job_title, linkedin_url },
+ *   deceased:   true | false | null (unknown),
+ *   addresses:  [{ provider_address_id, full_address, address, unit, city, state, zip, current }],
+ *   phones:     [{ number, type (mobile, landline, voip, unknown), score (0-1) }],
+ *   emails:     [{ email }],
+ *   relatives:  [{ provider_person_id, name }],
+ *   properties: [{ provider_property_id, full_address, address, city, state, zip }]
+ * }
+ */
+class EnrichmentProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider key (whitepages, ...)
+   * @param {number} options.costPerLookup - Charge per billable request, in USD
+   * @param {boolean} options.chargesNoResults - Whether searches that find no one are billed
+   * @param {number} options.requestsPerSecond - Rate limit; null for none
+   * @param {EnrichmentTransport} options.transport - HTTP transport (live / record / replay)
+   */
+  constructor({ name, costPerLookup = 0, chargesNoResults = true, requestsPerSecond = null, transport = null }) {
+    this.name = name;
+    this.costPerLookup = parseFloat(costPerLookup) || 0;
+    this.chargesNoResults = chargesNoResults;
+    this.rateLimiter = new RateLimiter(requestsPerSecond);
+    this.transport = transport || EnrichmentTransport.fromEnv();
+  }
+
+  /**
+   * Whether the provider has what it needs to call the vendor (API key, ...)
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Whether a person has enough to search on. Default: first and last name plus a
+   * street address with city and state, or a ZIP.
+   * @param {Object} person - { first_name, last_name, address, city, state, zip }
+   */
+  isEligible(person) {
+    if (!person.first_name || !person.last_name) {
+      return false;
+    }
+    return !!((person.address && person.city && person.state) || person.zip);
+  }
+
+  /**
+   * Vendor request for a person - implemented by each adapter
+   * @param {Object} person - { first_name, last_name, address, city, state, zip }
+   * @returns {Promise<Object>} { data, url } - vendor response body and the URL requested
+   */
+  async search(person) {
+    throw new Error(`${this.name} provider does not implement search()`);
+  }
+
+  /**
+   * Vendor response as a normalized result - implemented by each adapter
+   * @param {*} data - Vendor response body
+   * @returns {Object|null} Normalized result, or null when the vendor found no one
+   */
+  normalize(data) {
+    throw new Error(`${this.name} provider does not implement normalize()`);
+  }
+
+  /**
+   * Search for a person and normalize the response
+   * @param {Object} person - { first_name, last_name, address, city, state, zip }
+   * @returns {Promise<Object>} { provider, status (success, no_results, error), result, raw,
+   *                              requestUrl, cost, error, httpStatus }
+   */
+  async lookup(person) {
+    await this.rateLimiter.wait();
+
+    try {
+      const { data, url } = await this.search(person);
+      const result = this.normalize(data);
+      const status = result ? 'success' : 'no_results';
+
+      return {
+        provider: this.name,
+        status,
+        result,
+        raw: data,
+        requestUrl: url,
+        cost: status === 'success' || this.chargesNoResults ? this.costPerLookup : 0,
+        error: null,
+        httpStatus: 200
+      };
+    } catch (error) {
+      console.error(`❌ ${this.name} lookup failed: ${error.message}`);
+      return {
+        provider: this.name,
+        status: 'error',
+        result: null,
+        raw: error.response ? error.response.data : null,
+        requestUrl: error.requestUrl || null,
+        cost: 0,
+        error: error.message,
+        httpStatus: error.response ? error.response.status : null
+      };
+    }
+  }
+
+  /**
+   * Provider settings for listings
+   */
+  describe() {
+    return {
+      name: this.name,
+      configured: this.isConfigured(),
+      cost_per_lookup: this.costPerLookup,
+      charges_no_results: this.chargesNoResults,
+      requests_per_second: this.rateLimiter.requestsPerSecond,
+      transport: this.transport.mode
+    };
+  }
+
+  // Helpers for adapters
+  text(value) {
+    if (value === null || value === undefined) return null;
+    const text = value.toString().trim();
+    return text || null;
+  }
+
+  list(value) {
+    return Array.isArray(value) ? value : [];
+  }
+}
+
+module.exports = EnrichmentProvider;
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const MODES = ['live', 'record', 'replay'];
+
+/**
+ * HTTP transport for enrichment providers (skip-trace vendors), so each adapter
+ * can be run against recorded vendor responses instead of the paid API.
+ *
+ * - live:   calls the vendor
+ * - record: calls the vendor and saves each request/response pair as a fixture
+ * - replay: answers from saved fixtures without touching the network
+ *
+ * Fixtures are keyed by provider, URL and query parameters (never headers, which
+ * carry the API key), so a replay finds the response for the same person in any
+ * order. Mode and directory come from ENRICHMENT_TRANSPORT_MODE and
+ * ENRICHMENT_RECORDINGS_DIR. Vendor errors are recorded too and replayed as the
+ * same axios-style error.
+ */
+class EnrichmentTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - 'live' (default), 'record' or 'replay'
+   * @param {string} options.recordingsDir - Where fixtures are saved / read
+   */
+  constructor({ mode = 'live', recordingsDir = null } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown enrichment transport mode: ${mode} (use ${MODES.join(', ')})`);
+    }
+
+    this.mode = mode;
+    this.recordingsDir = recordingsDir || process.env.ENRICHMENT_RECORDINGS_DIR || './temp/enrichment-recordings';
+
+    if (mode !== 'live') {
+      console.log(`🎞️ Enrichment transport in ${mode} mode (${this.recordingsDir})`);
+    }
+  }
+
+  /**
+   * Transport configured from the environment (ENRICHMENT_TRANSPORT_MODE, ENRICHMENT_RECORDINGS_DIR)
+   */
+  static fromEnv() {
+    return new EnrichmentTransport({
+      mode: process.env.ENRICHMENT_TRANSPORT_MODE || 'live'
+    });
+  }
+
+  /**
+   * GET a vendor endpoint
+   * @param {string} provider - Provider name (fixture subdirectory)
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - { params, headers, timeout, person } - person is saved with the fixture
+   * @returns {Promise<Object>} { status, data }
+   * @throws {Error} axios-style error (error.response.status) for vendor error responses
+   */
+  async get(provider, url, { params = {}, headers = {}, timeout = 30000, person = null } = {}) {
+    if (this.mode === 'live') {
+      const response = await axios.get(url, { params, headers, timeout });
+      return { status: response.status, data: response.data };
+    }
+
+    const id = this.requestId(provider, url, params);
+    const filePath = path.join(this.recordingsDir, provider, `${id}.json`);
+
+    if (this.mode === 'replay') {
+      if (!fs.existsSync(filePath)) {
+        console.error(`❌ No recorded ${provider} response for ${id} (${url} ${JSON.stringify(params)})`);
+        throw new Error(`No recorded ${provider} response for ${id} in ${path.join(this.recordingsDir, provider)}`);
+      }
+
+      const recording = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      console.log(`🎞️ Replaying ${provider} response ${id}`);
+      if (recording.response.status >= 400) {
+        throw this.responseError(recording.response);
+      }
+      return recording.response;
+    }
+
+    let response;
+    try {
+      const live = await axios.get(url, { params, headers, timeout });
+      response = { status: live.status, data: live.data };
+    } catch (error) {
+      if (!error.response) {
+        throw error;
+      }
+      response = { status: error.response.status, data: error.response.data };
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({
+      id,
+      provider,
+      recorded_at: new Date().toISOString(),
+      person,
+      request: { url, params },
+      response
+    }, null, 2));
+    console.log(`💾 Recorded ${provider} response ${id}`);
+
+    if (response.status >= 400) {
+      throw this.responseError(response);
+    }
+    return response;
+  }
+
+  requestId(provider, url, params) {
+    const sorted = Object.keys(params).sort().map(key => [key, params[key]]);
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([provider, url, sorted]))
+      .digest('hex')
+      .substring(0, 24);
+  }
+
+  responseError(response) {
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.response = response;
+    return error;
+  }
+}
+
+module.exports = EnrichmentTransport;
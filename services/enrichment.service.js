@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { Op, fn, col, literal } = require('sequelize');
+const { EnrichmentLookup } = require('../config/pddbclient.cjs');
+const WhitepagesProvider = require('./whitepages.provider.js');
+
+// Providers are shared by every EnrichmentService so each vendor has one rate limiter
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+registerProvider(new WhitepagesProvider());
+
+/**
+ * Enrichment Service
+ *
+ * Runs people searches (skip tracing) through the registered enrichment providers
+ * (see services/enrichment-provider.js) and records every request, with its
+ * normalized result and cost, in enrichment_lookups. A lookup is a waterfall:
+ * providers are tried in order (ENRICHMENT_PROVIDER_ORDER, default registration
+ * order) until one finds the person; one that returns no_results hands over to
+ * the next.
+ */
+class EnrichmentService {
+  /**
+   * Add a provider (replacing one of the same name)
+   * @param {EnrichmentProvider} provider
+   */
+  static registerProvider(provider) {
+    return registerProvider(provider);
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @throws {Error} error.code UNKNOWN_PROVIDER
+   */
+  getProvider(name) {
+    const provider = providers.get(name);
+    if (!provider) {
+      throw this.error('UNKNOWN_PROVIDER', `Unknown enrichment provider "${name}". Registered: ${[...providers.keys()].join(', ')}`);
+    }
+    return provider;
+  }
+
+  listProviders() {
+    return this.providerOrder().map(name => providers.get(name).describe());
+  }
+
+  // Waterfall order: ENRICHMENT_PROVIDER_ORDER first, then the other registered providers
+  providerOrder() {
+    const configured = (process.env.ENRICHMENT_PROVIDER_ORDER || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => providers.has(name));
+    return [...new Set([...configured, ...providers.keys()])];
+  }
+
+  /**
+   * Search fields of a contact
+   * @param {Object} contact - contacts / contactsready row
+   * @returns {Object} { first_name, last_name, address, city, state, zip }
+   */
+  personFromContact(contact) {
+    return {
+      first_name: contact.first_name || null,
+      last_name: contact.last_name || null,
+      address: contact.address || null,
+      city: contact.city || null,
+      state: contact.state || null,
+      zip: contact.zip || null
+    };
+  }
+
+  /**
+   * Look a contact up through the provider waterfall
+   * @param {Object} contact - contacts row (or any object with the person fields and id)
+   * @param {Object} options
+   * @param {Array<string>} options.providers - Providers to try, in order (default: all, see providerOrder)
+   * @param {boolean} options.continueOnError - Also try the next provider when one fails (default false)
+   * @returns {Promise<Object>} { status, provider, result, lookupGroup, attempts, cost }
+   *   status is success, no_results (every provider tried found no one), error or
+   *   not_eligible (no provider could search on the contact's fields)
+   * @throws {Error} error.code UNKNOWN_PROVIDER
+   */
+  async lookup(contact, { providers: names = null, continueOnError = false } = {}) {
+    const order = (names && names.length ? names : this.providerOrder()).map(name => this.getProvider(name));
+    const person = this.personFromContact(contact);
+    const lookupGroup = crypto.randomUUID();
+    const attempts = [];
+    let final = null;
+
+    for (const provider of order) {
+      if (!provider.isConfigured() || !provider.isEligible(person)) {
+        attempts.push({ provider: provider.name, status: provider.isConfigured() ? 'not_eligible' : 'not_configured', cost: 0 });
+        continue;
+      }
+
+      const attempt = await this.lookupWithProvider(provider.name, contact, {
+        lookupGroup,
+        attempt: attempts.filter(item => item.lookup_id).length + 1
+      });
+      attempts.push({
+        provider: provider.name,
+        status: attempt.status,
+        cost: attempt.cost,
+        lookup_id: attempt.lookupId,
+        error: attempt.error
+      });
+      final = attempt;
+
+      if (attempt.status === 'success' || (attempt.status === 'error' && !continueOnError)) {
+        break;
+      }
+    }
+
+    const cost = attempts.reduce((sum, attempt) => sum + (attempt.cost || 0), 0);
+    console.log(`🔎 Enrichment of contact ${contact.id}: ${attempts.map(attempt => `${attempt.provider}=${attempt.status}`).join(' → ') || 'no providers'}`);
+
+    return {
+      status: final ? final.status : 'not_eligible',
+      provider: final && final.status === 'success' ? final.provider : null,
+      result: final ? final.result : null,
+      lookupGroup,
+      attempts,
+      cost
+    };
+  }
+
+  /**
+   * One provider request for a contact, recorded in enrichment_lookups
+   * @param {string} name - Provider name
+   * @param {Object} contact - contacts row
+   * @param {Object} options - { lookupGroup, attempt }
+   * @returns {Promise<Object>} The provider's lookup result (see EnrichmentProvider.lookup) plus lookupId
+   * @throws {Error} error.code UNKNOWN_PROVIDER
+   */
+  async lookupWithProvider(name, contact, { lookupGroup = crypto.randomUUID(), attempt = 1 } = {}) {
+    const provider = this.getProvider(name);
+    const person = this.personFromContact(contact);
+    const result = await provider.lookup(person);
+
+    const record = await EnrichmentLookup.create({
+      contact_id: contact.id || null,
+      provider: provider.name,
+      status: result.status,
+      lookup_group: lookupGroup,
+      attempt,
+      search: person,
+      result: result.result,
+      raw_response: result.raw,
+      request_url: result.requestUrl,
+      cost: result.cost,
+      http_status: result.httpStatus,
+      error: result.error,
+      lookup_at: new Date()
+    });
+
+    return { ...result, lookupId: record.id };
+  }
+
+  /**
+   * Recorded lookups, newest first
+   * @param {Object} filters - { contactId, provider, status, lookupGroup }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { rows, pagination }
+   */
+  async getLookups(filters = {}, { limit, offset } = {}) {
+    const cappedLimit = Math.min(parseInt(limit) || 50, 500);
+    const cappedOffset = parseInt(offset) || 0;
+    const where = {};
+    if (filters.contactId) where.contact_id = parseInt(filters.contactId);
+    if (filters.provider) where.provider = filters.provider;
+    if (filters.status) where.status = filters.status;
+    if (filters.lookupGroup) where.lookup_group = filters.lookupGroup;
+
+    const { count, rows } = await EnrichmentLookup.findAndCountAll({
+      where,
+      attributes: { exclude: ['raw_response'] },
+      order: [['lookup_at', 'DESC'], ['id', 'DESC']],
+      limit: cappedLimit,
+      offset: cappedOffset
+    });
+
+    return {
+      rows,
+      pagination: {
+        total: count,
+        limit: cappedLimit,
+        offset: cappedOffset,
+        hasMore: cappedOffset + cappedLimit < count
+      }
+    };
+  }
+
+  /**
+   * Total spend with a provider in a time window
+   * @param {string} provider - Provider name
+   * @param {Date} from - Window start
+   * @param {Date} to - Window end (default now)
+   * @returns {Promise<number>} USD
+   */
+  async getSpend(provider, from, to = new Date()) {
+    const total = await EnrichmentLookup.sum('cost', {
+      where: { provider, lookup_at: { [Op.gte]: from, [Op.lte]: to } }
+    });
+    return parseFloat(total) || 0;
+  }
+
+  /**
+   * Lookup counts and spend per provider, optionally per day or month
+   * @param {Object} options - { from, to, groupBy: 'day' | 'month' }
+   * @returns {Promise<Array>} [{ provider, period, lookups, success, no_results, errors, cost }]
+   */
+  async getCostSummary({ from = null, to = null, groupBy = null } = {}) {
+    const where = {};
+    if (from || to) {
+      where.lookup_at = {};
+      if (from) where.lookup_at[Op.gte] = new Date(from);
+      if (to) where.lookup_at[Op.lte] = new Date(to);
+    }
+
+    const period = ['day', 'month'].includes(groupBy) ? fn('date_trunc', groupBy, col('lookup_at')) : null;
+    const rows = await EnrichmentLookup.findAll({
+      where,
+      attributes: [
+        'provider',
+        ...(period ? [[period, 'period']] : []),
+        [fn('COUNT', col('id')), 'lookups'],
+        [literal("COUNT(*) FILTER (WHERE status = 'success')"), 'success'],
+        [literal("COUNT(*) FILTER (WHERE status = 'no_results')"), 'no_results'],
+        [literal("COUNT(*) FILTER (WHERE status = 'error')"), 'errors'],
+        [fn('SUM', col('cost')), 'cost']
+      ],
+      group: ['provider', ...(period ? [period] : [])],
+      order: [['provider', 'ASC'], ...(period ? [[period, 'ASC']] : [])],
+      raw: true
+    });
+
+    return rows.map(row => ({
+      provider: row.provider,
+      ...(period ? { period: row.period } : {}),
+      lookups: parseInt(row.lookups),
+      success: parseInt(row.success),
+      no_results: parseInt(row.no_results),
+      errors: parseInt(row.errors),
+      cost: parseFloat(row.cost) || 0
+    }));
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = EnrichmentService;
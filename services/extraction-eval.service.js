@@ -0,0 +1,640 @@
+const { ExtractionPrompt, ExtractionPromptVersion, EvalDocument, EvalRun } = require('../config/pddbclient.cjs');
+const ClaudeContactExtractor = require('./ClaudeContactExtractor.cjs');
+const LlmTransport = require('./llm-transport.js');
+const DocumentPipelineService = require('./document-pipeline.service.js');
+const { documentSources, ocdImagingSource } = require('../config/document-sources.cjs');
+
+const EVAL_FIELDS = ['name', 'address', 'state_zip', 'ownership_percentage'];
+const MATCH_THRESHOLD = 0.6; // Minimum name-token overlap for an extracted contact to count as a labeled one
+const EXTRACTION_METHODS = ['vision', 'native'];
+
+// Spellings normalized before addresses are compared
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  road: 'rd',
+  drive: 'dr',
+  boulevard: 'blvd',
+  lane: 'ln',
+  court: 'ct',
+  suite: 'ste',
+  highway: 'hwy',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w',
+  post: 'po',
+  office: '',
+  p: '',
+  o: ''
+};
+
+/**
+ * Extraction Prompt Evaluation Service
+ *
+ * Golden-set management and an evaluation runner that scores an extraction
+ * prompt version (precision, recall, field accuracy) through ClaudeContactExtractor,
+ * either along the production vision path (rasterized page images) or native PDF.
+ * Live runs record Claude's responses (LlmTransport); replay runs re-score them without calling Claude.
+ */
+class ExtractionEvalService {
+  /**
+   * @param {S3Service} s3Service - Stores and fetches golden-set PDFs
+   */
+  constructor(s3Service = null) {
+    this.s3Service = s3Service;
+  }
+
+  /**
+   * Get golden-set documents with optional filtering
+   */
+  async getDocuments(filters = {}) {
+    try {
+      const where = {};
+
+      if (filters.set_name) {
+        where.set_name = filters.set_name;
+      }
+
+      if (filters.prompt_key) {
+        where.prompt_key = filters.prompt_key;
+      }
+
+      const documents = await EvalDocument.findAll({
+        where,
+        order: [['set_name', 'ASC'], ['id', 'ASC']]
+      });
+
+      return {
+        success: true,
+        count: documents.length,
+        documents
+      };
+    } catch (error) {
+      console.error('Error fetching eval documents:', error.message);
+      return {
+        success: false,
+        message: `Failed to fetch eval documents: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Add a labeled PDF to a golden set
+   * @param {Object} document - { set_name, prompt_key, project_origin, expected_contacts, notes }
+   * @param {Buffer} pdfBuffer - PDF content
+   * @param {string} fileName - Original file name
+   * @param {string} createdBy - User
+   */
+  async addDocument(document, pdfBuffer, fileName, createdBy = 'system') {
+    try {
+      if (!document.prompt_key) {
+        return {
+          success: false,
+          message: 'Missing required field: prompt_key'
+        };
+      }
+
+      if (!Array.isArray(document.expected_contacts)) {
+        return {
+          success: false,
+          message: 'expected_contacts must be an array of contacts'
+        };
+      }
+
+      const setName = document.set_name || 'default';
+      const s3Key = `eval-golden/${setName}/${fileName}`;
+      await this.s3Service.uploadBufferToS3(pdfBuffer, s3Key);
+
+      const created = await EvalDocument.create({
+        set_name: setName,
+        file_name: fileName,
+        s3_key: s3Key,
+        prompt_key: document.prompt_key,
+        project_origin: document.project_origin || null,
+        expected_contacts: document.expected_contacts,
+        notes: document.notes || null,
+        created_by: createdBy
+      });
+
+      console.log(`✅ Added ${fileName} to golden set ${setName} (${document.expected_contacts.length} labeled contacts)`);
+
+      return {
+        success: true,
+        message: 'Eval document created successfully',
+        document: created
+      };
+    } catch (error) {
+      console.error('Error creating eval document:', error.message);
+      return {
+        success: false,
+        message: `Failed to create eval document: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Replace the labeled contacts / notes of a golden-set document
+   */
+  async updateDocument(id, updates) {
+    try {
+      const document = await EvalDocument.findByPk(id);
+
+      if (!document) {
+        return {
+          success: false,
+          notFound: true,
+          message: `Eval document not found: ${id}`
+        };
+      }
+
+      if (updates.expected_contacts !== undefined && !Array.isArray(updates.expected_contacts)) {
+        return {
+          success: false,
+          message: 'expected_contacts must be an array of contacts'
+        };
+      }
+
+      await document.update({
+        expected_contacts: updates.expected_contacts !== undefined ? updates.expected_contacts : document.expected_contacts,
+        notes: updates.notes !== undefined ? updates.notes : document.notes,
+        project_origin: updates.project_origin !== undefined ? updates.project_origin : document.project_origin
+      });
+
+      return {
+        success: true,
+        message: 'Eval document updated successfully',
+        document
+      };
+    } catch (error) {
+      console.error(`Error updating eval document ${id}:`, error.message);
+      return {
+        success: false,
+        message: `Failed to update eval document: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Remove a document from its golden set (the PDF stays in S3)
+   */
+  async deleteDocument(id) {
+    try {
+      const deleted = await EvalDocument.destroy({ where: { id } });
+
+      if (!deleted) {
+        return {
+          success: false,
+          notFound: true,
+          message: `Eval document not found: ${id}`
+        };
+      }
+
+      return {
+        success: true,
+        message: 'Eval document deleted successfully'
+      };
+    } catch (error) {
+      console.error(`Error deleting eval document ${id}:`, error.message);
+      return {
+        success: false,
+        message: `Failed to delete eval document: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Get evaluation runs, newest first (per-document results excluded)
+   */
+  async getRuns(filters = {}) {
+    try {
+      const where = {};
+
+      if (filters.prompt_key) {
+        where.prompt_key = filters.prompt_key;
+      }
+
+      if (filters.prompt_version) {
+        where.prompt_version = parseInt(filters.prompt_version);
+      }
+
+      if (filters.set_name) {
+        where.set_name = filters.set_name;
+      }
+
+      const runs = await EvalRun.findAll({
+        where,
+        order: [['started_at', 'DESC']],
+        attributes: { exclude: ['results'] }
+      });
+
+      return {
+        success: true,
+        count: runs.length,
+        runs
+      };
+    } catch (error) {
+      console.error('Error fetching eval runs:', error.message);
+      return {
+        success: false,
+        message: `Failed to fetch eval runs: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Get an evaluation run with its per-document results
+   */
+  async getRun(id) {
+    try {
+      const run = await EvalRun.findByPk(id);
+
+      if (!run) {
+        return {
+          success: false,
+          notFound: true,
+          message: `Eval run not found: ${id}`
+        };
+      }
+
+      return {
+        success: true,
+        run
+      };
+    } catch (error) {
+      console.error(`Error fetching eval run ${id}:`, error.message);
+      return {
+        success: false,
+        message: `Failed to fetch eval run: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Run an evaluation to completion
+   * @param {Object} options - See startEvaluation
+   * @returns {Promise<EvalRun>} Completed run
+   */
+  async runEvaluation(options) {
+    const { completion } = await this.startEvaluation(options);
+    return completion;
+  }
+
+  /**
+   * Score a prompt version against a golden set
+   * @param {Object} options
+   * @param {string} options.promptKey - Extraction prompt
+   * @param {number} options.version - Prompt version (default: current)
+   * @param {string} options.setName - Golden set (default: 'default')
+   * @param {string} options.mode - 'live' (call Claude, record responses) or 'replay' (no Claude
+   *                                calls, reuse the responses of the latest live run of this version)
+   * @param {string} options.extraction - 'vision' (default - Ghostscript page images, as the document
+   *                                      pipeline extracts) or 'native' (PDF sent to Claude as is)
+   * @returns {Promise<Object>} { runId, completion } - completion resolves with the finished EvalRun
+   */
+  async startEvaluation({ promptKey, version = null, setName = 'default', mode = 'live', extraction = 'vision' }) {
+    if (!['live', 'replay'].includes(mode)) {
+      throw new Error(`Unknown eval mode: ${mode} (use live or replay)`);
+    }
+
+    if (!EXTRACTION_METHODS.includes(extraction)) {
+      throw new Error(`Unknown extraction method: ${extraction} (use ${EXTRACTION_METHODS.join(' or ')})`);
+    }
+
+    const prompt = await this.resolvePromptVersion(promptKey, version);
+
+    const documents = await EvalDocument.findForSet(setName, promptKey);
+    if (!documents.length) {
+      throw new Error(`Golden set "${setName}" has no documents for prompt ${promptKey}`);
+    }
+
+    let recordedRun = null;
+    if (mode === 'replay') {
+      recordedRun = await EvalRun.findLatestLive(promptKey, prompt.version, setName, extraction);
+      if (!recordedRun) {
+        throw new Error(`No completed live ${extraction} run of ${promptKey} v${prompt.version} on "${setName}" to replay - run it live first`);
+      }
+    }
+
+    const run = await EvalRun.create({
+      prompt_key: promptKey,
+      prompt_version: prompt.version,
+      set_name: setName,
+      llm_mode: mode,
+      extraction_method: extraction,
+      replayed_run_id: recordedRun ? recordedRun.id : null,
+      model: recordedRun ? recordedRun.model : (process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514'),
+      document_count: documents.length,
+      started_at: new Date()
+    });
+
+    console.log(`🧪 Eval run ${run.id}: ${promptKey} v${prompt.version} on "${setName}" (${documents.length} documents, ${mode}, ${extraction})`);
+
+    const completion = this.executeRun(run, prompt, documents, recordedRun);
+    return { runId: run.id, completion };
+  }
+
+  async executeRun(run, prompt, documents, recordedRun) {
+    try {
+      const recordedResults = recordedRun ? recordedRun.results || [] : [];
+      const results = [];
+
+      for (const document of documents) {
+        const recorded = recordedResults.find(result => result.documentId === document.id);
+        results.push(await this.evaluateDocument(document, prompt, { replay: !!recordedRun, recorded, extraction: run.extraction_method }));
+      }
+
+      const totals = this.aggregate(results);
+
+      await run.update({
+        status: 'completed',
+        ...totals,
+        results,
+        completed_at: new Date()
+      });
+
+      console.log(`✅ Eval run ${run.id} complete - precision ${this.formatScore(totals.precision)}, recall ${this.formatScore(totals.recall)}, F1 ${this.formatScore(totals.f1)}`);
+      return run;
+
+    } catch (error) {
+      console.error(`❌ Eval run ${run.id} failed: ${error.message}`);
+      await run.update({
+        status: 'failed',
+        error_message: error.message,
+        completed_at: new Date()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Extract and score one golden-set document
+   * @param {EvalDocument} document - Labeled document
+   * @param {Object} prompt - { version, native, text }
+   * @param {Object} options - { replay, recorded, extraction } - recorded is the same document's result in the replayed run
+   * @returns {Promise<Object>} Per-document result
+   */
+  async evaluateDocument(document, prompt, { replay = false, recorded = null, extraction = 'vision' } = {}) {
+    const result = {
+      documentId: document.id,
+      fileName: document.file_name
+    };
+
+    try {
+      // Recordings are keyed by prompt and PDF, so a replay needs the same PDF
+      const pdfBuffer = await this.s3Service.fetchFromS3(document.s3_key);
+      let client;
+
+      if (replay) {
+        if (!recorded || !recorded.recordings) {
+          throw new Error(recorded
+            ? 'The live run predates keyed recordings - run this version live again'
+            : 'No recorded responses for this document - it was added after the live run');
+        }
+        client = new LlmTransport({ mode: 'replay', recordings: recorded.recordings });
+      } else {
+        client = new LlmTransport({ mode: 'record', apiKey: process.env.ANTHROPIC_API_KEY, recordings: [] });
+      }
+
+      const extractor = new ClaudeContactExtractor({
+        anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+        anthropicClient: client,
+        awsRegion: process.env.AWS_REGION,
+        awsAccessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        awsSecretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        documentType: document.prompt_key,
+        customPrompts: { native: prompt.native, text: prompt.text },
+        promptVariables: { PROJECT_ORIGIN: document.project_origin || process.env.DEFAULT_PROJECT_ORIGIN || 'OCD_IMAGING' }
+      });
+
+      let predicted;
+      if (extraction === 'vision') {
+        // Same rendering as the pipeline, including its native PDF fallback when Ghostscript fails
+        const pages = await this.pipelineFor(document.prompt_key).renderPages(pdfBuffer, document.file_name);
+        predicted = pages.useNativePdf
+          ? await extractor.extractContactsFromPDFNative(pdfBuffer, document.file_name)
+          : await extractor.extractContactsFromImages(pages.imageData, document.file_name);
+      } else {
+        predicted = await extractor.extractContactsFromPDFNative(pdfBuffer, document.file_name);
+      }
+
+      Object.assign(result, this.scoreDocument(document.expected_contacts, predicted));
+      result.predicted = predicted;
+      result.recordings = client.recordings;
+    } catch (error) {
+      console.error(`❌ Eval of ${document.file_name} failed: ${error.message}`);
+      Object.assign(result, this.scoreDocument(document.expected_contacts, []));
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Document pipeline of the source that extracts with a prompt, used to render page images
+   * the way production does (the source sets the page image size)
+   * @param {string} promptKey - Extraction prompt
+   * @returns {DocumentPipelineService}
+   */
+  pipelineFor(promptKey) {
+    const source = documentSources.find(candidate => candidate.documentType === promptKey) || ocdImagingSource;
+    return new DocumentPipelineService({ source, s3Service: this.s3Service });
+  }
+
+  /**
+   * Load the prompt text of a version (current version when none is given)
+   * @returns {Promise<Object>} { version, native, text }
+   */
+  async resolvePromptVersion(promptKey, version = null) {
+    const prompt = await ExtractionPrompt.findOne({ where: { prompt_key: promptKey } });
+    if (!prompt) {
+      throw new Error(`Prompt not found: ${promptKey}`);
+    }
+
+    const targetVersion = version ? parseInt(version) : prompt.version;
+
+    if (targetVersion === prompt.version) {
+      return { version: prompt.version, native: prompt.native_prompt, text: prompt.text_prompt };
+    }
+
+    const stored = await ExtractionPromptVersion.getVersion(prompt.id, targetVersion);
+    if (!stored) {
+      throw new Error(`Version ${targetVersion} not found for prompt ${promptKey}`);
+    }
+
+    return { version: targetVersion, native: stored.native_prompt, text: stored.text_prompt };
+  }
+
+  /**
+   * Match extracted contacts to labeled ones and score them
+   * @param {Array<Object>} expected - Labeled contacts
+   * @param {Array<Object>} predicted - Extracted contacts
+   * @returns {Object} { expectedCount, predictedCount, matchedCount, precision, recall, f1, fields, unmatchedExpected, unmatchedPredicted }
+   */
+  scoreDocument(expected, predicted) {
+    const pairs = [];
+    expected.forEach((exp, e) => {
+      predicted.forEach((pred, p) => {
+        const similarity = this.nameSimilarity(exp, pred);
+        if (similarity >= MATCH_THRESHOLD) {
+          pairs.push({ e, p, similarity });
+        }
+      });
+    });
+
+    // Greedy one-to-one matching, best pairs first
+    pairs.sort((a, b) => b.similarity - a.similarity);
+    const usedExpected = new Set();
+    const usedPredicted = new Set();
+    const matches = [];
+
+    for (const pair of pairs) {
+      if (!usedExpected.has(pair.e) && !usedPredicted.has(pair.p)) {
+        usedExpected.add(pair.e);
+        usedPredicted.add(pair.p);
+        matches.push(pair);
+      }
+    }
+
+    const fields = {};
+    EVAL_FIELDS.forEach(field => {
+      fields[field] = { correct: 0, total: 0 };
+    });
+
+    for (const { e, p } of matches) {
+      EVAL_FIELDS.forEach(field => {
+        const check = this.compareField(field, expected[e], predicted[p]);
+        if (check !== null) {
+          fields[field].total++;
+          if (check) {
+            fields[field].correct++;
+          }
+        }
+      });
+    }
+
+    return {
+      expectedCount: expected.length,
+      predictedCount: predicted.length,
+      matchedCount: matches.length,
+      ...this.ratios(matches.length, predicted.length, expected.length),
+      fields,
+      unmatchedExpected: expected.filter((_, idx) => !usedExpected.has(idx)).map(c => c.name || c.company),
+      unmatchedPredicted: predicted.filter((_, idx) => !usedPredicted.has(idx)).map(c => c.name || c.company)
+    };
+  }
+
+  /**
+   * Compare one field of a matched pair
+   * @returns {boolean|null} Whether the field is right, or null when the label has no value for it
+   */
+  compareField(field, expected, predicted) {
+    switch (field) {
+      case 'name': {
+        const label = this.normalizeText(expected.name || expected.company);
+        return label ? label === this.normalizeText(predicted.name || predicted.company) : null;
+      }
+      case 'address': {
+        const label = this.normalizeAddress(expected.address);
+        return label ? label === this.normalizeAddress(predicted.address) : null;
+      }
+      case 'state_zip': {
+        const label = this.stateZip(expected);
+        if (!label.state && !label.zip) {
+          return null;
+        }
+        const value = this.stateZip(predicted);
+        return label.state === value.state && label.zip === value.zip;
+      }
+      case 'ownership_percentage': {
+        const label = parseFloat(expected.mineral_rights_percentage);
+        if (isNaN(label)) {
+          return null;
+        }
+        const value = parseFloat(predicted.mineral_rights_percentage);
+        return !isNaN(value) && Math.abs(label - value) <= 0.01;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Micro-averaged totals across documents
+   * @param {Array<Object>} results - Per-document results
+   * @returns {Object} Counts, precision/recall/f1 and field_accuracy for EvalRun
+   */
+  aggregate(results) {
+    const expectedCount = results.reduce((sum, r) => sum + r.expectedCount, 0);
+    const predictedCount = results.reduce((sum, r) => sum + r.predictedCount, 0);
+    const matchedCount = results.reduce((sum, r) => sum + r.matchedCount, 0);
+
+    const fieldAccuracy = {};
+    EVAL_FIELDS.forEach(field => {
+      const correct = results.reduce((sum, r) => sum + r.fields[field].correct, 0);
+      const total = results.reduce((sum, r) => sum + r.fields[field].total, 0);
+      fieldAccuracy[field] = { correct, total, accuracy: total ? correct / total : null };
+    });
+
+    return {
+      expected_count: expectedCount,
+      predicted_count: predictedCount,
+      matched_count: matchedCount,
+      ...this.ratios(matchedCount, predictedCount, expectedCount),
+      field_accuracy: fieldAccuracy
+    };
+  }
+
+  ratios(matched, predicted, expected) {
+    const precision = predicted ? matched / predicted : null;
+    const recall = expected ? matched / expected : null;
+    const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : (precision === null || recall === null ? null : 0);
+    return { precision, recall, f1 };
+  }
+
+  // Token overlap (Jaccard) of the name, or company when there is no name
+  nameSimilarity(a, b) {
+    const tokensA = new Set(this.normalizeText(a.name || a.company).split(' ').filter(Boolean));
+    const tokensB = new Set(this.normalizeText(b.name || b.company).split(' ').filter(Boolean));
+
+    if (!tokensA.size || !tokensB.size) {
+      return 0;
+    }
+
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    return shared / (tokensA.size + tokensB.size - shared);
+  }
+
+  normalizeText(text) {
+    return (text || '')
+      .toString()
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  normalizeAddress(address) {
+    return this.normalizeText(address)
+      .split(' ')
+      .map(token => (ADDRESS_ABBREVIATIONS[token] !== undefined ? ADDRESS_ABBREVIATIONS[token] : token))
+      .filter(Boolean)
+      .join(' ')
+      // ZIP+4 suffixes don't count against the address
+      .replace(/\b(\d{5}) \d{4}\b/, '$1');
+  }
+
+  // State and 5-digit ZIP from the contact's fields, falling back to the address line
+  stateZip(contact) {
+    const match = (contact.address || '').match(/\b([A-Za-z]{2})\s+(\d{5})(?:-\d{4})?\b/);
+    const state = (contact.state || (match ? match[1] : '') || '').toString().trim().toUpperCase();
+    const zip = ((contact.zip || (match ? match[2] : '') || '').toString().match(/\d{5}/) || [''])[0];
+    return { state, zip };
+  }
+
+  formatScore(value) {
+    return value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+  }
+}
+
+module.exports = ExtractionEvalService;
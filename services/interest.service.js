@@ -0,0 +1,309 @@
+const { Interest, Contact, ContactReady, BusinessEntity } = require('../config/pddbclient.cjs');
+
+// Spellings the extraction uses for each interest type
+const INTEREST_TYPE_ALIASES = {
+  WI: ['wi', 'working interest', 'working'],
+  UMI: ['umi', 'unleased mineral interest', 'unleased mineral', 'unleased'],
+  ORRI: ['orri', 'overriding royalty interest', 'overriding royalty', 'override', 'orr'],
+  RI: ['ri', 'royalty interest', 'royalty', 'lessor royalty', 'lri']
+};
+
+const OWNER_MODELS = {
+  contact: () => Contact,
+  contact_ready: () => ContactReady,
+  business_entity: () => BusinessEntity
+};
+
+/**
+ * Mineral interests - the WI / UMI / ORRI / RI interests an owner holds per case and
+ * tract, stored in interests, and the exposure summary across an owner's cases
+ */
+class InterestService {
+  /**
+   * Save interests for many owners at once (e.g. a bulk contact insert)
+   * @param {string} ownerType - contact, contact_ready or business_entity
+   * @param {Array<Object>} entries - [{ ownerId, interests }] with interests from normalizeInterests
+   * @param {Object} options - { transaction }
+   * @returns {Promise<number>} Interests created
+   */
+  async addInterestsForMany(ownerType, entries, { transaction = null } = {}) {
+    const rows = [];
+    for (const entry of entries.filter(item => item.ownerId)) {
+      for (const interest of entry.interests || []) {
+        rows.push({ ...interest, owner_type: ownerType, owner_id: entry.ownerId });
+      }
+    }
+
+    if (!rows.length) {
+      return 0;
+    }
+
+    const created = await Interest.bulkCreate(rows, { validate: true, transaction });
+    return created.length;
+  }
+
+  /**
+   * Copy the interests of one owner to another (e.g. contacts -> contactsready),
+   * skipping interests the target already holds
+   * @returns {Promise<Array<number>>} IDs of the interests created
+   */
+  async copyInterests(fromType, fromId, toType, toId, { transaction = null } = {}) {
+    const [interests, existing] = await Promise.all([
+      Interest.findAll({ where: { owner_type: fromType, owner_id: fromId }, transaction }),
+      Interest.findAll({ where: { owner_type: toType, owner_id: toId }, transaction })
+    ]);
+
+    const held = new Set(existing.map(interest => this.interestKey(interest)));
+    const copies = interests
+      .filter(interest => !held.has(this.interestKey(interest)))
+      .map(interest => {
+        const { id, created_at, updated_at, ...values } = interest.get({ plain: true });
+        return { ...values, owner_type: toType, owner_id: toId };
+      });
+
+    if (!copies.length) {
+      return [];
+    }
+
+    const created = await Interest.bulkCreate(copies, { validate: true, transaction });
+    return created.map(interest => interest.id);
+  }
+
+  /**
+   * Delete the interests of removed owners (no FK cascades - owner_id points into several tables)
+   * @param {string} ownerType - contact, contact_ready or business_entity
+   * @param {Array<number>} ownerIds - Deleted owner IDs
+   */
+  async removeInterests(ownerType, ownerIds, { transaction = null } = {}) {
+    if (!ownerIds.length) {
+      return 0;
+    }
+    return Interest.destroy({ where: { owner_type: ownerType, owner_id: ownerIds }, transaction });
+  }
+
+  /**
+   * An owner's interests across all OCD cases, with totals per case and interest type.
+   * A golden contact includes the interests of the duplicates merged into it; the same
+   * interest read more than once (several exhibits of a case, or merged duplicates)
+   * counts once.
+   * @param {string} ownerType - contact, contact_ready or business_entity
+   * @param {number} ownerId - Owner row ID
+   * @returns {Promise<Object|null>} { owner, ownerIds, totals, cases } or null when the owner doesn't exist
+   */
+  async getExposure(ownerType, ownerId) {
+    const model = OWNER_MODELS[ownerType] && OWNER_MODELS[ownerType]();
+    if (!model) {
+      throw new Error(`Unknown owner type: ${ownerType}`);
+    }
+
+    const owner = await model.findByPk(ownerId, { attributes: ['id', 'name', 'llc_owner', 'owner_type'] });
+    if (!owner) {
+      return null;
+    }
+
+    const ownerIds = [owner.id];
+    if (ownerType === 'contact') {
+      const merged = await Contact.findAll({ where: { merged_into_id: owner.id }, attributes: ['id'] });
+      ownerIds.push(...merged.map(contact => contact.id));
+    }
+
+    const interests = await Interest.findAll({
+      where: { owner_type: ownerType, owner_id: ownerIds },
+      order: [['case_number', 'ASC'], ['tract', 'ASC'], ['interest_type', 'ASC'], ['id', 'ASC']]
+    });
+
+    // First reading wins, unless a later one has the decimal the first is missing
+    const unique = new Map();
+    for (const interest of interests) {
+      const key = this.interestKey(interest);
+      const seen = unique.get(key);
+      if (!seen || (seen.decimal_interest === null && interest.decimal_interest !== null)) {
+        unique.set(key, interest);
+      }
+    }
+
+    const cases = new Map();
+    const totals = { cases: 0, tracts: 0, interests: unique.size, net_acres: 0, by_interest_type: {} };
+    const tracts = new Set();
+
+    for (const interest of unique.values()) {
+      const caseNumber = interest.case_number || null;
+      if (!cases.has(caseNumber)) {
+        cases.set(caseNumber, { case_number: caseNumber, net_acres: 0, unit_interest: {}, interests: [] });
+      }
+
+      const summary = cases.get(caseNumber);
+      const netAcres = this.toNumber(interest.net_acres);
+      const decimal = this.toNumber(interest.decimal_interest);
+
+      summary.net_acres += netAcres || 0;
+      if (interest.unit_level && decimal !== null) {
+        summary.unit_interest[interest.interest_type] = (summary.unit_interest[interest.interest_type] || 0) + decimal;
+      }
+      summary.interests.push(this.formatInterest(interest));
+
+      if (!interest.unit_level && interest.tract) {
+        tracts.add(`${caseNumber}|${interest.tract}`);
+      }
+
+      const byType = totals.by_interest_type[interest.interest_type] || { interests: 0, cases: new Set(), net_acres: 0 };
+      byType.interests++;
+      byType.cases.add(caseNumber);
+      byType.net_acres += netAcres || 0;
+      totals.by_interest_type[interest.interest_type] = byType;
+      totals.net_acres += netAcres || 0;
+    }
+
+    totals.cases = [...cases.keys()].filter(Boolean).length;
+    totals.tracts = tracts.size;
+    totals.net_acres = this.round(totals.net_acres);
+    for (const byType of Object.values(totals.by_interest_type)) {
+      byType.cases = [...byType.cases].filter(Boolean).length;
+      byType.net_acres = this.round(byType.net_acres);
+    }
+
+    return {
+      owner: owner.get({ plain: true }),
+      ownerIds,
+      totals,
+      cases: [...cases.values()].map(summary => ({
+        ...summary,
+        net_acres: this.round(summary.net_acres)
+      }))
+    };
+  }
+
+  /**
+   * Interests of an extracted contact as interest rows. Reads the contact's `interests`
+   * array; contacts from prompts without one fall back to the single
+   * ownership_type / mineral_rights_percentage pair.
+   * @param {Object} claudeContact - Contact as extracted (interests, case_number, source_file, source_page, ...)
+   * @returns {Array<Object>} Rows for addInterestsForMany, without owner
+   */
+  normalizeInterests(claudeContact) {
+    const defaults = {
+      case_number: claudeContact.case_number || null,
+      source_file: claudeContact.source_file || null,
+      source_page: this.toPage(claudeContact.source_page)
+    };
+
+    let interests = Array.isArray(claudeContact.interests) ? claudeContact.interests : [];
+    if (!interests.length && claudeContact.ownership_type && claudeContact.mineral_rights_percentage) {
+      interests = [{
+        interest_type: claudeContact.ownership_type,
+        decimal_interest: `${claudeContact.mineral_rights_percentage}%`,
+        tract: claudeContact.tract_info,
+        unit_level: claudeContact.unit_level
+      }];
+    }
+
+    return interests
+      .map(interest => this.normalizeInterest(interest, defaults))
+      .filter(Boolean);
+  }
+
+  /**
+   * @returns {Object|null} Interest row, or null when the type can't be read
+   */
+  normalizeInterest(interest, defaults = {}) {
+    if (!interest || typeof interest !== 'object') return null;
+
+    const interestType = this.normalizeInterestType(interest.interest_type);
+    if (!interestType) return null;
+
+    const tract = interest.tract !== undefined && interest.tract !== null
+      ? interest.tract.toString().trim().substring(0, 100)
+      : '';
+    const unitLevel = interest.unit_level === true || interest.unit_level === 'true' || !tract;
+
+    return {
+      case_number: (interest.case_number || defaults.case_number || '').toString().trim().substring(0, 100) || null,
+      tract: unitLevel ? null : tract,
+      unit_level: unitLevel,
+      interest_type: interestType,
+      decimal_interest: this.parseDecimal(interest.decimal_interest),
+      net_revenue_interest: this.parseDecimal(interest.net_revenue_interest),
+      net_acres: this.parseAcres(interest.net_acres),
+      interest_text: interest.interest_text ? interest.interest_text.toString().substring(0, 255) : null,
+      source_file: defaults.source_file || null,
+      source_page: this.toPage(interest.source_page) || defaults.source_page || null
+    };
+  }
+
+  normalizeInterestType(value) {
+    const text = (value || '').toString().trim().toLowerCase().replace(/[.\s]+/g, ' ').trim();
+    if (!text) return null;
+
+    for (const [type, aliases] of Object.entries(INTEREST_TYPE_ALIASES)) {
+      if (aliases.includes(text)) return type;
+    }
+    return null;
+  }
+
+  /**
+   * "0.03125", "1/32", "3.125%" -> 0.03125. Bare numbers above 1 are taken as percentages.
+   * @returns {number|null} Decimal between 0 and 1
+   */
+  parseDecimal(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const text = value.toString().replace(/,/g, '').trim();
+    let decimal;
+
+    const fraction = text.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+    if (fraction) {
+      decimal = parseFloat(fraction[1]) / parseFloat(fraction[2]);
+    } else if (text.endsWith('%')) {
+      decimal = parseFloat(text) / 100;
+    } else {
+      decimal = parseFloat(text);
+      if (decimal > 1) decimal = decimal / 100;
+    }
+
+    return isFinite(decimal) && decimal >= 0 && decimal <= 1 ? parseFloat(decimal.toFixed(10)) : null;
+  }
+
+  parseAcres(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const acres = parseFloat(value.toString().replace(/,/g, ''));
+    return isFinite(acres) && acres >= 0 ? parseFloat(acres.toFixed(6)) : null;
+  }
+
+  toPage(value) {
+    const page = parseInt(value);
+    return page >= 1 ? page : null;
+  }
+
+  toNumber(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+
+  round(value) {
+    return parseFloat(value.toFixed(6));
+  }
+
+  // Case, tract and type identify an interest of one owner
+  interestKey(interest) {
+    return [interest.case_number || '', interest.unit_level ? '' : interest.tract || '', interest.interest_type].join('|');
+  }
+
+  formatInterest(interest) {
+    return {
+      id: interest.id,
+      owner_id: interest.owner_id,
+      tract: interest.tract,
+      unit_level: interest.unit_level,
+      interest_type: interest.interest_type,
+      decimal_interest: this.toNumber(interest.decimal_interest),
+      net_revenue_interest: this.toNumber(interest.net_revenue_interest),
+      net_acres: this.toNumber(interest.net_acres),
+      interest_text: interest.interest_text,
+      source_file: interest.source_file,
+      source_page: interest.source_page
+    };
+  }
+}
+
+InterestService.INTEREST_TYPE_ALIASES = INTEREST_TYPE_ALIASES;
+
+module.exports = InterestService;
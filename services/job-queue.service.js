@@ -0,0 +1,469 @@
+const os = require('os');
+const { Op } = require('sequelize');
+const { pgdbconnect, JobQueueItem, JobRun } = require('../config/pddbclient.cjs');
+
+const OUTSTANDING_STATUSES = ['pending', 'leased'];
+
+/**
+ * Postgres-backed work queue - one row per file per job run.
+ *
+ * Items are claimed with SELECT ... FOR UPDATE SKIP LOCKED and held with a lease
+ * that the worker extends by heartbeating. A lease that stops heartbeating
+ * (process killed, box restarted) expires and the item can be claimed again,
+ * which is what lets a job resume from the first unfinished file.
+ */
+class JobQueueService {
+  /**
+   * @param {Object} options
+   * @param {number} options.leaseSeconds - Lease length (JOB_QUEUE_LEASE_SECONDS, default 300)
+   * @param {number} options.maxAttempts - Attempts per item (JOB_QUEUE_MAX_ATTEMPTS, default 3)
+   */
+  constructor({ leaseSeconds, maxAttempts } = {}) {
+    this.leaseSeconds = leaseSeconds || parseInt(process.env.JOB_QUEUE_LEASE_SECONDS) || 300;
+    this.maxAttempts = maxAttempts || parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS) || 3;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Add files to a job's queue. Items already queued for the job are ignored.
+   * @param {string} jobId - Job ID
+   * @param {string} jobType - Job type (OCD_CBT, OLM, PLC, ...)
+   * @param {Array<Object>} items - [{ item_key, payload, status?, failure_reason?, last_error? }]
+   * @returns {Promise<number>} Number of items actually inserted
+   */
+  async enqueueItems(jobId, jobType, items) {
+    return (await this.insertItems(jobId, jobType, items)).length;
+  }
+
+  /**
+   * enqueueItems, returning which items were inserted
+   * @returns {Promise<Array<string>>} item_key of every item actually inserted
+   */
+  async insertItems(jobId, jobType, items) {
+    try {
+      if (!items.length) {
+        return [];
+      }
+
+      const offset = (await JobQueueItem.max('sequence', { where: { job_id: jobId } })) || 0;
+
+      const rows = items.map((item, idx) => ({
+        job_id: jobId,
+        job_type: jobType,
+        item_key: item.item_key,
+        sequence: offset + idx + 1,
+        payload: item.payload || {},
+        status: item.status || 'pending',
+        max_attempts: this.maxAttempts,
+        failure_reason: item.failure_reason || null,
+        last_error: item.last_error || null,
+        completed_at: item.status === 'skipped' ? new Date() : null
+      }));
+
+      // ON CONFLICT DO NOTHING ... RETURNING only returns the rows it inserted
+      const created = await JobQueueItem.bulkCreate(rows, { ignoreDuplicates: true, returning: ['id', 'item_key'] });
+      const insertedKeys = created.filter(row => row.id).map(row => row.item_key);
+      const queued = insertedKeys.length;
+
+      console.log(`📥 Queued ${queued} items for job ${jobId}${queued < rows.length ? ` (${rows.length - queued} already queued)` : ''}`);
+      return insertedKeys;
+    } catch (error) {
+      console.error(`❌ Failed to enqueue items for job ${jobId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Lease the next pending (or abandoned) item of a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<JobQueueItem|null>} Leased item, or null when nothing is claimable
+   */
+  async claimNext(jobId) {
+    try {
+      return await pgdbconnect.transaction(async (transaction) => {
+        const now = new Date();
+
+        const item = await JobQueueItem.findOne({
+          where: {
+            job_id: jobId,
+            [Op.or]: [
+              { status: 'pending' },
+              { status: 'leased', lease_expires_at: { [Op.lt]: now } }
+            ]
+          },
+          order: [['sequence', 'ASC']],
+          lock: transaction.LOCK.UPDATE,
+          skipLocked: true,
+          transaction
+        });
+
+        if (!item) {
+          return null;
+        }
+
+        if (item.status === 'leased') {
+          console.log(`♻️ Reclaiming abandoned lease on ${item.item_key} (was ${item.lease_owner})`);
+        }
+
+        await item.update({
+          status: 'leased',
+          attempts: item.attempts + 1,
+          lease_owner: this.workerId,
+          lease_expires_at: new Date(now.getTime() + this.leaseSeconds * 1000),
+          heartbeat_at: now,
+          started_at: now
+        }, { transaction });
+
+        return item;
+      });
+    } catch (error) {
+      console.error(`❌ Failed to claim next item for job ${jobId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Extend the lease on an item this worker holds
+   * @param {JobQueueItem} item - Leased item
+   * @returns {Promise<boolean>} False if the lease was lost to another worker
+   */
+  async heartbeat(item) {
+    const now = new Date();
+    const [updated] = await JobQueueItem.update({
+      heartbeat_at: now,
+      lease_expires_at: new Date(now.getTime() + this.leaseSeconds * 1000)
+    }, {
+      where: { id: item.id, status: 'leased', lease_owner: this.workerId }
+    });
+
+    return updated > 0;
+  }
+
+  /**
+   * Heartbeat an item in the background until the returned stop function is called
+   * @param {JobQueueItem} item - Leased item
+   * @returns {Function} stop()
+   */
+  startHeartbeat(item) {
+    const intervalMs = Math.max(5000, Math.floor(this.leaseSeconds * 1000 / 3));
+    const timer = setInterval(() => {
+      this.heartbeat(item)
+        .then(held => {
+          if (!held) {
+            console.warn(`⚠️ Lost lease on queue item ${item.item_key}`);
+          }
+        })
+        .catch(error => console.error(`❌ Heartbeat failed for ${item.item_key}:`, error.message));
+    }, intervalMs);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Mark a leased item as done
+   * @param {JobQueueItem} item - Leased item
+   * @param {Object} result - { contactCount, payload } - payload replaces the item's payload (outcome details)
+   * @returns {Promise<JobQueueItem>} Updated item
+   */
+  async completeItem(item, { contactCount = 0, payload = null } = {}) {
+    return item.update({
+      status: 'completed',
+      contact_count: contactCount,
+      ...(payload ? { payload } : {}),
+      lease_owner: null,
+      lease_expires_at: null,
+      failure_metric: null,
+      failure_reason: null,
+      last_error: null,
+      completed_at: new Date()
+    });
+  }
+
+  /**
+   * Mark a leased item as skipped (e.g. a document processed by an earlier run)
+   * @param {JobQueueItem} item - Leased item
+   * @param {Object} skip - { reason, message }
+   * @returns {Promise<JobQueueItem>} Updated item
+   */
+  async skipItem(item, { reason, message = null }) {
+    return item.update({
+      status: 'skipped',
+      lease_owner: null,
+      lease_expires_at: null,
+      failure_metric: null,
+      failure_reason: reason,
+      last_error: message,
+      completed_at: new Date()
+    });
+  }
+
+  /**
+   * Hand a leased item back to the queue without counting the attempt (e.g. its
+   * job was paused while the item was being worked)
+   * @param {JobQueueItem} item - Leased item
+   * @returns {Promise<JobQueueItem>} Updated item
+   */
+  async releaseItem(item) {
+    return item.update({
+      status: 'pending',
+      attempts: Math.max(0, item.attempts - 1),
+      lease_owner: null,
+      lease_expires_at: null
+    });
+  }
+
+  /**
+   * Mark every pending item of a job as skipped (e.g. the job was cancelled)
+   * @param {string} jobId - Job ID
+   * @param {Object} skip - { reason, message }
+   * @returns {Promise<number>} Number of items skipped
+   */
+  async skipPendingItems(jobId, { reason, message = null }) {
+    const [skipped] = await JobQueueItem.update({
+      status: 'skipped',
+      failure_reason: reason,
+      last_error: message,
+      completed_at: new Date()
+    }, {
+      where: { job_id: jobId, status: 'pending' }
+    });
+
+    return skipped;
+  }
+
+  /**
+   * Record a failed attempt. Retryable failures go back to the end of the queue
+   * until max_attempts is reached; everything else is marked failed.
+   * @param {JobQueueItem} item - Leased item
+   * @param {Error} error - Failure
+   * @param {Object} failure - { metric, reason, retryable }
+   * @returns {Promise<boolean>} True if the item will be retried
+   */
+  async failItem(item, error, { metric = 'processingFailed', reason = 'Processing failed', retryable = true } = {}) {
+    const willRetry = retryable && item.attempts < item.max_attempts;
+
+    const update = {
+      status: willRetry ? 'pending' : 'failed',
+      lease_owner: null,
+      lease_expires_at: null,
+      failure_metric: metric,
+      failure_reason: reason,
+      last_error: error.message,
+      completed_at: willRetry ? null : new Date()
+    };
+
+    if (willRetry) {
+      const maxSequence = await JobQueueItem.max('sequence', { where: { job_id: item.job_id } });
+      update.sequence = (maxSequence || 0) + 1;
+      console.log(`🔁 Will retry ${item.item_key} (attempt ${item.attempts}/${item.max_attempts})`);
+    }
+
+    await item.update(update);
+    return willRetry;
+  }
+
+  /**
+   * Put failed items of a job back on the queue with a fresh set of attempts
+   * @param {string} jobId - Job ID
+   * @param {Object} filters
+   * @param {string} filters.reason - Only items that failed for this reason (e.g. 'Download failed')
+   * @param {Array<string>} filters.files - Only these file names or S3 keys
+   * @returns {Promise<Array<JobQueueItem>>} Requeued items
+   */
+  async requeueFailedItems(jobId, { reason, files } = {}) {
+    try {
+      let items = await JobQueueItem.findAll({
+        where: { job_id: jobId, status: 'failed' },
+        order: [['sequence', 'ASC']]
+      });
+
+      if (reason) {
+        items = items.filter(item => (item.failure_reason || '').toLowerCase() === reason.toLowerCase());
+      }
+
+      if (files && files.length) {
+        items = items.filter(item => files.includes(item.payload.fileName) || files.includes(item.item_key));
+      }
+
+      if (!items.length) {
+        return [];
+      }
+
+      const maxSequence = (await JobQueueItem.max('sequence', { where: { job_id: jobId } })) || 0;
+
+      for (let i = 0; i < items.length; i++) {
+        await items[i].update({
+          status: 'pending',
+          attempts: 0,
+          sequence: maxSequence + i + 1,
+          lease_owner: null,
+          lease_expires_at: null,
+          failure_metric: null,
+          failure_reason: null,
+          last_error: null,
+          completed_at: null
+        });
+      }
+
+      console.log(`🔁 Requeued ${items.length} failed items for job ${jobId}`);
+      return items;
+    } catch (error) {
+      console.error(`❌ Failed to requeue items for job ${jobId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Count items of a job that still need work
+   * @param {string} jobId - Job ID
+   * @returns {Promise<number>} Pending + leased items
+   */
+  async countOutstanding(jobId) {
+    return JobQueueItem.count({
+      where: { job_id: jobId, status: { [Op.in]: OUTSTANDING_STATUSES } }
+    });
+  }
+
+  /**
+   * Milliseconds until the earliest held lease of a job expires
+   * @param {string} jobId - Job ID
+   * @returns {Promise<number|null>} Wait time, or null when no lease is held
+   */
+  async msUntilNextLeaseExpiry(jobId) {
+    const nextExpiry = await JobQueueItem.min('lease_expires_at', {
+      where: { job_id: jobId, status: 'leased' }
+    });
+
+    if (!nextExpiry) {
+      return null;
+    }
+
+    return Math.max(0, new Date(nextExpiry).getTime() - Date.now());
+  }
+
+  /**
+   * Work a job's queue until every item is finished. Items leased by another worker
+   * (or a dead process) are waited for until they finish or their lease expires.
+   * @param {string} jobId - Job ID
+   * @param {Function} work - async (item) => {} - must complete, skip, fail or release the leased item
+   * @param {Object} options
+   * @param {number} options.delayMs - Pause between items (e.g. to stay under Claude rate limits)
+   */
+  async drainQueue(jobId, work, { delayMs = 0 } = {}) {
+    while (true) {
+      const item = await this.claimNext(jobId);
+
+      if (!item) {
+        if (await this.countOutstanding(jobId) === 0) {
+          return;
+        }
+
+        // Another worker (or a dead process) still holds a lease - wait for it to finish or expire
+        const waitMs = await this.msUntilNextLeaseExpiry(jobId);
+        console.log(`⏳ Waiting ${Math.ceil((waitMs || 0) / 1000)}s for leased items of job ${jobId}...`);
+        await new Promise(resolve => setTimeout(resolve, Math.min(Math.max(waitMs || 0, 1000), this.leaseSeconds * 1000)));
+        continue;
+      }
+
+      await work(item);
+
+      if (delayMs && await this.countOutstanding(jobId) > 0) {
+        console.log(`⏸️ Waiting ${delayMs / 1000} seconds before next file to avoid rate limits...`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * Item counts by status for a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} { pending, leased, completed, failed, skipped, total }
+   */
+  async getQueueSummary(jobId) {
+    const rows = await JobQueueItem.findAll({
+      where: { job_id: jobId },
+      attributes: ['status', [pgdbconnect.fn('COUNT', pgdbconnect.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+
+    const summary = { pending: 0, leased: 0, completed: 0, failed: 0, skipped: 0, total: 0 };
+    rows.forEach(row => {
+      summary[row.status] = parseInt(row.count);
+      summary.total += parseInt(row.count);
+    });
+
+    return summary;
+  }
+
+  /**
+   * Rebuild the JobRun metrics object from the queue rows of a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Metrics in the shape markJobCompleted expects
+   */
+  async getJobMetrics(jobId) {
+    const items = await JobQueueItem.findAll({
+      where: { job_id: jobId },
+      order: [['sequence', 'ASC']]
+    });
+
+    const metrics = {
+      totalFiles: 0,
+      uploadFailed: 0,
+      downloadFailed: 0,
+      validationFailed: 0,
+      processingFailed: 0,
+      successfullyProcessed: 0,
+      totalContacts: 0,
+      skippedFiles: [],
+      jobId
+    };
+
+    items.forEach(item => {
+      if (item.status === 'skipped') {
+        metrics.skippedFiles.push({ file: item.payload.fileName, reason: item.failure_reason, error: item.last_error });
+        return;
+      }
+
+      metrics.totalFiles++;
+
+      if (item.status === 'completed') {
+        metrics.successfullyProcessed++;
+        metrics.totalContacts += item.contact_count;
+      } else if (item.status === 'failed') {
+        const metric = item.failure_metric in metrics ? item.failure_metric : 'processingFailed';
+        metrics[metric]++;
+        metrics.skippedFiles.push({ file: item.payload.fileName, reason: item.failure_reason, error: item.last_error });
+      }
+    });
+
+    return metrics;
+  }
+
+  /**
+   * Find the running job of a type, if any
+   * @param {string} jobType - Job type
+   * @returns {Promise<JobRun|null>} Running job run
+   */
+  async findActiveJob(jobType) {
+    return JobRun.findOne({
+      where: { job_type: jobType, status: 'running' },
+      order: [['started_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Find running job runs of a type - after a restart these are the jobs to resume
+   * @param {string} jobType - Job type
+   * @returns {Promise<Array<JobRun>>} Running job runs, oldest first
+   */
+  async findInterruptedJobs(jobType) {
+    return JobRun.findAll({
+      where: { job_type: jobType, status: 'running' },
+      order: [['started_at', 'ASC']]
+    });
+  }
+}
+
+module.exports = JobQueueService;
@@ -1,16 +1,24 @@
-const { JobRun } = require('../config/pddbclient.cjs');
-const { Op } = require('sequelize');
+const { JobRun, JobQueueItem, JobRunFile } = require('../config/pddbclient.cjs');
+const { Op, fn, col } = require('sequelize');
+
+// Partial unique index on job_runs (job_type) WHERE status = 'running'
+const ONE_RUNNING_INDEX = 'job_runs_one_running_per_type';
+
+// Job types worked in-process rather than through the job queue: a restart loses
+// their progress, so runs left running by a restart are failed (see failInterruptedJobs)
+const IN_PROCESS_JOB_TYPES = ['OCR', 'OCR_APPLICANT', 'S3_ANALYSIS'];
 
 class JobRunService {
   /**
    * Create a new job run record when a job starts
    * @param {Object} jobData - Job initialization data
    * @param {string} jobData.job_id - Unique job identifier from jobIdService
-   * @param {string} jobData.job_type - Type of job (OCD_IMAGING, OCD_CBT, OLM, PLC)
+   * @param {string} jobData.job_type - Type of job (OCD_IMAGING, OCD_CBT, OLM, PLC, OCR, ...)
    * @param {string} jobData.trigger_type - How job was triggered (cron, manual, api)
+   * @param {Object} jobData.options - Job settings (optional)
    * @returns {Promise<JobRun>} Created job run record
    */
-  async createJobRun({ job_id, job_type, trigger_type = 'cron' }) {
+  async createJobRun({ job_id, job_type, trigger_type = 'cron', options = null }) {
     try {
       console.log(`📝 Creating job run record: ${job_id} (${job_type})`);
 
@@ -18,6 +26,7 @@ class JobRunService {
         job_id,
         job_type,
         trigger_type,
+        options,
         status: 'running',
         started_at: new Date()
       });
@@ -30,6 +39,63 @@ class JobRunService {
     }
   }
 
+  /**
+   * Find the running job run of a type, if any
+   * @param {string} jobType - Job type
+   * @returns {Promise<JobRun|null>} Running job run
+   */
+  async findRunningJob(jobType) {
+    return JobRun.findOne({
+      where: { job_type: jobType, status: 'running' },
+      order: [['started_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Create a job run unless a run of the same type is still going. The running
+   * row is the guard against overlap: the one-running-run-per-type index makes the
+   * insert fail for the second of two starts that arrive together.
+   * @param {Object} jobData - See createJobRun
+   * @returns {Promise<JobRun>} Created job run record
+   * @throws {Error} When a run of the type is running (error.code = 'JOB_ALREADY_RUNNING', error.jobId)
+   */
+  async startExclusiveJobRun(jobData) {
+    const activeJob = await this.findRunningJob(jobData.job_type);
+
+    if (activeJob) {
+      throw this.alreadyRunningError(jobData.job_type, activeJob);
+    }
+
+    try {
+      return await this.createJobRun(jobData);
+    } catch (error) {
+      throw await this.translateRunningConflict(jobData.job_type, error);
+    }
+  }
+
+  /**
+   * A JOB_ALREADY_RUNNING error in place of a violation of the one-running-run-per-type
+   * index; any other error is returned unchanged
+   * @param {string} jobType - Job type being started
+   * @param {Error} error - Error from the insert or update
+   * @returns {Promise<Error>} Error to throw
+   */
+  async translateRunningConflict(jobType, error) {
+    const constraint = error.parent && error.parent.constraint;
+    if (error.name !== 'SequelizeUniqueConstraintError' || constraint !== ONE_RUNNING_INDEX) {
+      return error;
+    }
+    return this.alreadyRunningError(jobType, await this.findRunningJob(jobType));
+  }
+
+  alreadyRunningError(jobType, activeJob) {
+    const jobId = activeJob ? activeJob.job_id : null;
+    const error = new Error(`${jobType} job ${jobId || '(unknown)'} is already running`);
+    error.code = 'JOB_ALREADY_RUNNING';
+    error.jobId = jobId;
+    return error;
+  }
+
   /**
    * Update a job run with new data
    * @param {string} jobId - Job ID to update
@@ -75,7 +141,7 @@ class JobRunService {
       );
 
       // Limit skipped_files to first 100 to prevent large JSON
-      const skipped_files = metrics.skipped_files || [];
+      const skipped_files = metrics.skipped_files || metrics.skippedFiles || [];
       const limited_skipped = skipped_files.slice(0, 100);
 
       if (skipped_files.length > 100) {
@@ -103,6 +169,57 @@ class JobRunService {
     }
   }
 
+  /**
+   * Mark a job completed, or failed when an error is given. Tracking failures are
+   * logged rather than thrown, so they never fail the job itself.
+   * @param {string} jobId - Job ID to close
+   * @param {Object} outcome - { error, metrics }
+   * @returns {Promise<JobRun|null>} Updated job run record
+   */
+  async closeJobRun(jobId, { error = null, metrics = {} } = {}) {
+    try {
+      return error
+        ? await this.markJobFailed(jobId, error.message, error.stack, metrics)
+        : await this.markJobCompleted(jobId, metrics);
+    } catch (trackingErr) {
+      console.error(`Failed to close job run ${jobId}:`, trackingErr.message);
+      return null;
+    }
+  }
+
+  /**
+   * Reopen a finished job so more of its files can be processed under the same job ID
+   * @param {string} jobId - Job ID to reopen
+   * @returns {Promise<JobRun>} Updated job run record
+   * @throws {Error} When another run of the type is running (error.code = 'JOB_ALREADY_RUNNING')
+   */
+  async reopenJobRun(jobId) {
+    try {
+      const jobRun = await JobRun.findOne({ where: { job_id: jobId } });
+
+      if (!jobRun) {
+        throw new Error(`Job run not found: ${jobId}`);
+      }
+
+      try {
+        await jobRun.update({
+          status: 'running',
+          completed_at: null,
+          error_message: null,
+          error_stack: null
+        });
+      } catch (updateError) {
+        throw await this.translateRunningConflict(jobRun.job_type, updateError);
+      }
+
+      console.log(`🔄 Job ${jobId} reopened`);
+      return jobRun;
+    } catch (error) {
+      console.error(`❌ Failed to reopen job run ${jobId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Mark a job as failed with error details
    * @param {string} jobId - Job ID to mark as failed
@@ -304,7 +421,98 @@ class JobRunService {
   }
 
   /**
-   * Clean up stale jobs (mark jobs running for more than 24 hours as failed)
+   * Record the outcome of one file in the per-file ledger. A file that is
+   * retried within the same job updates its existing row.
+   * @param {string} jobId - Job ID
+   * @param {Object} file - File outcome
+   * @param {string} file.file_name - PDF file name
+   * @param {string} file.record_type - County / applicant
+   * @param {string} file.status - completed, failed, retrying or skipped
+   * @returns {Promise<JobRunFile>} Ledger row
+   */
+  async recordJobFile(jobId, file) {
+    try {
+      const existing = await JobRunFile.findOne({
+        where: { job_id: jobId, file_name: file.file_name, record_type: file.record_type || null }
+      });
+
+      if (existing) {
+        return await existing.update(file);
+      }
+
+      return await JobRunFile.create({ job_id: jobId, ...file });
+    } catch (error) {
+      console.error(`❌ Failed to record file ${file.file_name} for job ${jobId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the per-file ledger of a job run
+   * @param {string} jobId - Job ID
+   * @param {Object} filters - Query filters
+   * @param {string} filters.status - Filter by file status
+   * @param {string} filters.stage - Filter by stage reached
+   * @param {number} filters.limit - Number of results to return (default 100, max 1000)
+   * @param {number} filters.offset - Number of results to skip (default 0)
+   * @returns {Promise<Object>} { rows, summary, pagination }
+   */
+  async getJobRunFiles(jobId, filters = {}) {
+    try {
+      const { status, stage, limit = 100, offset = 0 } = filters;
+
+      const where = { job_id: jobId };
+
+      if (status) {
+        where.status = status;
+      }
+
+      if (stage) {
+        where.stage_reached = stage;
+      }
+
+      const cappedLimit = Math.min(parseInt(limit) || 100, 1000);
+      const cappedOffset = parseInt(offset) || 0;
+
+      const { rows, count } = await JobRunFile.findAndCountAll({
+        where,
+        limit: cappedLimit,
+        offset: cappedOffset,
+        order: [['created_at', 'ASC']]
+      });
+
+      // Counts by status for the whole job (ignores filters)
+      const statusCounts = await JobRunFile.findAll({
+        where: { job_id: jobId },
+        attributes: ['status', [fn('COUNT', col('id')), 'count']],
+        group: ['status'],
+        raw: true
+      });
+
+      const summary = { completed: 0, failed: 0, retrying: 0, skipped: 0 };
+      statusCounts.forEach(row => {
+        summary[row.status] = parseInt(row.count);
+      });
+
+      return {
+        rows,
+        summary,
+        pagination: {
+          total: count,
+          limit: cappedLimit,
+          offset: cappedOffset,
+          hasMore: cappedOffset + cappedLimit < count
+        }
+      };
+    } catch (error) {
+      console.error(`❌ Failed to get files for job run ${jobId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Clean up stale jobs (mark jobs running for more than 24 hours as failed).
+   * Jobs that still have queued files are skipped so they can be resumed.
    * Should be called on application startup
    * @returns {Promise<number>} Number of jobs cleaned up
    */
@@ -320,8 +528,19 @@ class JobRunService {
       }
 
       console.log(`⚠️ Found ${staleJobs.length} stale job runs, marking as failed...`);
+      let cleaned = 0;
 
       for (const job of staleJobs) {
+        // Jobs with queued work left are resumed rather than failed
+        const outstanding = await JobQueueItem.count({
+          where: { job_id: job.job_id, status: { [Op.in]: ['pending', 'leased'] } }
+        });
+
+        if (outstanding > 0) {
+          console.log(`   ▶️ Leaving stale job for resume (${outstanding} queued files): ${job.job_id}`);
+          continue;
+        }
+
         const completed_at = new Date();
         const duration_seconds = Math.round(
           (completed_at - new Date(job.started_at)) / 1000
@@ -336,15 +555,40 @@ class JobRunService {
         });
 
         console.log(`   ❌ Marked stale job as failed: ${job.job_id}`);
+        cleaned++;
       }
 
-      console.log(`✅ Cleaned up ${staleJobs.length} stale job runs`);
-      return staleJobs.length;
+      console.log(`✅ Cleaned up ${cleaned} stale job runs`);
+      return cleaned;
     } catch (error) {
       console.error('❌ Failed to clean up stale jobs:', error.message);
       throw error;
     }
   }
+
+  /**
+   * Fail runs of in-process job types that were still running when the process
+   * stopped - nothing is left to finish them. Should be called on application startup
+   * @param {Array<string>} jobTypes - Job types to check (default: IN_PROCESS_JOB_TYPES)
+   * @returns {Promise<number>} Number of jobs marked failed
+   */
+  async failInterruptedJobs(jobTypes = IN_PROCESS_JOB_TYPES) {
+    try {
+      const jobRuns = await JobRun.findAll({
+        where: { job_type: { [Op.in]: jobTypes }, status: 'running' }
+      });
+
+      for (const job of jobRuns) {
+        await this.markJobFailed(job.job_id, 'Job interrupted by an application restart', 'Cleaned up on application startup');
+        console.log(`   ❌ Marked interrupted job as failed: ${job.job_id}`);
+      }
+
+      return jobRuns.length;
+    } catch (error) {
+      console.error('❌ Failed to clean up interrupted jobs:', error.message);
+      throw error;
+    }
+  }
 }
 
 module.exports = JobRunService;
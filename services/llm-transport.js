@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Anthropic = require('@anthropic-ai/sdk');
+
+const MODES = ['live', 'record', 'replay'];
+
+/**
+ * Pluggable Anthropic transport for ClaudeContactExtractor. Exposes the
+ * messages.create call of the SDK client.
+ *
+ * - live:   calls the Anthropic API
+ * - record: calls the Anthropic API and saves each request/response pair to disk
+ * - replay: answers from the saved pairs without touching the network
+ *
+ * Pairs are keyed by a hash of the prompt text plus a hash of the attached
+ * images/PDFs, so a replay finds the response for the same prompt and document
+ * regardless of call order. Mode and directory come from LLM_TRANSPORT_MODE and
+ * LLM_RECORDINGS_DIR. Given a recordings array instead, pairs are kept in it rather
+ * than on disk (e.g. stored with an eval run).
+ */
+class LlmTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - 'live' (default), 'record' or 'replay'
+   * @param {string} options.apiKey - Anthropic API key (live / record)
+   * @param {string} options.recordingsDir - Where pairs are saved / read
+   * @param {Array<Object>} options.recordings - Pairs to replay from / record into instead of recordingsDir
+   * @param {Object} options.liveClient - Client to call instead of a new Anthropic SDK client
+   */
+  constructor({ mode = 'live', apiKey = null, recordingsDir = null, recordings = null, liveClient = null } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown LLM transport mode: ${mode} (use ${MODES.join(', ')})`);
+    }
+
+    this.mode = mode;
+    this.recordings = recordings;
+    this.recordingsDir = recordingsDir || process.env.LLM_RECORDINGS_DIR || './temp/llm-recordings';
+
+    // Replay never calls the API, so it works without a key
+    this.liveClient = mode === 'replay' ? null : liveClient || new Anthropic({ apiKey });
+
+    this.messages = {
+      create: params => this.create(params)
+    };
+
+    if (mode !== 'live' && !recordings) {
+      console.log(`🎞️ LLM transport in ${mode} mode (${this.recordingsDir})`);
+    }
+  }
+
+  /**
+   * Transport configured from the environment (LLM_TRANSPORT_MODE, LLM_RECORDINGS_DIR)
+   * @param {string} apiKey - Anthropic API key
+   */
+  static fromEnv(apiKey) {
+    return new LlmTransport({
+      mode: process.env.LLM_TRANSPORT_MODE || 'live',
+      apiKey
+    });
+  }
+
+  async create(params) {
+    if (this.mode === 'live') {
+      return this.liveClient.messages.create(params);
+    }
+
+    const key = this.describeRequest(params);
+
+    if (this.mode === 'replay') {
+      const recording = this.findRecording(key.id);
+      if (!recording) {
+        console.error(`❌ No recorded LLM response for ${key.id} (prompt ${key.promptHash.substring(0, 12)}, ${key.media.length} attachments)`);
+        throw new Error(`No recorded LLM response for ${key.id}${this.recordings ? '' : ` in ${this.recordingsDir}`}`);
+      }
+
+      console.log(`🎞️ Replaying LLM response ${key.id}`);
+      return recording.response;
+    }
+
+    const response = await this.liveClient.messages.create(params);
+
+    this.saveRecording({
+      id: key.id,
+      recorded_at: new Date().toISOString(),
+      request: {
+        model: params.model,
+        max_tokens: params.max_tokens,
+        temperature: params.temperature,
+        prompt_hash: key.promptHash,
+        image_hash: key.imageHash,
+        prompt: key.prompt,
+        media: key.media
+      },
+      response: {
+        id: response.id,
+        model: response.model,
+        role: response.role,
+        content: response.content,
+        stop_reason: response.stop_reason,
+        usage: response.usage
+      }
+    });
+    console.log(`💾 Recorded LLM response ${key.id}`);
+
+    return response;
+  }
+
+  findRecording(id) {
+    if (this.recordings) {
+      return this.recordings.find(recording => recording.id === id) || null;
+    }
+
+    const filePath = path.join(this.recordingsDir, `${id}.json`);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  }
+
+  saveRecording(recording) {
+    if (this.recordings) {
+      const index = this.recordings.findIndex(existing => existing.id === recording.id);
+      if (index === -1) {
+        this.recordings.push(recording);
+      } else {
+        this.recordings[index] = recording;
+      }
+      return;
+    }
+
+    fs.mkdirSync(this.recordingsDir, { recursive: true });
+    fs.writeFileSync(path.join(this.recordingsDir, `${recording.id}.json`), JSON.stringify(recording, null, 2));
+  }
+
+  /**
+   * Hash the text and attachments of a messages.create request
+   * @param {Object} params - messages.create parameters
+   * @returns {Object} { id, promptHash, imageHash, prompt, media }
+   */
+  describeRequest(params) {
+    const texts = [];
+    const media = [];
+
+    for (const message of params.messages || []) {
+      const content = typeof message.content === 'string'
+        ? [{ type: 'text', text: message.content }]
+        : message.content || [];
+
+      for (const block of content) {
+        if (block.type === 'text') {
+          texts.push(block.text);
+        } else if (block.source && block.source.data) {
+          media.push({
+            type: block.type,
+            media_type: block.source.media_type,
+            sha256: this.hash(block.source.data),
+            bytes: Math.floor(block.source.data.length * 3 / 4)
+          });
+        }
+      }
+    }
+
+    const prompt = texts.join('\n');
+    const promptHash = this.hash(prompt);
+    const imageHash = media.length ? this.hash(media.map(item => item.sha256).join(':')) : 'none';
+
+    return {
+      id: `${promptHash.substring(0, 16)}_${imageHash.substring(0, 16)}`,
+      promptHash,
+      imageHash,
+      prompt,
+      media
+    };
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+module.exports = LlmTransport;
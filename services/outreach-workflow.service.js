@@ -0,0 +1,115 @@
+const { pgdbconnect, ContactReady, OutreachStatusHistory } = require('../config/pddbclient.cjs');
+
+const { STATUSES, TRANSITIONS } = OutreachStatusHistory;
+
+/**
+ * Outreach Workflow Service
+ *
+ * Moves ready contacts through the landmen's outreach lifecycle
+ * (new -> researching -> skip-traced -> contacted -> negotiating -> leased / declined,
+ * or deceased / bad-address along the way). Only the transitions in
+ * OutreachStatusHistory.TRANSITIONS are allowed, and every change is recorded
+ * with who made it.
+ */
+class OutreachWorkflowService {
+  /**
+   * Statuses a contact in the given status can move to
+   * @param {string} status - Current status
+   * @returns {Array<string>} Allowed next statuses
+   */
+  allowedTransitions(status) {
+    return TRANSITIONS[status] || [];
+  }
+
+  canTransition(fromStatus, toStatus) {
+    return this.allowedTransitions(fromStatus).includes(toStatus);
+  }
+
+  /**
+   * Change a ready contact's outreach status
+   * @param {number} contactReadyId - Ready contact ID
+   * @param {string} toStatus - New status
+   * @param {Object} options - { changedBy, note }
+   * @returns {Promise<Object>} { contact, history }
+   * @throws {Error} error.code CONTACT_NOT_FOUND, INVALID_STATUS or INVALID_TRANSITION
+   */
+  async transition(contactReadyId, toStatus, { changedBy = 'api', note = null } = {}) {
+    if (!STATUSES.includes(toStatus)) {
+      throw this.error('INVALID_STATUS', `Unknown outreach status "${toStatus}". Must be one of: ${STATUSES.join(', ')}`);
+    }
+
+    return pgdbconnect.transaction(async transaction => {
+      // Row lock so two users can't both move the contact out of the same status
+      const contact = await ContactReady.findByPk(contactReadyId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (!contact) {
+        throw this.error('CONTACT_NOT_FOUND', `Ready contact not found: ${contactReadyId}`);
+      }
+
+      const fromStatus = contact.outreach_status;
+      if (!this.canTransition(fromStatus, toStatus)) {
+        const allowed = this.allowedTransitions(fromStatus);
+        throw this.error('INVALID_TRANSITION', `Cannot move from "${fromStatus}" to "${toStatus}"` +
+          (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ` - "${fromStatus}" is final`));
+      }
+
+      const changedAt = new Date();
+      await contact.update({
+        outreach_status: toStatus,
+        outreach_status_at: changedAt,
+        outreach_status_by: changedBy
+      }, { transaction });
+
+      const history = await OutreachStatusHistory.create({
+        contact_ready_id: contact.id,
+        from_status: fromStatus,
+        to_status: toStatus,
+        changed_by: changedBy,
+        note,
+        changed_at: changedAt
+      }, { transaction });
+
+      return { contact, history };
+    });
+  }
+
+  /**
+   * Status changes of a ready contact, oldest first
+   * @param {number} contactReadyId - Ready contact ID
+   * @returns {Promise<Object>} { status, allowed, history }
+   * @throws {Error} error.code CONTACT_NOT_FOUND
+   */
+  async getHistory(contactReadyId) {
+    const contact = await ContactReady.findByPk(contactReadyId, {
+      attributes: ['id', 'outreach_status', 'outreach_status_at', 'outreach_status_by']
+    });
+
+    if (!contact) {
+      throw this.error('CONTACT_NOT_FOUND', `Ready contact not found: ${contactReadyId}`);
+    }
+
+    const history = await OutreachStatusHistory.findAll({
+      where: { contact_ready_id: contact.id },
+      order: [['changed_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    return {
+      status: contact.outreach_status,
+      status_at: contact.outreach_status_at,
+      status_by: contact.outreach_status_by,
+      allowed: this.allowedTransitions(contact.outreach_status),
+      history
+    };
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+OutreachWorkflowService.STATUSES = STATUSES;
+OutreachWorkflowService.TRANSITIONS = TRANSITIONS;
+
+module.exports = OutreachWorkflowService;
@@ -0,0 +1,394 @@
+// Role keywords, in the order they are looked for within a name segment
+const ROLE_PATTERNS = [
+  { role: 'trustee', pattern: /\b(?:co-?)?(?:successor\s+)?(?:trustees?|ttees?)\b\.?/i },
+  { role: 'executor', pattern: /\b(?:co-?)?(?:independent\s+)?(?:executors?|executrix|executrices|personal\s+representatives?|administrators?|administratrix)\b/i },
+  { role: 'life_tenant', pattern: /\blife\s+(?:estate|tenants?|interest)\b/i },
+  { role: 'remainderman', pattern: /\b(?:remaindermen|remainderman|remainder\s+to)\b/i },
+  { role: 'heir', pattern: /\b(?:(?:unknown\s+)?heirs?(?:[\s-]+at[\s-]+law)?|devisees?|successors)(?:\s+(?:and|&)\s+(?:heirs|devisees|assigns|successors))*\b/i }
+];
+
+const DECEASED_PATTERN = /\(?\b(?:deceased|dec'?d|decd)\b\.?\)?/i;
+const CARE_OF_PATTERN = /(?:^|[\s,;(])(?:c\s*\/\s*o|care\s+of|attn:?|attention:?)\s+(.+)$/i;
+const DATE_PATTERN = /,?\s*\b(?:u\/a\/?d|u\/t\/a|uad|under\s+(?:trust\s+)?agreement\s+dated|dated|dtd\.?)\s+([^,;]+?\d{2,4})\b\)?/i;
+const ESTATE_PATTERN = /^(?:the\s+)?estate\s+of\s+(?:the\s+late\s+)?(.+)$/i;
+const TRUST_PATTERN = /\btrust\b/i;
+// Entity forms written after a comma ("EOG Resources, Inc.") - part of the name before them
+const ENTITY_SUFFIX_SEGMENT = /^(?:inc|incorporated|llc|l\.\s?l\.\s?c|lp|l\.\s?p|llp|l\.\s?l\.\s?p|co|corp|ltd|n\.\s?a|pc|p\.\s?c)\.?$/i;
+const ORGANIZATION_PATTERN = /\b(?:llc|l\.l\.c\.|inc|incorporated|corp|corporation|company|ltd|limited|lp|l\.p\.|llp|partnership|partners|bank|n\.a\.|energy|oil|gas|petroleum|resources|minerals|royalty|royalties|operating|holdings|investments|(?:baptist|methodist|catholic|lutheran|presbyterian|episcopal|christian|community|first|united)\s+church|church\s+of|university|foundation|association|state\s+of|county|city\s+of|united\s+states|bureau|department)\b|\bco\.?$/i;
+
+// Phrases that describe how people hold title rather than who they are
+const NOISE_PATTERNS = [
+  /\bas\s+joint\s+tenants\b.*$/i,
+  /\b(?:jtwros|jtros|jt\s+ten)\b\.?/ig,
+  /\b(?:a|as)\s+married\s+(?:couple|man|woman)\b/ig,
+  /\bhusband\s+and\s+wife\b|\bh\s*\/\s*w\b/ig,
+  /\b(?:his\s+wife|her\s+husband)\b/ig,
+  /\b(?:an?\s+)?(?:single|unmarried)\s+(?:man|woman|person)\b|\ban?\s+widow(?:er)?\b/ig,
+  /\b(?:individually|each\s+as\s+to\s+an\s+undivided\s+.*interest)\b/ig,
+  /\bas\s+(?:their|his|her)\s+(?:sole\s+and\s+)?separate\s+property\b/ig
+];
+
+const JOINT_SEPARATOR = /\s+(?:and|&|et\s+ux\.?|et\s+vir\.?|and\s+wife,?|and\s+husband,?)\s+/i;
+const SPOUSE_ONLY_PATTERN = /\s+(?:et\s+ux|et\s+vir)\.?$/i;
+const ET_AL_PATTERN = /\s*,?\s+et\s+al\.?$/i;
+const TITLES = ['mr', 'mrs', 'ms', 'miss', 'dr', 'rev', 'hon'];
+const SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'v', 'md', 'phd', 'esq'];
+const LAST_NAME_PARTICLES = ['van', 'von', 'de', 'del', 'della', 'der', 'la', 'le', 'st', 'da', 'di', 'du', 'mac', 'o'];
+
+/**
+ * Owner Name Parser
+ *
+ * Reads mineral-owner names ("John A. Smith and Mary Smith, Trustees of the Smith
+ * Family Trust dated 1/2/1999", "Estate of Ann Lee, Deceased, c/o Bob Lee, Executor",
+ * "Heirs of Tom Gray", "Ruth Cole, Life Estate") into the individuals, their roles,
+ * the trust / estate and the care-of party.
+ */
+class OwnerNameParser {
+  /**
+   * @param {string} value - Owner name as extracted
+   * @returns {Object} {
+   *   individuals: [{ full_name, first_name, middle_name, last_name, suffix, role, deceased, is_organization }],
+   *   entity: { type: 'trust' | 'estate' | 'organization', name, date } | null,
+   *   care_of, life_estate, notes
+   * }
+   * Roles: owner, trustee, executor, heir, life_tenant, remainderman, decedent, care_of
+   */
+  parse(value) {
+    const result = { individuals: [], entity: null, care_of: null, life_estate: false, notes: [] };
+    let text = this.clean(value);
+    if (!text) {
+      return result;
+    }
+
+    // c/o party - parsed like any other segment, then tagged
+    let careOfText = null;
+    const careOf = text.match(CARE_OF_PATTERN);
+    if (careOf) {
+      careOfText = careOf[1];
+      text = text.substring(0, careOf.index).replace(/[\s,;(]+$/, '');
+    }
+
+    let date = null;
+    const dated = text.match(DATE_PATTERN);
+    if (dated) {
+      date = dated[1].trim();
+      text = (text.substring(0, dated.index) + text.substring(dated.index + dated[0].length)).trim();
+    }
+
+    const state = { result, pending: [], date };
+    this.parseSegments(text, state);
+
+    if (careOfText) {
+      const before = result.individuals.length;
+      // The care-of party doesn't change what the owner is
+      const entity = result.entity;
+      state.pending = [];
+      this.parseSegments(careOfText, state);
+      result.entity = entity;
+      const careOfPeople = result.individuals.slice(before);
+      careOfPeople.filter(person => person.role === 'owner').forEach(person => {
+        person.role = 'care_of';
+      });
+      result.care_of = careOfPeople.length
+        ? careOfPeople.map(person => person.full_name).join(' and ')
+        : this.clean(careOfText);
+    }
+
+    if (result.entity && date && !result.entity.date) {
+      result.entity.date = date;
+    }
+
+    return result;
+  }
+
+  /**
+   * Contact fields from a parse: the first living individual fills first_name /
+   * last_name, the other living ones possible_relative, decedents deceased_relative
+   * @returns {Object} { first_name, last_name, possible_relative, deceased_relative, care_of }
+   */
+  toContactFields(parsed) {
+    const people = parsed.individuals.filter(person => !person.is_organization);
+    const living = people.filter(person => !person.deceased && person.role !== 'care_of');
+    const primary = living[0] || null;
+    const relatives = living.slice(1).map(person => person.full_name);
+    const deceased = people.filter(person => person.deceased).map(person => person.full_name);
+
+    return {
+      first_name: primary ? [primary.first_name, primary.middle_name].filter(Boolean).join(' ') || null : null,
+      last_name: primary ? primary.last_name : null,
+      possible_relative: relatives.length ? relatives.join('; ').substring(0, 255) : null,
+      deceased_relative: deceased.length ? deceased.join('; ').substring(0, 255) : null,
+      care_of: parsed.care_of ? parsed.care_of.substring(0, 255) : null
+    };
+  }
+
+  parseSegments(text, state) {
+    const segments = text.split(/\s*[,;]\s*/).map(segment => segment.trim()).filter(Boolean)
+      .reduce((joined, segment) => {
+        if (joined.length && ENTITY_SUFFIX_SEGMENT.test(segment)) {
+          joined[joined.length - 1] = `${joined[joined.length - 1]}, ${segment}`;
+        } else {
+          joined.push(segment);
+        }
+        return joined;
+      }, []);
+
+    // "Smith, John A." - last name first
+    if (segments.length === 2 && /^[A-Za-z'-]+$/.test(segments[0]) && this.isPlainName(segments[1])) {
+      const person = this.parsePerson(`${segments[1]} ${segments[0]}`);
+      this.addPeople(state, [person]);
+      return;
+    }
+
+    segments.forEach(segment => this.parseSegment(segment, state));
+  }
+
+  parseSegment(segment, state) {
+    const { result } = state;
+    let text = segment;
+
+    // "Deceased" on its own, or inside the segment - applies to the people it names, else to the last ones named
+    const deceased = DECEASED_PATTERN.test(text);
+    if (deceased) {
+      text = text.replace(DECEASED_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+      if (!text) {
+        state.pending.forEach(person => this.markDeceased(person));
+        return;
+      }
+    }
+
+    const estate = text.match(ESTATE_PATTERN);
+    if (estate) {
+      this.addDecedents(state, estate[1], `Estate of ${estate[1]}`);
+      return;
+    }
+
+    const role = ROLE_PATTERNS.map(entry => ({ ...entry, match: text.match(entry.pattern) })).find(entry => entry.match);
+    if (role) {
+      this.applyRole(role.role, text, role.match, state);
+      if (deceased) {
+        state.pending.forEach(person => this.markDeceased(person));
+      }
+      return;
+    }
+
+    if (TRUST_PATTERN.test(text)) {
+      result.entity = { type: 'trust', name: this.trustName(text), date: state.date };
+      return;
+    }
+
+    if (ORGANIZATION_PATTERN.test(text)) {
+      const organization = this.organization(text);
+      result.individuals.push(organization);
+      result.entity = result.entity || { type: 'organization', name: text, date: null };
+      state.pending = [organization];
+      return;
+    }
+
+    const people = this.parsePeople(text, result);
+    if (deceased) {
+      people.forEach(person => this.markDeceased(person));
+    }
+    this.addPeople(state, people);
+  }
+
+  /**
+   * "Trustees of the Smith Family Trust", "John Smith Trustee", "Executrix of the Estate of ...",
+   * "Heirs of Tom Gray", "Life Estate", "remainder to Bob Jones"
+   */
+  applyRole(role, text, match, state) {
+    const { result } = state;
+    const before = text.substring(0, match.index).replace(/\bas\s*$/i, '').trim();
+    const after = text.substring(match.index + match[0].length).replace(/^\s*of\s+(?:the\s+)?/i, '').trim();
+
+    if (role === 'life_tenant') {
+      result.life_estate = true;
+    }
+
+    if (role === 'remainderman') {
+      const remaindermen = this.parsePeople(after, result);
+      remaindermen.forEach(person => {
+        person.role = 'remainderman';
+      });
+      this.addPeople(state, remaindermen);
+      return;
+    }
+
+    if (role === 'heir' && !before) {
+      // "Heirs of X" - the heirs aren't named, X is deceased
+      result.notes.push('Unnamed heirs');
+      if (after) {
+        this.addDecedents(state, after, null);
+      }
+      return;
+    }
+
+    let people;
+    if (before) {
+      people = ORGANIZATION_PATTERN.test(before) && !TRUST_PATTERN.test(before)
+        ? [this.organization(before)]
+        : this.parsePeople(before, result);
+      this.addPeople(state, people);
+    } else {
+      people = state.pending;
+    }
+
+    people.forEach(person => {
+      if (person.role === 'owner' || role !== 'life_tenant') {
+        person.role = role;
+      }
+    });
+
+    if (!after) {
+      return;
+    }
+
+    const estate = after.match(ESTATE_PATTERN) || (role === 'executor' ? [null, after] : null);
+    if (estate) {
+      this.addDecedents(state, estate[1], `Estate of ${estate[1]}`);
+      state.pending = people;
+    } else if (TRUST_PATTERN.test(after)) {
+      result.entity = { type: 'trust', name: this.trustName(after), date: state.date };
+    } else if (role === 'heir') {
+      this.addDecedents(state, after, null);
+      state.pending = people;
+    }
+  }
+
+  addDecedents(state, text, estateName) {
+    const decedents = this.parsePeople(text.replace(DECEASED_PATTERN, ' ').trim(), state.result);
+    decedents.forEach(person => this.markDeceased(person));
+    this.addPeople(state, decedents);
+    if (estateName) {
+      state.result.entity = { type: 'estate', name: estateName.replace(DECEASED_PATTERN, '').trim(), date: state.date };
+    }
+  }
+
+  addPeople(state, people) {
+    state.result.individuals.push(...people);
+    state.pending = people;
+  }
+
+  markDeceased(person) {
+    person.deceased = true;
+    if (person.role === 'owner') {
+      person.role = 'decedent';
+    }
+  }
+
+  /**
+   * Joint owners in one segment: "John and Mary Smith", "John Smith et ux Mary", "John Smith et ux"
+   */
+  parsePeople(text, result) {
+    let names = this.removeNoise(text);
+
+    if (ET_AL_PATTERN.test(names)) {
+      result.notes.push('Other owners not named (et al)');
+      names = names.replace(ET_AL_PATTERN, '');
+    }
+    if (SPOUSE_ONLY_PATTERN.test(names)) {
+      result.notes.push('Unnamed spouse (et ux / et vir)');
+      names = names.replace(SPOUSE_ONLY_PATTERN, '');
+    }
+
+    const people = names
+      .split(JOINT_SEPARATOR)
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => this.parsePerson(name))
+      .filter(Boolean);
+
+    // "John and Mary Smith" - first names alone share the next last name
+    for (let idx = people.length - 2; idx >= 0; idx--) {
+      if (!people[idx].last_name && people[idx + 1].last_name) {
+        people[idx].last_name = people[idx + 1].last_name;
+        people[idx].full_name = `${people[idx].full_name} ${people[idx].last_name}`;
+      }
+    }
+
+    return people;
+  }
+
+  parsePerson(name) {
+    const words = name.replace(/[()]/g, ' ').split(/\s+/).filter(Boolean);
+    const key = word => word.toLowerCase().replace(/\./g, '');
+
+    while (words.length > 1 && TITLES.includes(key(words[0]))) {
+      words.shift();
+    }
+
+    let suffix = null;
+    if (words.length > 1 && SUFFIXES.includes(key(words[words.length - 1]))) {
+      suffix = words.pop().replace(/\.$/, '');
+    }
+
+    if (!words.length) {
+      return null;
+    }
+
+    let lastStart = words.length - 1;
+    while (lastStart > 1 && LAST_NAME_PARTICLES.includes(key(words[lastStart - 1]))) {
+      lastStart--;
+    }
+
+    const first = words[0];
+    const last = words.length > 1 ? words.slice(lastStart).join(' ') : null;
+    const middle = words.length > 2 ? words.slice(1, lastStart).join(' ') || null : null;
+
+    return {
+      full_name: [...words, suffix].filter(Boolean).join(' '),
+      first_name: first,
+      middle_name: middle,
+      last_name: last,
+      suffix,
+      role: 'owner',
+      deceased: false,
+      is_organization: false
+    };
+  }
+
+  organization(name) {
+    return {
+      full_name: name,
+      first_name: null,
+      middle_name: null,
+      last_name: null,
+      suffix: null,
+      role: 'owner',
+      deceased: false,
+      is_organization: true
+    };
+  }
+
+  trustName(text) {
+    return text
+      .replace(/^(?:(?:as\s+)?(?:co-?)?trustees?\s+(?:of|for)\s+)?(?:the\s+)?/i, '')
+      .replace(DATE_PATTERN, '')
+      .trim();
+  }
+
+  removeNoise(text) {
+    return NOISE_PATTERNS
+      .reduce((current, pattern) => current.replace(pattern, ' '), text)
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s,&]+|[\s,&]+$/g, '')
+      .trim();
+  }
+
+  isPlainName(text) {
+    return /^[A-Za-z.' -]+$/.test(text)
+      && !ROLE_PATTERNS.some(entry => entry.pattern.test(text))
+      && !DECEASED_PATTERN.test(text)
+      && !TRUST_PATTERN.test(text)
+      && !ORGANIZATION_PATTERN.test(text)
+      && !JOINT_SEPARATOR.test(` ${text} `);
+  }
+
+  clean(value) {
+    if (value === null || value === undefined) return null;
+    const text = value.toString().replace(/\s+/g, ' ').trim();
+    return text || null;
+  }
+}
+
+module.exports = OwnerNameParser;
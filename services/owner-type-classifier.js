@@ -0,0 +1,284 @@
+const LlmTransport = require('./llm-transport.js');
+
+const OWNER_TYPES = [
+  'individual', 'trust', 'estate', 'company', 'partnership',
+  'government', 'nonprofit', 'operator', 'legal', 'unknown'
+];
+
+// Owner types that are stored as business entities rather than ready contacts
+const BUSINESS_ENTITY_TYPES = ['company', 'partnership', 'operator', 'government', 'nonprofit'];
+
+// Results below this confidence are sent to the LLM pass when it is enabled
+const LLM_CONFIDENCE_THRESHOLD = 0.6;
+const LLM_BATCH_SIZE = 50;
+
+/**
+ * Classification rules, checked in order; the first match wins. Each rule looks at the
+ * owner name, then the company, and reports the text it matched so a result can be
+ * explained ("company-suffix: LLC").
+ *
+ * Estates and trusts come before the entity rules so a trust named after a foundation
+ * or a family ("Parish Family Trust") stays a trust. Entity keywords that are also
+ * surnames or given names ("Mary Church", "Linda Mission") only count in an
+ * organization form, and the rest only when the parsed name is not a person, estate
+ * or trust (entityOnly). Operators are the applicants searched on EMNRD (setOperators);
+ * their names are surnames and given names too ("Devon Smith"), so they are entityOnly.
+ */
+const RULES = [
+  {
+    id: 'legal-keyword',
+    type: 'legal',
+    confidence: 0.9,
+    fields: ['name', 'company', 'notes'],
+    pattern: /\b(?:attorneys?|atty|lawyer|law\s+(?:firm|office|group|associates)|esquire|esq|j\.d\.|juris\s+doctor|p\.c\.|p\.a\.|llp|pllc|counsel|counselor|legal\s+(?:representative|department|services|counsel|aid|clinic)|paralegal|bar\s+association|advocate)(?![\w])/i
+  },
+  {
+    id: 'estate-of',
+    type: 'estate',
+    confidence: 0.9,
+    pattern: /\b(?:estate\s+of|(?:unknown\s+)?heirs\s+(?:of|and\s+devisees\s+of)|succession\s+of)\b/i
+  },
+  {
+    id: 'trust-keyword',
+    type: 'trust',
+    confidence: 0.9,
+    pattern: /\b(?:trusts?|u\/a\/?d|u\/t\/a|(?:revocable|irrevocable|living|family)\s+tr)\b(?!\s+(?:company|co\b|bank|department))/i
+  },
+  {
+    id: 'government-agency',
+    type: 'government',
+    confidence: 0.95,
+    pattern: /\b(?:bureau\s+of\s+land\s+management|state\s+land\s+office|commissioner\s+of\s+public\s+lands|united\s+states(?:\s+of\s+america)?|department\s+of\s+(?:the\s+)?interior|office\s+of\s+natural\s+resources\s+revenue|state\s+of\s+[a-z]+(?:\s+[a-z]+)?|county\s+of|city\s+of|town\s+of|village\s+of|school\s+district|university\s+lands|permanent\s+school\s+fund|board\s+of\s+(?:regents|education|county\s+commissioners)|navajo\s+nation|pueblo\s+of)\b/i
+  },
+  {
+    id: 'government-keyword',
+    type: 'government',
+    confidence: 0.9,
+    entityOnly: true,
+    pattern: /\b(?:blm|usa|u\.s\.a\.|onrr|[a-z]+\s+county(?!\s+(?:electric|cooperative|co-?op))|tribe)\b/i
+  },
+  {
+    id: 'nonprofit-organization',
+    type: 'nonprofit',
+    confidence: 0.9,
+    pattern: /\b(?:(?:first|second|third|baptist|methodist|catholic|lutheran|presbyterian|episcopal|christian|evangelical|pentecostal|nazarene|bible|community|united|holy)\s+(?:church|mission|parish|temple|ministr(?:y|ies))|(?:church|mission|parish|temple|diocese|congregation)\s+of)\b/i
+  },
+  {
+    id: 'nonprofit-keyword',
+    type: 'nonprofit',
+    confidence: 0.85,
+    entityOnly: true,
+    pattern: /\b(?:ministr(?:y|ies)|diocese|synagogue|mosque|congregation|foundation|charitable|charity|non-?profit|not[\s-]for[\s-]profit|society|association|fellowship|hospital|university|college|academy|cooperative|co-?op|ymca|ywca|scouts)\b/i
+  },
+  {
+    id: 'operator-applicant',
+    type: 'operator',
+    confidence: 0.9,
+    entityOnly: true,
+    operator: true
+  },
+  {
+    id: 'partnership-suffix',
+    type: 'partnership',
+    confidence: 0.9,
+    pattern: /\b(?:l\.?l\.?l\.?p|l\.p|lp|ltd|limited\s+partnership|general\s+partnership|partnership|partners|joint\s+venture)\b\.?/i
+  },
+  {
+    id: 'company-suffix',
+    type: 'company',
+    confidence: 0.9,
+    pattern: /\b(?:l\.l\.c|llc|inc|incorporated|corp|corporation|company|co|limited|plc|n\.a|bank|holdings?|investments?|minerals|royalt(?:y|ies)|resources|properties|capital|ventures|enterprises|group)\b\.?/i
+  }
+];
+
+/**
+ * Owner Type Classifier
+ *
+ * Classifies a mineral owner as an individual, trust, estate, company, partnership,
+ * government body, non-profit, operator or legal representative from explainable
+ * keyword rules, falling back to the parsed owner name (OwnerNameParser) for people.
+ * An optional LLM pass reclassifies the results the rules are unsure about.
+ */
+class OwnerTypeClassifier {
+  /**
+   * @param {Object} options
+   * @param {Object} options.llmClient - Transport exposing messages.create (defaults to LlmTransport.fromEnv)
+   * @param {Array<string>} options.operators - Operator names (the applicant search targets)
+   */
+  constructor({ llmClient = null, operators = [] } = {}) {
+    this.llmClient = llmClient;
+    this.model = process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514';
+    this.setOperators(operators);
+  }
+
+  /**
+   * Names the operator rule matches ("Mewbourne" matches "Mewbourne Oil Company")
+   * @param {Array<string>} names - Applicant search target names
+   */
+  setOperators(names = []) {
+    const alternatives = names
+      .map(name => this.clean(name))
+      .filter(Boolean)
+      .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'));
+
+    this.operatorPattern = alternatives.length
+      ? new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'i')
+      : null;
+  }
+
+  /**
+   * @param {Object} contact - { name, company | llc_owner, notes, ownership_type }
+   * @param {Object} owner - OwnerNameParser result for the name, if parsed
+   * @returns {Object} { owner_type, confidence, rule, matched, reason }
+   */
+  classify(contact = {}, owner = null) {
+    const values = {
+      name: this.clean(contact.name),
+      company: this.clean(contact.company || contact.llc_owner),
+      notes: this.clean(contact.notes)
+    };
+
+    // A person, estate or trust in the parsed name rules out the entity-only keywords
+    const personal = Boolean(owner && (
+      (owner.entity && ['trust', 'estate'].includes(owner.entity.type)) ||
+      owner.individuals.some(individual => !individual.is_organization)
+    ));
+
+    for (const rule of RULES) {
+      const pattern = rule.operator ? this.operatorPattern : rule.pattern;
+      if (!pattern || (rule.entityOnly && personal)) continue;
+
+      for (const field of rule.fields || ['name', 'company']) {
+        const match = values[field] && values[field].match(pattern);
+        if (match) {
+          return this.result(rule.type, rule.confidence, rule.id, match[0].trim(), field);
+        }
+      }
+    }
+
+    // Parsed trust / estate entities the keyword rules missed (e.g. "Smith Family Tr.")
+    if (owner && owner.entity && ['trust', 'estate'].includes(owner.entity.type)) {
+      return this.result(owner.entity.type, 0.8, `parsed-${owner.entity.type}`, owner.entity.name, 'name');
+    }
+
+    // A working interest held by someone who isn't plainly a person is an operator
+    const people = owner ? owner.individuals.filter(individual => !individual.is_organization) : [];
+    if (/^(?:wi|working\s+interest)$/i.test(this.clean(contact.ownership_type)) && !people.length) {
+      return this.result('operator', 0.7, 'working-interest', contact.ownership_type, 'ownership_type');
+    }
+
+    if (people.length) {
+      // A single bare word ("Smith") could as easily be a business name
+      const named = people.some(individual => individual.first_name && individual.last_name);
+      return this.result('individual', named ? 0.8 : 0.5, 'parsed-individual', people[0].full_name, 'name');
+    }
+
+    return this.result('unknown', 0, 'no-match', null, null);
+  }
+
+  /**
+   * Rule classification plus, when enabled, the LLM pass over uncertain results.
+   *
+   * @param {Array} items - [{ key, contact, owner }]
+   * @param {Object} options
+   * @param {boolean} options.useLlm - Send results below the confidence threshold to the LLM
+   * @returns {Promise<Map>} key -> classification
+   */
+  async classifyAll(items, { useLlm = false } = {}) {
+    const results = new Map();
+    for (const item of items) {
+      results.set(item.key, this.classify(item.contact, item.owner));
+    }
+
+    if (!useLlm) return results;
+
+    const uncertain = items.filter(item => results.get(item.key).confidence < LLM_CONFIDENCE_THRESHOLD);
+    for (let i = 0; i < uncertain.length; i += LLM_BATCH_SIZE) {
+      const batch = uncertain.slice(i, i + LLM_BATCH_SIZE);
+      try {
+        const llmResults = await this.classifyWithLlm(batch);
+        for (const [key, classification] of llmResults) {
+          results.set(key, classification);
+        }
+      } catch (error) {
+        // The rule results stand for this batch
+        console.error(`❌ LLM owner classification failed for ${batch.length} owners:`, error.message);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Ask the LLM for the owner types of a batch of owners.
+   *
+   * @param {Array} items - [{ key, contact }]
+   * @returns {Promise<Map>} key -> classification, for the owners it answered with a known type
+   */
+  async classifyWithLlm(items) {
+    if (!this.llmClient) {
+      this.llmClient = LlmTransport.fromEnv(process.env.ANTHROPIC_API_KEY);
+    }
+
+    const owners = items.map(item => ({
+      key: String(item.key),
+      name: item.contact.name || null,
+      company: item.contact.company || item.contact.llc_owner || null,
+      notes: item.contact.notes ? item.contact.notes.substring(0, 200) : null
+    }));
+
+    const prompt = [
+      'Classify each mineral / royalty owner below by who holds the interest.',
+      `Owner types: ${OWNER_TYPES.join(', ')}.`,
+      'Use "operator" for oil and gas operating or working-interest companies, "legal" for attorneys',
+      'and law firms, and "unknown" when the name does not say.',
+      'Respond with a JSON array only, one entry per owner:',
+      '[{"key": "...", "owner_type": "...", "reason": "short explanation"}]',
+      '',
+      JSON.stringify(owners, null, 2)
+    ].join('\n');
+
+    const response = await this.llmClient.messages.create({
+      model: this.model,
+      max_tokens: 4000,
+      temperature: 0,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const text = (response.content || []).map(block => block.text || '').join('');
+    const json = text.match(/\[[\s\S]*\]/);
+    if (!json) {
+      throw new Error('LLM response contained no JSON array');
+    }
+
+    const results = new Map();
+    const keys = new Map(items.map(item => [String(item.key), item.key]));
+    for (const answer of JSON.parse(json[0])) {
+      if (!answer || !keys.has(String(answer.key)) || !OWNER_TYPES.includes(answer.owner_type)) continue;
+      results.set(keys.get(String(answer.key)), {
+        ...this.result(answer.owner_type, 0.7, 'llm', null, null),
+        reason: `llm: ${(answer.reason || 'no reason given').toString()}`.substring(0, 255)
+      });
+    }
+    return results;
+  }
+
+  result(ownerType, confidence, rule, matched, field) {
+    const reason = matched ? `${rule}: ${field} "${matched}"` : rule;
+    return {
+      owner_type: ownerType,
+      confidence,
+      rule,
+      matched,
+      reason: reason.substring(0, 255)
+    };
+  }
+
+  clean(value) {
+    return (value || '').toString().replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = OwnerTypeClassifier;
+module.exports.OWNER_TYPES = OWNER_TYPES;
+module.exports.BUSINESS_ENTITY_TYPES = BUSINESS_ENTITY_TYPES;
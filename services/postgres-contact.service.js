@@ -1,11 +1,37 @@
 require('dotenv').config();
-const { pgdbconnect, Contact, ContactReady } = require('../config/pddbclient.cjs');
+const { pgdbconnect, Contact, ContactReady, BusinessEntity } = require('../config/pddbclient.cjs');
+const ContactPointService = require('./contact-point.service.js');
+const ContactMatchingService = require('./contact-matching.service.js');
+const InterestService = require('./interest.service.js');
+const CaseService = require('./case.service.js');
+const AddressStandardizer = require('./address-standardizer.js');
+const OwnerNameParser = require('./owner-name-parser.js');
+const OwnerTypeClassifier = require('./owner-type-classifier.js');
+const OutreachWorkflowService = require('./outreach-workflow.service.js');
+const DataService = require('./data.service.js');
+const { BUSINESS_ENTITY_TYPES } = OwnerTypeClassifier;
 
 class PostgresContactService {
   constructor() {
     this.Contact = Contact;
     this.ContactReady = ContactReady;
+    this.BusinessEntity = BusinessEntity;
     this.sequelize = pgdbconnect;
+    this.contactPointService = new ContactPointService();
+    this.contactMatchingService = new ContactMatchingService();
+    this.interestService = new InterestService();
+    this.caseService = new CaseService();
+    this.addressStandardizer = new AddressStandardizer();
+    this.ownerNameParser = new OwnerNameParser();
+    this.ownerTypeClassifier = new OwnerTypeClassifier();
+    this.dataService = new DataService();
+  }
+
+  /**
+   * Point the owner type classifier's operator rule at the applicant search targets
+   */
+  async loadOperators() {
+    this.ownerTypeClassifier.setOperators(await this.dataService.getApplicantNames());
   }
 
   /**
@@ -13,60 +39,50 @@ class PostgresContactService {
    */
   mapClaudeToPostgres(claudeContact) {
     // Claude returns: company, name, first_name, last_name, address, phone, fax, email, etc.
-    // Your model has: name, llc_owner, phone1-phone8, email1-email2, address, city, state, zip, etc.
+    // Your model has: name, llc_owner, address, city, state, zip, etc.
+    // Phones and emails are mapped separately by mapClaudeContactPoints, interests by InterestService.normalizeInterests
 
-    const phones = [];
-    if (claudeContact.phone) phones.push(claudeContact.phone);
-    if (claudeContact.fax) phones.push(claudeContact.fax);
-
-    const emails = [];
-    if (claudeContact.email) {
-      const validatedEmail = this.validateEmail(claudeContact.email);
-      if (validatedEmail) emails.push(validatedEmail);
-    }
-
-    // Handle name splitting - prioritize existing first_name/last_name, then split full name
+    // Handle name splitting - prioritize existing first_name/last_name, then parse the owner name
     let firstName = claudeContact.first_name || '';
     let lastName = claudeContact.last_name || '';
     let fullName = claudeContact.name || '';
 
+    // Trusts, estates, joint owners, heirs and c/o parties in the full name (see OwnerNameParser)
+    const owner = this.ownerNameParser.parse(fullName);
+    const ownerFields = this.ownerNameParser.toContactFields(owner);
+
     // If we have first_name and last_name but no full name, construct it
     if (firstName && lastName && !fullName) {
       fullName = `${firstName} ${lastName}`.trim();
     }
-    // If we have full name but no first/last name, try to split it
+    // If we have full name but no first/last name, take the parsed owner's
     else if (fullName && !firstName && !lastName) {
-      const nameParts = this.splitFullName(fullName);
-      firstName = nameParts.firstName;
-      lastName = nameParts.lastName;
+      firstName = ownerFields.first_name || '';
+      lastName = ownerFields.last_name || '';
     }
     // If we have both, use existing values (don't override)
 
     // Final name to store (prefer full name, fall back to constructed name)
     const finalName = fullName || `${firstName} ${lastName}`.trim() || claudeContact.company || null;
 
-    // Parse address components only if Claude didn't provide separate fields
-    // Prefer Claude's separate fields (city, state, zip) over parsed values
-    const parsed = this.parseAddress(claudeContact.address || '');
+    // Claude's separate city / state / zip / unit fields win over values parsed out of the address line
+    const address = this.addressStandardizer.standardize(claudeContact);
+
+    // Individual, trust, company, government, ... (see OwnerTypeClassifier)
+    const ownerType = this.ownerTypeClassifier.classify(claudeContact, owner);
 
     return {
       name: finalName,
       llc_owner: claudeContact.company || null,
-      phone1: phones[0] || null,
-      phone2: phones[1] || null,
-      phone3: phones[2] || null,
-      phone4: phones[3] || null,
-      phone5: phones[4] || null,
-      phone6: phones[5] || null,
-      phone7: phones[6] || null,
-      phone8: phones[7] || null,
-      email1: emails[0] || null,
-      email2: emails[1] || null,
-      address: claudeContact.address || parsed.street || null,
-      city: claudeContact.city || parsed.city || null,
-      state: claudeContact.state || parsed.state || null,
-      zip: claudeContact.zip || parsed.zip || null,
-      unit: claudeContact.unit || parsed.unit || null,
+      address: address.address,
+      city: address.city ? address.city.substring(0, 100) : null,
+      state: address.state,
+      zip: address.zip,
+      unit: address.unit ? address.unit.substring(0, 50) : null,
+      care_of: address.care_of ? address.care_of.substring(0, 255) : ownerFields.care_of,
+      possible_relative: claudeContact.possible_relative || ownerFields.possible_relative,
+      deceased_relative: claudeContact.deceased_relative || ownerFields.deceased_relative,
+      owner_details: owner.individuals.length || owner.entity ? owner : null,
       first_name: firstName || null,
       last_name: lastName || null,
       notes: claudeContact.notes || null,
@@ -81,73 +97,35 @@ class PostgresContactService {
       order_number: claudeContact.order_number || null,
       case_number: claudeContact.case_number || null,
       acknowledged: false,
-      islegal: this.isLegalEntity(claudeContact)
+      owner_type: ownerType.owner_type,
+      owner_type_reason: ownerType.reason,
+      islegal: ownerType.owner_type === 'legal'
     };
   }
 
   /**
-   * Split full name into first and last name components
-   */
-  splitFullName(fullName) {
-    if (!fullName || typeof fullName !== 'string') {
-      return { firstName: '', lastName: '' };
-    }
-
-    // Clean and split the name
-    const nameParts = fullName.trim().split(/\s+/).filter(Boolean);
-
-    if (nameParts.length === 0) {
-      return { firstName: '', lastName: '' };
-    } else if (nameParts.length === 1) {
-      // Single name - could be first or last, default to first
-      return { firstName: nameParts[0], lastName: '' };
-    } else if (nameParts.length === 2) {
-      // Simple case: First Last
-      return { firstName: nameParts[0], lastName: nameParts[1] };
-    } else {
-      // Multiple parts - first name is first part, last name is last part
-      // Middle names/initials go with first name
-      return {
-        firstName: nameParts.slice(0, -1).join(' '),
-        lastName: nameParts[nameParts.length - 1]
-      };
-    }
-  }
-
-  /**
-   * Parse address string into components
+   * Map a Claude contact's phone, fax and email fields to contact points.
+   * Fields holding several values ("555-1234 / 555-5678", "a@x.com; b@y.com") are split.
+   * @returns {Object} { phones, emails } for ContactPointService.addPoints
    */
-  parseAddress(address) {
-    if (!address || typeof address !== 'string') {
-      return { street: null, city: null, state: null, zip: null, unit: null };
-    }
-
-    // Simple address parsing - can be enhanced
-    const parts = address.split(',').map(p => p.trim());
-
-    let street = null;
-    let city = null;
-    let state = null;
-    let zip = null;
-    let unit = null;
-
-    if (parts.length >= 1) street = parts[0];
-    if (parts.length >= 2) city = parts[1];
+  mapClaudeContactPoints(claudeContact) {
+    const phones = [
+      ...this.splitContactValues(claudeContact.phone).map(phone => ({ phone, phone_type: 'unknown' })),
+      ...this.splitContactValues(claudeContact.fax).map(phone => ({ phone, phone_type: 'fax' }))
+    ];
 
-    // Look for state/zip in last part
-    if (parts.length >= 3) {
-      const lastPart = parts[parts.length - 1];
-      const stateZipMatch = lastPart.match(/([A-Z]{2})\s+(\d{5}(-\d{4})?)/);
+    const emails = this.splitContactValues(claudeContact.email, /[;,\s]+/)
+      .map(email => this.validateEmail(email))
+      .filter(Boolean)
+      .map(email => ({ email }));
 
-      if (stateZipMatch) {
-        state = stateZipMatch[1];
-        zip = stateZipMatch[2];
-      } else {
-        state = lastPart;
-      }
-    }
+    return { phones, emails };
+  }
 
-    return { street, city, state, zip, unit };
+  splitContactValues(value, separator = /[;,\/]|\s+or\s+/i) {
+    if (!value) return [];
+    const values = Array.isArray(value) ? value : value.toString().split(separator);
+    return values.map(item => (item || '').toString().trim()).filter(Boolean);
   }
 
   /**
@@ -184,33 +162,6 @@ class PostgresContactService {
     return cleaned;
   }
 
-  /**
-   * Determine if contact appears to be a legal entity
-   */
-  isLegalEntity(contact) {
-    const legalIndicators = [
-      'attorney', 'atty', 'lawyer', 'attorneys', 'law firm', 'law office',
-      'esquire', 'esq', 'j.d.', 'juris doctor', 'p.c.', 'p.a.',
-      'llp', 'pllc', 'counsel', 'counselor', 'legal representative',
-      'legal department', 'legal services', 'legal counsel',
-      'law group', 'law associates', 'legal aid', 'paralegal',
-      'bar association', 'legal clinic', 'advocate'
-    ];
-
-    // Check name, company, and notes for legal indicators
-    const searchText = (
-      (contact.name || '') + ' ' +
-      (contact.company || '') + ' ' +
-      (contact.notes || '')
-    ).toLowerCase();
-
-    // Be more specific - require word boundaries to avoid false matches
-    return legalIndicators.some(indicator => {
-      const regex = new RegExp(`\\b${indicator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-      return regex.test(searchText);
-    });
-  }
-
   /**
    * Remove duplicate contacts based on name/company and contact info
    */
@@ -222,8 +173,8 @@ class PostgresContactService {
       // Create a key based on name/company and primary contact info
       const nameKey = (contact.name || '').toLowerCase().trim();
       const companyKey = (contact.llc_owner || '').toLowerCase().trim();
-      const phoneKey = (contact.phone1 || '').replace(/\D/g, ''); // Remove non-digits
-      const emailKey = (contact.email1 || '').toLowerCase().trim();
+      const phoneKey = this.primaryPhoneKey(contact); // Digits of the first phone
+      const emailKey = this.primaryEmailKey(contact);
 
       // Create composite key for duplicate detection
       const duplicateKey = `${nameKey}|${companyKey}|${phoneKey}|${emailKey}`;
@@ -239,31 +190,40 @@ class PostgresContactService {
     return unique;
   }
 
+  /**
+   * Include options that load a contact's phones and emails in display order
+   */
+  contactPointIncludes() {
+    return [
+      { association: 'phones', separate: true, order: [['position', 'ASC']] },
+      { association: 'emails', separate: true, order: [['position', 'ASC']] }
+    ];
+  }
+
+  // Digits of the first phone / the first email, for duplicate keys
+  primaryPhoneKey(contact) {
+    return contact.phones && contact.phones.length ? contact.phones[0].phone_normalized || '' : '';
+  }
+
+  primaryEmailKey(contact) {
+    return contact.emails && contact.emails.length ? contact.emails[0].email || '' : '';
+  }
+
   /**
    * Bulk insert contacts from Claude extraction
+   * insertedContacts in the result pairs each new contact ID with its index in claudeContacts
    */
   async bulkInsertContacts(claudeContacts) {
     try {
       console.log(`📊 Converting ${claudeContacts.length} Claude contacts to PostgreSQL format...`);
+      await this.loadOperators();
 
+      // Keep each row's position in claudeContacts so callers can match inserted IDs back to their input
+      const sourceIndexes = [];
+      const contactPoints = claudeContacts.map(contact => this.mapClaudeContactPoints(contact));
       const postgresContacts = claudeContacts.map(contact => {
         const mapped = this.mapClaudeToPostgres(contact)
-        // Clean phone numbers and emails to prevent validation errors
         Object.keys(mapped).forEach(key => {
-          if (key.startsWith('phone') && mapped[key]) {
-            // Clean phone: keep only allowed characters and truncate
-            const cleanedPhone = mapped[key].replace(/[^\d\s\-\(\)\+\.]/g, '').substring(0, 20).trim()
-            mapped[key] = cleanedPhone || null // Set to null if empty after cleaning
-          }
-          if (key.startsWith('email') && mapped[key]) {
-            // Clean email: basic validation and truncate
-            const email = mapped[key].trim().toLowerCase()
-            if (email.includes('@') && email.includes('.')) {
-              mapped[key] = email.substring(0, 255)
-            } else {
-              mapped[key] = null // Invalid email, set to null
-            }
-          }
           if (key === 'name' && mapped[key]) {
             mapped[key] = mapped[key].substring(0, 255) // Truncate to max length
           }
@@ -272,9 +232,20 @@ class PostgresContactService {
           }
         })
         return mapped
-      }).filter(contact => {
+      }).filter((contact, idx) => {
         // Filter out contacts with no useful data
-        return contact.name || contact.llc_owner || contact.phone1 || contact.email1
+        const points = contactPoints[idx];
+        const useful = contact.name || contact.llc_owner || points.phones.length > 0 || points.emails.length > 0
+        if (useful) {
+          sourceIndexes.push(idx);
+        }
+        return useful
+      });
+
+      // Link contacts of recorded cases; the rest are linked when their case is recorded
+      const caseIds = await this.caseService.findCaseIds(postgresContacts.map(contact => contact.case_number));
+      postgresContacts.forEach(contact => {
+        contact.case_id = caseIds.get(contact.case_number) || null;
       });
 
       console.log(`💾 Bulk inserting ${postgresContacts.length} valid contacts into PostgreSQL...`);
@@ -288,14 +259,44 @@ class PostgresContactService {
         console.log('📋 Sample contact data:', JSON.stringify(postgresContacts[0], null, 2));
       }
 
-      const result = await this.Contact.bulkCreate(postgresContacts, {
-        ignoreDuplicates: true,
-        returning: true,
-        validate: true
+      // Contacts, phones, emails and interests are saved together: a failed child insert
+      // must not leave contacts behind for the pipeline's retry to insert again
+      const { result, insertedContacts } = await this.sequelize.transaction(async (transaction) => {
+        const result = await this.Contact.bulkCreate(postgresContacts, {
+          ignoreDuplicates: true,
+          returning: true,
+          validate: true,
+          transaction
+        });
+
+        const insertedContacts = result
+          .map((row, idx) => ({ id: row.id, sourceIndex: sourceIndexes[idx] }))
+          .filter(row => row.id);
+
+        if (insertedContacts.length > 0) {
+          const saved = await this.contactPointService.addPointsForMany('contact', insertedContacts.map(inserted => ({
+            ownerId: inserted.id,
+            jobId: claudeContacts[inserted.sourceIndex].jobid || null,
+            ...contactPoints[inserted.sourceIndex]
+          })), { transaction });
+          console.log(`📇 Saved ${saved.phones} phones and ${saved.emails} emails`);
+
+          const interests = await this.interestService.addInterestsForMany('contact', insertedContacts.map(inserted => ({
+            ownerId: inserted.id,
+            interests: this.interestService.normalizeInterests(claudeContacts[inserted.sourceIndex])
+          })), { transaction });
+          if (interests > 0) {
+            console.log(`🛢️ Saved ${interests} mineral interests`);
+          }
+        }
+
+        return { result, insertedContacts };
       });
 
       console.log(`✅ Successfully inserted ${result.length} contacts into PostgreSQL`);
 
+      const matchCandidates = await this.scoreNewContacts(insertedContacts.map(inserted => inserted.id));
+
       if (result.length === 0 && postgresContacts.length > 0) {
         console.warn(`⚠️ Warning: ${postgresContacts.length} contacts were processed but 0 were inserted - possible database duplicates or validation issues`);
       }
@@ -305,6 +306,8 @@ class PostgresContactService {
         insertedCount: result.length,
         skippedCount: postgresContacts.length - result.length,
         processedCount: postgresContacts.length,
+        insertedContacts,
+        matchCandidates,
         message: `Inserted ${result.length}/${postgresContacts.length} contacts`
       };
 
@@ -325,27 +328,12 @@ class PostgresContactService {
             console.error('Problematic record:', JSON.stringify({
               name: err.record.name,
               company: err.record.llc_owner,
-              email1: err.record.email1,
-              email2: err.record.email2,
               source_file: err.record.source_file
             }, null, 2));
           }
         }
       }
 
-      // Try to identify which email is causing the problem
-      if (error.message.includes('email')) {
-        console.error('\n🔍 Scanning for invalid emails in batch:');
-        uniqueContacts.forEach((contact, idx) => {
-          if (contact.email1 && !this.validateEmail(contact.email1)) {
-            console.error(`  Invalid email1 at index ${idx}: "${contact.email1}" (contact: ${contact.name || contact.llc_owner})`);
-          }
-          if (contact.email2 && !this.validateEmail(contact.email2)) {
-            console.error(`  Invalid email2 at index ${idx}: "${contact.email2}" (contact: ${contact.name || contact.llc_owner})`);
-          }
-        });
-      }
-
       return {
         success: false,
         error: error.message,
@@ -355,13 +343,46 @@ class PostgresContactService {
     }
   }
 
+  /**
+   * Check new contacts against existing ones for likely duplicates. A failure
+   * only means the contacts get scored by the next fuzzy deduplication run.
+   * @returns {Promise<number>} Match candidates found
+   */
+  async scoreNewContacts(contactIds) {
+    if (!contactIds.length) {
+      return 0;
+    }
+
+    try {
+      const { candidates } = await this.contactMatchingService.scoreContacts(contactIds);
+      if (candidates > 0) {
+        console.log(`🔎 ${candidates} possible duplicates found for the new contacts`);
+      }
+      return candidates;
+    } catch (error) {
+      console.warn(`⚠️ Duplicate scoring failed for ${contactIds.length} new contacts: ${error.message}`);
+      return 0;
+    }
+  }
+
   /**
    * Insert single contact
    */
   async insertContact(claudeContact) {
     try {
+      await this.loadOperators();
       const postgresContact = this.mapClaudeToPostgres(claudeContact);
+      const caseIds = await this.caseService.findCaseIds([postgresContact.case_number]);
+      postgresContact.case_id = caseIds.get(postgresContact.case_number) || null;
       const result = await this.Contact.create(postgresContact);
+      await this.contactPointService.addPoints('contact', result.id, this.mapClaudeContactPoints(claudeContact), {
+        jobId: postgresContact.jobid
+      });
+      await this.interestService.addInterestsForMany('contact', [{
+        ownerId: result.id,
+        interests: this.interestService.normalizeInterests(claudeContact)
+      }]);
+      await this.scoreNewContacts([result.id]);
 
       return {
         success: true,
@@ -382,11 +403,12 @@ class PostgresContactService {
    */
   async getContactStats() {
     try {
-      const [total, acknowledged, legal, pending] = await Promise.all([
+      const [total, acknowledged, legal, pending, ownerTypes] = await Promise.all([
         this.Contact.count(),
         this.Contact.count({ where: { acknowledged: true } }),
         this.Contact.count({ where: { islegal: true } }),
-        this.Contact.count({ where: { acknowledged: false, islegal: false } })
+        this.Contact.count({ where: { acknowledged: false, islegal: false } }),
+        this.Contact.count({ group: ['owner_type'] })
       ]);
 
       return {
@@ -396,7 +418,8 @@ class PostgresContactService {
           acknowledged,
           legal,
           pending,
-          unacknowledged: total - acknowledged
+          unacknowledged: total - acknowledged,
+          byOwnerType: Object.fromEntries(ownerTypes.map(row => [row.owner_type || 'unclassified', row.count]))
         }
       };
     } catch (error) {
@@ -407,6 +430,17 @@ class PostgresContactService {
     }
   }
 
+  /**
+   * Where condition for a one-or-many filter such as owner type or outreach status:
+   * 'trust' or 'company,partnership'
+   */
+  static listFilter(value) {
+    const values = (Array.isArray(value) ? value : value.toString().split(','))
+      .map(item => item.trim().toLowerCase())
+      .filter(Boolean);
+    return values.length === 1 ? values[0] : { [pgdbconnect.Sequelize.Op.in]: values };
+  }
+
   /**
    * Search contacts
    */
@@ -419,18 +453,22 @@ class PostgresContactService {
         company,
         acknowledged,
         islegal,
+        ownerType, // One owner type or a comma-separated list
         city,
         state,
         search, // New: search across all fields
         requireFirstName = false,
         requireLastName = false,
         requireBothNames = false,
+        includeMerged = false, // Also return duplicates merged into a golden contact
         sortBy = 'created_at',
         sortOrder = 'DESC'
       } = options;
 
       const where = {};
 
+      if (!includeMerged) where.merged_into_id = null;
+
       // Global search across multiple fields
       if (search) {
         const searchTerm = `%${search}%`;
@@ -439,8 +477,7 @@ class PostgresContactService {
           { first_name: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
           { last_name: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
           { llc_owner: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
-          { phone1: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
-          { email1: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
+          { id: { [this.sequelize.Sequelize.Op.in]: this.contactPointService.ownerIdsMatching('contact', search) } },
           { address: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
           { city: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
           { state: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
@@ -456,6 +493,7 @@ class PostgresContactService {
       if (company) where.llc_owner = { [this.sequelize.Sequelize.Op.iLike]: `%${company}%` };
       if (acknowledged !== undefined) where.acknowledged = acknowledged;
       if (islegal !== undefined) where.islegal = islegal;
+      if (ownerType) where.owner_type = PostgresContactService.listFilter(ownerType);
       if (city) where.city = { [this.sequelize.Sequelize.Op.iLike]: `%${city}%` };
       if (state) where.state = { [this.sequelize.Sequelize.Op.iLike]: `%${state}%` };
 
@@ -475,7 +513,7 @@ class PostgresContactService {
       // Validate sortBy to prevent SQL injection
       const allowedSortFields = [
         'id', 'name', 'first_name', 'last_name', 'llc_owner',
-        'company', 'city', 'state', 'acknowledged', 'islegal',
+        'company', 'city', 'state', 'acknowledged', 'islegal', 'owner_type',
         'created_at', 'updated_at'
       ];
 
@@ -486,7 +524,9 @@ class PostgresContactService {
         where,
         limit,
         offset,
-        order: [[sortField, sortDirection]]
+        order: [[sortField, sortDirection]],
+        include: this.contactPointIncludes(),
+        distinct: true
       });
 
       return {
@@ -519,7 +559,7 @@ class PostgresContactService {
         return { success: false, error: 'Contact not found' };
       }
 
-      const updatedContact = await this.Contact.findByPk(id);
+      const updatedContact = await this.Contact.findByPk(id, { include: this.contactPointIncludes() });
       return {
         success: true,
         contact: updatedContact
@@ -532,147 +572,28 @@ class PostgresContactService {
     }
   }
 
-  /**
-   * Calculate string similarity using Levenshtein distance
-   * Returns a value between 0 (completely different) and 1 (identical)
-   */
-  calculateSimilarity(str1, str2) {
-    if (!str1 || !str2) return 0;
-    if (str1 === str2) return 1;
-
-    const s1 = str1.toLowerCase();
-    const s2 = str2.toLowerCase();
-
-    const costs = [];
-    for (let i = 0; i <= s1.length; i++) {
-      let lastValue = i;
-      for (let j = 0; j <= s2.length; j++) {
-        if (i === 0) {
-          costs[j] = j;
-        } else if (j > 0) {
-          let newValue = costs[j - 1];
-          if (s1.charAt(i - 1) !== s2.charAt(j - 1)) {
-            newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
-          }
-          costs[j - 1] = lastValue;
-          lastValue = newValue;
-        }
-      }
-      if (i > 0) costs[s2.length] = lastValue;
-    }
-
-    const maxLength = Math.max(s1.length, s2.length);
-    return maxLength === 0 ? 1 : (maxLength - costs[s2.length]) / maxLength;
-  }
-
   /**
    * Deduplicate contacts with multiple strategies
    * @param {string} mode - 'strict', 'name-only', 'name-company', or 'fuzzy'
-   * @param {boolean} dryRun - If true, only preview duplicates without deleting
+   * @param {boolean} dryRun - If true, only preview duplicates without merging
+   * @param {string} createdBy - Recorded on the clusters a live run creates
+   *
+   * Duplicates are merged into the oldest contact of each group (see ContactResolutionService),
+   * not deleted - every merge can be inspected, split or undone via /v1/postgres/contact-clusters
+   *
+   * Fuzzy mode doesn't compare contacts in memory: it merges the pending pairs in
+   * contact_match_candidates (see ContactMatchingService), scoring any contacts
+   * that weren't scored at insert time first
    */
-  async deduplicateContactsByMode(mode = 'strict', dryRun = true) {
+  async deduplicateContactsByMode(mode = 'strict', dryRun = true, createdBy = 'system') {
     try {
       console.log(`🔍 Starting ${mode} deduplication (dryRun: ${dryRun})...`);
 
-      // Fetch all contacts
-      const allContacts = await this.Contact.findAll({
-        order: [['created_at', 'ASC']]
-      });
-
-      console.log(`📊 Found ${allContacts.length} total contacts`);
-
-      const seen = new Map();
-      const duplicates = [];
-      const unique = [];
-
-      for (const contact of allContacts) {
-        const firstNameKey = (contact.first_name || '').toLowerCase().trim();
-        const lastNameKey = (contact.last_name || '').toLowerCase().trim();
-        const nameKey = (contact.name || '').toLowerCase().trim();
-        const companyKey = (contact.llc_owner || '').toLowerCase().trim();
-        const phoneKey = (contact.phone1 || '').replace(/\D/g, '');
-        const emailKey = (contact.email1 || '').toLowerCase().trim();
-
-        const personKey = (firstNameKey && lastNameKey)
-          ? `${firstNameKey}::${lastNameKey}`
-          : nameKey;
-
-        let duplicateKey;
-        let matchReason;
-
-        // Build duplicate key based on mode
-        switch (mode) {
-          case 'name-only':
-            duplicateKey = personKey;
-            matchReason = 'Same first and last name';
-            break;
-
-          case 'name-company':
-            duplicateKey = `${personKey}|${companyKey}`;
-            matchReason = 'Same name and company';
-            break;
-
-          case 'fuzzy':
-            // For fuzzy mode, we need to check similarity against existing contacts
-            let fuzzyMatch = null;
-            const fuzzyThreshold = 0.9; // 90% similarity
-
-            for (const [key, existingId] of seen.entries()) {
-              const [existingPerson, existingCompany] = key.split('|FUZZY|');
-
-              const nameSimilarity = this.calculateSimilarity(personKey, existingPerson);
-              const companySimilarity = companyKey && existingCompany
-                ? this.calculateSimilarity(companyKey, existingCompany)
-                : 1;
-
-              if (nameSimilarity >= fuzzyThreshold && companySimilarity >= fuzzyThreshold) {
-                fuzzyMatch = { key, id: existingId, nameSim: nameSimilarity, companySim: companySimilarity };
-                break;
-              }
-            }
-
-            if (fuzzyMatch) {
-              duplicateKey = fuzzyMatch.key;
-              matchReason = `Fuzzy match (name: ${(fuzzyMatch.nameSim * 100).toFixed(0)}%, company: ${(fuzzyMatch.companySim * 100).toFixed(0)}%)`;
-            } else {
-              duplicateKey = `${personKey}|FUZZY|${companyKey}`;
-              matchReason = 'Fuzzy match';
-            }
-            break;
-
-          case 'strict':
-          default:
-            duplicateKey = `${personKey}|${companyKey}|${phoneKey}|${emailKey}`;
-            matchReason = 'Exact match on all fields';
-            break;
-        }
-
-        // Skip empty keys
-        if (!duplicateKey || duplicateKey === '' || personKey === '' || duplicateKey.includes('|||')) {
-          continue;
-        }
-
-        if (!seen.has(duplicateKey)) {
-          seen.set(duplicateKey, contact.id);
-          unique.push(contact);
-        } else {
-          duplicates.push({
-            id: contact.id,
-            name: contact.name,
-            first_name: contact.first_name,
-            last_name: contact.last_name,
-            company: contact.llc_owner,
-            phone: contact.phone1,
-            email: contact.email1,
-            source_file: contact.source_file,
-            created_at: contact.created_at,
-            originalId: seen.get(duplicateKey),
-            matchReason
-          });
-        }
-      }
+      const { totalContacts, uniqueCount, duplicates, scoring } = mode === 'fuzzy'
+        ? await this.findFuzzyDuplicates()
+        : await this.findKeyedDuplicates(mode);
 
-      console.log(`✅ Found ${unique.length} unique contacts`);
+      console.log(`✅ Found ${uniqueCount} unique contacts`);
       console.log(`🔄 Found ${duplicates.length} duplicate contacts`);
 
       if (duplicates.length > 0) {
@@ -690,26 +611,23 @@ class PostgresContactService {
       }
 
       if (!dryRun && duplicates.length > 0) {
-        console.log('\n🗑️ Deleting duplicates...');
-        const duplicateIds = duplicates.map(d => d.id);
+        const merged = await this.mergeDuplicateGroups(duplicates, mode, createdBy);
 
-        const deletedCount = await this.Contact.destroy({
-          where: {
-            id: {
-              [this.sequelize.Sequelize.Op.in]: duplicateIds
-            }
-          }
-        });
-
-        console.log(`✅ Deleted ${deletedCount} duplicate contacts`);
+        if (mode === 'fuzzy') {
+          await this.contactMatchingService.markMerged(merged.mergedContactIds);
+        }
 
         return {
           success: true,
           mode,
-          totalContacts: allContacts.length,
-          uniqueContacts: unique.length,
+          totalContacts,
+          uniqueContacts: uniqueCount,
           duplicatesFound: duplicates.length,
-          duplicatesDeleted: deletedCount,
+          duplicatesMerged: merged.mergedCount,
+          clustersCreated: merged.clusterIds.length,
+          clusterIds: merged.clusterIds,
+          failedClusters: merged.failedGroups,
+          ...(scoring ? { scoring } : {}),
           dryRun: false,
           duplicateExamples: duplicates.slice(0, 10)
         };
@@ -718,12 +636,13 @@ class PostgresContactService {
       return {
         success: true,
         mode,
-        totalContacts: allContacts.length,
-        uniqueContacts: unique.length,
+        totalContacts,
+        uniqueContacts: uniqueCount,
         duplicatesFound: duplicates.length,
-        duplicatesDeleted: 0,
+        duplicatesMerged: 0,
+        ...(scoring ? { scoring } : {}),
         dryRun: true,
-        message: dryRun ? `Dry run completed - found ${duplicates.length} duplicates. Set dryRun=false to delete them.` : 'No duplicates found',
+        message: dryRun ? `Dry run completed - found ${duplicates.length} duplicates. Set dryRun=false to merge them.` : 'No duplicates found',
         duplicateExamples: duplicates.slice(0, 10)
       };
 
@@ -737,10 +656,358 @@ class PostgresContactService {
     }
   }
 
+  /**
+   * Exact-key duplicates ('strict', 'name-only', 'name-company'): each contact
+   * whose key was already seen is a duplicate of the first (oldest) one
+   * @returns {Promise<Object>} { totalContacts, uniqueCount, duplicates }
+   */
+  async findKeyedDuplicates(mode) {
+    // Contacts already merged into a golden contact are represented by it
+    const allContacts = await this.Contact.findAll({
+      where: { merged_into_id: null },
+      order: [['created_at', 'ASC'], ['id', 'ASC']],
+      include: this.contactPointIncludes()
+    });
+
+    console.log(`📊 Found ${allContacts.length} total contacts`);
+
+    const seen = new Map();
+    const duplicates = [];
+    let uniqueCount = 0;
+
+    for (const contact of allContacts) {
+      const firstNameKey = (contact.first_name || '').toLowerCase().trim();
+      const lastNameKey = (contact.last_name || '').toLowerCase().trim();
+      const nameKey = (contact.name || '').toLowerCase().trim();
+      const companyKey = (contact.llc_owner || '').toLowerCase().trim();
+      const phoneKey = this.primaryPhoneKey(contact);
+      const emailKey = this.primaryEmailKey(contact);
+
+      const personKey = (firstNameKey && lastNameKey)
+        ? `${firstNameKey}::${lastNameKey}`
+        : nameKey;
+
+      let duplicateKey;
+      let matchReason;
+
+      // Build duplicate key based on mode
+      switch (mode) {
+        case 'name-only':
+          duplicateKey = personKey;
+          matchReason = 'Same first and last name';
+          break;
+
+        case 'name-company':
+          duplicateKey = `${personKey}|${companyKey}`;
+          matchReason = 'Same name and company';
+          break;
+
+        case 'strict':
+        default:
+          duplicateKey = `${personKey}|${companyKey}|${phoneKey}|${emailKey}`;
+          matchReason = 'Exact match on all fields';
+          break;
+      }
+
+      // Skip empty keys
+      if (!duplicateKey || duplicateKey === '' || personKey === '' || duplicateKey.includes('|||')) {
+        continue;
+      }
+
+      if (!seen.has(duplicateKey)) {
+        seen.set(duplicateKey, contact.id);
+        uniqueCount++;
+      } else {
+        duplicates.push({
+          id: contact.id,
+          name: contact.name,
+          first_name: contact.first_name,
+          last_name: contact.last_name,
+          company: contact.llc_owner,
+          phone: contact.phones.length ? contact.phones[0].phone : null,
+          email: contact.emails.length ? contact.emails[0].email : null,
+          source_file: contact.source_file,
+          created_at: contact.created_at,
+          originalId: seen.get(duplicateKey),
+          matchReason
+        });
+      }
+    }
+
+    return { totalContacts: allContacts.length, uniqueCount, duplicates };
+  }
+
+  /**
+   * Fuzzy duplicates from the pending match candidates
+   * @returns {Promise<Object>} { totalContacts, uniqueCount, duplicates, scoring }
+   */
+  async findFuzzyDuplicates() {
+    const scoring = await this.contactMatchingService.scoreUnscoredContacts();
+    console.log(`🔎 Scored ${scoring.scored} contacts not scored at insert time (${scoring.candidates} new match candidates)`);
+
+    const [totalContacts, duplicates] = await Promise.all([
+      this.Contact.count({ where: { merged_into_id: null } }),
+      this.contactMatchingService.getPendingDuplicates()
+    ]);
+
+    console.log(`📊 Found ${totalContacts} total contacts`);
+
+    return { totalContacts, uniqueCount: totalContacts - duplicates.length, duplicates, scoring };
+  }
+
+  /**
+   * Merge each original with the duplicates that matched it, one cluster per original
+   * @returns {Promise<Object>} { mergedCount, clusterIds, failedGroups, mergedContactIds }
+   */
+  async mergeDuplicateGroups(duplicates, mode, createdBy) {
+    console.log('\n🔗 Merging duplicates into golden contacts...');
+    const ContactResolutionService = require('./contact-resolution.service.js');
+    const resolutionService = new ContactResolutionService();
+
+    const groups = new Map();
+    for (const dup of duplicates) {
+      if (!groups.has(dup.originalId)) {
+        groups.set(dup.originalId, []);
+      }
+      groups.get(dup.originalId).push(dup);
+    }
+
+    const clusterIds = [];
+    const mergedContactIds = [];
+    let mergedCount = 0;
+    let failedGroups = 0;
+
+    for (const [originalId, groupDuplicates] of groups) {
+      const memberReasons = {};
+      groupDuplicates.forEach(dup => {
+        memberReasons[dup.id] = dup.matchReason;
+      });
+
+      try {
+        const memberIds = [originalId, ...groupDuplicates.map(dup => dup.id)];
+        const cluster = await resolutionService.mergeContacts(memberIds, {
+          matchMode: mode,
+          matchReason: groupDuplicates[0].matchReason,
+          memberReasons,
+          createdBy
+        });
+        clusterIds.push(cluster.id);
+        mergedContactIds.push(...memberIds);
+        mergedCount += groupDuplicates.length;
+      } catch (mergeError) {
+        failedGroups++;
+        console.error(`❌ Failed to merge duplicates of contact ${originalId}: ${mergeError.message}`);
+      }
+    }
+
+    console.log(`✅ Merged ${mergedCount} duplicate contacts into ${clusterIds.length} golden contacts`);
+
+    return { mergedCount, clusterIds, failedGroups, mergedContactIds };
+  }
+
+  /**
+   * Re-standardize stored addresses (see AddressStandardizer). Values the
+   * standardizer can't read are reported as issues and left as they are.
+   * @param {Object} options - { table: 'contacts' | 'contactsready', dryRun, batchSize }
+   * @returns {Promise<Object>} Counts plus up to 20 example changes
+   */
+  async normalizeAddresses({ table = 'contacts', dryRun = true, batchSize = 500 } = {}) {
+    const { Op } = this.sequelize.Sequelize;
+    const model = table === 'contactsready' ? this.ContactReady : this.Contact;
+    const fields = ['address', 'unit', 'care_of', 'city', 'state', 'zip'];
+    const stats = { scanned: 0, changed: 0, updated: 0, withIssues: 0, errors: 0 };
+    const examples = [];
+    let lastId = 0;
+
+    try {
+      console.log(`🏠 Normalizing ${table} addresses (dryRun: ${dryRun})...`);
+
+      while (true) {
+        const rows = await model.findAll({
+          where: {
+            id: { [Op.gt]: lastId },
+            [Op.or]: ['address', 'city', 'state', 'zip'].map(field => ({ [field]: { [Op.ne]: null } }))
+          },
+          order: [['id', 'ASC']],
+          limit: batchSize
+        });
+
+        if (rows.length === 0) {
+          break;
+        }
+
+        lastId = rows[rows.length - 1].id;
+
+        for (const row of rows) {
+          stats.scanned++;
+          const standardized = this.addressStandardizer.standardize(row);
+          const changes = {};
+
+          fields.forEach(field => {
+            if (standardized[field] && standardized[field] !== row[field]) {
+              changes[field] = standardized[field];
+            }
+          });
+
+          if (standardized.issues.length) {
+            stats.withIssues++;
+          }
+
+          if (Object.keys(changes).length === 0) {
+            continue;
+          }
+
+          stats.changed++;
+          if (examples.length < 20) {
+            const before = {};
+            fields.forEach(field => {
+              before[field] = row[field];
+            });
+            examples.push({ id: row.id, before, changes, issues: standardized.issues });
+          }
+
+          if (!dryRun) {
+            try {
+              await row.update(changes);
+              stats.updated++;
+            } catch (error) {
+              stats.errors++;
+              console.error(`   ❌ Failed to update ${table} ${row.id}: ${error.message}`);
+            }
+          }
+        }
+
+        console.log(`   ✅ Processed up to ID ${lastId}: ${stats.changed} addresses ${dryRun ? 'to change' : 'changed'}`);
+      }
+
+      console.log(`✅ Address normalization complete: ${stats.changed}/${stats.scanned} ${table} rows ${dryRun ? 'would change' : 'changed'}`);
+
+      return {
+        success: true,
+        table,
+        dryRun,
+        ...stats,
+        examples,
+        ...(dryRun ? { message: `Dry run completed - ${stats.changed} addresses would change. Set dryRun=false to apply.` } : {})
+      };
+
+    } catch (error) {
+      console.error('❌ Address normalization failed:', error.message);
+      return {
+        success: false,
+        table,
+        error: error.message,
+        ...stats
+      };
+    }
+  }
+
+  /**
+   * (Re)classify the owner types of stored rows (see OwnerTypeClassifier), keeping
+   * islegal in step. With useLlm, owners the rules are unsure about go to the LLM.
+   * @param {Object} options - { table: 'contacts' | 'contactsready', dryRun, batchSize, useLlm, onlyUnclassified }
+   * @returns {Promise<Object>} Counts per owner type plus up to 20 example changes
+   */
+  async classifyOwnerTypes({ table = 'contacts', dryRun = true, batchSize = 500, useLlm = false, onlyUnclassified = false } = {}) {
+    const { Op } = this.sequelize.Sequelize;
+    const model = table === 'contactsready' ? this.ContactReady : this.Contact;
+    const stats = { scanned: 0, changed: 0, updated: 0, errors: 0 };
+    const byOwnerType = {};
+    const examples = [];
+    let lastId = 0;
+
+    try {
+      console.log(`🏷️ Classifying ${table} owner types (dryRun: ${dryRun}, useLlm: ${useLlm})...`);
+      await this.loadOperators();
+
+      while (true) {
+        const where = { id: { [Op.gt]: lastId } };
+        if (onlyUnclassified) where.owner_type = null;
+
+        const rows = await model.findAll({
+          where,
+          order: [['id', 'ASC']],
+          limit: batchSize
+        });
+
+        if (rows.length === 0) {
+          break;
+        }
+
+        lastId = rows[rows.length - 1].id;
+
+        const classifications = await this.ownerTypeClassifier.classifyAll(rows.map(row => ({
+          key: row.id,
+          contact: {
+            name: row.name,
+            llc_owner: row.llc_owner,
+            notes: row.notes,
+            ownership_type: row.ownership_type
+          },
+          owner: row.owner_details || this.ownerNameParser.parse(row.name)
+        })), { useLlm });
+
+        for (const row of rows) {
+          stats.scanned++;
+          const classification = classifications.get(row.id);
+          byOwnerType[classification.owner_type] = (byOwnerType[classification.owner_type] || 0) + 1;
+
+          const changes = {
+            owner_type: classification.owner_type,
+            owner_type_reason: classification.reason,
+            islegal: classification.owner_type === 'legal'
+          };
+
+          if (Object.keys(changes).every(field => changes[field] === row[field])) {
+            continue;
+          }
+
+          stats.changed++;
+          if (examples.length < 20) {
+            examples.push({ id: row.id, name: row.name, before: row.owner_type, ...changes });
+          }
+
+          if (!dryRun) {
+            try {
+              await row.update(changes);
+              stats.updated++;
+            } catch (error) {
+              stats.errors++;
+              console.error(`   ❌ Failed to update ${table} ${row.id}: ${error.message}`);
+            }
+          }
+        }
+
+        console.log(`   ✅ Processed up to ID ${lastId}: ${stats.changed} owner types ${dryRun ? 'to change' : 'changed'}`);
+      }
+
+      console.log(`✅ Owner classification complete: ${stats.changed}/${stats.scanned} ${table} rows ${dryRun ? 'would change' : 'changed'}`);
+
+      return {
+        success: true,
+        table,
+        dryRun,
+        ...stats,
+        byOwnerType,
+        examples,
+        ...(dryRun ? { message: `Dry run completed - ${stats.changed} owner types would change. Set dryRun=false to apply.` } : {})
+      };
+
+    } catch (error) {
+      console.error('❌ Owner classification failed:', error.message);
+      return {
+        success: false,
+        table,
+        error: error.message,
+        ...stats
+      };
+    }
+  }
+
   /**
    * Deduplicate contacts in the database (backward compatibility)
    * Finds duplicates based on name, company, phone, and email
-   * Keeps the oldest record (by created_at) and deletes the rest
+   * Merges the rest into the oldest record (by created_at)
    *
    * This method now uses the new mode-based deduplication with 'strict' mode
    */
@@ -764,8 +1031,6 @@ class PostgresContactService {
       const testContact = {
         name: 'Test Contact',
         llc_owner: null,
-        phone1: '555-0123',
-        email1: 'test@example.com',
         address: '123 Test St',
         city: 'Test City',
         state: 'TX',
@@ -822,6 +1087,8 @@ class PostgresContactService {
       };
 
       await contact.destroy();
+      await this.contactPointService.removePoints('contact', [contact.id]);
+      await this.interestService.removeInterests('contact', [contact.id]);
 
       console.log(`✅ Deleted contact ID ${id}: ${contactInfo.name || contactInfo.company || 'Unknown'}`);
 
@@ -874,6 +1141,8 @@ class PostgresContactService {
         }
       });
 
+      await this.contactPointService.removePoints('contact', contactsToDelete.map(c => c.id));
+      await this.interestService.removeInterests('contact', contactsToDelete.map(c => c.id));
       console.log(`✅ Deleted ${deletedCount} out of ${ids.length} requested contacts`);
 
       if (deletedCount !== ids.length) {
@@ -936,6 +1205,19 @@ class PostgresContactService {
     }
   }
 
+  /**
+   * Count the contacts a job already saved from one source file
+   * @param {string} jobId - Job ID
+   * @param {string} sourceFile - File name the contacts were extracted from
+   * @param {string} recordType - County / applicant the file was found under
+   * @returns {Promise<number>} Number of contacts
+   */
+  async countFileContacts(jobId, sourceFile, recordType) {
+    return this.Contact.count({
+      where: { jobid: jobId, source_file: sourceFile, record_type: recordType || null }
+    });
+  }
+
   /**
    * Get contacts by job ID with pagination
    * @param {string} jobId - Job ID to find contacts for
@@ -1037,9 +1319,10 @@ class PostgresContactService {
         where: { jobid: jobId },
         attributes: [
           'id', 'name', 'llc_owner', 'first_name', 'last_name',
-          'phone1', 'email1', 'islegal', 'acknowledged',
+          'islegal', 'acknowledged',
           'project_origin', 'source_file', 'created_at'
-        ]
+        ],
+        include: this.contactPointIncludes()
       });
 
       if (contacts.length === 0) {
@@ -1054,8 +1337,8 @@ class PostgresContactService {
         totalContacts: contacts.length,
         individuals: contacts.filter(c => !c.llc_owner).length,
         businesses: contacts.filter(c => c.llc_owner).length,
-        withPhone: contacts.filter(c => c.phone1).length,
-        withEmail: contacts.filter(c => c.email1).length,
+        withPhone: contacts.filter(c => c.phones.length).length,
+        withEmail: contacts.filter(c => c.emails.length).length,
         legal: contacts.filter(c => c.islegal).length,
         acknowledged: contacts.filter(c => c.acknowledged).length,
         projectOrigin: contacts[0].project_origin,
@@ -1071,8 +1354,10 @@ class PostgresContactService {
           id: c.id,
           name: c.name || `${c.first_name || ''} ${c.last_name || ''}`.trim(),
           company: c.llc_owner,
-          phone: c.phone1,
-          email: c.email1,
+          phone: c.phones.length ? c.phones[0].phone : null,
+          email: c.emails.length ? c.emails[0].email : null,
+          phones: c.getAllPhones(),
+          emails: c.getAllEmails(),
           source: c.source_file
         }))
       };
@@ -1131,10 +1416,47 @@ class PostgresContactService {
     }
   }
 
+  /**
+   * The ready copy of a contact: the row linked to it by source_contact_id, else the row
+   * with the same identity columns (linked to the contact if it has no link yet), else a
+   * new row. A contact whose address changed after the move keeps its existing copy.
+   * @param {number} contactId - Source contact ID
+   * @param {Object} data - contactsready values from the contact
+   * @returns {Promise<Array>} [readyContact, created]
+   */
+  async findOrCreateReady(contactId, data) {
+    const linked = await this.ContactReady.findOne({ where: { source_contact_id: contactId } });
+    if (linked) {
+      return [linked, false];
+    }
+
+    const [readyContact, created] = await this.ContactReady.findOrCreate({
+      where: {
+        name: data.name,
+        first_name: data.first_name,
+        last_name: data.last_name,
+        llc_owner: data.llc_owner,
+        address: data.address,
+        city: data.city,
+        state: data.state,
+        zip: data.zip
+      },
+      defaults: { ...data, source_contact_id: contactId }
+    });
+
+    if (!created && !readyContact.source_contact_id) {
+      await readyContact.update({ source_contact_id: contactId });
+    }
+
+    return [readyContact, created];
+  }
+
   /**
    * Move non-duplicate contacts from contacts table to contactsready table
    * Uses the unique constraint on contactsready to filter duplicates:
    * (name, first_name, last_name, llc_owner, address, city, state, zip)
+   * Owners classified as business entities (company, partnership, operator, government,
+   * nonprofit) go to business_entities instead, unique on (name, llc_owner, address, city, state, zip)
    *
    * @param {Object} options - Options for the migration
    * @param {number} options.limit - Maximum number of contacts to process (default: 1000)
@@ -1157,8 +1479,8 @@ class PostgresContactService {
       if (job_id) console.log(`   Filtering by job_id: ${job_id}`);
       if (project_origin) console.log(`   Filtering by project_origin: ${project_origin}`);
 
-      // Build where clause for filtering
-      const where = {};
+      // Build where clause for filtering - merged duplicates move with their golden contact
+      const where = { merged_into_id: null };
       if (job_id) where.jobid = job_id;
       if (project_origin) where.project_origin = project_origin;
 
@@ -1185,12 +1507,14 @@ class PostgresContactService {
       console.log(`📊 Found ${contacts.length} contacts to process`);
 
       let moved = 0;
+      let movedToEntities = 0;
       let skipped = 0;
       let failed = 0;
       const failedContacts = [];
 
-      // Get valid fields for ContactReady model (only once, outside loop)
-      const validFields = Object.keys(this.ContactReady.rawAttributes);
+      // Get valid fields for the target models (only once, outside loop)
+      const readyFields = Object.keys(this.ContactReady.rawAttributes);
+      const entityFields = Object.keys(this.BusinessEntity.rawAttributes);
 
       // Process each contact
       for (const contact of contacts) {
@@ -1201,7 +1525,12 @@ class PostgresContactService {
           delete contactData.created_at;
           delete contactData.updated_at;
 
-          // Filter to only include fields that exist in ContactReady
+          // Companies, partnerships, operators, government bodies and non-profits
+          // go to business_entities, everyone else to contactsready
+          const isEntity = BUSINESS_ENTITY_TYPES.includes(contactData.owner_type);
+          const validFields = isEntity ? entityFields : readyFields;
+
+          // Filter to only include fields that exist in the target model
           const filteredData = {};
           for (const key of validFields) {
             if (key !== 'id' && key !== 'created_at' && key !== 'updated_at' && contactData.hasOwnProperty(key)) {
@@ -1209,24 +1538,31 @@ class PostgresContactService {
             }
           }
 
-          // Try to insert into contactsready
+          // Try to insert into contactsready / business_entities
           // findOrCreate will skip if unique constraint is violated
-          const [created] = await this.ContactReady.findOrCreate({
-            where: {
-              name: filteredData.name,
-              first_name: filteredData.first_name,
-              last_name: filteredData.last_name,
-              llc_owner: filteredData.llc_owner,
-              address: filteredData.address,
-              city: filteredData.city,
-              state: filteredData.state,
-              zip: filteredData.zip
-            },
-            defaults: filteredData
-          });
+          const [readyContact, created] = isEntity
+            ? await this.BusinessEntity.findOrCreate({
+              where: {
+                name: filteredData.name,
+                llc_owner: filteredData.llc_owner,
+                address: filteredData.address,
+                city: filteredData.city,
+                state: filteredData.state,
+                zip: filteredData.zip
+              },
+              defaults: filteredData
+            })
+            : await this.findOrCreateReady(contact.id, filteredData);
+
+          // Phones, emails and interests go with the contact - also onto an existing ready
+          // record, which gains any it didn't have yet
+          const targetType = isEntity ? 'business_entity' : 'contact_ready';
+          await this.contactPointService.copyPoints('contact', contact.id, targetType, readyContact.id);
+          await this.interestService.copyInterests('contact', contact.id, targetType, readyContact.id);
 
           if (created) {
             moved++;
+            if (isEntity) movedToEntities++;
             if (moved % 100 === 0) {
               console.log(`   ✅ Moved ${moved} contacts so far...`);
             }
@@ -1250,7 +1586,7 @@ class PostgresContactService {
       console.log('📊 CONTACT MIGRATION SUMMARY');
       console.log('='.repeat(80));
       console.log(`Total processed: ${contacts.length}`);
-      console.log(`✅ Successfully moved: ${moved}`);
+      console.log(`✅ Successfully moved: ${moved} (${movedToEntities} to business entities)`);
       console.log(`⏭️ Skipped (duplicates): ${skipped}`);
       console.log(`❌ Failed: ${failed}`);
       console.log('='.repeat(80) + '\n');
@@ -1259,6 +1595,7 @@ class PostgresContactService {
         success: true,
         processed: contacts.length,
         moved,
+        movedToEntities,
         skipped,
         failed,
         failedContacts: failedContacts.length > 0 ? failedContacts : undefined,
@@ -1446,13 +1783,19 @@ class PostgresContactService {
    */
   async getContactReadyStats() {
     try {
-      const [total, verified, legal, pending] = await Promise.all([
+      const [total, verified, legal, pending, outreachStatuses] = await Promise.all([
         this.ContactReady.count(),
         this.ContactReady.count({ where: { verified: true } }),
         this.ContactReady.count({ where: { islegal: true } }),
-        this.ContactReady.count({ where: { verified: false } })
+        this.ContactReady.count({ where: { verified: false } }),
+        this.ContactReady.count({ group: ['outreach_status'] })
       ]);
 
+      const byOutreachStatus = Object.fromEntries(OutreachWorkflowService.STATUSES.map(status => [status, 0]));
+      outreachStatuses.forEach(row => {
+        byOutreachStatus[row.outreach_status] = row.count;
+      });
+
       return {
         success: true,
         stats: {
@@ -1460,7 +1803,8 @@ class PostgresContactService {
           verified,
           legal,
           pending,
-          verification_rate: total > 0 ? Math.round((verified / total) * 100) : 0
+          verification_rate: total > 0 ? Math.round((verified / total) * 100) : 0,
+          byOutreachStatus
         }
       };
     } catch (error) {
@@ -1483,6 +1827,8 @@ class PostgresContactService {
         company,
         verified,
         islegal,
+        ownerType, // One owner type or a comma-separated list
+        outreachStatus, // One outreach status or a comma-separated list
         city,
         state,
         search,
@@ -1503,8 +1849,7 @@ class PostgresContactService {
           { first_name: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
           { last_name: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
           { llc_owner: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
-          { phone1: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
-          { email1: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
+          { id: { [this.sequelize.Sequelize.Op.in]: this.contactPointService.ownerIdsMatching('contact_ready', search) } },
           { address: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
           { city: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
           { state: { [this.sequelize.Sequelize.Op.iLike]: searchTerm } },
@@ -1520,6 +1865,8 @@ class PostgresContactService {
       if (company) where.llc_owner = { [this.sequelize.Sequelize.Op.iLike]: `%${company}%` };
       if (verified !== undefined) where.verified = verified;
       if (islegal !== undefined) where.islegal = islegal;
+      if (ownerType) where.owner_type = PostgresContactService.listFilter(ownerType);
+      if (outreachStatus) where.outreach_status = PostgresContactService.listFilter(outreachStatus);
       if (city) where.city = { [this.sequelize.Sequelize.Op.iLike]: `%${city}%` };
       if (state) where.state = { [this.sequelize.Sequelize.Op.iLike]: `%${state}%` };
 
@@ -1539,8 +1886,8 @@ class PostgresContactService {
       // Validate sortBy to prevent SQL injection
       const allowedSortFields = [
         'id', 'name', 'first_name', 'last_name', 'llc_owner',
-        'company', 'city', 'state', 'verified', 'islegal',
-        'created_at', 'updated_at'
+        'company', 'city', 'state', 'verified', 'islegal', 'owner_type',
+        'outreach_status', 'outreach_status_at', 'created_at', 'updated_at'
       ];
 
       const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'created_at';
@@ -1550,7 +1897,9 @@ class PostgresContactService {
         where,
         limit,
         offset,
-        order: [[sortField, sortDirection]]
+        order: [[sortField, sortDirection]],
+        include: this.contactPointIncludes(),
+        distinct: true
       });
 
       return {
@@ -1583,7 +1932,7 @@ class PostgresContactService {
         return { success: false, error: 'Contact not found' };
       }
 
-      const updatedContact = await this.ContactReady.findByPk(id);
+      const updatedContact = await this.ContactReady.findByPk(id, { include: this.contactPointIncludes() });
       return {
         success: true,
         contact: updatedContact
@@ -1609,6 +1958,9 @@ class PostgresContactService {
         return { success: false, error: 'Contact not found' };
       }
 
+      await this.contactPointService.removePoints('contact_ready', [id]);
+      await this.interestService.removeInterests('contact_ready', [id]);
+
       return {
         success: true,
         message: 'Contact deleted successfully'
@@ -1626,7 +1978,7 @@ class PostgresContactService {
    */
   async getContactReadyById(id) {
     try {
-      const contact = await this.ContactReady.findByPk(id);
+      const contact = await this.ContactReady.findByPk(id, { include: this.contactPointIncludes() });
 
       if (!contact) {
         return { success: false, error: 'Contact not found' };
@@ -1652,6 +2004,8 @@ class PostgresContactService {
       const {
         verified,
         islegal,
+        ownerType,
+        outreachStatus,
         city,
         state,
         search
@@ -1673,22 +2027,25 @@ class PostgresContactService {
 
       if (verified !== undefined) where.verified = verified;
       if (islegal !== undefined) where.islegal = islegal;
+      if (ownerType) where.owner_type = PostgresContactService.listFilter(ownerType);
+      if (outreachStatus) where.outreach_status = PostgresContactService.listFilter(outreachStatus);
       if (city) where.city = { [this.sequelize.Sequelize.Op.iLike]: `%${city}%` };
       if (state) where.state = { [this.sequelize.Sequelize.Op.iLike]: `%${state}%` };
 
       const contacts = await this.ContactReady.findAll({
         where,
-        order: [['created_at', 'DESC']]
+        order: [['created_at', 'DESC']],
+        include: this.contactPointIncludes()
       });
 
       // Convert to CSV
       const headers = [
         'ID', 'Name', 'First Name', 'Last Name', 'Company',
-        'Phone1', 'Phone2', 'Email1', 'Email2',
-        'Address', 'City', 'State', 'ZIP', 'Unit',
+        'Phones', 'Emails',
+        'Address', 'City', 'State', 'ZIP', 'Unit', 'Care Of',
         'Record Type', 'Document Section', 'Source File',
         'Project Origin', 'App Number', 'Order Number', 'Case Number',
-        'Verified', 'Is Legal', 'Created At'
+        'Verified', 'Is Legal', 'Owner Type', 'Outreach Status', 'Outreach Status At', 'Created At'
       ];
 
       const csvRows = [headers.join(',')];
@@ -1700,15 +2057,14 @@ class PostgresContactService {
           this.escapeCSV(contact.first_name),
           this.escapeCSV(contact.last_name),
           this.escapeCSV(contact.llc_owner),
-          this.escapeCSV(contact.phone1),
-          this.escapeCSV(contact.phone2),
-          this.escapeCSV(contact.email1),
-          this.escapeCSV(contact.email2),
+          this.escapeCSV(this.contactPointService.formatPhones(contact.phones)),
+          this.escapeCSV(this.contactPointService.formatEmails(contact.emails)),
           this.escapeCSV(contact.address),
           this.escapeCSV(contact.city),
           this.escapeCSV(contact.state),
           this.escapeCSV(contact.zip),
           this.escapeCSV(contact.unit),
+          this.escapeCSV(contact.care_of),
           this.escapeCSV(contact.record_type),
           this.escapeCSV(contact.document_section),
           this.escapeCSV(contact.source_file),
@@ -1718,6 +2074,9 @@ class PostgresContactService {
           this.escapeCSV(contact.case_number),
           contact.verified,
           contact.islegal,
+          contact.owner_type,
+          contact.outreach_status,
+          contact.outreach_status_at,
           contact.created_at
         ];
         csvRows.push(row.join(','));
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const { ProcessedDocument } = require('../config/pddbclient.cjs');
+
+/**
+ * Content-hash registry of documents whose contacts have already been extracted
+ */
+class ProcessedDocumentService {
+  /**
+   * SHA-256 of a document's bytes
+   * @param {Buffer} buffer - PDF content
+   * @returns {string} Hex digest
+   */
+  hashContent(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Find a previously processed document by content hash
+   * @param {string} contentHash - SHA-256 hex digest
+   * @returns {Promise<ProcessedDocument|null>} Registry entry
+   */
+  async findByHash(contentHash) {
+    try {
+      return await ProcessedDocument.findByHash(contentHash);
+    } catch (error) {
+      console.error(`❌ Failed to look up processed document ${contentHash}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Note that a known document came through the pipeline again and was skipped
+   * @param {ProcessedDocument} document - Registry entry
+   * @param {string} jobId - Job that saw the document
+   * @returns {Promise<ProcessedDocument>} Updated entry
+   */
+  async markSeen(document, jobId) {
+    try {
+      return await document.update({
+        last_job_id: jobId,
+        times_seen: document.times_seen + 1,
+        last_seen_at: new Date()
+      });
+    } catch (error) {
+      console.error(`❌ Failed to update processed document ${document.content_hash}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a document after its contacts were saved. Documents already in the
+   * registry (force reprocessing) keep their first job and get a new extraction count.
+   * @param {Object} document
+   * @param {string} document.contentHash - SHA-256 hex digest
+   * @param {string} document.jobId - Job that processed the document
+   * @param {string} document.jobType - Source key (OCD_CBT, OLM, PLC, ...)
+   * @param {string} document.fileName - File name
+   * @param {string} document.sourceUrl - EMNRD URL (null for uploads)
+   * @param {string} document.s3Key - S3 key
+   * @param {string} document.recordType - County / applicant
+   * @param {number} document.fileSize - Size in bytes
+   * @param {number} document.contactCount - Contacts saved
+   * @param {string} document.extractionMethod - Extraction method
+   * @returns {Promise<ProcessedDocument>} Registry entry
+   */
+  async recordProcessed({ contentHash, jobId, jobType, fileName, sourceUrl, s3Key, recordType, fileSize, contactCount, extractionMethod }) {
+    try {
+      const existing = await ProcessedDocument.findByHash(contentHash);
+
+      if (existing) {
+        return await this.updateReprocessed(existing, { jobId, contactCount, extractionMethod });
+      }
+
+      try {
+        return await ProcessedDocument.create({
+          content_hash: contentHash,
+          file_name: fileName,
+          source_url: sourceUrl || null,
+          s3_key: s3Key || null,
+          job_type: jobType,
+          record_type: recordType || null,
+          file_size: fileSize || null,
+          first_job_id: jobId,
+          last_job_id: jobId,
+          contact_count: contactCount || 0,
+          extraction_method: extractionMethod || null,
+          last_seen_at: new Date()
+        });
+      } catch (createError) {
+        // Another worker registered the same content first
+        if (createError instanceof UniqueConstraintError) {
+          const winner = await ProcessedDocument.findByHash(contentHash);
+          return await this.updateReprocessed(winner, { jobId, contactCount, extractionMethod });
+        }
+        throw createError;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to register processed document ${fileName}:`, error.message);
+      throw error;
+    }
+  }
+
+  async updateReprocessed(document, { jobId, contactCount, extractionMethod }) {
+    return document.update({
+      last_job_id: jobId,
+      times_seen: document.times_seen + 1,
+      times_processed: document.times_processed + 1,
+      contact_count: contactCount || 0,
+      extraction_method: extractionMethod || document.extraction_method,
+      last_seen_at: new Date()
+    });
+  }
+}
+
+module.exports = ProcessedDocumentService;
@@ -0,0 +1,38 @@
+/**
+ * Spaces calls to an external API at a fixed rate. Each wait() takes the next free
+ * slot, so concurrent callers are queued rather than bursting.
+ */
+class RateLimiter {
+  /**
+   * @param {number} requestsPerSecond - Allowed rate; 0 or null for no limit
+   */
+  constructor(requestsPerSecond = null) {
+    this.nextSlot = 0;
+    this.setRate(requestsPerSecond);
+  }
+
+  setRate(requestsPerSecond) {
+    const rate = parseFloat(requestsPerSecond);
+    this.requestsPerSecond = rate > 0 ? rate : null;
+    this.intervalMs = rate > 0 ? Math.ceil(1000 / rate) : 0;
+  }
+
+  /**
+   * Resolve when the caller may make its request
+   */
+  async wait() {
+    if (!this.intervalMs) {
+      return;
+    }
+
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.intervalMs;
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,62 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { userFromRequest } = require('../config/authenticate.cjs');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Request Context
+ *
+ * Carries the request id and the acting user of the current HTTP request through
+ * everything the request awaits, so code far from the controller (model hooks,
+ * services) can attribute what it does without the values being passed down.
+ * Outside a request (cron jobs, startup) there is no context and the actor is 'system'.
+ */
+class RequestContext {
+  /**
+   * Express middleware that opens a context per request. The request id is taken from
+   * the x-request-id header when the caller sends one and echoed back on the response.
+   */
+  middleware() {
+    return (req, res, next) => {
+      const requestId = (req.headers['x-request-id'] || '').toString().substring(0, 64) || crypto.randomUUID();
+      res.setHeader('x-request-id', requestId);
+
+      storage.run({ requestId, actor: this.actorFromRequest(req) }, () => next());
+    };
+  }
+
+  /**
+   * Run fn with its own context, e.g. { actor: 'system:cron' } for scheduled work
+   */
+  run(context, fn) {
+    return storage.run({ requestId: crypto.randomUUID(), actor: 'system', ...context }, fn);
+  }
+
+  get() {
+    return storage.getStore() || null;
+  }
+
+  requestId() {
+    const context = this.get();
+    return context ? context.requestId : null;
+  }
+
+  actor() {
+    const context = this.get();
+    if (!context) return 'system';
+    return context.actor || 'anonymous';
+  }
+
+  /**
+   * User named by the bearer token (see config/authenticate.cjs). Missing or
+   * invalid tokens give null.
+   * @returns {string|null} Cognito username (or sub)
+   */
+  actorFromRequest(req) {
+    const { user } = userFromRequest(req);
+    return user && user.username ? user.username.substring(0, 255) : null;
+  }
+}
+
+module.exports = new RequestContext();
@@ -0,0 +1,420 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { ContactReady, SalesforceSyncRun, SalesforceSyncRecord } = require('../config/pddbclient.cjs');
+const { getSalesforceMapping, salesforceMappings } = require('../config/salesforce-mapping.cjs');
+const requestContext = require('./request-context.js');
+const PostgresContactService = require('./postgres-contact.service.js');
+
+// sObject Collections accept at most 200 records per request
+const BATCH_SIZE = 200;
+// Partial unique index allowing one running sync run (models/salesforce-sync-run.js)
+const ONE_RUNNING_INDEX = 'salesforce_sync_runs_one_running';
+
+/**
+ * Salesforce Sync Service
+ *
+ * Upserts ready contacts into Salesforce Contacts or Leads through the sObject
+ * Collections upsert (PATCH /composite/sobjects/{sobject}/{externalIdField}), matching
+ * on an external ID field holding the contactsready id, so re-running a sync updates
+ * the same Salesforce records instead of creating duplicates. Fields come from
+ * config/salesforce-mapping.cjs. Each contact's outcome is kept in
+ * salesforce_sync_records, and contacts whose mapped values haven't changed since
+ * their last successful sync are skipped unless the sync is forced.
+ *
+ * SALESFORCE_INSTANCE_URL + SALESFORCE_ACCESS_TOKEN use a fixed session (e.g. the mock
+ * server in scripts/mock-salesforce-server.js) instead of the JWT-bearer login.
+ */
+class SalesforceSyncService {
+  constructor(authService) {
+    this.authService = authService;
+    this.session = null;
+    this.apiVersion = process.env.SALESFORCE_API_VERSION || 'v60.0';
+  }
+
+  /**
+   * Start a sync in the background
+   * @param {Object} options
+   * @param {string} options.sobject - 'Contact' (default) or 'Lead'
+   * @param {Array|string} options.ids - Only these ready contact IDs
+   * @param {Array|string} options.outreachStatus - Only contacts in these outreach statuses
+   * @param {Array|string} options.ownerType - Only these owner types
+   * @param {boolean} options.verified - Only verified (or unverified) contacts
+   * @param {number} options.limit - Stop after this many contacts
+   * @param {boolean} options.force - Resend contacts whose values haven't changed
+   * @returns {Promise<Object>} { run, completion } - completion resolves with the finished run
+   * @throws {Error} error.code UNKNOWN_SOBJECT, or SYNC_ALREADY_RUNNING while a sync run is running
+   */
+  async startSync(options = {}) {
+    const sobject = options.sobject || 'Contact';
+    const mapping = getSalesforceMapping(sobject);
+    if (!mapping) {
+      throw this.error('UNKNOWN_SOBJECT', `Unknown Salesforce object "${sobject}". Must be one of: ${Object.keys(salesforceMappings).join(', ')}`);
+    }
+
+    // The running row is the guard, so a second process (or a restart) sees it too
+    const activeRun = await this.findRunningRun();
+    if (activeRun) {
+      throw this.alreadyRunningError(activeRun);
+    }
+
+    let run;
+    try {
+      run = await SalesforceSyncRun.create({
+        sobject,
+        external_id_field: mapping.externalIdField,
+        options: this.runOptions(options),
+        triggered_by: requestContext.actor()
+      });
+    } catch (error) {
+      // Another sync started between the check and the insert
+      const constraint = error.parent && error.parent.constraint;
+      if (error.name !== 'SequelizeUniqueConstraintError' || constraint !== ONE_RUNNING_INDEX) {
+        throw error;
+      }
+      throw this.alreadyRunningError(await this.findRunningRun());
+    }
+
+    console.log(`☁️ Salesforce sync ${run.id} started (${sobject} by ${mapping.externalIdField})`);
+
+    const completion = this.runSync(run, mapping, options);
+
+    return { run, completion };
+  }
+
+  findRunningRun() {
+    return SalesforceSyncRun.findOne({
+      where: { status: 'running' },
+      order: [['started_at', 'DESC']]
+    });
+  }
+
+  alreadyRunningError(activeRun) {
+    const runId = activeRun ? activeRun.id : null;
+    const error = this.error('SYNC_ALREADY_RUNNING', `Salesforce sync ${runId || '(unknown)'} is already running`);
+    error.runId = runId;
+    return error;
+  }
+
+  /**
+   * Fail sync runs left running by a restart - nothing is left to finish them, and
+   * they would block every later sync. Should be called on application startup
+   * @returns {Promise<number>} Number of runs marked failed
+   */
+  async failInterruptedRuns() {
+    const [count] = await SalesforceSyncRun.update(
+      { status: 'failed', error_message: 'Sync interrupted by an application restart', completed_at: new Date() },
+      { where: { status: 'running' } }
+    );
+    if (count) {
+      console.log(`❌ Marked ${count} interrupted Salesforce sync run(s) as failed`);
+    }
+    return count;
+  }
+
+  async runSync(run, mapping, options) {
+    const totals = { selected: 0, created: 0, updated: 0, unchanged: 0, failed: 0 };
+    const limit = parseInt(options.limit) || null;
+    let lastId = 0;
+
+    try {
+      await this.connect();
+
+      while (!limit || totals.selected < limit) {
+        const batchSize = limit ? Math.min(BATCH_SIZE, limit - totals.selected) : BATCH_SIZE;
+        const contacts = await ContactReady.findAll({
+          where: { ...this.selection(options), id: { ...this.idFilter(options.ids), [Op.gt]: lastId } },
+          include: [
+            { association: 'phones', separate: true, order: [['position', 'ASC']] },
+            { association: 'emails', separate: true, order: [['position', 'ASC']] }
+          ],
+          order: [['id', 'ASC']],
+          limit: batchSize
+        });
+        if (!contacts.length) {
+          break;
+        }
+        lastId = contacts[contacts.length - 1].id;
+
+        const counts = await this.syncBatch(run, mapping, contacts, options.force === true);
+        for (const key of Object.keys(totals)) {
+          totals[key] += counts[key];
+        }
+        await run.update(totals);
+      }
+
+      await run.update({ ...totals, status: 'completed', completed_at: new Date() });
+      console.log(`✅ Salesforce sync ${run.id} completed: ${totals.created} created, ${totals.updated} updated, ${totals.unchanged} unchanged, ${totals.failed} failed`);
+    } catch (error) {
+      console.error(`❌ Salesforce sync ${run.id} failed:`, error.message);
+      await run.update({ ...totals, status: 'failed', error_message: error.message, completed_at: new Date() });
+    }
+
+    return run;
+  }
+
+  /**
+   * Upsert one batch of ready contacts and record each outcome
+   * @returns {Promise<Object>} { selected, created, updated, unchanged, failed }
+   */
+  async syncBatch(run, mapping, contacts, force) {
+    const counts = { selected: contacts.length, created: 0, updated: 0, unchanged: 0, failed: 0 };
+    const existing = new Map((await SalesforceSyncRecord.findAll({
+      where: { sobject: run.sobject, contact_ready_id: contacts.map(contact => contact.id) }
+    })).map(record => [record.contact_ready_id, record]));
+
+    const now = new Date();
+    const rows = [];
+    const pending = [];
+
+    for (const contact of contacts) {
+      const previous = existing.get(contact.id);
+      const payload = this.buildPayload(mapping, contact);
+      const payloadHash = this.hashPayload(payload);
+
+      if (!force && previous && previous.status === 'synced' && previous.payload_hash === payloadHash) {
+        counts.unchanged++;
+        continue;
+      }
+
+      const missing = mapping.required.filter(field => payload[field] === null);
+      if (missing.length) {
+        counts.failed++;
+        rows.push(this.recordRow(run, contact, previous, now, {
+          errors: [{ statusCode: 'REQUIRED_FIELD_MISSING', message: `Required fields are missing: [${missing.join(', ')}]`, fields: missing }]
+        }));
+        continue;
+      }
+
+      pending.push({ contact, previous, payload, payloadHash });
+    }
+
+    if (pending.length) {
+      const results = await this.upsert(run.sobject, mapping.externalIdField, pending.map(item => item.payload));
+
+      pending.forEach((item, index) => {
+        const result = results[index] || { success: false, errors: [{ statusCode: 'NO_RESULT', message: 'Salesforce returned no result for this record' }] };
+        if (result.success) {
+          counts[result.created ? 'created' : 'updated']++;
+        } else {
+          counts.failed++;
+        }
+        rows.push(this.recordRow(run, item.contact, item.previous, now, { ...result, payloadHash: item.payloadHash }));
+      });
+    }
+
+    if (rows.length) {
+      await SalesforceSyncRecord.bulkCreate(rows, {
+        updateOnDuplicate: [
+          'external_id', 'salesforce_id', 'status', 'payload_hash', 'attempts', 'last_run_id',
+          'last_attempt_at', 'last_synced_at', 'error_code', 'error_message', 'errors', 'updated_at'
+        ]
+      });
+    }
+
+    return counts;
+  }
+
+  // Sync record values after an attempt; a failure keeps the last successful sync's ID and hash
+  recordRow(run, contact, previous, attemptedAt, { success = false, id, errors, payloadHash }) {
+    const failure = success ? null : (errors || [])[0] || {};
+    return {
+      contact_ready_id: contact.id,
+      sobject: run.sobject,
+      external_id: String(contact.id),
+      salesforce_id: id || (previous ? previous.salesforce_id : null),
+      status: success ? 'synced' : 'failed',
+      payload_hash: success ? payloadHash : (previous ? previous.payload_hash : null),
+      attempts: (previous ? previous.attempts : 0) + 1,
+      last_run_id: run.id,
+      last_attempt_at: attemptedAt,
+      last_synced_at: success ? attemptedAt : (previous ? previous.last_synced_at : null),
+      error_code: failure ? (failure.statusCode || 'UNKNOWN_ERROR') : null,
+      error_message: failure ? (failure.message || null) : null,
+      errors: failure ? errors : null
+    };
+  }
+
+  /**
+   * Salesforce record for a ready contact: mapped fields plus the external ID.
+   * Blank values are sent as null so cleared fields are cleared in Salesforce.
+   */
+  buildPayload(mapping, contact) {
+    const payload = {};
+    for (const [field, source] of Object.entries(mapping.fields)) {
+      const value = typeof source === 'function' ? source(contact) : contact[source];
+      const text = value === null || value === undefined ? '' : String(value).trim();
+      payload[field] = text || null;
+    }
+    payload[mapping.externalIdField] = String(contact.id);
+    return payload;
+  }
+
+  hashPayload(payload) {
+    return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+  }
+
+  /**
+   * sObject Collections upsert (allOrNone false, so one bad record doesn't fail the rest)
+   * @returns {Promise<Array>} One { id, success, created, errors } per record, in order
+   */
+  async upsert(sobject, externalIdField, payloads, retried = false) {
+    const { accessToken, instanceUrl } = this.session;
+    try {
+      const response = await axios.patch(
+        `${instanceUrl}/services/data/${this.apiVersion}/composite/sobjects/${sobject}/${externalIdField}`,
+        {
+          allOrNone: false,
+          records: payloads.map(payload => ({ attributes: { type: sobject }, ...payload }))
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 120000
+        }
+      );
+      return response.data;
+    } catch (error) {
+      // Sessions expire; log in again once
+      if (error.response && error.response.status === 401 && !retried) {
+        console.log('🔑 Salesforce session expired, logging in again...');
+        this.session = null;
+        await this.connect();
+        return this.upsert(sobject, externalIdField, payloads, true);
+      }
+
+      const detail = error.response ? JSON.stringify(error.response.data) : error.message;
+      throw this.error('SALESFORCE_REQUEST_FAILED', `Salesforce upsert failed: ${detail}`);
+    }
+  }
+
+  /**
+   * Salesforce session: the fixed one from the environment, or a JWT-bearer login
+   * @throws {Error} error.code SALESFORCE_AUTH_FAILED
+   */
+  async connect() {
+    if (this.session) {
+      return this.session;
+    }
+
+    if (process.env.SALESFORCE_ACCESS_TOKEN && process.env.SALESFORCE_INSTANCE_URL) {
+      this.session = {
+        accessToken: process.env.SALESFORCE_ACCESS_TOKEN,
+        instanceUrl: process.env.SALESFORCE_INSTANCE_URL.replace(/\/$/, '')
+      };
+      return this.session;
+    }
+
+    const login = await this.authService.loginSalesforce();
+    if (!login) {
+      throw this.error('SALESFORCE_AUTH_FAILED', 'Salesforce login failed');
+    }
+    this.session = login;
+    return this.session;
+  }
+
+  /**
+   * Sync runs, newest first
+   * @param {Object} filters - { status, sobject }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { rows, pagination }
+   */
+  async listRuns(filters = {}, { limit, offset } = {}) {
+    const cappedLimit = Math.min(parseInt(limit) || 50, 500);
+    const cappedOffset = parseInt(offset) || 0;
+    const where = {};
+    if (filters.status) where.status = filters.status;
+    if (filters.sobject) where.sobject = filters.sobject;
+
+    const { count, rows } = await SalesforceSyncRun.findAndCountAll({
+      where,
+      order: [['started_at', 'DESC'], ['id', 'DESC']],
+      limit: cappedLimit,
+      offset: cappedOffset
+    });
+
+    return { rows, pagination: this.pagination(count, cappedLimit, cappedOffset) };
+  }
+
+  /**
+   * A sync run with the records it failed
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object|null>} { run, failures }
+   */
+  async getRun(runId) {
+    const run = await SalesforceSyncRun.findByPk(runId);
+    if (!run) {
+      return null;
+    }
+
+    const failures = await SalesforceSyncRecord.findAll({
+      where: { last_run_id: run.id, status: 'failed' },
+      include: [{ model: ContactReady, as: 'contact', attributes: ['id', 'name', 'first_name', 'last_name', 'case_number'] }],
+      order: [['contact_ready_id', 'ASC']]
+    });
+
+    return { run, failures };
+  }
+
+  /**
+   * Sync records filtered by status, object, run or ready contact
+   * @param {Object} filters - { status, sobject, runId, contactReadyId }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { rows, pagination }
+   */
+  async listRecords(filters = {}, { limit, offset } = {}) {
+    const cappedLimit = Math.min(parseInt(limit) || 50, 500);
+    const cappedOffset = parseInt(offset) || 0;
+    const where = {};
+    if (filters.status) where.status = filters.status;
+    if (filters.sobject) where.sobject = filters.sobject;
+    if (filters.runId) where.last_run_id = parseInt(filters.runId);
+    if (filters.contactReadyId) where.contact_ready_id = parseInt(filters.contactReadyId);
+
+    const { count, rows } = await SalesforceSyncRecord.findAndCountAll({
+      where,
+      order: [['last_attempt_at', 'DESC'], ['id', 'DESC']],
+      limit: cappedLimit,
+      offset: cappedOffset
+    });
+
+    return { rows, pagination: this.pagination(count, cappedLimit, cappedOffset) };
+  }
+
+  // Contact filters of a sync, on top of the id keyset
+  selection(options) {
+    const where = {};
+    if (options.outreachStatus) where.outreach_status = PostgresContactService.listFilter(options.outreachStatus);
+    if (options.ownerType) where.owner_type = PostgresContactService.listFilter(options.ownerType);
+    if (options.verified !== undefined) where.verified = options.verified;
+    return where;
+  }
+
+  idFilter(ids) {
+    if (!ids) {
+      return {};
+    }
+    const values = (Array.isArray(ids) ? ids : ids.toString().split(','))
+      .map(id => parseInt(id))
+      .filter(id => !isNaN(id));
+    return { [Op.in]: values };
+  }
+
+  runOptions({ ids, outreachStatus, ownerType, verified, limit, force }) {
+    return { ids, outreachStatus, ownerType, verified, limit, force: force === true };
+  }
+
+  pagination(total, limit, offset) {
+    return { total, limit, offset, hasMore: offset + limit < total };
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = SalesforceSyncService;
@@ -0,0 +1,356 @@
+const cron = require('node-cron');
+const { SearchTarget } = require('../config/pddbclient.cjs');
+const { documentSources } = require('../config/document-sources.cjs');
+
+const TARGET_TYPES = ['applicant', 'county'];
+const EDITABLE_FIELDS = ['target_type', 'name', 'category', 'enabled', 'schedule', 'notes'];
+
+/**
+ * Search Target Management Service
+ *
+ * CRUD for the applicants and counties searched on EMNRD, plus the name
+ * lookups DataService uses in place of its hard-coded lists
+ */
+class SearchTargetService {
+  /**
+   * OCD application categories a county target can belong to (CTB, OLM, PLC).
+   * Categories are not database-managed: each one needs a document source
+   * (prompt, S3 prefix, cron) in config/document-sources.cjs before its counties
+   * are searched, so a new category is added there rather than through these routes.
+   */
+  getCategories() {
+    return documentSources.map(source => source.applicationCategoryId);
+  }
+
+  /**
+   * Get all targets with optional filtering
+   */
+  async getAllTargets(filters = {}) {
+    try {
+      const where = {};
+
+      if (filters.target_type) {
+        where.target_type = filters.target_type;
+      }
+
+      if (filters.category) {
+        where.category = filters.category;
+      }
+
+      if (filters.enabled !== undefined) {
+        where.enabled = filters.enabled;
+      }
+
+      const targets = await SearchTarget.findAll({
+        where,
+        order: [
+          ['target_type', 'ASC'],
+          ['category', 'ASC'],
+          ['name', 'ASC']
+        ]
+      });
+
+      return {
+        success: true,
+        count: targets.length,
+        targets
+      };
+    } catch (error) {
+      console.error('Error fetching search targets:', error.message);
+      return {
+        success: false,
+        message: `Failed to fetch search targets: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Get a target by ID
+   */
+  async getTargetById(id) {
+    try {
+      const target = await SearchTarget.findByPk(id);
+
+      if (!target) {
+        return {
+          success: false,
+          notFound: true,
+          message: `Search target not found: ${id}`
+        };
+      }
+
+      return {
+        success: true,
+        target
+      };
+    } catch (error) {
+      console.error(`Error fetching search target ${id}:`, error.message);
+      return {
+        success: false,
+        message: `Failed to fetch search target: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Create a new target
+   */
+  async createTarget(targetData, createdBy = 'system') {
+    try {
+      const data = this.normalize(this.pickEditable(targetData));
+
+      const validationError = this.validate(data);
+      if (validationError) {
+        return {
+          success: false,
+          message: validationError
+        };
+      }
+
+      const existing = await SearchTarget.findOne({
+        where: { target_type: data.target_type, category: data.category, name: data.name }
+      });
+
+      if (existing) {
+        return {
+          success: false,
+          message: `Search target already exists: ${this.describe(existing)} (id ${existing.id})`
+        };
+      }
+
+      const target = await SearchTarget.create({
+        ...data,
+        created_by: createdBy,
+        updated_by: createdBy
+      });
+
+      console.log(`✅ Created search target: ${this.describe(target)}`);
+
+      return {
+        success: true,
+        message: 'Search target created successfully',
+        target
+      };
+    } catch (error) {
+      console.error('Error creating search target:', error.message);
+      return {
+        success: false,
+        message: `Failed to create search target: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Update an existing target
+   */
+  async updateTarget(id, updates, updatedBy = 'system') {
+    try {
+      const target = await SearchTarget.findByPk(id);
+
+      if (!target) {
+        return {
+          success: false,
+          notFound: true,
+          message: `Search target not found: ${id}`
+        };
+      }
+
+      const data = this.normalize({
+        target_type: target.target_type,
+        name: target.name,
+        category: target.category,
+        enabled: target.enabled,
+        schedule: target.schedule,
+        notes: target.notes,
+        ...this.pickEditable(updates)
+      });
+
+      const validationError = this.validate(data);
+      if (validationError) {
+        return {
+          success: false,
+          message: validationError
+        };
+      }
+
+      await target.update({
+        ...data,
+        updated_by: updatedBy
+      });
+
+      console.log(`✅ Updated search target: ${this.describe(target)}`);
+
+      return {
+        success: true,
+        message: 'Search target updated successfully',
+        target
+      };
+    } catch (error) {
+      console.error(`Error updating search target ${id}:`, error.message);
+      return {
+        success: false,
+        message: `Failed to update search target: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Delete a target (use enabled = false to pause one instead)
+   */
+  async deleteTarget(id) {
+    try {
+      const target = await SearchTarget.findByPk(id);
+
+      if (!target) {
+        return {
+          success: false,
+          notFound: true,
+          message: `Search target not found: ${id}`
+        };
+      }
+
+      await target.destroy();
+
+      console.log(`🗑️ Deleted search target: ${this.describe(target)}`);
+
+      return {
+        success: true,
+        message: 'Search target deleted successfully'
+      };
+    } catch (error) {
+      console.error(`Error deleting search target ${id}:`, error.message);
+      return {
+        success: false,
+        message: `Failed to delete search target: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Enabled targets grouped the way the processing jobs consume them
+   * @returns {Promise<Object>} { applicants: [...], counties: { CTB: [...], OLM: [...], PLC: [...] } }
+   */
+  async getEligibleTargets() {
+    try {
+      const [applicants, counties] = await Promise.all([
+        SearchTarget.findEnabled('applicant'),
+        SearchTarget.findEnabled('county')
+      ]);
+
+      const countiesByCategory = {};
+      this.getCategories().forEach(category => {
+        countiesByCategory[category] = counties.filter(target => target.category === category);
+      });
+
+      return {
+        success: true,
+        applicants,
+        counties: countiesByCategory
+      };
+    } catch (error) {
+      console.error('Error fetching eligible search targets:', error.message);
+      return {
+        success: false,
+        message: `Failed to fetch eligible search targets: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Names of enabled targets of a type. Falls back to the given defaults when no
+   * target of that type/category has been configured yet, or the table can't be read.
+   * @param {string} targetType - applicant or county
+   * @param {string} category - ApplicationCategoryId ('' for applicants)
+   * @param {Array<string>} defaults - Names to use when nothing is configured
+   * @returns {Promise<Array<string>>} Names
+   */
+  async getTargetNames(targetType, category, defaults = []) {
+    try {
+      const configured = await SearchTarget.count({ where: { target_type: targetType, category } });
+
+      if (!configured) {
+        console.warn(`⚠️ No ${targetType} search targets configured${category ? ` for ${category}` : ''} - using defaults`);
+        return defaults;
+      }
+
+      const targets = await SearchTarget.findEnabled(targetType, category);
+      return targets.map(target => target.name);
+    } catch (error) {
+      console.error(`Error loading ${targetType} search targets, using defaults:`, error.message);
+      return defaults;
+    }
+  }
+
+  /**
+   * Enabled targets that have their own cron schedule
+   * @param {string} targetType - applicant or county
+   * @param {string} category - ApplicationCategoryId ('' for applicants)
+   * @returns {Promise<Array<SearchTarget>>} Scheduled targets
+   */
+  async getScheduledTargets(targetType, category = '') {
+    const targets = await SearchTarget.findEnabled(targetType, category);
+    return targets.filter(target => target.schedule);
+  }
+
+  pickEditable(data = {}) {
+    const picked = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+    });
+    return picked;
+  }
+
+  normalize(data) {
+    const normalized = { ...data };
+
+    if (typeof normalized.name === 'string') {
+      normalized.name = normalized.name.trim();
+    }
+
+    // Applicant searches are not split by category
+    normalized.category = normalized.target_type === 'applicant'
+      ? ''
+      : (normalized.category || '').toString().trim().toUpperCase();
+
+    if (normalized.schedule === '') {
+      normalized.schedule = null;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * @returns {string|null} Validation error message, or null when valid
+   */
+  validate(data) {
+    if (!TARGET_TYPES.includes(data.target_type)) {
+      return `target_type must be one of: ${TARGET_TYPES.join(', ')}`;
+    }
+
+    if (!data.name) {
+      return 'Missing required field: name';
+    }
+
+    if (data.target_type === 'county' && !this.getCategories().includes(data.category)) {
+      return `County targets need a category: ${this.getCategories().join(', ')}`;
+    }
+
+    if (data.schedule && !cron.validate(data.schedule)) {
+      return `Invalid cron expression: ${data.schedule}`;
+    }
+
+    if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+      return 'enabled must be true or false';
+    }
+
+    return null;
+  }
+
+  describe(target) {
+    return target.category ? `${target.target_type} ${target.name} (${target.category})` : `${target.target_type} ${target.name}`;
+  }
+}
+
+module.exports = SearchTargetService;
@@ -0,0 +1,499 @@
+require('dotenv').config();
+const { Op } = require('sequelize');
+const { JobRun, JobQueueItem, Contact } = require('../config/pddbclient.cjs');
+const jobIdService = require('./job-id.service');
+const JobRunService = require('./job-run.service.js');
+const JobQueueService = require('./job-queue.service.js');
+const WhitepagesService = require('./whitepages.service');
+const RateLimiter = require('./rate-limiter.js');
+
+const JOB_TYPE = 'WHITEPAGES';
+const MAX_BATCH_SIZE = 1000;
+
+// Batches being worked by this process: jobId → completion promise
+const workers = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * WhitePages batch lookups as background jobs
+ *
+ * A batch is a JobRun (job_type WHITEPAGES) with one job queue item per contact,
+ * worked in the background so the request that starts it returns at once. Each
+ * lookup waits on the batch's own rate limit (options.requests_per_second) as well
+ * as the provider's, and is checked against the daily and monthly spend caps
+ * first. Requests that fail with a 429, a 5xx or no response are retried with
+ * exponential backoff before the failure is stored.
+ *
+ * Statuses: running → paused (by request, or when a spend cap is reached) →
+ * running → completed; running or paused → cancelled.
+ *
+ * Settings: WP_DAILY_SPEND_CAP, WP_MONTHLY_SPEND_CAP (USD, unset for no cap),
+ * WP_MAX_RETRIES (default 3), WP_RETRY_BASE_MS (default 2000, doubled per retry,
+ * at most 60s).
+ */
+class WhitepagesBatchService {
+  constructor() {
+    this.whitepagesService = new WhitepagesService();
+    this.enrichmentService = this.whitepagesService.enrichmentService;
+    this.provider = this.whitepagesService.provider;
+    this.jobRunService = new JobRunService();
+    this.jobQueueService = new JobQueueService();
+
+    const maxRetries = parseInt(process.env.WP_MAX_RETRIES);
+    this.maxRetries = isNaN(maxRetries) ? 3 : Math.max(0, maxRetries);
+    this.retryBaseMs = parseInt(process.env.WP_RETRY_BASE_MS) || 2000;
+    this.retryMaxMs = 60000;
+    this.dailySpendCap = parseFloat(process.env.WP_DAILY_SPEND_CAP) || null;
+    this.monthlySpendCap = parseFloat(process.env.WP_MONTHLY_SPEND_CAP) || null;
+  }
+
+  /**
+   * Queue eligible contacts and start looking them up in the background
+   * @param {Object} options
+   * @param {number} options.limit - Contacts to look up (default 50, max 1000)
+   * @param {number} options.requestsPerSecond - Batch rate limit (default: the provider's, WP_REQUESTS_PER_SECOND)
+   * @param {string} options.triggerType - cron, manual or api
+   * @returns {Promise<Object>} { jobId, total } - jobId is null when no contact is eligible
+   * @throws {Error} error.code JOB_ALREADY_RUNNING or SPEND_CAP_REACHED
+   */
+  async startBatch({ limit = 50, requestsPerSecond = null, triggerType = 'api' } = {}) {
+    await this.assertNoActiveBatch();
+    await this.assertWithinSpendCaps();
+
+    // Contacts still queued in a paused batch are left to that batch
+    const queued = await JobQueueItem.findAll({
+      where: { job_type: JOB_TYPE, status: { [Op.in]: ['pending', 'leased'] } },
+      attributes: ['payload'],
+      raw: true
+    });
+
+    const contacts = await this.whitepagesService.findEligibleContacts(
+      Math.min(parseInt(limit) || 50, MAX_BATCH_SIZE),
+      0,
+      { excludeIds: queued.map(item => item.payload.contactId) }
+    );
+
+    if (!contacts.length) {
+      return { jobId: null, total: 0 };
+    }
+
+    const jobId = jobIdService.generateJobId(JOB_TYPE);
+    await this.jobRunService.startExclusiveJobRun({
+      job_id: jobId,
+      job_type: JOB_TYPE,
+      trigger_type: triggerType,
+      options: { requests_per_second: parseFloat(requestsPerSecond) > 0 ? parseFloat(requestsPerSecond) : null }
+    });
+
+    await this.jobQueueService.enqueueItems(jobId, JOB_TYPE, contacts.map(contact => ({
+      item_key: String(contact.id),
+      payload: {
+        contactId: contact.id,
+        name: `${contact.first_name || ''} ${contact.last_name || ''}`.trim()
+      }
+    })));
+
+    console.log(`📦 WhitePages batch ${jobId} started for ${contacts.length} contacts`);
+    this.runWorker(jobId);
+
+    return { jobId, total: contacts.length };
+  }
+
+  /**
+   * Stop a running batch after the lookup in progress
+   * @throws {Error} error.code JOB_NOT_FOUND or INVALID_JOB_STATE
+   */
+  async pauseBatch(jobId) {
+    const jobRun = await this.findBatch(jobId);
+    if (jobRun.status !== 'running') {
+      throw this.error('INVALID_JOB_STATE', `Batch ${jobId} is ${jobRun.status}, only running batches can be paused`);
+    }
+
+    await jobRun.update({ status: 'paused', error_message: 'Paused by request' });
+    console.log(`⏸️ WhitePages batch ${jobId} paused`);
+    return this.getBatchStatus(jobId);
+  }
+
+  /**
+   * Continue a paused batch with its remaining contacts
+   * @throws {Error} error.code JOB_NOT_FOUND, INVALID_JOB_STATE, JOB_ALREADY_RUNNING or SPEND_CAP_REACHED
+   */
+  async resumeBatch(jobId) {
+    const jobRun = await this.findBatch(jobId);
+    if (jobRun.status !== 'paused') {
+      throw this.error('INVALID_JOB_STATE', `Batch ${jobId} is ${jobRun.status}, only paused batches can be resumed`);
+    }
+
+    await this.assertNoActiveBatch();
+    await this.assertWithinSpendCaps();
+
+    await jobRun.update({ status: 'running', error_message: null });
+    console.log(`▶️ WhitePages batch ${jobId} resumed`);
+    this.runWorker(jobId);
+
+    return this.getBatchStatus(jobId);
+  }
+
+  /**
+   * Stop a running or paused batch for good. Contacts not yet looked up are
+   * marked skipped and stay eligible for later batches.
+   * @throws {Error} error.code JOB_NOT_FOUND or INVALID_JOB_STATE
+   */
+  async cancelBatch(jobId) {
+    const jobRun = await this.findBatch(jobId);
+    if (!['running', 'paused'].includes(jobRun.status)) {
+      throw this.error('INVALID_JOB_STATE', `Batch ${jobId} is already ${jobRun.status}`);
+    }
+
+    await jobRun.update({ status: 'cancelled', error_message: null });
+    const skipped = await this.jobQueueService.skipPendingItems(jobId, { reason: 'Cancelled' });
+    await this.recordCancelled(jobId);
+
+    console.log(`🛑 WhitePages batch ${jobId} cancelled (${skipped} contacts not looked up)`);
+    return this.getBatchStatus(jobId);
+  }
+
+  /**
+   * Batch progress, outcome counts and spend
+   * @throws {Error} error.code JOB_NOT_FOUND
+   */
+  async getBatchStatus(jobId) {
+    const jobRun = await this.findBatch(jobId);
+    const [progress, spend] = await Promise.all([this.getProgress(jobId), this.getSpendStatus()]);
+
+    return {
+      job_id: jobRun.job_id,
+      status: jobRun.status,
+      trigger_type: jobRun.trigger_type,
+      started_at: jobRun.started_at,
+      completed_at: jobRun.completed_at,
+      duration_seconds: jobRun.duration_seconds,
+      message: jobRun.error_message,
+      requests_per_second: (jobRun.options && jobRun.options.requests_per_second) || this.provider.rateLimiter.requestsPerSecond,
+      active_in_this_process: workers.has(jobId),
+      progress: { ...progress, failures: progress.failures.slice(0, 100) },
+      spend: {
+        batch: progress.cost,
+        ...spend
+      }
+    };
+  }
+
+  /**
+   * WhitePages batches, newest first
+   * @param {Object} filters - { status, limit, offset } - see JobRunService.getJobRuns
+   */
+  async listBatches(filters = {}) {
+    return this.jobRunService.getJobRuns({ ...filters, job_type: JOB_TYPE });
+  }
+
+  /**
+   * Pick up batches that were running when the process stopped
+   * @returns {Promise<number>} Number of batches resumed
+   */
+  async resumeInterruptedJobs() {
+    const jobRuns = await this.jobQueueService.findInterruptedJobs(JOB_TYPE);
+    jobRuns.forEach(jobRun => this.runWorker(jobRun.job_id));
+    return jobRuns.length;
+  }
+
+  /**
+   * Work a batch in the background, once per process
+   * @returns {Promise<void>} Resolves when the batch completes, pauses or is cancelled
+   */
+  runWorker(jobId) {
+    if (workers.has(jobId)) {
+      return workers.get(jobId);
+    }
+
+    const completion = this.drainBatch(jobId)
+      .catch(error => console.error(`❌ WhitePages batch ${jobId} failed:`, error.message))
+      .finally(() => workers.delete(jobId));
+
+    workers.set(jobId, completion);
+    return completion;
+  }
+
+  async drainBatch(jobId) {
+    const jobRun = await this.findBatch(jobId);
+    const rateLimiter = new RateLimiter(jobRun.options && jobRun.options.requests_per_second);
+
+    try {
+      while (true) {
+        // Pause and cancel take effect between lookups
+        await jobRun.reload();
+        if (jobRun.status === 'cancelled') {
+          await this.recordCancelled(jobId);
+          return;
+        }
+        if (jobRun.status !== 'running') {
+          console.log(`⏸️ WhitePages batch ${jobId} stopped (${jobRun.status})`);
+          return;
+        }
+
+        const capReason = this.spendCapReason(await this.getSpendStatus());
+        if (capReason) {
+          await jobRun.update({ status: 'paused', error_message: capReason });
+          console.warn(`💸 WhitePages batch ${jobId} paused: ${capReason}`);
+          return;
+        }
+
+        const item = await this.jobQueueService.claimNext(jobId);
+
+        if (!item) {
+          if (await this.jobQueueService.countOutstanding(jobId) === 0) {
+            break;
+          }
+
+          // Another process still holds a lease - wait for it to finish or expire
+          const waitMs = await this.jobQueueService.msUntilNextLeaseExpiry(jobId);
+          await sleep(Math.min(Math.max(waitMs || 0, 1000), this.jobQueueService.leaseSeconds * 1000));
+          continue;
+        }
+
+        await this.processItem(jobRun, item, rateLimiter);
+      }
+
+      const progress = await this.getProgress(jobId);
+      await this.jobRunService.markJobCompleted(jobId, this.toJobMetrics(progress));
+      console.log(`✅ WhitePages batch ${jobId} completed: ${progress.success} matched, ${progress.no_results} no results, ${progress.errors} errors ($${progress.cost.toFixed(2)})`);
+
+    } catch (error) {
+      let metrics = {};
+      try {
+        metrics = this.toJobMetrics(await this.getProgress(jobId));
+      } catch (metricsErr) {
+        console.error('Failed to collect batch metrics:', metricsErr.message);
+      }
+
+      await this.jobRunService.markJobFailed(jobId, error.message, error.stack, metrics);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up one queued contact, retrying 429 / 5xx / no-response failures, and
+   * store the outcome in whitepages_lookups
+   */
+  async processItem(jobRun, item, rateLimiter) {
+    const stopHeartbeat = this.jobQueueService.startHeartbeat(item);
+
+    try {
+      const contact = await Contact.findByPk(item.payload.contactId);
+      if (!contact) {
+        await this.jobQueueService.skipItem(item, { reason: 'Contact not found' });
+        return;
+      }
+
+      let attempt;
+      let retries = 0;
+      let cost = 0;
+
+      while (true) {
+        await rateLimiter.wait();
+        attempt = await this.whitepagesService.lookupContact(contact);
+        cost += attempt.cost || 0;
+
+        if (attempt.status !== 'error' || !this.isRetryable(attempt.httpStatus) || retries >= this.maxRetries) {
+          break;
+        }
+
+        retries++;
+        const delayMs = this.backoffMs(retries);
+        console.log(`🔁 WhitePages returned ${attempt.httpStatus || 'no response'} for contact ${contact.id}, retry ${retries}/${this.maxRetries} in ${delayMs / 1000}s`);
+        await sleep(delayMs);
+
+        await jobRun.reload();
+        if (jobRun.status !== 'running') {
+          // Paused during the backoff - the contact is looked up again on resume
+          if (jobRun.status === 'cancelled') {
+            await this.jobQueueService.skipItem(item, { reason: 'Cancelled' });
+          } else {
+            await this.jobQueueService.releaseItem(item);
+          }
+          return;
+        }
+
+        // A retry is billed like any lookup (every attempt is in the spend totals)
+        const capReason = this.spendCapReason(await this.getSpendStatus());
+        if (capReason) {
+          await this.jobQueueService.releaseItem(item);
+          await jobRun.update({ status: 'paused', error_message: capReason });
+          console.warn(`💸 WhitePages batch ${jobRun.job_id} paused before retrying contact ${contact.id}: ${capReason}`);
+          return;
+        }
+      }
+
+      const lookup = await this.whitepagesService.storeAttempt(contact, attempt);
+      const payload = {
+        ...item.payload,
+        lookup_id: lookup.id,
+        lookup_status: lookup.lookup_status,
+        http_status: attempt.httpStatus,
+        retries,
+        cost
+      };
+
+      if (attempt.status === 'error') {
+        await item.update({ payload });
+        await this.jobQueueService.failItem(item, new Error(attempt.error || 'WhitePages lookup failed'), {
+          reason: attempt.httpStatus ? `HTTP ${attempt.httpStatus}` : 'No response',
+          retryable: false
+        });
+      } else {
+        await this.jobQueueService.completeItem(item, {
+          contactCount: attempt.status === 'success' ? 1 : 0,
+          payload
+        });
+      }
+    } finally {
+      stopHeartbeat();
+    }
+  }
+
+  isRetryable(httpStatus) {
+    return !httpStatus || httpStatus === 429 || httpStatus >= 500;
+  }
+
+  backoffMs(retry) {
+    return Math.min(this.retryMaxMs, this.retryBaseMs * Math.pow(2, retry - 1));
+  }
+
+  /**
+   * Outcome counts of a batch from its queue items
+   * @returns {Promise<Object>} { total, processed, remaining, percent, success, no_results, errors, skipped, cost }
+   */
+  async getProgress(jobId) {
+    const items = await JobQueueItem.findAll({
+      where: { job_id: jobId },
+      attributes: ['status', 'payload', 'failure_reason', 'last_error'],
+      order: [['sequence', 'ASC']]
+    });
+
+    const progress = { total: items.length, processed: 0, remaining: 0, percent: 0, success: 0, no_results: 0, errors: 0, skipped: 0, cost: 0, failures: [] };
+
+    items.forEach(item => {
+      progress.cost += (item.payload && item.payload.cost) || 0;
+
+      if (['pending', 'leased'].includes(item.status)) {
+        progress.remaining++;
+        return;
+      }
+
+      if (item.status === 'skipped') {
+        progress.skipped++;
+        if (item.failure_reason !== 'Cancelled') {
+          progress.failures.push({ contact_id: item.payload.contactId, reason: item.failure_reason, error: item.last_error });
+        }
+        return;
+      }
+
+      progress.processed++;
+      if (item.status === 'failed') {
+        progress.errors++;
+        progress.failures.push({ contact_id: item.payload.contactId, reason: item.failure_reason, error: item.last_error });
+      } else if (item.payload.lookup_status === 'success') {
+        progress.success++;
+      } else {
+        progress.no_results++;
+      }
+    });
+
+    const toDo = progress.processed + progress.remaining;
+    progress.percent = toDo ? Math.round((progress.processed / toDo) * 100) : 100;
+    progress.cost = Math.round(progress.cost * 10000) / 10000;
+    return progress;
+  }
+
+  // Progress in the shape JobRunService.markJobCompleted expects
+  toJobMetrics(progress) {
+    return {
+      totalFiles: progress.processed + progress.remaining,
+      successfullyProcessed: progress.success + progress.no_results,
+      processingFailed: progress.errors,
+      totalContacts: progress.success,
+      skippedFiles: progress.failures.map(failure => ({ file: `contact ${failure.contact_id}`, reason: failure.reason, error: failure.error }))
+    };
+  }
+
+  // Final counters of a cancelled batch (its status is already cancelled)
+  async recordCancelled(jobId) {
+    const jobRun = await this.findBatch(jobId);
+    const metrics = this.toJobMetrics(await this.getProgress(jobId));
+    const completed_at = new Date();
+
+    await jobRun.update({
+      completed_at,
+      duration_seconds: Math.round((completed_at - new Date(jobRun.started_at)) / 1000),
+      total_files: metrics.totalFiles,
+      successfully_processed: metrics.successfullyProcessed,
+      processing_failed: metrics.processingFailed,
+      total_contacts: metrics.totalContacts,
+      skipped_files: metrics.skippedFiles.slice(0, 100)
+    });
+  }
+
+  /**
+   * WhitePages spend today and this month (server time) against the caps
+   * @returns {Promise<Object>} { cost_per_lookup, daily, daily_cap, monthly, monthly_cap }
+   */
+  async getSpendStatus() {
+    const now = new Date();
+    const [daily, monthly] = await Promise.all([
+      this.enrichmentService.getSpend(this.provider.name, new Date(now.getFullYear(), now.getMonth(), now.getDate()), now),
+      this.enrichmentService.getSpend(this.provider.name, new Date(now.getFullYear(), now.getMonth(), 1), now)
+    ]);
+
+    return {
+      cost_per_lookup: this.provider.costPerLookup,
+      daily,
+      daily_cap: this.dailySpendCap,
+      monthly,
+      monthly_cap: this.monthlySpendCap
+    };
+  }
+
+  // Why the next lookup would go over a cap, or null
+  spendCapReason(spend) {
+    if (spend.daily_cap && spend.daily + spend.cost_per_lookup > spend.daily_cap) {
+      return `Daily WhitePages spend cap reached ($${spend.daily.toFixed(2)} of $${spend.daily_cap.toFixed(2)})`;
+    }
+    if (spend.monthly_cap && spend.monthly + spend.cost_per_lookup > spend.monthly_cap) {
+      return `Monthly WhitePages spend cap reached ($${spend.monthly.toFixed(2)} of $${spend.monthly_cap.toFixed(2)})`;
+    }
+    return null;
+  }
+
+  async assertWithinSpendCaps() {
+    const reason = this.spendCapReason(await this.getSpendStatus());
+    if (reason) {
+      throw this.error('SPEND_CAP_REACHED', reason);
+    }
+  }
+
+  async assertNoActiveBatch() {
+    const activeJob = await this.jobQueueService.findActiveJob(JOB_TYPE);
+    if (activeJob) {
+      const error = this.error('JOB_ALREADY_RUNNING', `WhitePages batch ${activeJob.job_id} is already running`);
+      error.jobId = activeJob.job_id;
+      throw error;
+    }
+  }
+
+  async findBatch(jobId) {
+    const jobRun = await JobRun.findOne({ where: { job_id: jobId, job_type: JOB_TYPE } });
+    if (!jobRun) {
+      throw this.error('JOB_NOT_FOUND', `WhitePages batch not found: ${jobId}`);
+    }
+    return jobRun;
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = WhitepagesBatchService;
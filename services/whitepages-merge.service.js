@@ -0,0 +1,493 @@
+const {
+  pgdbconnect, Contact, ContactReady, ContactPhone, ContactEmail,
+  WhitepagesLookup, WhitepagesMerge, OutreachStatusHistory
+} = require('../config/pddbclient.cjs');
+const ContactPointService = require('./contact-point.service.js');
+const AddressStandardizer = require('./address-standardizer.js');
+
+// Fields of a contact the lookup's current address replaces
+const ADDRESS_FIELDS = ['address', 'unit', 'city', 'state', 'zip'];
+
+// Identity columns moveContactsToReady matched a contact to its ready copy on, before
+// ready rows were linked by source_contact_id
+const READY_KEY_FIELDS = ['name', 'first_name', 'last_name', 'llc_owner', 'address', 'city', 'state', 'zip'];
+
+/**
+ * WhitePages Merge Service
+ *
+ * Applies a verified WhitePages lookup to the contact it was run for and to that
+ * contact's ready copy. The reviewer picks which phones, emails and current address
+ * to adopt. The merge can also mark the person deceased (ready contacts move to the
+ * 'deceased' outreach status) and record their relatives. Adopted phones and emails
+ * are stored with source 'whitepages'. Each merge is kept in whitepages_merges
+ * with the previous values, so it can be undone.
+ */
+class WhitepagesMergeService {
+  constructor() {
+    this.contactPointService = new ContactPointService();
+    this.addressStandardizer = new AddressStandardizer();
+  }
+
+  /**
+   * What a lookup could merge, marked against what the contact already has
+   * @param {number} lookupId - Lookup ID
+   * @returns {Promise<Object>} { lookup, targets, phones, emails, addresses, is_dead, relatives, merges }
+   * @throws {Error} error.code LOOKUP_NOT_FOUND
+   */
+  async getMergeCandidates(lookupId) {
+    const lookup = await WhitepagesLookup.findByPk(lookupId);
+    if (!lookup) {
+      throw this.error('LOOKUP_NOT_FOUND', `Lookup ${lookupId} not found`);
+    }
+
+    const targets = await this.findTargets(lookup);
+    const primary = targets[0] ? targets[0].record : null;
+    const [phones, emails] = primary
+      ? await Promise.all([
+        ContactPhone.findAll({ where: { owner_type: targets[0].ownerType, owner_id: primary.id }, attributes: ['phone_normalized'] }),
+        ContactEmail.findAll({ where: { owner_type: targets[0].ownerType, owner_id: primary.id }, attributes: ['email'] })
+      ])
+      : [[], []];
+    const knownPhones = new Set(phones.map(phone => phone.phone_normalized));
+    const knownEmails = new Set(emails.map(email => email.email));
+
+    const merges = await WhitepagesMerge.findAll({
+      where: { lookup_id: lookup.id },
+      order: [['created_at', 'DESC']]
+    });
+
+    return {
+      lookup: {
+        id: lookup.id,
+        contact_id: lookup.contact_id,
+        wp_name: lookup.wp_name,
+        lookup_status: lookup.lookup_status,
+        verified: lookup.verified
+      },
+      targets: targets.map(target => ({
+        owner_type: target.ownerType,
+        owner_id: target.record.id,
+        name: target.record.name,
+        address: target.record.address,
+        city: target.record.city,
+        state: target.record.state,
+        zip: target.record.zip,
+        outreach_status: target.record.outreach_status
+      })),
+      phones: this.wpPhones(lookup).map(phone => ({
+        ...phone,
+        on_contact: knownPhones.has(phone.phone_normalized)
+      })),
+      emails: this.wpEmails(lookup).map(email => ({
+        ...email,
+        on_contact: knownEmails.has(email.email)
+      })),
+      addresses: this.wpAddresses(lookup),
+      is_dead: !!lookup.wp_is_dead,
+      relatives: this.wpRelatives(lookup),
+      merges
+    };
+  }
+
+  /**
+   * Verify a lookup and merge the selected results into its contacts in one transaction
+   * @param {number} lookupId - Lookup ID
+   * @param {Object} options
+   * @param {string} options.verifiedBy - Reviewer
+   * @param {string} options.notes - Verification notes
+   * @param {Object} options.apply - Results to merge (omit to only verify):
+   *   phones    - Numbers to adopt, or 'all'
+   *   emails    - Addresses to adopt, or 'all'
+   *   address   - wp_current_addresses id (or index) to adopt as the mailing address
+   *   deceased  - Mark the person deceased (only when WhitePages reports them dead)
+   *   relatives - Record wp_relatives as possible relatives: true for all, or a list of names
+   *   targets   - ['contact', 'contact_ready'] (default both)
+   * @returns {Promise<Object>} { lookup, merges }
+   * @throws {Error} error.code LOOKUP_NOT_FOUND, LOOKUP_NOT_SUCCESSFUL, INVALID_SELECTION or CONTACT_NOT_FOUND
+   */
+  async verifyAndMerge(lookupId, { verifiedBy = 'unknown', notes = null, apply = null } = {}) {
+    return pgdbconnect.transaction(async transaction => {
+      // Row lock so a lookup isn't merged twice by concurrent reviews
+      const lookup = await WhitepagesLookup.findByPk(lookupId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!lookup) {
+        throw this.error('LOOKUP_NOT_FOUND', `Lookup ${lookupId} not found`);
+      }
+
+      await lookup.update({
+        verified: true,
+        verified_by: verifiedBy,
+        verified_at: new Date(),
+        verification_notes: notes
+      }, { transaction });
+
+      if (!apply) {
+        return { lookup, merges: [] };
+      }
+
+      if (lookup.lookup_status !== 'success') {
+        throw this.error('LOOKUP_NOT_SUCCESSFUL', `Lookup ${lookup.id} has no results to merge (status: ${lookup.lookup_status})`);
+      }
+
+      const selection = this.resolveSelection(lookup, apply);
+      const targets = (await this.findTargets(lookup, transaction))
+        .filter(target => selection.targets.includes(target.ownerType));
+      if (!targets.length) {
+        throw this.error('CONTACT_NOT_FOUND', `No ${selection.targets.join(' or ')} found for lookup ${lookup.id}`);
+      }
+
+      const merges = [];
+      for (const target of targets) {
+        merges.push(await this.mergeInto(lookup, target, selection, verifiedBy, transaction));
+      }
+
+      console.log(`🔀 Merged WhitePages lookup ${lookup.id} into ${targets.map(target => `${target.ownerType} ${target.record.id}`).join(', ')}`);
+      return { lookup, merges };
+    });
+  }
+
+  async mergeInto(lookup, { ownerType, record }, selection, mergedBy, transaction) {
+    const changes = {};
+
+    if (selection.address) {
+      for (const field of ADDRESS_FIELDS) {
+        changes[field] = selection.address[field] || null;
+      }
+    }
+
+    if (selection.deceased) {
+      changes.deceased = true;
+    }
+    if (selection.relatives.length) {
+      changes.possible_relative = this.joinNames(record.possible_relative, selection.relatives);
+    }
+
+    const fieldChanges = {};
+    for (const [field, value] of Object.entries(changes)) {
+      if ((record[field] || null) !== value) {
+        fieldChanges[field] = { old: record[field] === undefined ? null : record[field], new: value };
+      }
+    }
+
+    let outreachFrom = null;
+    let outreachTo = null;
+    const values = Object.fromEntries(Object.entries(fieldChanges).map(([field, change]) => [field, change.new]));
+
+    // Ready contacts of a deceased owner move to the 'deceased' outreach status when the workflow allows it
+    if (selection.deceased && ownerType === 'contact_ready' && record.outreach_status !== 'deceased' &&
+      (OutreachStatusHistory.TRANSITIONS[record.outreach_status] || []).includes('deceased')) {
+      outreachFrom = record.outreach_status;
+      outreachTo = 'deceased';
+      Object.assign(values, {
+        outreach_status: 'deceased',
+        outreach_status_at: new Date(),
+        outreach_status_by: mergedBy
+      });
+    }
+
+    if (Object.keys(values).length) {
+      await record.update(values, { transaction });
+    }
+    if (outreachTo) {
+      await OutreachStatusHistory.create({
+        contact_ready_id: record.id,
+        from_status: outreachFrom,
+        to_status: outreachTo,
+        changed_by: mergedBy,
+        note: `WhitePages lookup ${lookup.id} reports the owner deceased`,
+        changed_at: values.outreach_status_at
+      }, { transaction });
+    }
+
+    const { phoneIds, emailIds } = await this.addPoints(ownerType, record.id, selection, transaction);
+
+    return WhitepagesMerge.create({
+      lookup_id: lookup.id,
+      owner_type: ownerType,
+      owner_id: record.id,
+      field_changes: fieldChanges,
+      phone_ids: phoneIds,
+      email_ids: emailIds,
+      outreach_status_from: outreachFrom,
+      outreach_status_to: outreachTo,
+      merged_by: mergedBy
+    }, { transaction });
+  }
+
+  // Adopted phones and emails the owner doesn't have yet, after its existing ones
+  async addPoints(ownerType, ownerId, selection, transaction) {
+    const [phones, emails, positions] = await Promise.all([
+      ContactPhone.findAll({ where: { owner_type: ownerType, owner_id: ownerId }, attributes: ['phone_normalized'], transaction }),
+      ContactEmail.findAll({ where: { owner_type: ownerType, owner_id: ownerId }, attributes: ['email'], transaction }),
+      this.contactPointService.getNextPositions(ownerType, [ownerId], transaction)
+    ]);
+    const knownPhones = new Set(phones.map(phone => phone.phone_normalized));
+    const knownEmails = new Set(emails.map(email => email.email));
+    const next = positions.get(ownerId) || { phone: 0, email: 0 };
+
+    const phoneRows = selection.phones
+      .filter(phone => !knownPhones.has(phone.phone_normalized))
+      .map((phone, idx) => ({
+        owner_type: ownerType,
+        owner_id: ownerId,
+        phone: phone.phone,
+        phone_normalized: phone.phone_normalized,
+        phone_type: phone.phone_type,
+        source: 'whitepages',
+        confidence: phone.confidence,
+        is_verified: true,
+        position: next.phone + idx
+      }));
+    const emailRows = selection.emails
+      .filter(email => !knownEmails.has(email.email))
+      .map((email, idx) => ({
+        owner_type: ownerType,
+        owner_id: ownerId,
+        email: email.email,
+        email_type: 'unknown',
+        source: 'whitepages',
+        is_verified: true,
+        position: next.email + idx
+      }));
+
+    const [createdPhones, createdEmails] = await Promise.all([
+      phoneRows.length ? ContactPhone.bulkCreate(phoneRows, { transaction }) : [],
+      emailRows.length ? ContactEmail.bulkCreate(emailRows, { transaction }) : []
+    ]);
+
+    return {
+      phoneIds: createdPhones.map(phone => phone.id),
+      emailIds: createdEmails.map(email => email.id)
+    };
+  }
+
+  /**
+   * Undo a merge: remove the phones and emails it added and restore the fields it
+   * changed. Fields edited since the merge are left alone and reported as conflicts.
+   * @param {number} mergeId - Merge ID
+   * @param {Object} options - { undoneBy }
+   * @returns {Promise<Object>} The merge, with undo_conflicts
+   * @throws {Error} error.code MERGE_NOT_FOUND or ALREADY_UNDONE
+   */
+  async undoMerge(mergeId, { undoneBy = 'unknown' } = {}) {
+    return pgdbconnect.transaction(async transaction => {
+      const merge = await WhitepagesMerge.findByPk(mergeId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!merge) {
+        throw this.error('MERGE_NOT_FOUND', `Merge ${mergeId} not found`);
+      }
+      if (merge.undone_at) {
+        throw this.error('ALREADY_UNDONE', `Merge ${mergeId} was already undone by ${merge.undone_by}`);
+      }
+
+      const model = merge.owner_type === 'contact_ready' ? ContactReady : Contact;
+      const record = await model.findByPk(merge.owner_id, { transaction });
+      const conflicts = {};
+
+      if (merge.phone_ids.length) {
+        await ContactPhone.destroy({ where: { id: merge.phone_ids, owner_type: merge.owner_type, owner_id: merge.owner_id }, transaction });
+      }
+      if (merge.email_ids.length) {
+        await ContactEmail.destroy({ where: { id: merge.email_ids, owner_type: merge.owner_type, owner_id: merge.owner_id }, transaction });
+      }
+
+      if (record) {
+        const values = {};
+        for (const [field, change] of Object.entries(merge.field_changes)) {
+          if ((record[field] || null) === (change.new || null)) {
+            values[field] = change.old;
+          } else {
+            conflicts[field] = record[field];
+          }
+        }
+
+        if (merge.outreach_status_to) {
+          if (record.outreach_status === merge.outreach_status_to) {
+            Object.assign(values, {
+              outreach_status: merge.outreach_status_from,
+              outreach_status_at: new Date(),
+              outreach_status_by: undoneBy
+            });
+          } else {
+            conflicts.outreach_status = record.outreach_status;
+          }
+        }
+
+        if (Object.keys(values).length) {
+          await record.update(values, { transaction });
+        }
+        if (values.outreach_status) {
+          await OutreachStatusHistory.create({
+            contact_ready_id: record.id,
+            from_status: merge.outreach_status_to,
+            to_status: merge.outreach_status_from,
+            changed_by: undoneBy,
+            note: `Undo of WhitePages merge ${merge.id}`,
+            changed_at: values.outreach_status_at
+          }, { transaction });
+        }
+      }
+
+      await merge.update({
+        undone_at: new Date(),
+        undone_by: undoneBy,
+        undo_conflicts: Object.keys(conflicts).length ? conflicts : null
+      }, { transaction });
+
+      console.log(`↩️ Undid WhitePages merge ${merge.id} on ${merge.owner_type} ${merge.owner_id}`);
+      return merge;
+    });
+  }
+
+  /**
+   * The lookup's contact and that contact's ready copy (linked by source_contact_id;
+   * unlinked rows from older moves are matched on the identity columns), whichever exist
+   * @returns {Promise<Array>} [{ ownerType, record }]
+   */
+  async findTargets(lookup, transaction = null) {
+    const targets = [];
+    const contact = await Contact.findByPk(lookup.contact_id, { transaction });
+    if (!contact) {
+      return targets;
+    }
+    targets.push({ ownerType: 'contact', record: contact });
+
+    let ready = await ContactReady.findOne({ where: { source_contact_id: contact.id }, transaction });
+    if (!ready) {
+      const where = { source_contact_id: null };
+      for (const field of READY_KEY_FIELDS) {
+        where[field] = contact[field] === undefined ? null : contact[field];
+      }
+      ready = await ContactReady.findOne({ where, transaction });
+    }
+    if (ready) {
+      targets.push({ ownerType: 'contact_ready', record: ready });
+    }
+
+    return targets;
+  }
+
+  /**
+   * Check the reviewer's picks against the lookup's results
+   * @returns {Object} { phones, emails, address, deceased, relatives, targets }
+   * @throws {Error} error.code INVALID_SELECTION
+   */
+  resolveSelection(lookup, apply) {
+    const phones = this.wpPhones(lookup);
+    const emails = this.wpEmails(lookup);
+    const addresses = this.wpAddresses(lookup);
+    const relatives = this.wpRelatives(lookup);
+
+    const selectedPhones = apply.phones === 'all' ? phones : (apply.phones || []).map(value => {
+      const normalized = ContactPhone.normalize(value);
+      const phone = phones.find(candidate => candidate.phone_normalized === normalized);
+      if (!phone) {
+        throw this.error('INVALID_SELECTION', `Phone ${value} is not in lookup ${lookup.id}`);
+      }
+      return phone;
+    });
+
+    const selectedEmails = apply.emails === 'all' ? emails : (apply.emails || []).map(value => {
+      const email = emails.find(candidate => candidate.email === value.toString().trim().toLowerCase());
+      if (!email) {
+        throw this.error('INVALID_SELECTION', `Email ${value} is not in lookup ${lookup.id}`);
+      }
+      return email;
+    });
+
+    let address = null;
+    if (apply.address !== undefined && apply.address !== null && apply.address !== '') {
+      address = addresses.find(candidate => candidate.id === apply.address) ||
+        (Number.isInteger(apply.address) ? addresses[apply.address] : null);
+      if (!address) {
+        throw this.error('INVALID_SELECTION', `Address ${apply.address} is not a current address of lookup ${lookup.id}`);
+      }
+    }
+
+    if (apply.deceased && !lookup.wp_is_dead) {
+      throw this.error('INVALID_SELECTION', `WhitePages does not report the person of lookup ${lookup.id} as deceased`);
+    }
+
+    let selectedRelatives = [];
+    if (apply.relatives === true) {
+      selectedRelatives = relatives;
+    } else if (Array.isArray(apply.relatives)) {
+      selectedRelatives = apply.relatives.map(name => {
+        const relative = relatives.find(candidate => candidate.toLowerCase() === name.toString().trim().toLowerCase());
+        if (!relative) {
+          throw this.error('INVALID_SELECTION', `${name} is not a relative in lookup ${lookup.id}`);
+        }
+        return relative;
+      });
+    }
+
+    const targets = apply.targets || ['contact', 'contact_ready'];
+    if (!Array.isArray(targets) || !targets.length || targets.some(target => !['contact', 'contact_ready'].includes(target))) {
+      throw this.error('INVALID_SELECTION', 'targets must be a list of contact and/or contact_ready');
+    }
+
+    return {
+      phones: selectedPhones,
+      emails: selectedEmails,
+      address: address ? address.parsed : null,
+      deceased: !!apply.deceased,
+      relatives: selectedRelatives,
+      targets
+    };
+  }
+
+  // wp_phones ([{ number, type, score }]) as contact phone values
+  wpPhones(lookup) {
+    return this.contactPointService.uniquePhones((lookup.wp_phones || []).map(phone => ({
+      phone: typeof phone === 'string' ? phone : phone.number,
+      phone_type: typeof phone === 'string' ? 'unknown' : (phone.type || '').toLowerCase(),
+      confidence: typeof phone === 'object' && phone.score !== undefined ? phone.score / 100 : null
+    })));
+  }
+
+  wpEmails(lookup) {
+    return this.contactPointService.uniqueEmails((lookup.wp_emails || []).map(email => ({
+      email: typeof email === 'string' ? email : email.email || email.address
+    })));
+  }
+
+  // wp_current_addresses ([{ id, address }]) split into contact address fields
+  wpAddresses(lookup) {
+    return (lookup.wp_current_addresses || []).map((entry, index) => {
+      const text = typeof entry === 'string' ? entry : entry.address;
+      const standardized = this.addressStandardizer.standardize({ address: text });
+      return {
+        id: typeof entry === 'object' && entry.id ? entry.id : index,
+        address: text,
+        parsed: {
+          address: standardized.address,
+          unit: standardized.unit,
+          city: standardized.city,
+          state: standardized.state,
+          zip: standardized.zip
+        }
+      };
+    });
+  }
+
+  // wp_relatives ([{ id, name }]) as names
+  wpRelatives(lookup) {
+    return [...new Set((lookup.wp_relatives || [])
+      .map(relative => (typeof relative === 'string' ? relative : relative.name))
+      .filter(Boolean)
+      .map(name => name.trim()))];
+  }
+
+  // "A; B" relative lists as the owner name parser writes them, without repeats, within 255 characters
+  joinNames(existing, names) {
+    const all = (existing ? existing.split(/\s*;\s*/) : []).concat(names).filter(Boolean);
+    const unique = all.filter((name, idx) => all.findIndex(other => other.toLowerCase() === name.toLowerCase()) === idx);
+    return unique.join('; ').substring(0, 255) || null;
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = WhitepagesMergeService;
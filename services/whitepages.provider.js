@@ -0,0 +1,192 @@
+require('dotenv').config();
+const EnrichmentProvider = require('./enrichment-provider.js');
+const AddressStandardizer = require('./address-standardizer.js');
+
+const PHONE_TYPES = ['mobile', 'landline', 'voip'];
+
+/**
+ * WhitePages enrichment provider (GET {WP_API_ROOT}v1/person)
+ *
+ * Settings: WP_API_KEY, WP_API_ROOT, WP_COST_PER_LOOKUP (USD, default 0),
+ * WP_REQUESTS_PER_SECOND (default 2).
+ */
+class WhitepagesProvider extends EnrichmentProvider {
+  constructor({ transport = null } = {}) {
+    super({
+      name: 'whitepages',
+      costPerLookup: process.env.WP_COST_PER_LOOKUP || 0,
+      chargesNoResults: true,
+      requestsPerSecond: process.env.WP_REQUESTS_PER_SECOND || 2,
+      transport
+    });
+    this.apiRoot = process.env.WP_API_ROOT || 'https://api.whitepages.com/';
+    this.apiKey = process.env.WP_API_KEY;
+    this.addressStandardizer = new AddressStandardizer();
+  }
+
+  isConfigured() {
+    return !!this.apiKey || this.transport.mode === 'replay';
+  }
+
+  /**
+   * Search parameters for a person, using WhitePages' parameter names. Only
+   * non-empty values are sent.
+   */
+  buildParams(person) {
+    const params = {
+      name: `${person.first_name} ${person.last_name}`.trim()
+    };
+
+    if (person.address && person.address.trim()) params.street = person.address.trim();
+    if (person.city && person.city.trim()) params.city = person.city.trim();
+    if (person.state && person.state.trim()) params.state_code = person.state.trim();
+    if (person.zip && person.zip.trim()) {
+      // WhitePages doesn't accept ZIP+4 (12345-6789), only the 5-digit ZIP
+      params.zipcode = person.zip.trim().split('-')[0];
+    }
+
+    return params;
+  }
+
+  async search(person) {
+    const baseUrl = `${this.apiRoot}v1/person`;
+    const params = this.buildParams(person);
+    const url = `${baseUrl}?${new URLSearchParams(params).toString()}`;
+
+    console.log('📤 WhitePages API params:', JSON.stringify(params, null, 2));
+
+    try {
+      const response = await this.transport.get(this.name, baseUrl, {
+        params,
+        headers: { 'X-Api-Key': this.apiKey },
+        timeout: 30000,
+        person
+      });
+      return { data: response.data, url };
+    } catch (error) {
+      error.requestUrl = url;
+      throw error;
+    }
+  }
+
+  /**
+   * The best match, as a normalized result. WhitePages returns an array of
+   * people, most relevant first (an empty array when no one matched), or a single
+   * person object.
+   */
+  normalize(data) {
+    const person = this.bestMatch(data);
+    if (!person) {
+      return null;
+    }
+
+    const name = this.text(person.name);
+    const nameParts = name ? name.split(/\s+/) : [];
+
+    return {
+      person: {
+        provider_person_id: this.text(person.id),
+        name,
+        first_name: nameParts.length > 1 ? nameParts[0] : null,
+        last_name: nameParts.length > 1 ? nameParts[nameParts.length - 1] : null,
+        aliases: this.list(person.aliases).map(alias => this.text(typeof alias === 'string' ? alias : alias.name)).filter(Boolean),
+        date_of_birth: this.text(person.date_of_birth),
+        company_name: this.text(person.company_name),
+        job_title: this.text(person.job_title),
+        linkedin_url: this.text(person.linkedin_url)
+      },
+      deceased: typeof person.is_dead === 'boolean' ? person.is_dead : null,
+      addresses: [
+        ...this.list(person.current_addresses).map(address => this.normalizeAddress(address, true)),
+        ...this.list(person.historic_addresses).map(address => this.normalizeAddress(address, false))
+      ].filter(Boolean),
+      phones: this.list(person.phones)
+        .map(phone => (typeof phone === 'string' ? { number: phone } : phone))
+        .filter(phone => this.text(phone.number))
+        .map(phone => {
+          const type = (phone.type || '').toString().toLowerCase();
+          const score = parseFloat(phone.score);
+          return {
+            number: this.text(phone.number),
+            type: PHONE_TYPES.includes(type) ? type : 'unknown',
+            score: isNaN(score) ? null : Math.min(1, Math.max(0, score / 100))
+          };
+        }),
+      emails: this.list(person.emails)
+        .map(email => this.text(typeof email === 'string' ? email : email.email || email.address))
+        .filter(Boolean)
+        .map(email => ({ email: email.toLowerCase() })),
+      relatives: this.list(person.relatives)
+        .map(relative => (typeof relative === 'string' ? { name: relative } : relative))
+        .filter(relative => this.text(relative.name))
+        .map(relative => ({ provider_person_id: this.text(relative.id), name: this.text(relative.name) })),
+      properties: this.list(person.owned_properties)
+        .map(property => this.normalizeAddress(property, false))
+        .filter(Boolean)
+        .map(({ provider_address_id, current, ...address }) => ({ provider_property_id: provider_address_id, ...address }))
+    };
+  }
+
+  normalizeAddress(entry, current) {
+    const fullAddress = this.text(typeof entry === 'string' ? entry : entry && entry.address);
+    if (!fullAddress) {
+      return null;
+    }
+
+    const standardized = this.addressStandardizer.standardize({ address: fullAddress });
+    return {
+      provider_address_id: typeof entry === 'object' ? this.text(entry.id) : null,
+      full_address: fullAddress,
+      address: standardized.address,
+      unit: standardized.unit,
+      city: standardized.city,
+      state: standardized.state,
+      zip: standardized.zip,
+      current
+    };
+  }
+
+  /**
+   * The response as whitepages_lookups columns
+   * @returns {Object} { hasResults, data } - data holds the wp_* columns
+   */
+  toLookupColumns(data) {
+    const person = this.bestMatch(data);
+    if (!person) {
+      return {
+        hasResults: false,
+        data: null
+      };
+    }
+
+    return {
+      hasResults: true,
+      data: {
+        wp_person_id: person.id || null,
+        wp_name: person.name || null,
+        wp_aliases: person.aliases || null,
+        wp_is_dead: person.is_dead || false,
+        wp_current_addresses: person.current_addresses || null,
+        wp_historic_addresses: person.historic_addresses || null,
+        wp_owned_properties: person.owned_properties || null,
+        wp_phones: person.phones || null,
+        wp_emails: person.emails || null,
+        wp_date_of_birth: person.date_of_birth || null,
+        wp_linkedin_url: person.linkedin_url || null,
+        wp_company_name: person.company_name || null,
+        wp_job_title: person.job_title || null,
+        wp_relatives: person.relatives || null
+      }
+    };
+  }
+
+  // First (most relevant) person of an array response, or a single-object response
+  bestMatch(data) {
+    if (Array.isArray(data)) {
+      return data.length ? data[0] : null;
+    }
+    return typeof data === 'object' && data !== null ? data : null;
+  }
+}
+
+module.exports = WhitepagesProvider;
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const AddressStandardizer = require('../services/address-standardizer.js');
+
+const standardizer = new AddressStandardizer();
+
+describe('AddressStandardizer', () => {
+  const cases = [
+    [
+      'splits a full address line with a c/o party, unit and ZIP+4',
+      { address: 'c/o Jane Doe, 123 Main Street Ste 200, Houston, Texas 77024-1234' },
+      { address: '123 Main St', unit: 'Ste 200', care_of: 'Jane Doe', city: 'Houston', state: 'TX', zip: '77024-1234', address_type: 'street' }
+    ],
+    [
+      'reads a unit given as its own part',
+      { address: '500 W Texas Ave, Suite 1200, Midland, TX 79701' },
+      { address: '500 W Texas Ave', unit: 'Ste 1200', care_of: null, city: 'Midland', state: 'TX', zip: '79701', address_type: 'street' }
+    ],
+    [
+      'standardizes PO boxes and a state field holding the ZIP',
+      { address: 'P.O. Box 1234', city: 'Artesia', state: 'New Mexico 88211' },
+      { address: 'PO Box 1234', unit: null, care_of: null, city: 'Artesia', state: 'NM', zip: '88211', address_type: 'po_box' }
+    ],
+    [
+      'keeps rural routes',
+      { address: 'RR 2 Box 45', city: 'Hobbs', state: 'nm', zip: '88240' },
+      { address: 'RR 2 Box 45', unit: null, care_of: null, city: 'Hobbs', state: 'NM', zip: '88240', address_type: 'rural_route' }
+    ],
+    [
+      'keeps highway contract routes',
+      { address: 'HC 65 Box 12', city: 'Loco Hills', state: 'NM' },
+      { address: 'HC 65 Box 12', unit: null, care_of: null, city: 'Loco Hills', state: 'NM', zip: null, address_type: 'rural_route' }
+    ],
+    [
+      'moves a trailing unit out of the street and reads a city field holding state and ZIP',
+      { address: '456 north oak avenue apt 3b', city: 'Houston, TX 77024' },
+      { address: '456 N oak Ave', unit: 'Apt 3B', care_of: null, city: 'Houston', state: 'TX', zip: '77024', address_type: 'street' }
+    ],
+    [
+      'reads a full state name with a ZIP in the state field',
+      { address: '100 Main St', state: 'Texas 76092' },
+      { address: '100 Main St', unit: null, care_of: null, city: null, state: 'TX', zip: '76092', address_type: 'street' }
+    ],
+    [
+      'reads a ZIP-only state field',
+      { address: '100 Main St', city: 'Dallas', state: '88203' },
+      { address: '100 Main St', unit: null, care_of: null, city: 'Dallas', state: null, zip: '88203', address_type: 'street' }
+    ],
+    [
+      'restores leading zeros of a ZIP',
+      { address: '12 Pine Rd', city: 'Boston', state: 'MA', zip: '2134' },
+      { address: '12 Pine Rd', unit: null, care_of: null, city: 'Boston', state: 'MA', zip: '02134', address_type: 'street' }
+    ]
+  ];
+
+  for (const [description, input, expected] of cases) {
+    it(description, () => {
+      assert.deepStrictEqual(standardizer.standardize(input), { ...expected, issues: [] });
+    });
+  }
+
+  it('reports an unrecognized state and an invalid ZIP', () => {
+    const result = standardizer.standardize({ address: '1 Way', state: 'Narnia', zip: 'abc' });
+
+    assert.strictEqual(result.state, null);
+    assert.strictEqual(result.zip, null);
+    assert.deepStrictEqual(result.issues, ['Unrecognized state "Narnia"', 'Invalid ZIP "abc"']);
+  });
+
+  it('normalizes ZIP and ZIP+4 values', () => {
+    assert.strictEqual(standardizer.normalizeZip('123456789'), '12345-6789');
+    assert.strictEqual(standardizer.normalizeZip('88203 1234'), '88203-1234');
+    assert.strictEqual(standardizer.normalizeZip('8821'), '08821');
+    assert.strictEqual(standardizer.normalizeZip('12'), null);
+  });
+
+  it('standardizes unit designators', () => {
+    assert.strictEqual(standardizer.standardizeUnit('STE. 200'), 'Ste 200');
+    assert.strictEqual(standardizer.standardizeUnit('# 12'), '#12');
+    assert.strictEqual(standardizer.standardizeUnit('Main St'), null);
+  });
+
+  it('prefers the longest state name and only trusts lowercase codes on their own', () => {
+    assert.strictEqual(standardizer.normalizeState('West Virginia'), 'WV');
+    assert.strictEqual(standardizer.normalizeState('in'), 'IN');
+    assert.strictEqual(standardizer.splitTrailingStateZip('ship in').state, null);
+  });
+});
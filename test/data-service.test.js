@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const DataService = require('../services/data.service.js');
+
+const dataService = new DataService(null, null);
+
+describe('DataService.buildDateChunks', () => {
+  it('splits a range into contiguous windows ending at `to`', () => {
+    const chunks = dataService.buildDateChunks('2024-01-01T00:00:00Z', '2024-03-15T00:00:00Z', 30);
+
+    assert.strictEqual(chunks.length, 3);
+    assert.strictEqual(chunks[0].from.toISOString(), '2024-01-01T00:00:00.000Z');
+    for (let i = 1; i < chunks.length; i++) {
+      assert.strictEqual(chunks[i].from.getTime(), chunks[i - 1].to.getTime());
+    }
+    assert.strictEqual(chunks[chunks.length - 1].to.toISOString(), '2024-03-15T00:00:00.000Z');
+  });
+
+  it('returns the whole range as one window when it is shorter than chunkDays', () => {
+    const chunks = dataService.buildDateChunks('2024-01-01T00:00:00Z', '2024-01-10T00:00:00Z', 30);
+    assert.strictEqual(chunks.length, 1);
+    assert.strictEqual(chunks[0].to.toISOString(), '2024-01-10T00:00:00.000Z');
+  });
+
+  it('rejects a range that ends before it starts', () => {
+    assert.throws(() => dataService.buildDateChunks('2024-02-01', '2024-01-01'), /Invalid date window/);
+  });
+});
+
+describe('DataService.filterItemsByScanDate', () => {
+  const from = new Date('2024-02-01T15:30:00Z');
+  const to = new Date('2024-02-29T23:59:59Z');
+  const file = scanDate => ({ FileName: `${scanDate}.pdf`, ScanDate: scanDate });
+  const fileNames = items => items.flatMap(item => item.ImagingFiles.map(pdf => pdf.FileName));
+
+  it('keeps files scanned on the first day of the window, whatever the time', () => {
+    const items = [{ ImagingFiles: [file('2024-02-01T00:00:00Z'), file('2024-01-31T23:59:59Z')] }];
+    assert.deepStrictEqual(fileNames(dataService.filterItemsByScanDate(items, { from, to })), ['2024-02-01T00:00:00Z.pdf']);
+  });
+
+  it('keeps files scanned at `to` and drops later ones', () => {
+    const items = [{ ImagingFiles: [file('2024-02-29T23:59:59Z'), file('2024-03-01T00:00:00Z')] }];
+    assert.deepStrictEqual(fileNames(dataService.filterItemsByScanDate(items, { from, to })), ['2024-02-29T23:59:59Z.pdf']);
+  });
+
+  it('keeps files without a ScanDate and drops items left with no files', () => {
+    const items = [
+      { CaseNumber: 'A', ImagingFiles: [{ FileName: 'undated.pdf' }] },
+      { CaseNumber: 'B', ImagingFiles: [file('2023-12-01T00:00:00Z')] }
+    ];
+    const filtered = dataService.filterItemsByScanDate(items, { from, to });
+    assert.deepStrictEqual(filtered.map(item => item.CaseNumber), ['A']);
+  });
+
+  it('searches from the day before `from`, so the first day is in the results', () => {
+    assert.strictEqual(dataService.formatScanDate(dataService.dayBefore(from)), '1%2F31%2F2024');
+  });
+});
@@ -0,0 +1,51 @@
+process.env.USE_POSTGRES = 'false';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const EnrichmentTransport = require('../services/enrichment-transport.js');
+const WhitepagesProvider = require('../services/whitepages.provider.js');
+
+// Each fixture (<provider>/<id>.json, as written by ENRICHMENT_TRANSPORT_MODE=record) holds
+// the person searched for, the vendor's response and the adapter's `expected` output.
+// UPDATE_ENRICHMENT_FIXTURES=true rewrites `expected` from the current output.
+const RECORDINGS_DIR = path.join(__dirname, 'fixtures', 'enrichment');
+const UPDATE = process.env.UPDATE_ENRICHMENT_FIXTURES === 'true';
+
+const ADAPTERS = {
+  whitepages: transport => new WhitepagesProvider({ transport })
+};
+
+for (const [name, createAdapter] of Object.entries(ADAPTERS)) {
+  describe(`${name} recorded fixtures`, () => {
+    const transport = new EnrichmentTransport({ mode: 'replay', recordingsDir: RECORDINGS_DIR });
+    const provider = createAdapter(transport);
+    // Fixtures replay instantly; the vendor rate limit doesn't apply
+    provider.rateLimiter.setRate(null);
+
+    const providerDir = path.join(RECORDINGS_DIR, name);
+    const files = fs.readdirSync(providerDir).filter(file => file.endsWith('.json')).sort();
+
+    it('has fixtures to replay', () => {
+      assert.ok(files.length > 0, `no fixtures in ${providerDir}`);
+    });
+
+    for (const file of files) {
+      const filePath = path.join(providerDir, file);
+      const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+      it(`${file}${fixture.description ? ` (${fixture.description})` : ''}`, async () => {
+        const outcome = await provider.lookup(fixture.person);
+        const actual = { status: outcome.status, http_status: outcome.httpStatus, result: outcome.result };
+
+        if (UPDATE) {
+          fs.writeFileSync(filePath, JSON.stringify({ ...fixture, expected: actual }, null, 2) + '\n');
+          return;
+        }
+
+        assert.deepStrictEqual(actual, fixture.expected);
+      });
+    }
+  });
+}
@@ -0,0 +1,78 @@
+process.env.USE_POSTGRES = 'false';
+process.env.USE_DATABASE_PROMPTS = 'false';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const LlmTransport = require('../services/llm-transport.js');
+const ClaudeContactExtractor = require('../services/ClaudeContactExtractor.cjs');
+
+const RECORDINGS_DIR = path.join(__dirname, 'fixtures', 'llm-recordings');
+const PDF = Buffer.from('%PDF-1.4\n% pooling exhibit fixture\n%%EOF\n');
+const PROMPT = 'Extract every mineral owner listed in this pooling exhibit as a JSON array of contacts.';
+
+const extractorFor = transport => new ClaudeContactExtractor({
+  anthropicClient: transport,
+  documentType: 'oil-gas-contacts',
+  customPrompts: { native: PROMPT },
+  promptVariables: { PROJECT_ORIGIN: 'OCD_IMAGING' }
+});
+
+// Live client answering with the prompt it was sent
+const echoClient = () => ({
+  messages: {
+    calls: 0,
+    async create(params) {
+      this.calls++;
+      const text = params.messages[0].content;
+      return { id: 'msg_echo', model: params.model, role: 'assistant', content: [{ type: 'text', text }], stop_reason: 'end_turn', usage: {} };
+    }
+  }
+});
+
+const request = text => ({ model: 'claude-sonnet-4-20250514', max_tokens: 100, messages: [{ role: 'user', content: text }] });
+
+describe('LlmTransport', () => {
+  it('replays a recorded PDF extraction without a live client', async () => {
+    const transport = new LlmTransport({ mode: 'replay', recordingsDir: RECORDINGS_DIR });
+    assert.strictEqual(transport.liveClient, null);
+
+    const contacts = await extractorFor(transport).extractContactsFromPDFNative(PDF, 'pooling-exhibit.pdf');
+
+    assert.deepStrictEqual(contacts.map(contact => [contact.name, contact.source_page]), [
+      ['Ruth Cole', 2],
+      ['Smith Family Trust', 3]
+    ]);
+    assert.strictEqual(contacts[0].interests[0].decimal_interest, '0.03125000');
+  });
+
+  it('does not replay a response recorded for another document', async () => {
+    const transport = new LlmTransport({ mode: 'replay', recordingsDir: RECORDINGS_DIR });
+
+    await assert.rejects(
+      transport.messages.create({
+        model: 'claude-sonnet-4-20250514',
+        messages: [{ role: 'user', content: [{ type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: Buffer.from('%PDF-other').toString('base64') } }] }]
+      }),
+      /No recorded LLM response/
+    );
+  });
+
+  it('replays in-memory recordings by request, whatever the call order', async () => {
+    const liveClient = echoClient();
+    const recordings = [];
+    const recorder = new LlmTransport({ mode: 'record', liveClient, recordings });
+    await recorder.messages.create(request('first'));
+    await recorder.messages.create(request('second'));
+
+    assert.strictEqual(recordings.length, 2);
+
+    const replayer = new LlmTransport({ mode: 'replay', recordings });
+    const second = await replayer.messages.create(request('second'));
+    const first = await replayer.messages.create(request('first'));
+
+    assert.strictEqual(second.content[0].text, 'second');
+    assert.strictEqual(first.content[0].text, 'first');
+    assert.strictEqual(liveClient.messages.calls, 2);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const OwnerNameParser = require('../services/owner-name-parser.js');
+
+const parser = new OwnerNameParser();
+
+const names = parsed => parsed.individuals.map(person => [person.full_name, person.role, person.deceased]);
+
+describe('OwnerNameParser', () => {
+  it('reads co-trustees, the trust and its date', () => {
+    const parsed = parser.parse('John A. Smith and Mary Smith, Trustees of the Smith Family Trust dated 1/2/1999');
+
+    assert.deepStrictEqual(names(parsed), [
+      ['John A. Smith', 'trustee', false],
+      ['Mary Smith', 'trustee', false]
+    ]);
+    assert.deepStrictEqual(parsed.entity, { type: 'trust', name: 'Smith Family Trust', date: '1/2/1999' });
+    assert.deepStrictEqual(parser.toContactFields(parsed), {
+      first_name: 'John A.',
+      last_name: 'Smith',
+      possible_relative: 'Mary Smith',
+      deceased_relative: null,
+      care_of: null
+    });
+  });
+
+  it('reads an estate with a care-of executor', () => {
+    const parsed = parser.parse('Estate of Ann Lee, Deceased, c/o Bob Lee, Executor');
+
+    assert.deepStrictEqual(names(parsed), [
+      ['Ann Lee', 'decedent', true],
+      ['Bob Lee', 'executor', false]
+    ]);
+    assert.deepStrictEqual(parsed.entity, { type: 'estate', name: 'Estate of Ann Lee', date: null });
+    assert.strictEqual(parsed.care_of, 'Bob Lee');
+
+    const fields = parser.toContactFields(parsed);
+    assert.strictEqual(fields.deceased_relative, 'Ann Lee');
+    assert.strictEqual(fields.care_of, 'Bob Lee');
+  });
+
+  it('reads unnamed heirs of a decedent', () => {
+    const parsed = parser.parse('Heirs of Tom Gray');
+
+    assert.deepStrictEqual(names(parsed), [['Tom Gray', 'decedent', true]]);
+    assert.deepStrictEqual(parsed.notes, ['Unnamed heirs']);
+    assert.strictEqual(parser.toContactFields(parsed).first_name, null);
+  });
+
+  it('reads a life estate', () => {
+    const parsed = parser.parse('Ruth Cole, Life Estate');
+
+    assert.deepStrictEqual(names(parsed), [['Ruth Cole', 'life_tenant', false]]);
+    assert.strictEqual(parsed.life_estate, true);
+  });
+
+  it('reads a spouse named with et ux', () => {
+    const parsed = parser.parse('John Smith et ux Mary');
+
+    assert.deepStrictEqual(names(parsed), [
+      ['John Smith', 'owner', false],
+      ['Mary', 'owner', false]
+    ]);
+  });
+
+  it('reads an unnamed spouse', () => {
+    const parsed = parser.parse('John Smith et ux');
+
+    assert.deepStrictEqual(names(parsed), [['John Smith', 'owner', false]]);
+    assert.deepStrictEqual(parsed.notes, ['Unnamed spouse (et ux / et vir)']);
+  });
+
+  it('shares the last name of joint first names', () => {
+    const parsed = parser.parse('John and Mary Smith');
+
+    assert.deepStrictEqual(names(parsed), [
+      ['John Smith', 'owner', false],
+      ['Mary Smith', 'owner', false]
+    ]);
+  });
+
+  it('reads a last-name-first name', () => {
+    const fields = parser.toContactFields(parser.parse('Smith, John A.'));
+
+    assert.strictEqual(fields.first_name, 'John A.');
+    assert.strictEqual(fields.last_name, 'Smith');
+  });
+
+  const organizations = [
+    'Devon Energy Production Company, L.P.',
+    'EOG Resources, Inc.',
+    'Tap Rock Operating, LLC',
+    'Concho Oil & Gas LLC',
+    'Mewbourne Oil Co.'
+  ];
+
+  for (const name of organizations) {
+    it(`keeps "${name}" as one organization`, () => {
+      const parsed = parser.parse(name);
+
+      assert.strictEqual(parsed.individuals.length, 1);
+      assert.strictEqual(parsed.individuals[0].is_organization, true);
+      assert.strictEqual(parsed.individuals[0].full_name, name);
+      assert.deepStrictEqual(parsed.entity, { type: 'organization', name, date: null });
+      assert.strictEqual(parser.toContactFields(parsed).first_name, null);
+    });
+  }
+});
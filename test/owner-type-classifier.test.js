@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const OwnerNameParser = require('../services/owner-name-parser.js');
+const OwnerTypeClassifier = require('../services/owner-type-classifier.js');
+
+const parser = new OwnerNameParser();
+const classifier = new OwnerTypeClassifier({
+  operators: ['Cimarex', 'Mewbourne', 'Tap Rock', 'Permian Resources', 'Marathon', 'Devon', 'Matador']
+});
+
+const classify = name => classifier.classify({ name }, parser.parse(name)).owner_type;
+
+describe('OwnerTypeClassifier', () => {
+  const cases = [
+    // Entity keywords that are also names
+    ['Mary Church', 'individual'],
+    ['Linda Mission', 'individual'],
+    ['Mary Temple', 'individual'],
+    ['Ruth Energy Smith', 'unknown'],
+    // Estates and trusts before entity keywords
+    ['Estate of Robert Temple, Deceased', 'estate'],
+    ['James Parish and Ann Parish, Trustees of the Parish Family Trust', 'trust'],
+    ['Bill Gates Foundation Trust', 'trust'],
+    ['Smith Family Trust', 'trust'],
+    ['Heirs of Tom Gray', 'estate'],
+    // Organization forms
+    ['First Baptist Church', 'nonprofit'],
+    ['Church of Christ of Artesia', 'nonprofit'],
+    ["St. Mary's Catholic Church", 'nonprofit'],
+    ['Roman Catholic Diocese of Las Cruces', 'nonprofit'],
+    ['Texas Presbyterian Foundation', 'nonprofit'],
+    ['State of New Mexico', 'government'],
+    ['Commissioner of Public Lands', 'government'],
+    ['Eddy County', 'government'],
+    // Operators are the applicants, not oil / gas / energy names
+    ['Mewbourne Oil Company', 'operator'],
+    ['Tap Rock Operating, LLC', 'operator'],
+    ['Devon Energy Production Company, L.P.', 'operator'],
+    ['Concho Oil & Gas LLC', 'company'],
+    // People whose names contain an operator name
+    ['Devon Smith', 'individual'],
+    ['Mary Devon', 'individual'],
+    ['Jane Marathon', 'individual'],
+    ['Matador Jones and Sue Jones', 'individual'],
+    ['EOG Resources, Inc.', 'company'],
+    ['John Smith', 'individual']
+  ];
+
+  for (const [name, ownerType] of cases) {
+    it(`classifies "${name}" as ${ownerType}`, () => {
+      assert.strictEqual(classify(name), ownerType);
+    });
+  }
+
+  it('has no operator rule until operators are set', () => {
+    const withoutOperators = new OwnerTypeClassifier();
+    const name = 'Mewbourne Oil Company';
+    assert.strictEqual(withoutOperators.classify({ name }, parser.parse(name)).owner_type, 'company');
+  });
+});
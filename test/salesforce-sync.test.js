@@ -0,0 +1,140 @@
+delete process.env.SALESFORCE_ACCESS_TOKEN;
+delete process.env.SALESFORCE_INSTANCE_URL;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { ContactReady, SalesforceSyncRun, SalesforceSyncRecord } = require('../config/pddbclient.cjs');
+const { getSalesforceMapping } = require('../config/salesforce-mapping.cjs');
+const SalesforceSyncService = require('../services/salesforce-sync.service.js');
+
+// The sync runs against scripts/mock-salesforce-server.js; the ready contacts and sync
+// records it reads and writes are kept in memory instead of Postgres
+const PORT = 5297;
+const INSTANCE_URL = `http://localhost:${PORT}`;
+
+let contacts = [];
+const records = new Map();
+
+ContactReady.findAll = async ({ where, limit }) => contacts
+  .filter(contact => contact.id > where.id[Op.gt])
+  .slice(0, limit);
+SalesforceSyncRecord.findAll = async ({ where }) => where.contact_ready_id
+  .map(id => records.get(`${where.sobject}:${id}`))
+  .filter(Boolean);
+SalesforceSyncRecord.bulkCreate = async rows => {
+  for (const row of rows) {
+    records.set(`${row.sobject}:${row.contact_ready_id}`, row);
+  }
+  return rows;
+};
+
+// AuthService.loginSalesforce against the mock token endpoint
+const authService = {
+  logins: 0,
+  async loginSalesforce() {
+    this.logins++;
+    const response = await axios.post(`${INSTANCE_URL}/services/oauth2/token`, new URLSearchParams({ assertion: 'test' }));
+    return { accessToken: response.data.access_token, instanceUrl: response.data.instance_url };
+  }
+};
+
+const syncRun = id => ({
+  id,
+  sobject: 'Contact',
+  async update(values) {
+    Object.assign(this, values);
+    return this;
+  }
+});
+
+const totals = run => ({
+  status: run.status,
+  selected: run.selected,
+  created: run.created,
+  updated: run.updated,
+  unchanged: run.unchanged,
+  failed: run.failed
+});
+
+describe('SalesforceSyncService', () => {
+  let server;
+
+  before(async () => {
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'mock-salesforce-server.js')], {
+      env: { ...process.env, SALESFORCE_MOCK_PORT: String(PORT) },
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.once('exit', code => reject(new Error(`Mock Salesforce server exited with ${code}`)));
+      server.stdout.on('data', data => {
+        if (data.toString().includes('listening')) resolve();
+      });
+    });
+  });
+
+  after(() => {
+    server.removeAllListeners('exit');
+    server.kill();
+  });
+
+  it('creates, updates, skips unchanged and fails contacts, logging in again on a 401', async () => {
+    const service = new SalesforceSyncService(authService);
+    const mapping = getSalesforceMapping('Contact');
+    // An expired session: the first upsert is rejected with a 401
+    service.session = { accessToken: 'expired-token', instanceUrl: INSTANCE_URL };
+
+    contacts = [
+      { id: 1, first_name: 'Ann', last_name: 'Lee', city: 'Artesia', state: 'NM' },
+      { id: 2, first_name: 'Bob', last_name: 'Ray', city: 'Carlsbad', state: 'NM' },
+      { id: 3, first_name: null, last_name: null, name: null }
+    ];
+    const first = await service.runSync(syncRun(1), mapping, {});
+
+    assert.strictEqual(authService.logins, 1);
+    assert.deepStrictEqual(totals(first), { status: 'completed', selected: 3, created: 2, updated: 0, unchanged: 0, failed: 1 });
+    assert.strictEqual(records.get('Contact:3').error_code, 'REQUIRED_FIELD_MISSING');
+
+    contacts[1] = { ...contacts[1], city: 'Hobbs' };
+    const second = await service.runSync(syncRun(2), mapping, {});
+
+    assert.strictEqual(authService.logins, 1);
+    assert.deepStrictEqual(totals(second), { status: 'completed', selected: 3, created: 0, updated: 1, unchanged: 1, failed: 1 });
+    assert.strictEqual(records.get('Contact:3').attempts, 2);
+
+    const stored = (await axios.get(`${INSTANCE_URL}/mock/records`, { params: { sobject: 'Contact' } })).data;
+    assert.deepStrictEqual(
+      stored.map(record => [record.Brownrock_Id__c, record.LastName, record.MailingCity, record.Id]),
+      [
+        ['1', 'Lee', 'Artesia', records.get('Contact:1').salesforce_id],
+        ['2', 'Ray', 'Hobbs', records.get('Contact:2').salesforce_id]
+      ]
+    );
+  });
+
+  it('reports SYNC_ALREADY_RUNNING when another sync claims the running row first', async () => {
+    const { findOne, create } = SalesforceSyncRun;
+    let checks = 0;
+    // The other sync's run only exists once the check has passed
+    SalesforceSyncRun.findOne = async () => (checks++ ? { id: 41 } : null);
+    SalesforceSyncRun.create = async () => {
+      const error = new Error('Validation error');
+      error.name = 'SequelizeUniqueConstraintError';
+      error.parent = { constraint: 'salesforce_sync_runs_one_running' };
+      throw error;
+    };
+
+    try {
+      await assert.rejects(
+        new SalesforceSyncService(authService).startSync({ sobject: 'Contact' }),
+        { code: 'SYNC_ALREADY_RUNNING', runId: 41 }
+      );
+    } finally {
+      Object.assign(SalesforceSyncRun, { findOne, create });
+    }
+  });
+});